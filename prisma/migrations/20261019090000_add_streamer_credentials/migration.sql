@@ -0,0 +1,55 @@
+-- CreateTable
+CREATE TABLE "StreamerCredential" (
+    "id" TEXT NOT NULL,
+    "agentName" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "keyHash" TEXT NOT NULL,
+    "keyPrefix" TEXT NOT NULL,
+    "active" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+
+    CONSTRAINT "StreamerCredential_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AgentClaim" (
+    "id" TEXT NOT NULL,
+    "agentName" TEXT NOT NULL,
+    "displayName" TEXT,
+    "description" TEXT,
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "claimedAt" TIMESTAMP(3),
+    "claimedBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AgentClaim_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ConnectionCode" (
+    "code" TEXT NOT NULL,
+    "agentName" TEXT NOT NULL,
+    "model" TEXT,
+    "creatorUsername" TEXT NOT NULL,
+    "connected" BOOLEAN NOT NULL DEFAULT false,
+    "openClawId" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ConnectionCode_pkey" PRIMARY KEY ("code")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StreamerCredential_keyHash_key" ON "StreamerCredential"("keyHash");
+
+-- CreateIndex
+CREATE INDEX "StreamerCredential_agentName_kind_idx" ON "StreamerCredential"("agentName", "kind");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AgentClaim_tokenHash_key" ON "AgentClaim"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "AgentClaim_agentName_idx" ON "AgentClaim"("agentName");
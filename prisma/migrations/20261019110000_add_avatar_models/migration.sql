@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "AvatarModel" (
+    "id" TEXT NOT NULL,
+    "agentName" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "cid" TEXT NOT NULL,
+    "modelPath" TEXT NOT NULL,
+    "thumbnailUrl" TEXT,
+    "fileCount" INTEGER NOT NULL,
+    "size" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AvatarModel_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AvatarModel_agentName_idx" ON "AvatarModel"("agentName");
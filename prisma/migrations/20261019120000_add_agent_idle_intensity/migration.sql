@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Agent" ADD COLUMN     "idleIntensity" DOUBLE PRECISION NOT NULL DEFAULT 0.5;
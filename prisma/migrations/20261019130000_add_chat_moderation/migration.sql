@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "Agent" ADD COLUMN     "moderation" JSONB;
+
+-- CreateTable
+CREATE TABLE "ModerationAction" (
+    "id" TEXT NOT NULL,
+    "agentName" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "moderator" TEXT NOT NULL,
+    "target" TEXT,
+    "targetName" TEXT,
+    "reason" TEXT,
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ModerationAction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Follow" (
+    "id" TEXT NOT NULL,
+    "agentName" TEXT NOT NULL,
+    "viewerId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Follow_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ModerationAction_agentName_createdAt_idx" ON "ModerationAction"("agentName", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Follow_agentName_viewerId_key" ON "Follow"("agentName", "viewerId");
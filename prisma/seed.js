@@ -5,6 +5,7 @@ import pkg from '@prisma/client';
 const { PrismaClient } = pkg;
 import { withAccelerate } from '@prisma/extension-accelerate';
 import 'dotenv/config';
+import { hashKey } from '../server/credentials.js';
 
 const prisma = new PrismaClient({
   accelerateUrl: process.env.DATABASE_URL,
@@ -39,6 +40,42 @@ Keep responses conversational and stream-appropriate - you're entertaining an au
 
   console.log('✅ Created agent:', mao.displayName);
   console.log('📊 Agent ID:', mao.id);
+
+  // Mao streams with MAO_STREAM_KEY - store its hash and mark Mao as claimed
+  if (process.env.MAO_STREAM_KEY) {
+    const keyHash = hashKey(process.env.MAO_STREAM_KEY);
+    await prisma.streamerCredential.upsert({
+      where: { keyHash },
+      update: { active: true, revokedAt: null },
+      create: {
+        agentName: 'mao',
+        kind: 'stream_key',
+        keyHash,
+        keyPrefix: process.env.MAO_STREAM_KEY.slice(0, 10),
+        active: true,
+      },
+    });
+
+    const claimed = await prisma.agentClaim.count({
+      where: { agentName: 'mao', claimedAt: { not: null } },
+    });
+    if (!claimed) {
+      await prisma.agentClaim.create({
+        data: {
+          agentName: 'mao',
+          displayName: 'Mao',
+          tokenHash: hashKey(`seed:${Date.now()}`),
+          expiresAt: new Date(),
+          claimedAt: new Date(),
+          claimedBy: '@claboratory',
+        },
+      });
+    }
+
+    console.log('🔑 Stored stream key for mao');
+  } else {
+    console.log('⚠️ MAO_STREAM_KEY not set - mao-streamer will not be able to go live');
+  }
 }
 
 main()
@@ -3,6 +3,11 @@
 
 import { io } from 'socket.io-client';
 
+// Reconnect backoff after a dropped connection: 1s, 2s, 4s... up to 30s, +/- 50%.
+// The server holds a dropped stream for a grace period (30s by default) - back within it,
+// the stream resumes where it left off.
+const RECONNECT = { reconnectionDelay: 1000, reconnectionDelayMax: 30000, randomizationFactor: 0.5 };
+
 export class LobsterAgent {
   constructor({ agentId, agentName, secret, serverUrl = 'http://localhost:3001', config = {} }) {
     this.agentId = agentId;
@@ -12,32 +17,80 @@ export class LobsterAgent {
     this.config = config;
     this.socket = null;
     this.isLive = false;
+    this.resumeToken = null;  // From stream:started - picks our session back up after a reconnect
     this.onChatReceived = null;
     this.onViewerJoined = null;
+    this.onSpeechStarted = null;
+    this.onSpeechFinished = null;
+    this.onQueueChanged = null;
+    this.onTikTokShown = null;
+    this.onUnsupportedTags = null;
+    this.onSpeechFiltered = null;
+    this.onReconnected = null;
+    this.queue = { current: null, queue: [], length: 0 };  // Our speech queue on the server
+    this.speechWaiters = new Map();  // ref -> resolve, for sayAndWait()
+    this.nextRef = 1;
   }
 
   async connect() {
     return new Promise((resolve, reject) => {
-      this.socket = io(this.serverUrl + '/streamers', { transports: ['websocket'] });
+      this.socket = io(this.serverUrl + '/streamers', { transports: ['websocket'], ...RECONNECT });
       
       this.socket.on('connect', () => {
         console.log('Connected to Lobster');
+        // Back after a drop - carry on with the same stream
+        if (this.resumeToken) {
+          this.socket.emit('stream:resume', { agentId: this.agentId, resumeToken: this.resumeToken });
+        }
         resolve();
       });
       
       this.socket.on('connect_error', (err) => reject(err));
       
+      this.socket.on('disconnect', (reason) => {
+        // Our own disconnect() - or the server closing on us, which it only does on purpose
+        if (reason === 'io client disconnect' || reason === 'io server disconnect') return;
+        console.warn('📡 Connection lost (' + reason + ') - reconnecting...');
+      });
+      
       this.socket.on('stream:started', (data) => {
         this.isLive = true;
+        this.resumeToken = data.resumeToken || null;
         console.log('🔴 LIVE! Stream ID:', data.streamId);
       });
       
+      this.socket.on('stream:resumed', (data) => {
+        this.isLive = true;
+        this.resumeToken = data.resumeToken;
+        console.log('🔴 Resumed stream:', data.streamId);
+        
+        // Anything we were waiting on that finished while we were gone never told us
+        this.queue = data.queue;
+        const pending = new Set([data.queue.current, ...data.queue.queue].filter(Boolean).map(item => item.ref));
+        for (const [ref, resolve] of this.speechWaiters) {
+          if (!pending.has(ref)) {
+            this.speechWaiters.delete(ref);
+            resolve(null);
+          }
+        }
+        if (this.onReconnected) this.onReconnected({ resumed: true, ...data });
+      });
+      
+      // Gone too long - the stream ended, so start a new one
+      this.socket.on('stream:resume:failed', (data) => {
+        console.warn('📡 Could not resume:', data.error, '- going live again');
+        this.resumeToken = null;
+        this.goLive();
+        if (this.onReconnected) this.onReconnected({ resumed: false });
+      });
+      
       this.socket.on('stream:error', (data) => {
         console.error('Stream error:', data.error);
       });
       
       this.socket.on('chat:received', (msg) => {
         console.log('💬 Chat from viewer:', msg.username, '-', msg.text);
+        if (msg.safety?.flagged) console.log('🛡️ Flagged:', msg.safety.reason);
         if (this.onChatReceived) this.onChatReceived(msg);
       });
       
@@ -45,6 +98,52 @@ export class LobsterAgent {
         console.log('👋 Viewer joined! Count:', data.viewerCount);
         if (this.onViewerJoined) this.onViewerJoined(data);
       });
+      
+      // The server measures each TTS clip and tells us when it's actually done playing
+      this.socket.on('speech:started', (data) => {
+        if (this.onSpeechStarted) this.onSpeechStarted(data);
+      });
+      
+      this.socket.on('speech:queue', (queue) => {
+        this.queue = queue;
+        if (this.onQueueChanged) this.onQueueChanged(queue);
+      });
+      
+      this.socket.on('speech:finished', (data) => {
+        if (this.onSpeechFinished) this.onSpeechFinished(data);
+        
+        const resolve = this.speechWaiters.get(data.ref);
+        if (resolve) {
+          this.speechWaiters.delete(data.ref);
+          resolve(data);
+        }
+      });
+      
+      // A [tiktok:...] we said just went up - data.agentPrompt describes what's on screen
+      this.socket.on('tiktok:shown', (data) => {
+        console.log('📱 TikTok on stream:', data.description);
+        if (this.onTikTokShown) this.onTikTokShown(data);
+      });
+      
+      // The creator's speech filter changed, blocked or held something we said - data.decision is
+      // redacted, blocked, held, approved, rejected or expired, data.reasons says why
+      this.socket.on('speech:filtered', (data) => {
+        console.log('🛡️ Speech ' + data.decision + ':', data.reasons.join(', '));
+        if (this.onSpeechFiltered) this.onSpeechFiltered(data);
+        
+        // It won't air - sayAndWait() gets the decision instead of a speech:finished
+        const resolve = ['blocked', 'rejected', 'expired'].includes(data.decision) && this.speechWaiters.get(data.ref);
+        if (resolve) {
+          this.speechWaiters.delete(data.ref);
+          resolve(data);
+        }
+      });
+      
+      // Tags our avatar model can't perform - they were skipped
+      this.socket.on('speech:unsupportedTags', (data) => {
+        console.warn('🎭 Model can\'t do:', data.tags.join(', '));
+        if (this.onUnsupportedTags) this.onUnsupportedTags(data);
+      });
     });
   }
 
@@ -58,9 +157,47 @@ export class LobsterAgent {
     });
   }
 
-  say(text, emotion = null, actions = []) {
+  // Queue something to say. The server plays one message at a time:
+  // options.priority - 'high' (chat replies), 'normal' or 'low' (idle thoughts, dropped when stale)
+  // options.interrupt - cut off whatever is playing and say this next
+  say(text, emotion = null, actions = [], { ref = null, priority = 'normal', interrupt = false } = {}) {
+    if (!this.socket) return;
+    this.socket.emit('stream:chat', { text, emotion, actions, ref, priority, interrupt });
+  }
+
+  // Say something and resolve once it has finished playing on stream (or was cut off/dropped).
+  // options.timeout is a safety net in case the connection drops mid-sentence.
+  sayAndWait(text, emotion = null, actions = [], { timeout = 120000, ...options } = {}) {
+    if (!this.socket) return Promise.resolve(null);
+    
+    const ref = `${this.agentId}-${this.nextRef++}`;
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.speechWaiters.delete(ref);
+        resolve(null);
+      }, timeout);
+      
+      this.speechWaiters.set(ref, (data) => {
+        clearTimeout(timer);
+        resolve(data);
+      });
+      this.say(text, emotion, actions, { ...options, ref });
+    });
+  }
+
+  // Is anything playing or waiting to be said?
+  isSpeaking() {
+    return Boolean(this.queue.current) || this.queue.length > 0;
+  }
+
+  skip() {
+    if (!this.socket) return;
+    this.socket.emit('stream:skip');
+  }
+
+  clearQueue() {
     if (!this.socket) return;
-    this.socket.emit('stream:chat', { text, emotion, actions });
+    this.socket.emit('stream:queue:clear');
   }
 
   updateState(state) {
@@ -72,9 +209,11 @@ export class LobsterAgent {
     if (!this.socket) return;
     this.socket.emit('stream:end');
     this.isLive = false;
+    this.resumeToken = null;
   }
 
   disconnect() {
+    this.resumeToken = null;
     if (this.socket) {
       this.socket.disconnect();
       this.socket = null;
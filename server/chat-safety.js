@@ -0,0 +1,281 @@
+// server/chat-safety.js
+// Screens viewer chat before agents see it - chat ends up in an LLM prompt and then in TTS
+//
+// Every message that gets past moderation is scored 0-1 in four categories:
+//   spam       floods, repeats, shouting, link drops
+//   slur       hateful slurs, leetspeak and spacing included
+//   injection  attempts to instruct the agent ("ignore your instructions", fake [System] lines...)
+//   pii        emails, phone numbers, card numbers, private keys
+// and agents get the verdict with the message (chat:received and REST polling):
+//   safety { flagged, score, categories, reason }
+// flagged means a category reached the threshold - what to do about it is up to the agent,
+// except for slurs: the server drops those before anyone sees them.
+//
+// Classifiers are pluggable: anything with a name and classify(message) that resolves to
+// { scores: { category: 0-1 }, reasons: { category: string } }. RuleClassifier (offline, always on)
+// is built in; CHAT_SAFETY_URL adds an HTTP one. The highest score per category wins.
+
+export const SAFETY_CATEGORIES = ['spam', 'slur', 'injection', 'pii'];
+export const DEFAULT_THRESHOLD = 0.7;
+
+const CLASSIFIER_TIMEOUT = 500;          // ms - a slow classifier is skipped, chat doesn't wait
+const REPEAT_WINDOW = 30000;             // ms a user's messages are remembered for repeat checks
+const FLOOD = { messages: 6, window: 10000 };  // This many messages this fast is flooding
+
+// ============ RULES ============
+
+// Matched against normalizeText() - leetspeak undone, lowercase
+const SLURS = /\b(nigg(a|er|ah|uh)s?|fagg?(ot)?s?|kikes?|spics?|wetbacks?|trann(y|ies)|retard(s|ed)?|gooks?|ragheads?|towelheads?|beaners?)\b/;
+
+// Whole instruction phrases, not single words - chat talks about rules, prompts and modes all the time
+const INJECTION_PATTERNS = [
+  [/\b(ignore|disregard|forget|override)\s+(all\s+)?(of\s+)?(your|the|my|any)\s+((previous|prior|above|earlier|original|system)\s+)?(instructions|prompts?|programming|guidelines)\b/i, 0.9, 'tells the agent to drop its instructions'],
+  [/\b(ignore|disregard|forget)\s+(all\s+)?(of\s+)?(the\s+)?(previous|prior|above|earlier)\s+(messages|rules|directions)\b/i, 0.9, 'tells the agent to drop its instructions'],
+  [/\b(show|reveal|print|leak|repeat|tell me|what are|what's|what is)\s+(me\s+)?(your|the)\s+(system prompt|initial prompt|hidden prompt|instructions|prompt)\b/i, 0.8, 'asks for the system prompt'],
+  [/\[\s*(system|assistant|admin|developer|mod(erator)?)\s*[:\]]/i, 0.9, 'fakes a system or staff line'],
+  [/\[[^\]]{1,40}\bsays\]\s*:/i, 0.9, 'fakes another chat line'],
+  [/<\|?(im_start|im_end|system|endoftext)\|?>|^#{2,}\s*(system|instruction)/im, 0.9, 'contains prompt control tokens'],
+  [/\b(from now on,? you (are|will|must|should)|you are now (an?|in) [\w ]{0,20}(mode|ai|assistant|bot|model)|pretend (to be|you are) (an?|my|the)|roleplay as (an?|my|the)|new instructions\s*:)/i, 0.7, 'tries to change who the agent is'],
+  [/\b((enable|enter|activate|switch to|turn on) (developer|dan|jailbreak|god) mode|do anything now)\b/i, 0.8, 'jailbreak attempt'],
+  [/\b(repeat after me|say (this|the following) (word for word|verbatim|exactly)|say the following\s*:|read (this|the following) out( loud)?\s*:)/i, 0.7, 'tries to put words in the agent\'s mouth']
+];
+
+const PII_PATTERNS = [
+  [/\b[\w.+-]+@[\w-]+\.[\w.-]{2,}\b/, 0.8, 'an email address'],
+  [/(?<![\w.])(\+\d{1,3}[\s.-]?)?(\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}(?![\w.])|\+\d{10,14}\b/, 0.8, 'a phone number'],
+  [/\b\d{3}-\d{2}-\d{4}\b/, 0.9, 'a social security number'],
+  [/(?<!0x)\b[0-9a-f]{64}\b/i, 0.9, 'what looks like a private key'],  // 0x... is a transaction hash
+  [/\b(seed phrase|mnemonic|private key)\b\s*[:=]/i, 0.9, 'a wallet secret'],
+  [/\b\d{1,5}\s+\w+(\s\w+)?\s+(street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr)\b/i, 0.6, 'a street address']
+];
+
+const LEET = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i' };
+
+// Lowercase, leetspeak undone, and s p a c e d or d.o.t.t.e.d letters joined back up
+function normalizeText(text) {
+  return text
+    .toLowerCase()
+    .replace(/[013457@$!]/g, char => LEET[char])
+    .replace(/\b(\w)([\s.*_-]+\w\b)+/g, match => match.replace(/[\s.*_-]+/g, ''));
+}
+
+// 13-19 digit numbers that pass the Luhn check
+function cardNumbers(text) {
+  return [...text.matchAll(/\b(?:\d[ -]?){13,19}\b/g)].filter(([match]) => {
+    const digits = match.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  });
+}
+
+/**
+ * Personal data in a text - the same patterns the PII score uses
+ * @param {string} text
+ * @returns {Array<{ match: string, index: number, reason: string }>} index is where the match
+ *   starts in text - reason is e.g. "an email address"
+ */
+export function findPersonalData(text) {
+  const found = [];
+  for (const [pattern, , reason] of PII_PATTERNS) {
+    for (const { 0: match, index } of text.matchAll(new RegExp(pattern.source, pattern.flags + 'g'))) {
+      found.push({ match, index, reason });
+    }
+  }
+  for (const { 0: match, index } of cardNumbers(text)) found.push({ match: match.trim(), index, reason: 'a card number' });
+  return found;
+}
+
+/**
+ * The built-in classifier - regular expressions and a little memory, no network
+ */
+export class RuleClassifier {
+  constructor() {
+    this.name = 'rules';
+    this.recent = new Map();  // user id -> [{ text, at }] within REPEAT_WINDOW
+  }
+
+  /**
+   * @param {Object} message - { text, userId }
+   * @returns {{ scores: Object, reasons: Object }}
+   */
+  classify({ text, userId }, now = Date.now()) {
+    const scores = {};
+    const reasons = {};
+    const flag = (category, score, reason) => {
+      if (score > (scores[category] || 0)) {
+        scores[category] = score;
+        reasons[category] = reason;
+      }
+    };
+
+    this.checkSpam(text, userId, now, flag);
+
+    if (SLURS.test(normalizeText(text))) flag('slur', 1, 'contains a slur');
+
+    for (const [pattern, score, reason] of INJECTION_PATTERNS) {
+      if (pattern.test(text)) flag('injection', score, reason);
+    }
+
+    for (const [pattern, score, reason] of PII_PATTERNS) {
+      if (pattern.test(text)) flag('pii', score, `contains ${reason}`);
+    }
+    if (cardNumbers(text).length > 0) flag('pii', 0.9, 'contains a card number');
+
+    return { scores, reasons };
+  }
+
+  checkSpam(text, userId, now, flag) {
+    const letters = text.replace(/[^a-z]/gi, '');
+    const links = (text.match(/https?:\/\/|www\.|\b\w+\.(com|net|org|io|xyz|gg|ly|me)\b/gi) || []).length;
+
+    if (/(.)\1{9,}/.test(text)) flag('spam', 0.6, 'repeated characters');
+    if (/(\b\S+\b)(\s+\1\b){4,}/i.test(text)) flag('spam', 0.7, 'the same word over and over');
+    if (letters.length >= 15 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.8) flag('spam', 0.4, 'all caps');
+    if (links >= 2) flag('spam', 0.8, 'several links');
+    else if (links === 1) flag('spam', 0.3, 'a link');
+
+    if (!userId) return;
+    const recent = (this.recent.get(userId) || []).filter(entry => now - entry.at < REPEAT_WINDOW);
+    const normalized = text.toLowerCase().replace(/\s+/g, ' ');
+    const repeats = recent.filter(entry => entry.text === normalized).length;
+    if (repeats >= 2) flag('spam', 0.9, 'the same message again and again');
+    else if (repeats === 1) flag('spam', 0.5, 'a repeated message');
+    if (recent.filter(entry => now - entry.at < FLOOD.window).length >= FLOOD.messages) flag('spam', 0.8, 'flooding chat');
+
+    recent.push({ text: normalized, at: now });
+    this.recent.set(userId, recent.slice(-10));
+
+    // Forget users who went quiet
+    if (this.recent.size > 5000) {
+      for (const [id, entries] of this.recent) {
+        if (now - entries[entries.length - 1].at > REPEAT_WINDOW) this.recent.delete(id);
+      }
+    }
+  }
+}
+
+/**
+ * A classifier behind HTTP: POSTs { text, username } and expects { scores, reasons }
+ */
+export class HttpClassifier {
+  /**
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {string} [options.token] - Sent as a Bearer token
+   */
+  constructor(url, { token } = {}) {
+    this.name = 'http';
+    this.url = url;
+    this.token = token;
+  }
+
+  async classify({ text, username }) {
+    const res = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+      },
+      body: JSON.stringify({ text, username }),
+      signal: AbortSignal.timeout(CLASSIFIER_TIMEOUT)
+    });
+    if (!res.ok) throw new Error(`Classifier returned ${res.status}`);
+    const data = await res.json();
+    return { scores: data.scores || {}, reasons: data.reasons || {} };
+  }
+}
+
+// ============ SCREENING ============
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+export class ChatSafety {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.classifiers] - RuleClassifier alone without any
+   * @param {number} [options.threshold] - Score (0-1) that flags a message, DEFAULT_THRESHOLD without one
+   */
+  constructor({ classifiers, threshold } = {}) {
+    this.classifiers = classifiers || [new RuleClassifier()];
+    const value = Number(threshold);
+    this.threshold = threshold != null && value > 0 && value <= 1 ? value : DEFAULT_THRESHOLD;
+  }
+
+  // Add a classifier - its scores count alongside the others'
+  use(classifier) {
+    if (typeof classifier?.classify !== 'function') throw new Error('A classifier needs a classify(message) method');
+    this.classifiers.push(classifier);
+    return this;
+  }
+
+  /**
+   * Score a chat message
+   * @param {Object} message - { text, username, userId }
+   * @returns {Promise<Object>} { flagged, score, categories, reason } - score is the highest category's
+   */
+  async screen(message) {
+    const results = await Promise.all(this.classifiers.map(async (classifier) => {
+      try {
+        return await withTimeout(Promise.resolve(classifier.classify(message)), CLASSIFIER_TIMEOUT);
+      } catch (error) {
+        console.warn(`⚠️ Chat classifier ${classifier.name || 'unnamed'} failed:`, error.message);
+        return null;
+      }
+    }));
+
+    const scores = {};
+    const reasons = {};
+    for (const result of results.filter(Boolean)) {
+      for (const category of SAFETY_CATEGORIES) {
+        const score = Math.min(1, Math.max(0, Number(result.scores?.[category]) || 0));
+        if (score > (scores[category] || 0)) {
+          scores[category] = score;
+          reasons[category] = result.reasons?.[category] || category;
+        }
+      }
+    }
+
+    const categories = SAFETY_CATEGORIES.filter(category => scores[category] >= this.threshold);
+    return {
+      flagged: categories.length > 0,
+      score: Math.max(0, ...Object.values(scores)),
+      categories,
+      reason: categories.length > 0 ? categories.map(category => `${category}: ${reasons[category]}`).join('; ') : null
+    };
+  }
+}
+
+/**
+ * The server's screener, from the environment:
+ *   CHAT_SAFETY_THRESHOLD   0-1, DEFAULT_THRESHOLD without one
+ *   CHAT_SAFETY_URL         adds an HttpClassifier (CHAT_SAFETY_TOKEN is its Bearer token)
+ * @returns {ChatSafety}
+ */
+export function createChatSafety() {
+  const safety = new ChatSafety({ threshold: process.env.CHAT_SAFETY_THRESHOLD });
+  if (process.env.CHAT_SAFETY_URL) {
+    safety.use(new HttpClassifier(process.env.CHAT_SAFETY_URL, { token: process.env.CHAT_SAFETY_TOKEN }));
+  }
+  return safety;
+}
+
+export default {
+  SAFETY_CATEGORIES,
+  DEFAULT_THRESHOLD,
+  RuleClassifier,
+  HttpClassifier,
+  ChatSafety,
+  createChatSafety,
+  findPersonalData
+};
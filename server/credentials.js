@@ -0,0 +1,372 @@
+// server/credentials.js
+// Durable streamer credentials - stream keys, REST API keys, claim links and pairing codes
+//
+// Keys are shown exactly once, when they're issued. The database only keeps a SHA-256
+// hash plus a short prefix, so nobody can go live as an agent from a copy of the table.
+
+import crypto from 'crypto';
+import prisma from './db.js';
+
+const CLAIM_TTL = 24 * 60 * 60 * 1000;          // Claim links last a day
+const CONNECTION_CODE_TTL = 10 * 60 * 1000;     // Pairing codes last 10 minutes
+const API_KEY_CACHE_TTL = 60 * 1000;            // REST calls are chatty, don't hit the DB for each
+
+const KEY_PREFIXES = {
+  stream_key: 'sk_',
+  api_key: 'cs_'
+};
+
+const apiKeyCache = new Map();  // keyHash -> { record, expiresAt }
+
+// ============ KEYS ============
+
+/**
+ * Hash a key for storage/lookup
+ * @param {string} key - Plaintext key or token
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function generateKey(kind) {
+  return KEY_PREFIXES[kind] + crypto.randomBytes(24).toString('hex');
+}
+
+async function storeKey(agentName, kind, key, active) {
+  await prisma.streamerCredential.create({
+    data: {
+      agentName,
+      kind,
+      keyHash: hashKey(key),
+      keyPrefix: key.slice(0, 10),
+      active
+    }
+  });
+  return key;
+}
+
+/**
+ * Issue a new stream key for an agent
+ * @param {string} agentName - Stream ID (Agent.name)
+ * @param {boolean} active - Inactive keys are held until the agent is claimed
+ * @returns {Promise<string>} The plaintext key - only available now
+ */
+export async function issueStreamKey(agentName, active = true) {
+  return storeKey(agentName, 'stream_key', generateKey('stream_key'), active);
+}
+
+/**
+ * Check a stream key for an agent. Unclaimed, revoked or unknown keys all fail.
+ * @param {string} agentName - Stream ID the streamer wants to go live as
+ * @param {string} key - Stream key it sent
+ * @returns {Promise<boolean>}
+ */
+export async function verifyStreamKey(agentName, key) {
+  if (!agentName || !key) return false;
+
+  const credential = await prisma.streamerCredential.findUnique({
+    where: { keyHash: hashKey(key) }
+  });
+
+  if (!credential || credential.kind !== 'stream_key' || credential.agentName !== agentName) return false;
+  if (!credential.active || credential.revokedAt) return false;
+
+  prisma.streamerCredential.update({
+    where: { id: credential.id },
+    data: { lastUsedAt: new Date() }
+  }).catch(err => console.error('Failed to touch stream key:', err.message));
+
+  return true;
+}
+
+/**
+ * Revoke every stream key of an agent and issue a fresh one
+ * @param {string} agentName - Stream ID
+ * @returns {Promise<string>} The new plaintext key
+ */
+export async function rotateStreamKey(agentName) {
+  await revokeStreamKeys(agentName);
+  return issueStreamKey(agentName);
+}
+
+/**
+ * Revoke every stream key of an agent. It can't go live again until a key is rotated in.
+ * @param {string} agentName - Stream ID
+ * @returns {Promise<number>} How many keys were revoked
+ */
+export async function revokeStreamKeys(agentName) {
+  const { count } = await prisma.streamerCredential.updateMany({
+    where: { agentName, kind: 'stream_key', revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  return count;
+}
+
+/**
+ * Resolve a REST API key into its agent record
+ * @param {string} key - Plaintext API key
+ * @returns {Promise<Object|null>} { agentId, agentName, description, createdAt } or null
+ */
+export async function resolveApiKey(key) {
+  if (!key) return null;
+
+  const keyHash = hashKey(key);
+  const cached = apiKeyCache.get(keyHash);
+  if (cached && cached.expiresAt > Date.now()) return cached.record;
+
+  const credential = await prisma.streamerCredential.findUnique({ where: { keyHash } });
+  if (!credential || credential.kind !== 'api_key' || credential.revokedAt) {
+    apiKeyCache.delete(keyHash);
+    return null;
+  }
+
+  const claim = await prisma.agentClaim.findFirst({
+    where: { agentName: credential.agentName },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  const record = {
+    agentId: credential.agentName,
+    agentName: claim?.displayName || credential.agentName,
+    description: claim?.description || '',
+    createdAt: credential.createdAt
+  };
+  apiKeyCache.set(keyHash, { record, expiresAt: Date.now() + API_KEY_CACHE_TTL });
+  return record;
+}
+
+/**
+ * List an agent's keys for its owner - prefixes and dates only, never hashes
+ * @param {string} agentName - Stream ID
+ * @returns {Promise<Array>}
+ */
+export async function listCredentials(agentName) {
+  return prisma.streamerCredential.findMany({
+    where: { agentName },
+    select: {
+      id: true,
+      kind: true,
+      keyPrefix: true,
+      active: true,
+      createdAt: true,
+      lastUsedAt: true,
+      revokedAt: true
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+// ============ CLAIMS ============
+
+/**
+ * Register a new agent and create its claim link
+ * @param {Object} options
+ * @param {string} options.agentName - Stream ID (Agent.name)
+ * @param {string} [options.displayName] - Name shown on stream
+ * @param {string} [options.description] - Short bio
+ * @param {boolean} [options.issueKeys] - Hand out an API key and stream key up front (REST registrations).
+ *   The stream key stays inactive until the claim is redeemed.
+ * @returns {Promise<Object>} { claimToken, apiKey?, streamKey? }
+ */
+export async function registerAgent({ agentName, displayName, description, issueKeys = false }) {
+  // Anything left over from an earlier registration that was never claimed is dead now
+  await prisma.streamerCredential.updateMany({
+    where: { agentName, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  apiKeyCache.clear();
+
+  const claimToken = crypto.randomBytes(32).toString('hex');
+  await prisma.agentClaim.create({
+    data: {
+      agentName,
+      displayName: displayName || null,
+      description: description || null,
+      tokenHash: hashKey(claimToken),
+      expiresAt: new Date(Date.now() + CLAIM_TTL)
+    }
+  });
+
+  if (!issueKeys) return { claimToken };
+
+  const apiKey = await storeKey(agentName, 'api_key', generateKey('api_key'), true);
+  const streamKey = await issueStreamKey(agentName, false);
+  return { claimToken, apiKey, streamKey };
+}
+
+/**
+ * Has a human claimed this agent?
+ * @param {string} agentName - Stream ID
+ * @returns {Promise<boolean>}
+ */
+export async function isAgentClaimed(agentName) {
+  const count = await prisma.agentClaim.count({
+    where: { agentName, claimedAt: { not: null } }
+  });
+  return count > 0;
+}
+
+/**
+ * Who claimed an agent
+ * @param {string} agentName - Stream ID
+ * @returns {Promise<string|null>} claimedBy of its claim, or null if it isn't claimed
+ */
+export async function getClaimOwner(agentName) {
+  const claim = await prisma.agentClaim.findFirst({
+    where: { agentName, claimedAt: { not: null } }
+  });
+  return claim ? claim.claimedBy : null;
+}
+
+/**
+ * Is this agent name spoken for - claimed, or waiting on a claim link that hasn't expired?
+ * @param {string} agentName - Stream ID
+ * @returns {Promise<boolean>}
+ */
+export async function isAgentRegistered(agentName) {
+  const count = await prisma.agentClaim.count({
+    where: {
+      agentName,
+      OR: [
+        { claimedAt: { not: null } },
+        { expiresAt: { gt: new Date() } }
+      ]
+    }
+  });
+  return count > 0;
+}
+
+/**
+ * Look up an unclaimed, unexpired claim link
+ * @param {string} token - Claim token from the URL
+ * @returns {Promise<Object|null>}
+ */
+export async function getPendingClaim(token) {
+  if (!token) return null;
+  const claim = await prisma.agentClaim.findUnique({ where: { tokenHash: hashKey(token) } });
+  if (!claim || claim.claimedAt || claim.expiresAt < new Date()) return null;
+  return claim;
+}
+
+/**
+ * Redeem a claim link. Activates the stream key handed out at registration,
+ * or issues one if the agent registered without keys.
+ * @param {string} token - Claim token
+ * @param {string} ownerId - Who claimed it, as '@' + their X username
+ * @returns {Promise<Object>} { ok, agentId, secret? } or { ok: false, error }
+ */
+export async function redeemClaim(token, ownerId) {
+  const claim = token
+    ? await prisma.agentClaim.findUnique({ where: { tokenHash: hashKey(token) } })
+    : null;
+
+  if (!claim || claim.claimedAt) return { ok: false, error: 'Invalid token' };
+  if (claim.expiresAt < new Date()) return { ok: false, error: 'Expired' };
+  if (await isAgentClaimed(claim.agentName)) return { ok: false, error: 'Agent already claimed' };
+
+  // Only claims if nobody got there first - two redemptions at once can't both win
+  const now = new Date();
+  const { count: claimed } = await prisma.agentClaim.updateMany({
+    where: { id: claim.id, claimedAt: null, expiresAt: { gt: now } },
+    data: { claimedAt: now, claimedBy: ownerId }
+  });
+  if (claimed === 0) return { ok: false, error: 'Invalid token' };
+
+  const { count } = await prisma.streamerCredential.updateMany({
+    where: { agentName: claim.agentName, kind: 'stream_key', revokedAt: null },
+    data: { active: true }
+  });
+
+  if (count > 0) return { ok: true, agentId: claim.agentName };
+
+  const secret = await issueStreamKey(claim.agentName);
+  return { ok: true, agentId: claim.agentName, secret };
+}
+
+/**
+ * Mark an agent as claimed without a claim link (creator pairing, seeding)
+ * @param {string} agentName - Stream ID
+ * @param {string} ownerId - Who owns it
+ */
+export async function claimAgent(agentName, ownerId) {
+  if (await isAgentClaimed(agentName)) return;
+
+  await prisma.agentClaim.create({
+    data: {
+      agentName,
+      tokenHash: hashKey(crypto.randomBytes(32).toString('hex')),
+      expiresAt: new Date(),
+      claimedAt: new Date(),
+      claimedBy: ownerId
+    }
+  });
+}
+
+// ============ CONNECTION CODES ============
+
+/**
+ * Make a setup wizard pairing code - the caller checks the creator owns the agent
+ * @param {Object} data - { agentName, model, creatorUsername }
+ * @returns {Promise<Object>} The stored code ({ code, agentName, expiresAt, ... })
+ */
+export async function createConnectionCode({ agentName, model, creatorUsername }) {
+  // Sweep old codes while we're here
+  await prisma.connectionCode.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+
+  // create, never upsert - a code someone already holds is never handed to anyone else
+  return prisma.connectionCode.create({
+    data: {
+      code: 'CS-' + crypto.randomBytes(5).toString('hex').toUpperCase(),
+      agentName,
+      model: model || null,
+      creatorUsername,
+      expiresAt: new Date(Date.now() + CONNECTION_CODE_TTL)
+    }
+  });
+}
+
+/**
+ * Look up a pairing code that hasn't expired
+ * @param {string} code
+ * @returns {Promise<Object|null>}
+ */
+export async function getConnectionCode(code) {
+  const codeData = await prisma.connectionCode.findUnique({ where: { code } });
+  if (!codeData || codeData.expiresAt < new Date()) return null;
+  return codeData;
+}
+
+/**
+ * Mark a pairing code as used by an OpenClaw instance
+ * @param {string} code
+ * @param {string} openClawId
+ * @returns {Promise<boolean>} false if it was already used - only one connect gets a code
+ */
+export async function markConnectionCodeConnected(code, openClawId) {
+  const { count } = await prisma.connectionCode.updateMany({
+    where: { code, connected: false },
+    data: { connected: true, openClawId: openClawId || null }
+  });
+  return count > 0;
+}
+
+export default {
+  hashKey,
+  issueStreamKey,
+  verifyStreamKey,
+  rotateStreamKey,
+  revokeStreamKeys,
+  resolveApiKey,
+  listCredentials,
+  registerAgent,
+  isAgentClaimed,
+  getClaimOwner,
+  isAgentRegistered,
+  getPendingClaim,
+  redeemClaim,
+  claimAgent,
+  createConnectionCode,
+  getConnectionCode,
+  markConnectionCodeConnected
+};
@@ -2,7 +2,7 @@
 // Prisma client with Accelerate extension
 
 import pkg from '@prisma/client';
-const { PrismaClient } = pkg;
+const { PrismaClient, Prisma } = pkg;
 import { withAccelerate } from '@prisma/extension-accelerate';
 
 const prisma = new PrismaClient({
@@ -41,19 +41,38 @@ export async function createAgent(data) {
 }
 
 export async function updateAgent(name, data) {
+  // Json columns can't be cleared with a plain null
+  if (data.voiceSettings === null) data = { ...data, voiceSettings: Prisma.DbNull };
+
   return prisma.agent.update({
     where: { name },
     data,
   });
 }
 
+// Streamers that aren't in the database yet (e.g. socket-only agents) get a minimal profile
+export async function ensureAgent(name, displayName) {
+  return prisma.agent.upsert({
+    where: { name },
+    update: {},
+    create: { name, displayName: displayName || name },
+  });
+}
+
 export async function incrementAgentStats(name, stats) {
+  // Prisma has no atomic "max" update, so peak viewers is compared here
+  let peakViewers;
+  if (stats.peakViewers) {
+    const agent = await getAgent(name);
+    if (agent && stats.peakViewers > agent.peakViewers) peakViewers = stats.peakViewers;
+  }
+
   return prisma.agent.update({
     where: { name },
     data: {
       totalStreams: stats.totalStreams ? { increment: 1 } : undefined,
       totalWatchTime: stats.watchTime ? { increment: stats.watchTime } : undefined,
-      peakViewers: stats.peakViewers ? { max: stats.peakViewers } : undefined,
+      peakViewers,
       lastStreamAt: stats.lastStreamAt || undefined,
     },
   });
@@ -121,12 +140,153 @@ export async function getOrCreateViewer(username) {
   });
 }
 
-export async function incrementViewerStats(username, stats) {
-  return prisma.viewer.update({
-    where: { username },
-    data: {
+// Viewers are keyed by viewer id (x:<handle>, wallet:<address>, guest:<id> - see viewer-identity.js),
+// stored as Viewer.username; displayName is the latest name they went by
+export async function incrementViewerStats(viewerId, stats) {
+  return prisma.viewer.upsert({
+    where: { username: viewerId },
+    update: {
+      displayName: stats.displayName || undefined,
       totalWatchTime: stats.watchTime ? { increment: stats.watchTime } : undefined,
-      messageCount: stats.messageCount ? { increment: 1 } : undefined,
+      messageCount: stats.messageCount ? { increment: stats.messageCount } : undefined,
+    },
+    create: {
+      username: viewerId,
+      displayName: stats.displayName || viewerId,
+      totalWatchTime: stats.watchTime || 0,
+      messageCount: stats.messageCount || 0,
     },
   });
 }
+
+// ============ FOLLOWS ============
+
+export async function getFollowerIds(agentName) {
+  const follows = await prisma.follow.findMany({
+    where: { agentName },
+    select: { viewerId: true },
+  });
+  return follows.map(f => f.viewerId);
+}
+
+// Returns whether anything changed, keeping Agent.followers in step
+export async function setFollowing(agentName, viewerId, following) {
+  if (following) {
+    const existing = await prisma.follow.findFirst({ where: { agentName, viewerId } });
+    if (existing) return false;
+    await prisma.$transaction([
+      prisma.follow.create({ data: { agentName, viewerId } }),
+      prisma.agent.update({ where: { name: agentName }, data: { followers: { increment: 1 } } }),
+    ]);
+    return true;
+  }
+
+  const { count } = await prisma.follow.deleteMany({ where: { agentName, viewerId } });
+  if (count > 0) {
+    await prisma.agent.update({ where: { name: agentName }, data: { followers: { decrement: count } } });
+  }
+  return count > 0;
+}
+
+// ============ MODERATION ============
+
+// Failures are logged - a moderation action still happens if the log write doesn't
+export async function logModerationAction(data) {
+  try {
+    await prisma.moderationAction.create({
+      data: {
+        agentName: data.agentName,
+        action: data.action,
+        moderator: data.moderator,
+        target: data.target || null,
+        targetName: data.targetName || null,
+        reason: data.reason || null,
+        details: data.details ?? undefined,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Failed to log moderation action:', error.message);
+  }
+}
+
+export async function getModerationLog(agentName, limit = 50) {
+  return prisma.moderationAction.findMany({
+    where: { agentName },
+    orderBy: { createdAt: 'desc' },
+    take: limit,
+  });
+}
+
+// ============ BATCHED WRITES ============
+// Chat messages and viewer stats are buffered and written together,
+// so a busy chat doesn't cost one database round trip per message.
+
+const FLUSH_INTERVAL = 5000;         // ms between flushes
+const MAX_PENDING_MESSAGES = 200;    // flush early when chat is this busy
+
+const pendingMessages = [];
+const pendingViewerStats = new Map(); // viewer id -> { watchTime, messageCount, displayName }
+let flushing = null;
+
+export function queueChatMessage(data) {
+  pendingMessages.push({
+    streamId: data.streamId || null,
+    agentId: data.agentId || null,
+    type: data.type,
+    username: data.username,
+    content: data.content,
+    createdAt: data.createdAt || new Date(),
+  });
+
+  if (pendingMessages.length >= MAX_PENDING_MESSAGES) {
+    flushPendingWrites();
+  }
+}
+
+export function queueViewerStats(viewerId, stats) {
+  if (!viewerId) return;
+  const pending = pendingViewerStats.get(viewerId) || { watchTime: 0, messageCount: 0, displayName: null };
+  pending.watchTime += stats.watchTime || 0;
+  pending.messageCount += stats.messageCount || 0;
+  if (stats.displayName) pending.displayName = stats.displayName;
+  pendingViewerStats.set(viewerId, pending);
+}
+
+export async function flushPendingWrites() {
+  // Only one flush at a time - callers during a flush wait for it
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    const messages = pendingMessages.splice(0);
+    const viewerStats = Array.from(pendingViewerStats.entries());
+    pendingViewerStats.clear();
+
+    if (messages.length > 0) {
+      try {
+        await prisma.chatMessage.createMany({ data: messages });
+      } catch (error) {
+        console.error(`❌ Failed to save ${messages.length} chat messages:`, error.message);
+      }
+    }
+
+    for (const [viewerId, stats] of viewerStats) {
+      try {
+        await incrementViewerStats(viewerId, {
+          watchTime: Math.round(stats.watchTime),
+          messageCount: stats.messageCount,
+          displayName: stats.displayName,
+        });
+      } catch (error) {
+        console.error('❌ Failed to update viewer stats for', viewerId, error.message);
+      }
+    }
+  })();
+
+  try {
+    await flushing;
+  } finally {
+    flushing = null;
+  }
+}
+
+setInterval(flushPendingWrites, FLUSH_INTERVAL).unref();
@@ -2,6 +2,7 @@
 // Docs: https://developers.giphy.com/docs/api
 
 import dotenv from 'dotenv';
+import { getDirectives, removeTags } from '../shared/tags.js';
 dotenv.config();
 
 const GIPHY_API_KEY = process.env.GIPHY_API_KEY || 'GlVGYHkr3WSBnllca54iNt0yFbjz7L65'; // Public beta key (rate limited)
@@ -188,30 +189,16 @@ export function getRandomPosition() {
  * Parse GIF tag from text
  * Format: [gif:search_term] or [gif:search_term:position] or [gif:search_term:position:duration]
  * @param {string} text - Text containing gif tags
- * @returns {Array} Array of {search, position, duration} objects
+ * @returns {Array} Array of {search, position, duration, index} objects - index is where the tag sits in text
  */
 export function parseGifTags(text) {
-  const gifTags = [];
-  // Match [gif:something] or [gif:something:position] or [gif:something:position:duration]
-  const regex = /\[gif:([^\]:\s]+)(?::([^\]:\s]+))?(?::(\d+))?\]/gi;
-  
-  let match;
-  while ((match = regex.exec(text)) !== null) {
-    const search = match[1];
-    let position = match[2] || 'random';
-    const duration = match[3] ? parseInt(match[3]) : 4000; // Default 4 seconds
-    
+  return getDirectives(text, 'gif').map(({ search, duration, index }) => ({
+    search,
     // Always use top-right position to avoid covering the avatar
-    position = DEFAULT_GIF_POSITION;
-    
-    gifTags.push({
-      search,
-      position: position.toLowerCase(),
-      duration
-    });
-  }
-  
-  return gifTags;
+    position: DEFAULT_GIF_POSITION,
+    duration,
+    index
+  }));
 }
 
 /**
@@ -220,7 +207,7 @@ export function parseGifTags(text) {
  * @returns {string} Text without gif tags
  */
 export function stripGifTags(text) {
-  return text.replace(/\[gif:[^\]]+\]/gi, '').trim();
+  return removeTags(text, 'gif');
 }
 
 export default {
@@ -0,0 +1,194 @@
+// server/idle.js
+// What the avatar does between utterances - decided on the server, so every viewer (and the VOD)
+// sees the same blinks, glances and reactions
+//
+// Every broadcast tick the engine updates BroadcastState.idle:
+//   blinkAt       server time of the latest blink - clients shut and open the eyes over BLINK_DURATION
+//   breath        { period, depth } - clients breathe along the server clock
+//   swayX, swayY  -1..1 head sway the clients drift towards, changing every few seconds
+// and, only while nothing is being said, the look direction (glances around) and face/gesture
+// (reactions to chat). Speech always wins: the engine lets go the moment a clip starts.
+//
+// intensity 0-1 scales everything but blinking - 0 is a still (blinking) avatar, 1 a restless one.
+
+export const DEFAULT_IDLE_INTENSITY = 0.5;
+
+const BLINK_DURATION = 180;                 // ms - clients animate blinks over the same time
+const BLINK_INTERVAL = [2500, 6000];        // ms between blinks
+const DOUBLE_BLINK_CHANCE = 0.15;
+const BREATH_PERIOD = 3500;                 // ms per breath
+const SWAY_INTERVAL = [2000, 5000];         // ms between sway targets
+const SWAY_RANGE = 0.5;                     // Of the model's head range, at full intensity
+const SETTLE_TIME = 1500;                   // ms after speech before the engine takes over
+const GLANCE_INTERVAL = [4000, 12000];      // ms between look-arounds, at full intensity
+const GLANCE_DURATION = [800, 2000];
+const REACTION_COOLDOWN = 4000;             // ms between reactions to chat
+const REACTION_DURATION = 2500;
+const BUSY_CHAT = { messages: 5, window: 10000 };  // This much chat is "busy" - a bigger reaction
+const CHAT_LOOK = { x: 0.7, y: 0.1 };       // Chat is on the right of the stream
+
+const between = ([min, max]) => min + Math.random() * (max - min);
+
+/**
+ * Clamp an idle intensity from an API body or the database
+ * @param {*} value
+ * @returns {number|null} 0-1, or null if it isn't a number
+ */
+export function normalizeIdleIntensity(value) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number)) return null;
+  return Math.min(1, Math.max(0, number));
+}
+
+export class IdleEngine {
+  /**
+   * @param {Object} broadcast - The stream's BroadcastState - the engine writes into it
+   * @param {Object} [options]
+   * @param {number} [options.intensity] - 0-1, DEFAULT_IDLE_INTENSITY without one
+   */
+  constructor(broadcast, { intensity } = {}) {
+    this.broadcast = broadcast;
+    this.intensity = normalizeIdleIntensity(intensity) ?? DEFAULT_IDLE_INTENSITY;
+    this.expressions = new Set();  // What the model can do - reactions stick to these
+    this.gestures = new Set();
+
+    const now = Date.now();
+    this.nextBlink = now + between(BLINK_INTERVAL);
+    this.doubleBlink = false;  // The blink just done was the first of two
+    this.nextSway = now;
+    this.nextGlance = now + this.glanceDelay();
+    this.lastSpoke = 0;
+    this.chat = [];          // Timestamps of recent chat messages
+    this.lastReaction = 0;
+    this.glance = null;      // { until, x, y } - a look the engine set
+    this.reaction = null;    // { until, expression, gesture, before } - a face/gesture the engine set
+
+    broadcast.idle = {
+      blinkAt: 0,
+      breath: { period: BREATH_PERIOD, depth: this.intensity },
+      swayX: 0,
+      swayY: 0
+    };
+  }
+
+  setIntensity(intensity) {
+    const value = normalizeIdleIntensity(intensity);
+    if (value === null) return;
+    this.intensity = value;
+    this.broadcast.idle.breath = { period: BREATH_PERIOD, depth: value };
+    if (value === 0) {
+      this.broadcast.idle.swayX = 0;
+      this.broadcast.idle.swayY = 0;
+    }
+  }
+
+  // The model's tag mapping (see shared/models.js)
+  setMapping(mapping) {
+    this.expressions = new Set(Object.keys(mapping.expressions || {}));
+    this.gestures = new Set(Object.keys(mapping.gestures || {}));
+  }
+
+  // Someone said something in chat - the avatar may react once it's quiet
+  onChat(now = Date.now()) {
+    this.chat.push(now);
+    this.chat = this.chat.filter(time => now - time < BUSY_CHAT.window);
+  }
+
+  // Called every broadcast tick
+  tick(now = Date.now()) {
+    const idle = this.broadcast.idle;
+
+    // Blinking never stops - not even mid-sentence
+    if (now >= this.nextBlink) {
+      idle.blinkAt = now;
+      this.doubleBlink = !this.doubleBlink && Math.random() < DOUBLE_BLINK_CHANCE;
+      this.nextBlink = now + (this.doubleBlink ? BLINK_DURATION * 2 : between(BLINK_INTERVAL));
+    }
+
+    if (this.intensity > 0 && now >= this.nextSway) {
+      const range = SWAY_RANGE * this.intensity;
+      idle.swayX = Math.round((Math.random() * 2 - 1) * range * 100) / 100;
+      idle.swayY = Math.round((Math.random() * 2 - 1) * range * 50) / 100;  // Nodding less than turning
+      this.nextSway = now + between(SWAY_INTERVAL);
+    }
+
+    // Speaking: the speech's own tags drive face and eyes - drop whatever the engine was doing
+    if (this.broadcast.isPlaying) {
+      this.lastSpoke = now;
+      this.glance = null;
+      this.reaction = null;
+      return;
+    }
+    if (now - this.lastSpoke < SETTLE_TIME) return;
+
+    this.updateReaction(now);
+    this.updateGlance(now);
+  }
+
+  updateReaction(now) {
+    const broadcast = this.broadcast;
+
+    if (this.reaction) {
+      if (now < this.reaction.until) return;
+      // Put back what was there - unless someone changed it meanwhile
+      const { expression, gesture, before } = this.reaction;
+      if (expression && broadcast.expression === expression) broadcast.expression = before.expression;
+      if (gesture && broadcast.gesture === gesture) broadcast.gesture = null;
+      this.reaction = null;
+      return;
+    }
+
+    const pending = this.chat.filter(time => time > this.lastReaction);
+    if (pending.length === 0 || this.intensity === 0 || now - this.lastReaction < REACTION_COOLDOWN) return;
+    this.lastReaction = now;
+    if (Math.random() > 0.3 + this.intensity * 0.7) return;  // Calm avatars let some chat go by
+
+    const busy = this.chat.length >= BUSY_CHAT.messages;
+    const expression = [busy ? 'excited' : 'happy', 'happy'].find(name => this.expressions.has(name)) || null;
+    const gesture = ['nod'].find(name => this.gestures.has(name)) || null;
+
+    this.reaction = { until: now + REACTION_DURATION, expression, gesture, before: { expression: broadcast.expression } };
+    if (expression) broadcast.expression = expression;
+    if (gesture) broadcast.gesture = gesture;
+
+    // Glance over at chat while reacting
+    this.startGlance(now, CHAT_LOOK.x, CHAT_LOOK.y, REACTION_DURATION);
+  }
+
+  updateGlance(now) {
+    const broadcast = this.broadcast;
+
+    if (this.glance) {
+      if (now < this.glance.until) return;
+      if (broadcast.lookX === this.glance.x && broadcast.lookY === this.glance.y) {
+        broadcast.lookX = 0;
+        broadcast.lookY = 0;
+      }
+      this.glance = null;
+      this.nextGlance = now + this.glanceDelay();
+      return;
+    }
+
+    if (this.intensity === 0 || now < this.nextGlance) return;
+    const side = Math.random() < 0.5 ? -1 : 1;
+    this.startGlance(now, side * (0.3 + Math.random() * 0.5), (Math.random() * 2 - 1) * 0.3, between(GLANCE_DURATION));
+  }
+
+  startGlance(now, x, y, duration) {
+    const glance = { until: now + duration, x: Math.round(x * 100) / 100, y: Math.round(y * 100) / 100 };
+    this.glance = glance;
+    this.broadcast.lookX = glance.x;
+    this.broadcast.lookY = glance.y;
+  }
+
+  // Livelier avatars look around more often
+  glanceDelay() {
+    return between(GLANCE_INTERVAL) / Math.max(this.intensity, 0.1);
+  }
+}
+
+export default {
+  DEFAULT_IDLE_INTENSITY,
+  normalizeIdleIntensity,
+  IdleEngine
+};
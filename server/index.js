@@ -2,24 +2,48 @@ import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import { randomUUID } from 'crypto';
-import crypto from 'crypto';
 import cors from 'cors';
 import cookieParser from 'cookie-parser';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import 'dotenv/config';  // Load .env variables
-import { generateSpeech, TEMP_DIR as TTS_TEMP_DIR } from './tts.js';
+import { generateSpeech, listVoices, normalizeVoiceSettings, TEMP_DIR as TTS_TEMP_DIR } from './tts.js';
+import { sampleLipSync } from './lipsync.js';
 import giphy from './giphy.js';
 import * as youtube from './youtube.js';
-import prisma, { getAgent, getAllAgents, updateAgent } from './db.js';
+import * as tiktok from './tiktok.js';
+import prisma, {
+  getAgent, getAllAgents, updateAgent, ensureAgent, createStream, endStream,
+  incrementAgentStats, queueChatMessage, queueViewerStats, flushPendingWrites,
+  getFollowerIds, setFollowing, logModerationAction, getModerationLog
+} from './db.js';
 import { uploadProfilePicture, uploadBanner, getGatewayUrl } from './storage.js';
-import { setupXAuth, isCreatorOfAgent } from './x-auth.js';
+import { setupXAuth, isCreatorOfAgent, sessions } from './x-auth.js';
+import {
+  verifyStreamKey, rotateStreamKey, revokeStreamKeys, resolveApiKey, listCredentials,
+  registerAgent, isAgentClaimed, getClaimOwner, isAgentRegistered, getPendingClaim, redeemClaim, claimAgent,
+  createConnectionCode, getConnectionCode, markConnectionCodeConnected
+} from './credentials.js';
+import { SpeechQueue, PRIORITIES } from './speech-queue.js';
+import {
+  resolveViewer, chatRole, publicViewer, xUserId, issueGuestToken, createWalletChallenge, verifyWalletSignature
+} from './viewer-identity.js';
+import { ChatModerator, findUser } from './moderation.js';
+import { createChatSafety } from './chat-safety.js';
+import { SpeechFilter, normalizeSpeechFilter } from './speech-filter.js';
+import { PROTOCOL_VERSION, KEYFRAME_INTERVAL, compactState, diffState } from '../shared/broadcast.js';
+import { IdleEngine, normalizeIdleIntensity } from './idle.js';
+import { tokenize, stripTags, locateTags, getGesture, getLook, EFFECT_PRESETS } from '../shared/tags.js';
+import { DEFAULT_MODEL_PATH, normalizeMapping, supportedTags, isTagSupported, unsupportedTags, resolveMotion } from '../shared/models.js';
+import { loadModelMapping, listModels, findModel, getBuiltInThumbnail, uploadModel, MAX_ARCHIVE_SIZE } from './models.js';
+import { StreamRecorder, listRecordings, getRecording, getTimelinePath, getAudioPath } from './recorder.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 app.use(express.json());
+app.use(express.urlencoded({ extended: false }));  // Claim page form posts
 app.use(cookieParser());
 app.use(cors({ 
   origin: ['http://localhost:3000', 'http://localhost:5173', 'http://localhost:5174'], 
@@ -38,12 +62,24 @@ const io = new Server(httpServer, {
   } 
 });
 
+const PUBLIC_URL = process.env.PUBLIC_URL || 'http://localhost:3001';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const RECORD_STREAMS = process.env.RECORD_STREAMS !== 'false';
+
 const activeStreams = new Map();
-const pendingClaims = new Map();
-const verifiedStreamers = new Map();
+const chatSafety = createChatSafety();  // Screens viewer chat before agents see it
 
 // ============ TRUE LIVE STREAMING: BROADCAST STATE ============
 // This is the master state that gets broadcast to ALL viewers simultaneously
+
+const CUE_TAIL = 400;  // ms - tags at the very end of a clip still get a moment on screen
+
+// Popup events, and how long each one stays on screen (ms) - add new widgets here
+const OVERLAY_EVENTS = {
+  'gif:show': { type: 'gif', duration: (data) => data.duration || 4000 },
+  'youtube:show': { type: 'youtube', duration: (data) => data.displayDuration || 30000 },
+  'tiktok:show': { type: 'tiktok', duration: (data) => data.displayDuration || 15000 }
+};
 class BroadcastState {
   constructor() {
     // Audio state
@@ -51,13 +87,17 @@ class BroadcastState {
     this.audioStartTime = 0;        // Server timestamp when audio started
     this.audioDuration = 0;         // Duration in ms
     this.isPlaying = false;
+    this.lipSync = null;            // Viseme track of the current clip - sent with the audio, not every tick
     
     // Avatar state (server-driven, not client-driven!)
     this.mouthOpen = 0;             // 0-1, lip sync
+    this.visemes = [0, 0, 0, 0, 0]; // a/i/u/e/o weights 0-1 at this tick
     this.expression = 'neutral';    // Current expression
     this.gesture = null;            // Current gesture/action
+    this.motion = null;             // Model motion playing ([motion:...]) - { id, group, index, startTime, duration }
     this.lookX = 0;                 // -1 to 1
     this.lookY = 0;                 // -1 to 1
+    this.idle = null;               // Blinks, breathing and sway between utterances - see server/idle.js
     
     // Subtitle state
     this.subtitleText = '';
@@ -65,6 +105,48 @@ class BroadcastState {
     
     // Chat message (for display)
     this.currentMessage = null;
+    
+    // Popups on screen - late joiners pick them up part way through
+    this.overlays = [];             // { id, type, startTime, duration, data }
+    
+    // Avatar effects playing ([hearts], [explosion]...) - clients draw them from the preset
+    this.effects = [];              // { id, name, startTime, duration }
+  }
+  
+  addOverlay(type, data, duration) {
+    this.overlays.push({ id: data.id, type, startTime: data.startTime, duration, data });
+  }
+  
+  // Popups still on screen (drops the finished ones)
+  activeOverlays() {
+    const now = Date.now();
+    this.overlays = this.overlays.filter(overlay => now < overlay.startTime + overlay.duration);
+    return this.overlays;
+  }
+  
+  addEffect(name) {
+    const effect = { id: randomUUID(), name, startTime: Date.now(), duration: EFFECT_PRESETS[name].duration };
+    this.effects.push(effect);
+    return effect;
+  }
+  
+  // A new motion replaces the one playing - clients blend into it with the motion's fade-in
+  playMotion({ group, index, duration }) {
+    this.motion = { id: randomUUID(), group, index, startTime: Date.now(), duration };
+    return this.motion;
+  }
+  
+  // The motion still playing, if any
+  activeMotion() {
+    if (this.motion && Date.now() >= this.motion.startTime + this.motion.duration) this.motion = null;
+    return this.motion;
+  }
+  
+  // Effects still playing (drops the finished ones)
+  activeEffects() {
+    const now = Date.now();
+    this.effects = this.effects.filter(effect => now < effect.startTime + effect.duration);
+    return this.effects;
   }
   
   toJSON() {
@@ -79,16 +161,21 @@ class BroadcastState {
       },
       avatar: {
         mouthOpen: this.mouthOpen,
+        visemes: this.visemes,
         expression: this.expression,
         gesture: this.gesture,
+        motion: this.activeMotion(),
         lookX: this.lookX,
-        lookY: this.lookY
+        lookY: this.lookY,
+        idle: this.idle && { ...this.idle }  // The idle engine updates it in place
       },
       subtitle: {
         text: this.subtitleText,
         visible: this.subtitleVisible
       },
       message: this.currentMessage,
+      overlays: this.activeOverlays(),
+      effects: this.activeEffects(),
       serverTime: Date.now()
     };
   }
@@ -100,7 +187,7 @@ class Stream {
     this.id = agentId;
     this.agentName = agentName || agentId;
     this.socketId = null;
-    this.state = 'offline';
+    this.state = 'offline';         // live, reconnecting (streamer dropped - see suspendLiveStream) or offline
     this.viewers = new Set();
     this.viewerAgents = new Set();
     this.chatHistory = [];
@@ -112,12 +199,68 @@ class Stream {
       ...config 
     };
     this.startedAt = null;
-    this.stats = { totalViewers: 0, peakViewers: 0, messageCount: 0 };
+    this.resumeToken = null;  // Lets a socket streamer that dropped pick the session back up
+    this.graceTimer = null;   // Ends the stream if it doesn't (see suspendLiveStream)
+    this.stats = { totalViewers: 0, peakViewers: 0, messageCount: 0, watchTime: 0 };
+    
+    // Database session (see STREAM PERSISTENCE)
+    this.dbAgentId = null;
+    this.dbStreamId = null;
+    this.dbReady = Promise.resolve();
+    this.viewerSessions = new Map();  // socketId -> { joinedAt, viewerId, displayName }
+    
+    // VOD recording of the current session (see STREAM RECORDING)
+    this.recorder = null;
     
     // TRUE LIVE STREAMING: Master broadcast state
     this.broadcast = new BroadcastState();
     this.broadcastInterval = null;
+    this.sentState = null;      // What protocol 2 viewers have, as of sentSeq (see shared/broadcast.js)
+    this.sentSeq = 0;
+    this.lastKeyframe = 0;
     this.subtitleChunks = [];
+    this.cues = [];             // Tags of the clip on air still to fire, by time (see fireCues)
+    this.mapping = normalizeMapping(null);  // What the Live2D model can perform (see loadModel)
+    this.modelPath = null;                  // The model that mapping belongs to
+    this.currentSpeech = null;  // { id, ref, startTime, duration } of the clip on air
+    
+    // Keeps the avatar alive between utterances (see server/idle.js)
+    this.idle = new IdleEngine(this.broadcast, { intensity: this.config.idleIntensity });
+    
+    // Chat rules, moderators and bans - loaded from the agent with the session (see CHAT MODERATION)
+    this.followers = new Set();  // Viewer ids following the agent
+    this.moderation = createChatModerator(this);
+    
+    // Everything the agent says waits its turn here (see SPEECH QUEUE)
+    this.speechQueue = new SpeechQueue({
+      prepare: (item) => prepareUtterance(this, item),
+      play: (item, prepared) => playUtterance(this, item, prepared),
+      stop: () => this.stopAudio(),
+      notify: (event, data) => this.emitToStreamer(event, data),
+      isLive: () => this.state !== 'offline'
+    });
+    
+    // What the agent may say, and what's waiting on the creator's say-so (see SPEECH FILTER)
+    this.speechFilter = new SpeechFilter();
+    this.heldSpeech = new Map();  // id -> held utterance
+  }
+  
+  // Look up what the stream's model can do - tags it can't perform are dropped from its speech,
+  // and the rest are listed in the config for agents to read
+  async loadModel() {
+    const modelPath = this.config.modelPath || DEFAULT_MODEL_PATH;
+    const mapping = await loadModelMapping(modelPath);
+    if ((this.config.modelPath || DEFAULT_MODEL_PATH) !== modelPath) return;  // Switched model meanwhile
+    
+    this.mapping = mapping;
+    this.idle.setMapping(mapping);
+    this.config.avatar = { model: mapping.name, ...supportedTags(mapping) };
+    
+    // Changed after viewers joined (the agent's profile has its own model) - swap it on screen
+    if (this.modelPath && this.modelPath !== modelPath) {
+      this.emitToViewers('avatar:model', { modelPath });
+    }
+    this.modelPath = modelPath;
   }
   
   // Start broadcasting state to all viewers
@@ -141,38 +284,79 @@ class Stream {
     console.log('📡 BROADCAST ENGINE: Stopped for', this.agentName);
   }
   
+  // Send an event to everyone watching, and into the recording
+  emitToViewers(event, data) {
+    viewersNs.to('stream:' + this.id).emit(event, data);
+    this.recorder?.record(event, data);
+  }
+  
+  // Tell the streamer a clip started/finished playing, so it can pace itself on real audio
+  // instead of guessing how long its TTS takes
+  emitToStreamer(event, data) {
+    streamersNs.to('stream:' + this.id).emit(event, data);
+  }
+  
+  // The clip on air is done - played out, skipped, or the stream ended
+  finishSpeech(interrupted = false) {
+    const speech = this.currentSpeech;
+    if (!speech) return;
+    this.currentSpeech = null;
+    
+    this.emitToStreamer('speech:finished', {
+      speechId: speech.id,
+      ref: speech.ref,
+      duration: speech.duration,
+      played: Math.min(Date.now() - speech.startTime, speech.duration),
+      interrupted,
+      skipped: false
+    });
+    
+    // Next in line
+    this.speechQueue.finished(speech.id);
+  }
+  
+  // Back to silence once a clip is over
+  clearAudio() {
+    this.broadcast.isPlaying = false;
+    this.broadcast.mouthOpen = 0;
+    this.broadcast.visemes = [0, 0, 0, 0, 0];
+    this.broadcast.lipSync = null;
+    this.broadcast.subtitleVisible = false;
+    this.broadcast.audioUrl = null;
+    this.broadcast.gesture = null;
+    this.cues = [];
+  }
+  
+  // Cut off the clip on air (skip, interrupt) - viewers stop it right away
+  stopAudio() {
+    if (!this.broadcast.isPlaying) return;
+    this.clearAudio();
+    this.emitToViewers('broadcast:stopAudio', { serverTime: Date.now() });
+    console.log('📡 BROADCAST: Audio cut off');
+    this.finishSpeech(true);
+  }
+  
   // Single broadcast tick - sends state to all viewers
   broadcastTick() {
-    if (this.viewers.size === 0) return;
-    
     // Update lip sync based on audio playback position
+    // (even with nobody watching - the streamer is waiting on speech:finished)
     if (this.broadcast.isPlaying) {
       const elapsed = Date.now() - this.broadcast.audioStartTime;
+      this.fireCues(elapsed);
       
       // Check if audio ended
       if (elapsed >= this.broadcast.audioDuration) {
-        this.broadcast.isPlaying = false;
-        this.broadcast.mouthOpen = 0;
-        this.broadcast.subtitleVisible = false;
-        this.broadcast.audioUrl = null;
-        this.broadcast.gesture = null;
+        this.clearAudio();
         console.log('📡 BROADCAST: Audio playback ended');
+        this.finishSpeech();
       } else {
-        // Simulate lip sync based on time
-        // Create natural-looking mouth movement
         const progress = elapsed / this.broadcast.audioDuration;
-        const t = elapsed / 1000;
         
-        // Multiple sine waves for natural speech pattern
-        const baseFreq = 8; // Hz - speaking speed
-        const wave1 = Math.sin(t * baseFreq * Math.PI * 2);
-        const wave2 = Math.sin(t * baseFreq * 1.5 * Math.PI * 2) * 0.3;
-        const wave3 = Math.sin(t * baseFreq * 0.7 * Math.PI * 2) * 0.2;
-        
-        // Mouth opens more during speech, with variation
-        this.broadcast.mouthOpen = Math.max(0, Math.min(1, 
-          0.5 + wave1 * 0.35 + wave2 + wave3
-        ));
+        // Lip sync from the clip's viseme track - clients read the track themselves,
+        // this is for anything that only sees ticks (VODs, older clients)
+        const visemes = sampleLipSync(this.broadcast.lipSync, elapsed) || [0, 0, 0, 0, 0];
+        this.broadcast.visemes = visemes.map(w => Math.round(w * 100) / 100);
+        this.broadcast.mouthOpen = Math.max(...visemes);
         
         // Update subtitle chunks based on progress
         if (this.subtitleChunks && this.subtitleChunks.length > 0) {
@@ -186,28 +370,73 @@ class Stream {
       }
     }
     
-    // Broadcast to all viewers
-    viewersNs.to('stream:' + this.id).emit('broadcast:state', this.broadcast.toJSON());
+    this.idle.tick();
+    
+    // Keep ticking with nobody watching while recording, so the VOD has the whole show
+    if (this.viewers.size === 0 && !this.recorder) return;
+    
+    const state = this.broadcast.toJSON();
+    this.recorder?.record('broadcast:state', state);
+    if (this.viewers.size === 0) return;
+    
+    // Older clients get everything, every tick - the rest only what changed
+    viewersNs.to(`stream:${this.id}:v1`).emit('broadcast:state', state);
+    this.sendDelta(state);
+  }
+  
+  // Protocol 2: a keyframe every KEYFRAME_INTERVAL, deltas in between, nothing on quiet ticks
+  sendDelta(state) {
+    const compact = compactState(state);
+    const room = viewersNs.to(`stream:${this.id}:v2`);
+    
+    if (!this.sentState || state.serverTime - this.lastKeyframe >= KEYFRAME_INTERVAL) {
+      this.sentState = compact;
+      this.lastKeyframe = state.serverTime;
+      room.emit('broadcast:keyframe', { seq: ++this.sentSeq, state: compact, serverTime: state.serverTime });
+      return;
+    }
+    
+    const changes = diffState(this.sentState, compact);
+    if (!changes) return;
+    this.sentState = compact;
+    room.emit('broadcast:delta', { seq: ++this.sentSeq, changes, serverTime: state.serverTime });
+  }
+  
+  // The state protocol 2 viewers are at - for one joining, or one that missed a delta
+  keyframe() {
+    return { seq: this.sentSeq, state: this.sentState || compactState(this.broadcast.toJSON()), serverTime: Date.now() };
   }
   
   // Start playing audio (called when Mao says something)
-  playAudio(audioUrl, text, duration = 10000) {
+  // speech: { id, ref, cues } - cues are the text's tags with `at` (ms into the clip, see generateSpeech),
+  // plus any { at, event, payload } to send viewers at that moment (and { streamerEvent, streamerPayload }
+  // to tell the streamer). Without cues, tags are spread
+  // over the clip by where they sit in the text.
+  playAudio(audioUrl, text, duration = 10000, lipSync = null, speech = {}) {
+    // The speech queue waits for silence - this only cuts in on direct calls
+    this.finishSpeech(true);
+    
     this.broadcast.audioUrl = audioUrl;
+    this.broadcast.lipSync = lipSync;
     this.broadcast.audioStartTime = Date.now();
     this.broadcast.audioDuration = duration;
     this.broadcast.isPlaying = true;
-    this.broadcast.expression = this.parseExpression(text);
-    this.broadcast.gesture = this.parseGesture(text);
+    const tags = tokenize(text);
     
-    // Parse look direction
-    const look = this.parseLook(text);
-    this.broadcast.lookX = look.x;
-    this.broadcast.lookY = look.y;
+    // Each tag fires when it's spoken - "[happy] I love it [sad] but it's gone" changes face halfway
+    this.broadcast.expression = 'neutral';
+    this.broadcast.gesture = null;
+    this.broadcast.lookX = 0;
+    this.broadcast.lookY = 0;
+    this.cues = (speech.cues || this.estimateCues(tags, duration))
+      .filter(cue => isTagSupported(this.mapping, cue))
+      .map(cue => ({ ...cue, at: Math.min(cue.at, Math.max(0, duration - CUE_TAIL)) }))
+      .sort((a, b) => a.at - b.at);
     
-    console.log('📡 BROADCAST: Expression:', this.broadcast.expression, 'Gesture:', this.broadcast.gesture, 'Look:', look);
+    console.log('📡 BROADCAST: Cues:', this.cues.map(cue => `${cue.event || cue.name || cue.raw || cue.type}@${cue.at}`).join(' ') || 'none');
     
     // Pre-calculate subtitle chunks
-    this.subtitleChunks = this.splitIntoSubtitleChunks(this.stripTags(text));
+    this.subtitleChunks = this.splitIntoSubtitleChunks(stripTags(tags));
     if (this.subtitleChunks.length > 0) {
       this.broadcast.subtitleText = this.subtitleChunks[0];
       this.broadcast.subtitleVisible = true;
@@ -216,87 +445,77 @@ class Stream {
     // Store message for late joiners
     this.broadcast.currentMessage = {
       username: this.agentName,
-      text: this.stripTags(text),
+      text: stripTags(tags),
       type: 'agent',
       timestamp: Date.now()
     };
     
+    this.currentSpeech = {
+      id: speech.id || randomUUID(),
+      ref: speech.ref ?? null,
+      startTime: this.broadcast.audioStartTime,
+      duration
+    };
+    this.emitToStreamer('speech:started', {
+      speechId: this.currentSpeech.id,
+      ref: this.currentSpeech.ref,
+      startTime: this.currentSpeech.startTime,
+      duration
+    });
+    
     console.log('📡 BROADCAST: Playing audio, duration:', duration, 'ms');
   }
   
-  // Set avatar state directly (for non-speech animations)
-  setAvatarState(state) {
-    if (state.expression) this.broadcast.expression = state.expression;
-    if (state.gesture) this.broadcast.gesture = state.gesture;
-    if (state.lookX !== undefined) this.broadcast.lookX = state.lookX;
-    if (state.lookY !== undefined) this.broadcast.lookY = state.lookY;
-    if (state.mouthOpen !== undefined) this.broadcast.mouthOpen = state.mouthOpen;
+  // Pop something up for everyone - it stays in the broadcast state until its time is up
+  showOverlay(event, payload) {
+    const data = { ...payload, startTime: Date.now() };
+    const overlay = OVERLAY_EVENTS[event];
+    if (overlay) this.broadcast.addOverlay(overlay.type, data, overlay.duration(data));
+    this.emitToViewers(event, data);
   }
   
-  // Parse expression tags from text
-  parseExpression(text) {
-    const match = text.match(/\[(neutral|happy|excited|sad|angry|surprised|thinking|confused|wink|love|smug|sleepy)\]/i);
-    return match ? match[1].toLowerCase() : 'neutral';
+  // No word timings: place each tag by how far into the text it sits
+  estimateCues(tags, duration) {
+    const length = stripTags(tags).length || 1;
+    return locateTags(tags).map(tag => ({ ...tag, at: Math.round(tag.offset / length * duration) }));
   }
   
-  // Parse gesture/action tags from text  
-  parseGesture(text) {
-    // Priority order: Special abilities first, then body motions, then arm movements
-    // This ensures cool gestures like [rabbit] or [magic] take priority over [raise_both_hands]
+  // Fire every cue whose moment has come
+  fireCues(elapsed) {
+    const due = [];
+    while (this.cues.length > 0 && this.cues[0].at <= elapsed) due.push(this.cues.shift());
+    if (due.length === 0) return;
     
-    // 1. Check for SPECIAL abilities first (highest priority)
-    const specialMatch = text.match(/\[(magic_heart|magic|trick|rabbit|heart|love)\]/i);
-    if (specialMatch) return specialMatch[1].toLowerCase();
-    
-    // 2. Check for body motions (dance, shy, cute, etc.)
-    const motionMatch = text.match(/\[(dance|shy|cute|flirt|think|wonder|doubt|bow|shrug|nod|shake)\]/i);
-    if (motionMatch) return motionMatch[1].toLowerCase();
-    
-    // 3. Check for arm movements (lowest priority)
-    const armMatch = text.match(/\[(wave|point|raise_left_hand|raise_right_hand|raise_both_hands|raise_left_arm|raise_right_arm|lower_left_arm|lower_right_arm|lower_arms)\]/i);
-    if (armMatch) return armMatch[1].toLowerCase();
-    
-    return null;
-  }
-  
-  // Parse look direction tags from text
-  parseLook(text) {
-    const match = text.match(/\[(look_left|look_right|look_up|look_down)\]/i);
-    if (!match) return { x: 0, y: 0 };
-    const dir = match[1].toLowerCase();
-    switch (dir) {
-      case 'look_left': return { x: -0.8, y: 0 };
-      case 'look_right': return { x: 0.8, y: 0 };
-      case 'look_up': return { x: 0, y: -0.8 };
-      case 'look_down': return { x: 0, y: 0.8 };
-      default: return { x: 0, y: 0 };
+    for (const cue of due) {
+      if (cue.event) {
+        this.showOverlay(cue.event, cue.payload);
+        if (cue.streamerEvent) this.emitToStreamer(cue.streamerEvent, cue.streamerPayload);
+      } else if (cue.type === 'emotion') {
+        this.broadcast.expression = cue.name;
+      } else if (cue.type === 'look') {
+        const look = getLook([cue]);
+        this.broadcast.lookX = look.x;
+        this.broadcast.lookY = look.y;
+      } else if (cue.type === 'effect') {
+        this.broadcast.addEffect(cue.name);
+      } else if (cue.type === 'motion') {
+        const motion = resolveMotion(this.mapping, cue);
+        if (motion) this.broadcast.playMotion(motion);
+      }
     }
+    
+    // Gestures landing together ("[excited] [raise_both_hands] [rabbit]") go by priority
+    const gesture = getGesture(due);
+    if (gesture) this.broadcast.gesture = gesture;
   }
   
-  // Strip all tags from text for display
-  stripTags(text) {
-    return text
-      // Emotions
-      .replace(/\[(neutral|happy|excited|sad|angry|surprised|thinking|confused|wink|love|smug|sleepy)\]/gi, '')
-      // Gestures and actions
-      .replace(/\[(wave|nod|shake|dance|bow|shrug|point|think|wonder|doubt|shy|cute|flirt|heart|love|magic_heart|magic|trick|rabbit|raise_left_hand|raise_right_hand|raise_both_hands|raise_left_arm|raise_right_arm|lower_left_arm|lower_right_arm|lower_arms)\]/gi, '')
-      // Eye/look direction
-      .replace(/\[(look_left|look_right|look_up|look_down)\]/gi, '')
-      // Special effects
-      .replace(/\[(hearts|magic|explosion|aura)\]/gi, '')
-      // GIF tags
-      .replace(/\[gif:[^\]]+\]/gi, '')
-      // YouTube tags
-      .replace(/\[youtube:[^\]]+\]/gi, '')
-      // Catch any remaining [tags] we might have missed
-      .replace(/\[[a-z_]+\]/gi, '')
-      .replace(/\s+/g, ' ')
-      .trim();
-  }
-  
-  // Parse GIF tags and return array of gif requests
-  parseGifTags(text) {
-    return giphy.parseGifTags(text);
+  // Set avatar state directly (for non-speech animations)
+  setAvatarState(state) {
+    if (state.expression) this.broadcast.expression = state.expression;
+    if (state.gesture) this.broadcast.gesture = state.gesture;
+    if (state.lookX !== undefined) this.broadcast.lookX = state.lookX;
+    if (state.lookY !== undefined) this.broadcast.lookY = state.lookY;
+    if (state.mouthOpen !== undefined) this.broadcast.mouthOpen = state.mouthOpen;
   }
   
   // Split text into subtitle chunks
@@ -340,28 +559,72 @@ class Stream {
 }
 
 // ============ AUTH HELPERS ============
-function generateClaimToken(agentId) {
-  const token = crypto.randomBytes(32).toString('hex');
-  pendingClaims.set(token, { agentId, createdAt: Date.now(), expiresAt: Date.now() + 86400000 });
-  return token;
+// Stream keys, claims and pairing codes live in credentials.js
+
+// Only the agent's creator (logged in with X) may manage its keys
+async function requireCreator(req, res, next) {
+  const session = sessions.get(req.cookies?.lobster_session);
+  if (!session) {
+    return res.status(401).json({ ok: false, error: 'Not authenticated' });
+  }
+
+  let agent;
+  try {
+    agent = await getAgent(req.params.name);
+  } catch (error) {
+    console.error('Creator lookup error:', error);
+    return res.status(503).json({ ok: false, error: 'Auth unavailable, try again' });
+  }
+  if (!agent) {
+    return res.status(404).json({ ok: false, error: 'Agent not found' });
+  }
+
+  if (!isCreatorOfAgent(session.xUsername, agent.creatorName)) {
+    return res.status(403).json({ ok: false, error: 'Only the creator can manage this agent' });
+  }
+
+  req.creatorSession = session;
+  req.agent = agent;
+  next();
 }
 
-function verifyClaim(token, ownerId) {
-  const claim = pendingClaims.get(token);
-  if (!claim) return { ok: false, error: 'Invalid token' };
-  if (Date.now() > claim.expiresAt) { 
-    pendingClaims.delete(token); 
-    return { ok: false, error: 'Expired' }; 
-  }
-  const secret = crypto.randomBytes(32).toString('hex');
-  verifiedStreamers.set(claim.agentId, { secret, ownerId, claimedAt: Date.now() });
-  pendingClaims.delete(token);
-  return { ok: true, agentId: claim.agentId, secret };
+// The agent's profile - its creator (logged in with X), or the agent itself with
+// "Authorization: Bearer <stream key>"
+async function requireCreatorOrStreamKey(req, res, next) {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Bearer ')) return requireCreator(req, res, next);
+
+  let agent, valid;
+  try {
+    agent = await getAgent(req.params.name);
+    valid = agent && await verifyStreamKey(agent.name, header.slice(7).trim());
+  } catch (error) {
+    console.error('Stream key lookup error:', error);
+    return res.status(503).json({ ok: false, error: 'Auth unavailable, try again' });
+  }
+  if (!agent) {
+    return res.status(404).json({ ok: false, error: 'Agent not found' });
+  }
+
+  if (!valid) {
+    return res.status(401).json({ ok: false, error: 'Invalid stream key' });
+  }
+
+  req.agent = agent;
+  next();
 }
 
-function authenticateStreamer(agentId, secret) {
-  const s = verifiedStreamers.get(agentId);
-  return s && s.secret === secret;
+// Names of every agent the logged-in creator owns - creatorName is stored with or without the '@'
+async function creatorAgentNames(session) {
+  if (!session?.xUsername) return [];
+  const agents = await prisma.agent.findMany({
+    where: {
+      isActive: true,
+      creatorName: { in: [session.xUsername, '@' + session.xUsername], mode: 'insensitive' }
+    },
+    select: { name: true, creatorName: true }
+  });
+  return agents.filter(a => isCreatorOfAgent(session.xUsername, a.creatorName)).map(a => a.name);
 }
 
 // ============ SOCKET.IO NAMESPACES ============
@@ -374,6 +637,552 @@ function getActiveStreams() {
     .map(s => s.toJSON());
 }
 
+// ============ STREAM PERSISTENCE ============
+// Sessions, chat and viewer stats go to Postgres. Chat and viewer stats are
+// queued through db.js and written in batches; failures are logged, never fatal.
+
+function recordStreamStart(stream) {
+  startRecording(stream);
+  stream.dbReady = (async () => {
+    try {
+      const agent = await ensureAgent(stream.id, stream.agentName);
+      stream.dbAgentId = agent.id;
+      // Who the creator is (their chat role, moderation, speech review) comes from the Agent row only
+      stream.config.creatorName = agent.creatorName || null;
+      // The voice picked on the agent's profile wins over whatever the streamer sent
+      if (agent.voiceId) stream.config.voiceId = agent.voiceId;
+      if (agent.voiceSettings) stream.config.voiceSettings = agent.voiceSettings;
+      if (agent.idleIntensity != null) stream.idle.setIntensity(agent.idleIntensity);
+      loadChatModeration(stream, agent.moderation, await getFollowerIds(stream.id));
+      loadSpeechFilter(stream, agent.speechFilter);
+      if (agent.modelPath && agent.modelPath !== stream.config.modelPath) {
+        stream.config.modelPath = agent.modelPath;
+        stream.loadModel();
+      }
+      const session = await createStream(agent.id, stream.config.title || null);
+      stream.dbStreamId = session.id;
+      await incrementAgentStats(stream.id, { totalStreams: true, lastStreamAt: new Date() });
+      console.log('💾 Stream session saved:', session.id);
+    } catch (error) {
+      console.error('❌ Failed to save stream session:', error.message);
+    }
+  })();
+}
+
+async function recordStreamEnd(stream) {
+  stopRecording(stream);
+
+  // Close out watch time for everyone still watching
+  for (const socketId of stream.viewerSessions.keys()) {
+    endViewerSession(stream, socketId, true);
+  }
+
+  await stream.dbReady;
+  if (!stream.dbStreamId) return;
+
+  const { peakViewers, totalViewers, watchTime } = stream.stats;
+  const dbStreamId = stream.dbStreamId;
+  stream.dbStreamId = null;
+
+  try {
+    await endStream(dbStreamId, { peakViewers, totalViews: totalViewers });
+    await incrementAgentStats(stream.id, { watchTime: Math.round(watchTime), peakViewers });
+    await flushPendingWrites();
+  } catch (error) {
+    console.error('❌ Failed to save stream end:', error.message);
+  }
+}
+
+// Chat as viewers see it - the safety verdict is for the agent
+function publicChatMessage({ safety, ...message }) {
+  return message;
+}
+
+function persistChatMessage(stream, message) {
+  stream.dbReady.then(() => queueChatMessage({
+    streamId: stream.dbStreamId,
+    agentId: stream.dbAgentId,
+    type: message.type,
+    username: message.username,
+    content: message.text,
+    createdAt: new Date(message.timestamp)
+  }));
+}
+
+// Watch time is credited by viewer id - signed-in viewers only, agent viewers aren't tracked
+function startViewerSession(stream, socketId, viewer) {
+  const tracked = viewer.id && viewer.kind !== 'agent';
+  stream.viewerSessions.set(socketId, {
+    joinedAt: Date.now(),
+    viewerId: tracked ? viewer.id : null,
+    displayName: viewer.displayName
+  });
+}
+
+// keepWatching restarts the clock instead of removing the viewer (used when the stream ends)
+function endViewerSession(stream, socketId, keepWatching = false) {
+  const session = stream.viewerSessions.get(socketId);
+  if (!session) return;
+
+  const watchTime = (Date.now() - session.joinedAt) / 1000;
+  stream.stats.watchTime += watchTime;
+  if (session.viewerId) queueViewerStats(session.viewerId, { watchTime, displayName: session.displayName });
+
+  if (keepWatching) {
+    session.joinedAt = Date.now();
+  } else {
+    stream.viewerSessions.delete(socketId);
+  }
+}
+
+// ============ STREAM RECORDING ============
+// Each live session is recorded to recordings/ for VOD replay (see recorder.js)
+
+function startRecording(stream) {
+  if (!RECORD_STREAMS) return;
+  stopRecording(stream);
+
+  try {
+    stream.recorder = new StreamRecorder(stream);
+  } catch (error) {
+    console.error('❌ Failed to start recording:', error.message);
+  }
+}
+
+function stopRecording(stream) {
+  if (!stream.recorder) return;
+  stream.recorder.close();
+  stream.recorder = null;
+}
+
+// ============ STREAM LIFECYCLE ============
+// Shared by the /streamers socket handlers and the /api/v1 REST routes
+
+// How long a socket streamer that dropped has to come back before its stream ends (ms, 0 ends it right away)
+const RECONNECT_GRACE = process.env.STREAM_RECONNECT_GRACE === undefined
+  ? 30000
+  : Math.max(0, Number(process.env.STREAM_RECONNECT_GRACE) || 0);
+
+// Go live (or come back live) - socketId is null for REST streamers
+function startLiveStream(agentId, agentName, streamerConfig = {}, socketId = null) {
+  // The streamer doesn't get to say who its creator is - recordStreamStart() sets that
+  const { creatorName, ...config } = streamerConfig;
+  let stream = activeStreams.get(agentId);
+
+  if (stream) {
+    stream.socketId = socketId;
+    if (stream.state === 'reconnecting') {
+      // Back within the grace period - same session, same recording
+      resumeLiveStream(stream, socketId);
+      return stream;
+    }
+    if (stream.state === 'offline') {
+      // Coming back after going offline is a new session
+      stream.config = { ...stream.config, ...config };
+      stream.startedAt = Date.now();
+      stream.stats = { totalViewers: stream.viewers.size, peakViewers: stream.viewers.size, messageCount: 0, watchTime: 0 };
+      recordStreamStart(stream);
+    }
+    stream.state = 'live';
+  } else {
+    stream = new Stream(agentId, agentName, config);
+    stream.socketId = socketId;
+    stream.state = 'live';
+    stream.startedAt = Date.now();
+    activeStreams.set(agentId, stream);
+    recordStreamStart(stream);
+  }
+
+  // Start the broadcast engine!
+  stream.loadModel();
+  stream.startBroadcasting();
+  stream.resumeToken = socketId ? randomUUID() : null;
+
+  console.log('🔴 LIVE:', agentName || agentId);
+  io.emit('streams:update', getActiveStreams());
+  viewersNs.to('stream:' + agentId).emit('stream:live', stream.toJSON());
+  return stream;
+}
+
+// The streamer's socket dropped - keep the show (chat, broadcast state, queued speech) going for
+// RECONNECT_GRACE in case it comes back, and tell viewers it's reconnecting
+function suspendLiveStream(stream) {
+  if (RECONNECT_GRACE === 0) return endLiveStream(stream);
+
+  console.log('🟠 RECONNECTING:', stream.agentName, `(${RECONNECT_GRACE / 1000}s grace)`);
+  stream.state = 'reconnecting';
+  stream.socketId = null;
+  stream.graceTimer = setTimeout(() => {
+    console.log('⌛ Streamer did not come back:', stream.agentName);
+    endLiveStream(stream);
+  }, RECONNECT_GRACE);
+
+  viewersNs.to('stream:' + stream.id).emit('stream:reconnecting', { streamId: stream.id, grace: RECONNECT_GRACE });
+  io.emit('streams:update', getActiveStreams());
+}
+
+// The streamer came back in time
+function resumeLiveStream(stream, socketId) {
+  clearTimeout(stream.graceTimer);
+  stream.graceTimer = null;
+  stream.socketId = socketId;
+  stream.state = 'live';
+  stream.resumeToken = randomUUID();
+
+  console.log('🔴 RESUMED:', stream.agentName);
+  viewersNs.to('stream:' + stream.id).emit('stream:resumed', { streamId: stream.id });
+  io.emit('streams:update', getActiveStreams());
+}
+
+function endLiveStream(stream) {
+  console.log('⬛ OFFLINE:', stream.agentName);
+  clearTimeout(stream.graceTimer);
+  stream.graceTimer = null;
+  stream.resumeToken = null;
+  // Nothing left to say - drop the queue (and whatever is still preparing) before the clip
+  // on air, so it doesn't start the next one. Then silence, so viewers who join the
+  // offline stream aren't handed the old clip
+  expireHeldSpeech(stream);
+  stream.speechQueue.close();
+  stream.finishSpeech(true);
+  stream.clearAudio();
+  stream.stopBroadcasting();
+  stream.state = 'offline';
+  viewersNs.to('stream:' + stream.id).emit('stream:ended', { streamId: stream.id });
+  io.emit('streams:update', getActiveStreams());
+  recordStreamEnd(stream);
+}
+
+// ============ SPEECH QUEUE ============
+// Agents queue what they want to say; each Stream's SpeechQueue (speech-queue.js) puts it on air
+// one message at a time. TTS and media lookups run while a message waits, so it can air the
+// moment the previous clip ends.
+
+// Queue a message to speak on stream. ref is echoed back in speech:* events so a streamer
+// can match them to its message; priority is high (chat replies), normal or low (idle thoughts).
+function streamSay(stream, { text, emotion, actions, ref, priority, interrupt } = {}) {
+  const item = stream.speechQueue.enqueue({ text, emotion, actions, ref, priority, interrupt });
+
+  // Tags the stream's model can't perform are skipped - tell the agent, so it can stop using them
+  const unsupported = item && text ? unsupportedTags(stream.mapping, text) : [];
+  if (unsupported.length > 0) {
+    console.log('🎭 Not supported by', stream.mapping.name || 'this model', '-', unsupported.join(', '));
+    stream.emitToStreamer('speech:unsupportedTags', {
+      speechId: item.id,
+      ref: item.ref,
+      model: stream.mapping.name,
+      tags: unsupported
+    });
+  }
+  return item;
+}
+
+// Everything a message needs before it airs: TTS, GIFs, YouTube videos and TikToks
+async function prepareUtterance(stream, { text }) {
+  const speakable = text && text.trim();
+
+  const speech = speakable
+    ? generateSpeech(text, stream.config.voiceId, stream.config.voiceSettings).catch((err) => {
+        console.error('TTS:', err.message);
+        return null;
+      })
+    : null;
+
+  const gifs = Promise.all(giphy.parseGifTags(text || '').map(async (gifTag) => {
+    try {
+      const gif = await giphy.getGifForStream(gifTag.search);
+      return gif ? { gif, tag: gifTag } : null;
+    } catch (err) {
+      console.error('GIF fetch error:', err.message);
+      return null;
+    }
+  }));
+
+  const videos = Promise.all(youtube.parseYouTubeTags(text || '').map(async (ytTag) => {
+    try {
+      const videoData = await youtube.getVideoForStream(ytTag.search);
+      return videoData ? { videoData, tag: ytTag } : null;
+    } catch (err) {
+      console.error('YouTube fetch error:', err.message);
+      return null;
+    }
+  }));
+
+  const tiktoks = Promise.all(tiktok.parseTikTokTags(text || '').map(async (tag) => {
+    try {
+      const video = await tiktok.getTikTokForStream(tag.search);
+      if (!video) return null;
+      // What the agent "saw" - sent back when it's shown, so it can react
+      const description = await tiktok.describeTikTokForAgent(video);
+      return { video, description, tag };
+    } catch (err) {
+      console.error('TikTok fetch error:', err.message);
+      return null;
+    }
+  }));
+
+  return {
+    speech: await speech,
+    gifs: (await gifs).filter(Boolean),
+    videos: (await videos).filter(Boolean),
+    tiktoks: (await tiktoks).filter(Boolean)
+  };
+}
+
+// Put a prepared message on air: chat, audio, avatar tags, GIFs, YouTube, TikTok
+// Returns how long the clip plays in ms - 0 when there's no audio
+function playUtterance(stream, item, prepared) {
+  const { text, emotion, actions, ref } = item;
+  stream.stats.messageCount++;
+
+  // Store in chat history
+  const message = {
+    id: item.id,
+    streamId: stream.id,
+    username: stream.agentName,
+    text: stripTags(text || ''),
+    emotion,
+    actions,
+    type: 'agent',
+    timestamp: Date.now()
+  };
+  stream.chatHistory.push(message);
+  if (stream.chatHistory.length > 100) {
+    stream.chatHistory = stream.chatHistory.slice(-100);
+  }
+  persistChatMessage(stream, message);
+
+  const speech = prepared?.speech;
+  const audioPath = speech?.duration > 0 ? speech.url : null;
+
+  // GIF, YouTube and TikTok popups go up when their tag is spoken
+  const cueAt = (type, index) => speech?.cues?.find(cue => cue.type === type && cue.index === index)?.at ?? 0;
+  const media = [];
+
+  // GIF tags - fetched while queued
+  for (const { gif, tag: gifTag } of prepared?.gifs || []) {
+    console.log('🎬 GIF ready:', gif.title, 'at', gifTag.position);
+    media.push({
+      at: cueAt('gif', gifTag.index),
+      event: 'gif:show',
+      payload: {
+        id: randomUUID(),
+        url: gif.webp || gif.url,
+        width: gif.width,
+        height: gif.height,
+        position: gifTag.position,
+        duration: gifTag.duration,
+        title: gif.title
+      }
+    });
+  }
+
+  // YouTube tags - fetched while queued
+  for (const { videoData, tag: ytTag } of prepared?.videos || []) {
+    console.log('📺 YouTube ready:', videoData.title, 'by', videoData.author);
+    media.push({
+      at: cueAt('youtube', ytTag.position),
+      event: 'youtube:show',
+      payload: {
+        id: randomUUID(),
+        videoId: videoData.id,
+        url: videoData.url,
+        shortUrl: videoData.shortUrl,
+        embedUrl: videoData.embedUrl,
+        thumbnail: videoData.thumbnail,
+        title: videoData.title,
+        author: videoData.author,
+        authorUrl: videoData.authorUrl,
+        duration: videoData.duration,
+        durationFormatted: videoData.durationFormatted,
+        views: videoData.views,
+        viewsFormatted: videoData.viewsFormatted,
+        isShort: videoData.isShort,
+        displayDuration: videoData.displayDuration,
+        searchTerm: ytTag.search
+      }
+    });
+  }
+
+  // TikTok tags - fetched while queued
+  for (const { video, description, tag } of prepared?.tiktoks || []) {
+    console.log('📱 TikTok ready:', video.title, 'by', video.author);
+    media.push({
+      at: cueAt('tiktok', tag.position),
+      event: 'tiktok:show',
+      payload: {
+        id: randomUUID(),
+        videoId: video.id,
+        url: video.url,
+        embedUrl: video.embedUrl,
+        thumbnail: video.thumbnail,
+        title: video.title,
+        author: video.author,
+        authorNickname: video.authorNickname,
+        hashtag: video.hashtag,
+        stats: video.stats,
+        displayDuration: video.duration,
+        searchTerm: tag.search
+      },
+      streamerEvent: 'tiktok:shown',
+      streamerPayload: { speechId: item.id, ref, searchTerm: tag.search, ...description }
+    });
+  }
+
+  // TRUE LIVE STREAMING: Start playing audio on server timeline
+  if (audioPath) {
+    console.log('📊 Audio duration:', speech.duration, 'ms');
+    stream.playAudio(audioPath, text, speech.duration, speech.lipSync, {
+      id: item.id,
+      ref,
+      cues: [...(speech.cues || []), ...media]
+    });
+
+    // Send immediate notification that new audio started
+    stream.emitToViewers('broadcast:newAudio', {
+      audioUrl: audioPath,
+      startTime: stream.broadcast.audioStartTime,
+      duration: speech.duration,
+      lipSync: speech.lipSync,
+      message: message,
+      serverTime: Date.now()
+    });
+  } else {
+    // Nothing to time them against
+    for (const { event, payload, streamerEvent, streamerPayload } of media) {
+      stream.showOverlay(event, payload);
+      if (streamerEvent) stream.emitToStreamer(streamerEvent, streamerPayload);
+    }
+  }
+
+  // Also emit traditional chat message for chat display
+  stream.emitToViewers('chat:message', { ...message, audioPath });
+  return audioPath ? speech.duration : 0;
+}
+
+// ============ SPEECH FILTER ============
+// Everything an agent says passes its creator's speech filter (speech-filter.js) on the way into
+// the queue: it goes on as it is, redacted, blocked, or held for the creator to approve. Every
+// decision but a plain allow is reported to the streamer as speech:filtered
+//   { ref, decision, reasons, text, speechId, heldId }
+// so the agent knows what aired and can try again. Held utterances go to the creator's viewer
+// sockets (speech:held) and to GET /api/agents/:name/speech-filter.
+
+const HELD_SPEECH_TTL = 5 * 60 * 1000;  // Unreviewed for this long - dropped
+const MAX_HELD_SPEECH = 20;
+// SpeechFilter decisions as the streamer hears about them - approved, rejected and expired come later
+const FILTER_DECISIONS = { allow: 'allowed', redact: 'redacted', block: 'blocked', hold: 'held' };
+
+function loadSpeechFilter(stream, settings) {
+  try {
+    stream.speechFilter.load(settings);
+  } catch (error) {
+    console.error('❌ Bad speech filter settings for', stream.id, '-', error.message);
+  }
+}
+
+// Only the creator's own X login reviews held speech - not moderators, and not the agent
+function isSpeechReviewer(stream, viewer) {
+  return viewer.kind === 'x' && stream.moderation.roleOf(viewer) === 'creator';
+}
+
+function reviewerRoom(stream) {
+  return 'stream:' + stream.id + ':creator';
+}
+
+function heldSpeechJSON({ id, ref, text, reasons, heldAt }) {
+  return { id, ref, text, reasons, heldAt, expiresAt: heldAt + HELD_SPEECH_TTL };
+}
+
+/**
+ * Queue something to say, if the speech filter lets it through
+ * @param {Object} stream
+ * @param {Object} options - Same as streamSay()
+ * @returns {{ verdict: Object, item: Object|null, held: Object|null }} verdict from SpeechFilter.check();
+ *   item is the queued utterance (null if blocked, held or the queue was full)
+ */
+function streamSayFiltered(stream, options = {}) {
+  let verdict = stream.speechFilter.check(typeof options.text === 'string' ? options.text : '');
+  // Too much is already waiting on the creator - this one can't wait as well
+  if (verdict.decision === 'hold' && stream.heldSpeech.size >= MAX_HELD_SPEECH) {
+    verdict = { ...verdict, decision: 'block', reasons: [...verdict.reasons, 'too much is already waiting for approval'] };
+  }
+  const report = (data) => stream.emitToStreamer('speech:filtered', {
+    ref: options.ref ?? null,
+    decision: FILTER_DECISIONS[verdict.decision],
+    reasons: verdict.reasons,
+    text: verdict.text,
+    speechId: null,
+    heldId: null,
+    ...data
+  });
+
+  if (verdict.decision === 'block') {
+    console.log('🚫 Blocked speech from', stream.id, '-', verdict.reasons.join(', '));
+    report({});
+    return { verdict, item: null, held: null };
+  }
+
+  if (verdict.decision === 'hold') {
+    const held = holdSpeech(stream, { ...options, text: verdict.text }, verdict.reasons);
+    report({ heldId: held.id });
+    return { verdict, item: null, held };
+  }
+
+  const item = streamSay(stream, { ...options, text: verdict.text });
+  if (verdict.decision === 'redact') report({ speechId: item?.id ?? null });
+  return { verdict, item, held: null };
+}
+
+function holdSpeech(stream, { text, emotion, actions, ref, priority }, reasons) {
+  const held = { id: randomUUID(), ref: ref ?? null, text, emotion, actions, priority, reasons, heldAt: Date.now() };
+  held.timer = setTimeout(() => {
+    if (stream.heldSpeech.get(held.id) === held) reviewHeldSpeech(stream, held.id, 'expired');
+  }, HELD_SPEECH_TTL);
+  stream.heldSpeech.set(held.id, held);
+
+  console.log('✋ Held speech from', stream.id, 'for approval -', reasons.join(', '));
+  viewersNs.to(reviewerRoom(stream)).emit('speech:held', heldSpeechJSON(held));
+  return held;
+}
+
+/**
+ * Settle a held utterance
+ * @param {Object} stream
+ * @param {string} id - From speech:held
+ * @param {string} decision - approved (it's queued), rejected or expired
+ * @returns {Object|null} The queued utterance, if approved and the queue had room
+ * @throws {Error} If nothing is held with that id
+ */
+function reviewHeldSpeech(stream, id, decision) {
+  const held = stream.heldSpeech.get(id);
+  if (!held) throw new Error('Nothing is waiting with that id - it may have expired');
+  clearTimeout(held.timer);
+  stream.heldSpeech.delete(id);
+
+  // Approved speech has waited long enough - it doesn't interrupt, but keeps its priority
+  const item = decision === 'approved'
+    ? streamSay(stream, { text: held.text, emotion: held.emotion, actions: held.actions, ref: held.ref, priority: held.priority })
+    : null;
+
+  console.log('✋ Held speech', decision, 'for', stream.id);
+  stream.emitToStreamer('speech:filtered', {
+    ref: held.ref,
+    decision,
+    reasons: held.reasons,
+    text: held.text,
+    speechId: item?.id ?? null,
+    heldId: id
+  });
+  viewersNs.to(reviewerRoom(stream)).emit('speech:reviewed', { id, decision });
+  return item;
+}
+
+// The stream ended - nothing held will air now
+function expireHeldSpeech(stream) {
+  for (const id of [...stream.heldSpeech.keys()]) reviewHeldSpeech(stream, id, 'expired');
+}
+
 // Main namespace - just for listing streams
 io.on('connection', (socket) => {
   console.log('Connection:', socket.id);
@@ -388,156 +1197,72 @@ streamersNs.on('connection', (socket) => {
   socket.on('stream:start', async (data) => {
     const { agentId, secret, agentName, config } = data;
     
-    // Auto-register if not exists
-    if (!verifiedStreamers.has(agentId)) {
-      const autoSecret = secret || crypto.randomBytes(16).toString('hex');
-      verifiedStreamers.set(agentId, { secret: autoSecret, ownerId: 'auto', claimedAt: Date.now() });
-      console.log('Auto-registered:', agentId);
-    }
-    
-    const storedSecret = verifiedStreamers.get(agentId)?.secret;
-    if (!authenticateStreamer(agentId, secret || storedSecret)) {
-      socket.emit('stream:error', { error: 'Auth failed' });
+    try {
+      // Unknown agents are refused - they need to register and be claimed first
+      if (!(await isAgentClaimed(agentId))) {
+        socket.emit('stream:error', { error: 'Agent not claimed - register at /api/v1/agents/register and have your human claim it' });
+        return;
+      }
+
+      if (!(await verifyStreamKey(agentId, secret))) {
+        socket.emit('stream:error', { error: 'Auth failed' });
+        return;
+      }
+    } catch (error) {
+      console.error('Stream auth error:', error);
+      socket.emit('stream:error', { error: 'Auth unavailable, try again' });
       return;
     }
     
-    if (activeStreams.has(agentId)) {
-      currentStream = activeStreams.get(agentId);
-      currentStream.socketId = socket.id;
-      currentStream.state = 'live';
-    } else {
-      currentStream = new Stream(agentId, agentName, config);
-      currentStream.socketId = socket.id;
-      currentStream.state = 'live';
-      currentStream.startedAt = Date.now();
-      activeStreams.set(agentId, currentStream);
-    }
-    
-    // Start the broadcast engine!
-    currentStream.startBroadcasting();
+    currentStream = startLiveStream(agentId, agentName, config, socket.id);
     
     socket.join('stream:' + agentId);
-    console.log('🔴 LIVE:', agentName || agentId);
-    socket.emit('stream:started', { streamId: agentId, roomName: 'stream:' + agentId });
-    io.emit('streams:update', getActiveStreams());
-    viewersNs.to('stream:' + agentId).emit('stream:live', currentStream.toJSON());
+    socket.emit('stream:started', {
+      streamId: agentId,
+      roomName: 'stream:' + agentId,
+      resumeToken: currentStream.resumeToken,
+      reconnectGrace: RECONNECT_GRACE
+    });
   });
 
-  // Streamer sends a message to broadcast
-  socket.on('stream:chat', async (data) => {
-    if (!currentStream) return;
-    const { text, emotion, actions } = data;
-    currentStream.stats.messageCount++;
-    
-    // Store in chat history
-    const message = { 
-      id: randomUUID(), 
-      streamId: currentStream.id, 
-      username: currentStream.agentName, 
-      text: currentStream.stripTags(text), 
-      emotion, 
-      actions, 
-      type: 'agent', 
-      timestamp: Date.now() 
-    };
-    currentStream.chatHistory.push(message);
-    if (currentStream.chatHistory.length > 100) {
-      currentStream.chatHistory = currentStream.chatHistory.slice(-100);
+  // Back after a dropped connection - the resume token from stream:started (or the last
+  // stream:resumed) picks up the same session instead of starting a new one
+  socket.on('stream:resume', ({ agentId, resumeToken } = {}) => {
+    const stream = activeStreams.get(agentId);
+    if (!stream || stream.state === 'offline' || !resumeToken || stream.resumeToken !== resumeToken) {
+      socket.emit('stream:resume:failed', { error: 'Session expired - start a new stream' });
+      return;
     }
 
-    // Generate TTS
-    let audioPath = null;
-    let audioDuration = 5000; // Default estimate
-    
-    if (text && text.trim()) {
-      try { 
-        audioPath = await generateSpeech(text);
-        // Estimate duration: ~120 words per minute = 500ms per word + pauses
-        const cleanText = currentStream.stripTags(text);
-        const wordCount = cleanText.split(/\s+/).length;
-        // More generous estimate: 500ms per word + 1 second buffer
-        audioDuration = Math.max(3000, wordCount * 500 + 1000);
-        console.log('📊 Estimated audio duration:', audioDuration, 'ms for', wordCount, 'words');
-      } catch (err) { 
-        console.error('TTS:', err.message); 
-      }
-    }
+    // Its old socket may not have noticed it's gone yet - this one takes over
+    resumeLiveStream(stream, socket.id);
+    currentStream = stream;
+    socket.join('stream:' + agentId);
+    socket.emit('stream:resumed', {
+      streamId: agentId,
+      resumeToken: stream.resumeToken,
+      reconnectGrace: RECONNECT_GRACE,
+      queue: stream.speechQueue.toJSON()
+    });
+  });
 
-    // TRUE LIVE STREAMING: Start playing audio on server timeline
-    if (audioPath) {
-      currentStream.playAudio(audioPath, text, audioDuration);
-      
-      // Send immediate notification that new audio started
-      viewersNs.to('stream:' + currentStream.id).emit('broadcast:newAudio', {
-        audioUrl: audioPath,
-        startTime: currentStream.broadcast.audioStartTime,
-        duration: audioDuration,
-        message: message,
-        serverTime: Date.now()
-      });
-    }
-    
-    // Handle GIF tags - fetch and broadcast GIFs
-    const gifTags = currentStream.parseGifTags(text);
-    if (gifTags.length > 0) {
-      console.log('🎬 GIF tags found:', gifTags);
-      for (const gifTag of gifTags) {
-        try {
-          const gif = await giphy.getGifForStream(gifTag.search);
-          if (gif) {
-            console.log('🎬 Broadcasting GIF:', gif.title, 'at', gifTag.position);
-            viewersNs.to('stream:' + currentStream.id).emit('gif:show', {
-              id: randomUUID(),
-              url: gif.webp || gif.url,
-              width: gif.width,
-              height: gif.height,
-              position: gifTag.position,
-              duration: gifTag.duration,
-              title: gif.title
-            });
-          }
-        } catch (err) {
-          console.error('GIF fetch error:', err.message);
-        }
-      }
-    }
-    
-    // Handle YouTube tags - fetch and broadcast YouTube videos
-    const youtubeTags = youtube.parseYouTubeTags(text);
-    if (youtubeTags.length > 0) {
-      console.log('📺 YouTube tags found:', youtubeTags);
-      for (const ytTag of youtubeTags) {
-        try {
-          const videoData = await youtube.getVideoForStream(ytTag.search);
-          if (videoData) {
-            console.log('📺 Broadcasting YouTube:', videoData.title, 'by', videoData.author);
-            viewersNs.to('stream:' + currentStream.id).emit('youtube:show', {
-              id: randomUUID(),
-              videoId: videoData.id,
-              url: videoData.url,
-              shortUrl: videoData.shortUrl,
-              embedUrl: videoData.embedUrl,
-              thumbnail: videoData.thumbnail,
-              title: videoData.title,
-              author: videoData.author,
-              authorUrl: videoData.authorUrl,
-              duration: videoData.duration,
-              durationFormatted: videoData.durationFormatted,
-              views: videoData.views,
-              viewsFormatted: videoData.viewsFormatted,
-              isShort: videoData.isShort,
-              displayDuration: videoData.displayDuration,
-              searchTerm: ytTag.search
-            });
-          }
-        } catch (err) {
-          console.error('YouTube fetch error:', err.message);
-        }
-      }
-    }
-    
-    // Also emit traditional chat message for chat display
-    viewersNs.to('stream:' + currentStream.id).emit('chat:message', { ...message, audioPath });
+  // Streamer sends a message to broadcast - once past the speech filter, it's queued behind
+  // anything still playing
+  socket.on('stream:chat', (data) => {
+    if (!currentStream) return;
+    streamSayFiltered(currentStream, data);
+  });
+
+  // Cut off the clip on air; the next queued message starts right away
+  socket.on('stream:skip', () => {
+    if (!currentStream) return;
+    currentStream.speechQueue.skip();
+  });
+
+  // Drop everything still waiting to be said
+  socket.on('stream:queue:clear', () => {
+    if (!currentStream) return;
+    currentStream.speechQueue.clear();
   });
 
   // Avatar state update (for non-speech animations)
@@ -548,30 +1273,159 @@ streamersNs.on('connection', (socket) => {
 
   socket.on('stream:end', () => {
     if (!currentStream) return;
-    console.log('⬛ OFFLINE:', currentStream.agentName);
-    currentStream.stopBroadcasting();
-    currentStream.state = 'offline';
-    viewersNs.to('stream:' + currentStream.id).emit('stream:ended', { streamId: currentStream.id });
-    io.emit('streams:update', getActiveStreams());
+    endLiveStream(currentStream);
     currentStream = null;
   });
 
   socket.on('disconnect', () => {
-    if (currentStream) {
-      currentStream.stopBroadcasting();
-      currentStream.state = 'offline';
-      currentStream.socketId = null;
-      io.emit('streams:update', getActiveStreams());
+    // Only if this is still the stream's socket - a resumed session has moved on
+    if (currentStream && currentStream.state === 'live' && currentStream.socketId === socket.id) {
+      suspendLiveStream(currentStream);
     }
   });
 });
 
+// ============ CHAT MODERATION ============
+// Rules and commands live in moderation.js - this is where they touch chat history, the
+// database and the sockets. Commands come from mod:action on /viewers and from the REST API.
+
+const TARGETED_ACTIONS = ['timeout', 'untimeout', 'ban', 'unban', 'mod', 'unmod'];
+
+// The creator is the agent's X account, or the agent itself (its API key)
+function createChatModerator(stream, settings = null) {
+  return new ChatModerator(settings, {
+    isCreator: ({ id }) => id === 'agent:' + stream.id || id === xUserId(stream.config.creatorName),
+    isFollower: (viewer) => stream.followers.has(viewer.id)
+  });
+}
+
+function loadChatModeration(stream, settings, followerIds) {
+  stream.followers = new Set(followerIds);
+  try {
+    stream.moderation.load(settings);
+  } catch (error) {
+    console.error('❌ Bad moderation settings for', stream.id, '-', error.message);
+  }
+  viewersNs.to('stream:' + stream.id).emit('chat:settings', stream.moderation.toJSON());
+}
+
+// An offline agent's chat, for changing its rules before it goes live
+function offlineChat(agent) {
+  const chat = { id: agent.name, config: { creatorName: agent.creatorName }, followers: new Set(), chatHistory: [] };
+  chat.moderation = createChatModerator(chat, agent.moderation);
+  chat.speechFilter = new SpeechFilter();
+  chat.heldSpeech = new Map();
+  loadSpeechFilter(chat, agent.speechFilter);
+  return chat;
+}
+
+// Take messages out of chat - for viewers, the streamer and REST polling
+function deleteChatMessages(stream, ids) {
+  if (ids.length === 0) return;
+  stream.chatHistory = stream.chatHistory.filter(msg => !ids.includes(msg.id));
+  viewersNs.to('stream:' + stream.id).emit('chat:deleted', { ids });
+  streamersNs.to('stream:' + stream.id).emit('chat:deleted', { ids });
+  stream.recorder?.record('chat:deleted', { ids });
+}
+
+/**
+ * Carry out a moderation command
+ * @param {Object} stream - A Stream, or offlineChat()
+ * @param {Object} actor - Viewer identity of whoever's doing it
+ * @param {Object} command - { action, target, duration, reason, value, messageId } (see moderation.js)
+ * @returns {Promise<Object>} The target user, if there was one
+ * @throws {Error} If the actor may not or the command is invalid
+ */
+async function moderateChat(stream, actor, command) {
+  const { action } = command;
+  const live = Boolean(stream.state) && stream.state !== 'offline';
+  let target = null;
+  if (stream.moderation.roleOf(actor) === 'viewer') throw new Error('Only moderators can do that');
+
+  if (TARGETED_ACTIONS.includes(action)) {
+    // Anyone banned, timed out, who chatted or who's watching
+    const watching = await viewersNs.in('stream:' + stream.id).fetchSockets();
+    target = findUser(command.target, [
+      ...stream.moderation.knownUsers(),
+      ...stream.chatHistory.filter(msg => msg.userId).map(msg => ({ id: msg.userId, name: msg.username })),
+      ...watching.map(socket => socket.data.viewer).filter(viewer => viewer?.id).map(viewer => ({ id: viewer.id, name: viewer.displayName }))
+    ]);
+    if (!target) throw new Error(`Nobody called ${command.target || '...'} is in this chat`);
+  }
+  if (action === 'timeout' && !live) throw new Error('Timeouts only work while the stream is live');
+
+  const { settingsChanged, purge } = stream.moderation.apply(actor, { ...command, target });
+
+  if (action === 'delete') {
+    const message = stream.chatHistory.find(msg => msg.id === command.messageId);
+    if (!message) throw new Error('No such message');
+    deleteChatMessages(stream, [message.id]);
+  }
+  if (purge) {
+    deleteChatMessages(stream, stream.chatHistory.filter(msg => msg.userId === purge).map(msg => msg.id));
+    const timeout = stream.moderation.timeouts.get(purge);
+    const notice = timeout
+      ? `You were timed out for ${Math.round((timeout.until - Date.now()) / 1000)}s`
+      : 'You were banned from this chat';
+    for (const socket of await viewersNs.in('stream:' + stream.id).fetchSockets()) {
+      if (socket.data.viewer?.id === purge) socket.emit('chat:error', { error: notice });
+    }
+  }
+  if (settingsChanged) {
+    await updateAgent(stream.id, { moderation: stream.moderation.settings })
+      .catch(error => console.error('❌ Failed to save moderation settings:', error.message));
+    viewersNs.to('stream:' + stream.id).emit('chat:settings', stream.moderation.toJSON());
+  }
+
+  const details = { duration: command.duration, value: command.value, messageId: command.messageId };
+  logModerationAction({
+    agentName: stream.id,
+    action,
+    moderator: actor.id,
+    target: target?.id,
+    targetName: target?.name,
+    reason: command.reason,
+    details: Object.values(details).some(value => value !== undefined) ? details : null
+  });
+  console.log(`🛡️ ${stream.id}: ${actor.id} ${action}${target ? ' ' + target.id : ''}`);
+  return target;
+}
+
 // ============ VIEWER NAMESPACE ============
+// Who a viewer is comes from the handshake (X session cookie, viewer token or agent API key) -
+// never from what it sends afterwards. See server/viewer-identity.js.
+viewersNs.use(async (socket, next) => {
+  socket.data.viewer = await resolveViewer(socket.handshake);
+  next();
+});
+
 viewersNs.on('connection', (socket) => {
-  console.log('Viewer:', socket.id);
+  const viewer = socket.data.viewer;
+  console.log('Viewer:', socket.id, viewer.displayName || '(anonymous)');
   let currentRoom = null;
-  let isAgent = false;
-  let agentId = null;
+  let protocolRoom = null;  // Where its broadcast state comes from - stream:<id>:v1 or :v2
+  const isAgent = viewer.kind === 'agent';
+  const agentId = viewer.agentId || null;
+
+  socket.emit('viewer:identity', publicViewer(viewer));
+
+  // Leave the current stream room, ending this viewer's watch session
+  function leaveCurrentRoom() {
+    socket.leave(currentRoom);
+    socket.leave(protocolRoom);
+    socket.leave(currentRoom + ':creator');
+    const stream = activeStreams.get(currentRoom.replace('stream:', ''));
+    if (stream) {
+      stream.viewers.delete(socket.id);
+      endViewerSession(stream, socket.id);
+      if (isAgent) stream.viewerAgents.delete(agentId);
+      viewersNs.to(currentRoom).emit('viewers:count', { 
+        count: stream.viewers.size, 
+        agents: stream.viewerAgents.size 
+      });
+    }
+    currentRoom = null;
+  }
 
   socket.on('stream:join', (data) => {
     const stream = activeStreams.get(data.streamId);
@@ -580,29 +1434,40 @@ viewersNs.on('connection', (socket) => {
       return; 
     }
     
-    if (currentRoom) socket.leave(currentRoom);
+    if (currentRoom) leaveCurrentRoom();
     currentRoom = 'stream:' + data.streamId;
     socket.join(currentRoom);
     
+    // Clients that speak protocol 2 say so - older ones get the full state every tick
+    const protocol = Number(data.protocol) >= PROTOCOL_VERSION ? PROTOCOL_VERSION : 1;
+    protocolRoom = `${currentRoom}:v${protocol}`;
+    socket.join(protocolRoom);
+    // The creator hears about speech held for approval
+    const reviewer = isSpeechReviewer(stream, viewer);
+    if (reviewer) socket.join(reviewerRoom(stream));
+    
     stream.viewers.add(socket.id);
+    startViewerSession(stream, socket.id, viewer);
     stream.stats.totalViewers++;
     stream.stats.peakViewers = Math.max(stream.stats.peakViewers, stream.viewers.size);
     
-    if (data.asAgent && data.agentId) { 
-      isAgent = true; 
-      agentId = data.agentId; 
-      stream.viewerAgents.add(agentId); 
-    }
+    if (isAgent) stream.viewerAgents.add(agentId);
 
     // TRUE LIVE STREAMING: Send current broadcast state immediately
     const joinedData = {
       stream: stream.toJSON(),
-      chatHistory: stream.chatHistory.slice(-50),
+      chatHistory: stream.chatHistory.slice(-50).map(publicChatMessage),
       broadcast: stream.broadcast.toJSON(),
+      lipSync: stream.broadcast.isPlaying ? stream.broadcast.lipSync : null,
+      chat: { ...stream.moderation.toJSON(), role: stream.moderation.roleOf(viewer) },
+      following: stream.followers.has(viewer.id),
+      heldSpeech: reviewer ? [...stream.heldSpeech.values()].map(heldSpeechJSON) : [],
+      protocol,
       serverTime: Date.now()
     };
 
     socket.emit('stream:joined', joinedData);
+    if (protocol >= 2) socket.emit('broadcast:keyframe', stream.keyframe());
     
     if (stream.broadcast.isPlaying) {
       const elapsed = Date.now() - stream.broadcast.audioStartTime;
@@ -621,64 +1486,131 @@ viewersNs.on('connection', (socket) => {
     });
   });
 
+  // Clock sync - viewers time the round trip to work out their offset from the server clock
+  socket.on('clock:ping', (ack) => {
+    if (typeof ack === 'function') ack(Date.now());
+  });
+
+  // A protocol 2 viewer missed a delta - start it over from a keyframe
+  socket.on('broadcast:resync', () => {
+    const stream = currentRoom && activeStreams.get(currentRoom.replace('stream:', ''));
+    if (stream && protocolRoom.endsWith(':v2')) socket.emit('broadcast:keyframe', stream.keyframe());
+  });
+
   socket.on('stream:leave', (data) => {
-    if (currentRoom) {
-      socket.leave(currentRoom);
-      const stream = activeStreams.get(currentRoom.replace('stream:', ''));
-      if (stream) {
-        stream.viewers.delete(socket.id);
-        if (isAgent) stream.viewerAgents.delete(agentId);
-        viewersNs.to(currentRoom).emit('viewers:count', { 
-          count: stream.viewers.size, 
-          agents: stream.viewerAgents.size 
-        });
-      }
-      currentRoom = null;
-    }
+    if (currentRoom) leaveCurrentRoom();
   });
 
-  socket.on('chat:send', (data) => {
+  socket.on('chat:send', async (data) => {
     if (!currentRoom) return;
-    const stream = activeStreams.get(currentRoom.replace('stream:', ''));
+    const room = currentRoom;
+    const stream = activeStreams.get(room.replace('stream:', ''));
     if (!stream) return;
     
-    // Determine message type based on sender
-    let messageType = 'viewer';
-    let displayName = data.username || 'Viewer';
-    
-    if (isAgent) {
-      messageType = 'agent-viewer';
-      displayName = 'Agent ' + agentId;
-    } else if (isCreatorOfAgent(data.username, stream.config.creatorName)) {
-      // This is the verified creator of the agent!
-      messageType = 'creator';
-      // Make sure @ is included for X usernames
-      displayName = data.username.startsWith('@') ? data.username : data.username;
+    if (viewer.kind === 'anonymous') {
+      socket.emit('chat:error', { error: 'Sign in to chat' });
+      return;
+    }
+    const text = typeof data?.text === 'string' ? data.text.trim() : '';
+    if (!text) return;
+    
+    // Bans, timeouts, slow mode, chat mode, length and word filters (see server/moderation.js)
+    const rejected = stream.moderation.check(viewer, text);
+    if (rejected) {
+      socket.emit('chat:error', { error: rejected });
+      return;
+    }
+    
+    // Name, type and badges all come from the socket's identity - the creator badge only
+    // goes to the creator's own X session
+    const displayName = viewer.displayName;
+    const { type, badges } = chatRole(viewer, stream);
+    
+    // Spam, slurs, prompt injection and PII (see server/chat-safety.js) - viewers still see the
+    // message, the agent gets it with the verdict. Slurs go no further.
+    const safety = await chatSafety.screen({ text, username: displayName, userId: viewer.id });
+    if (activeStreams.get(stream.id) !== stream) return;
+    if (safety.categories.includes('slur')) {
+      console.log(`🛡️ Dropped chat from ${displayName} in ${stream.id}: ${safety.reason}`);
+      socket.emit('chat:error', { error: 'Your message was blocked by the chat filter' });
+      return;
     }
     
     const message = { 
       id: randomUUID(), 
       streamId: stream.id, 
+      userId: viewer.id, 
       username: displayName, 
-      text: data.text, 
-      type: messageType, 
-      timestamp: Date.now() 
+      text, 
+      type, 
+      badges, 
+      timestamp: Date.now(),
+      safety
     };
     
+    if (safety.flagged) console.log(`🛡️ Flagged chat from ${displayName} in ${stream.id}: ${safety.reason}`);
+    
     stream.chatHistory.push(message);
-    viewersNs.to(currentRoom).emit('chat:message', message);
-    streamersNs.to(currentRoom).emit('chat:received', message);
+    stream.emitToViewers('chat:message', publicChatMessage(message));
+    streamersNs.to(room).emit('chat:received', message);
+    stream.idle.onChat();
+    
+    // Persist the message and credit the chatter (agent viewers aren't tracked as viewers)
+    persistChatMessage(stream, message);
+    if (!isAgent) queueViewerStats(viewer.id, { messageCount: 1, displayName });
   });
 
-  socket.on('disconnect', () => {
-    if (currentRoom) {
-      const stream = activeStreams.get(currentRoom.replace('stream:', ''));
-      if (stream) { 
-        stream.viewers.delete(socket.id); 
-        if (isAgent) stream.viewerAgents.delete(agentId); 
-      }
+  // Moderators' commands - ack gets { ok, error }
+  socket.on('mod:action', async (command, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const stream = currentRoom && activeStreams.get(currentRoom.replace('stream:', ''));
+    if (!stream) return reply({ ok: false, error: 'Not watching a stream' });
+    
+    try {
+      const target = await moderateChat(stream, viewer, command || {});
+      reply({ ok: true, target });
+    } catch (error) {
+      reply({ ok: false, error: error.message });
+    }
+  });
+  
+  // The creator approves or rejects held speech - { id, approve }, ack gets { ok, error }
+  socket.on('speech:review', (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const stream = currentRoom && activeStreams.get(currentRoom.replace('stream:', ''));
+    if (!stream) return reply({ ok: false, error: 'Not watching a stream' });
+    if (!isSpeechReviewer(stream, viewer)) return reply({ ok: false, error: 'Only the creator can do that' });
+    
+    try {
+      const item = reviewHeldSpeech(stream, data?.id, data?.approve ? 'approved' : 'rejected');
+      reply({ ok: true, speechId: item?.id ?? null });
+    } catch (error) {
+      reply({ ok: false, error: error.message });
     }
   });
+  
+  // Follow (or { following: false } to unfollow) the stream being watched
+  socket.on('stream:follow', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const stream = currentRoom && activeStreams.get(currentRoom.replace('stream:', ''));
+    if (!stream) return reply({ ok: false, error: 'Not watching a stream' });
+    if (viewer.kind === 'anonymous') return reply({ ok: false, error: 'Sign in to follow' });
+    
+    const following = data?.following !== false;
+    try {
+      await setFollowing(stream.id, viewer.id, following);
+    } catch (error) {
+      console.error('Follow error:', error.message);
+      return reply({ ok: false, error: 'Failed to follow' });
+    }
+    if (following) stream.followers.add(viewer.id);
+    else stream.followers.delete(viewer.id);
+    reply({ ok: true, following });
+  });
+
+  socket.on('disconnect', () => {
+    if (currentRoom) leaveCurrentRoom();
+  });
 });
 
 // ============ STATIC FILES & API ============
@@ -689,42 +1621,82 @@ app.get('/skill.md', (req, res) => {
 });
 
 // Connection codes for OpenClaw pairing
-const connectionCodes = new Map();
 
-// Create a new connection code
+// An agent stays its creator's: claimed by nobody yet, or by the same X account
+async function claimedByOther(agentName, xUsername) {
+  const owner = await getClaimOwner(agentName);
+  return owner !== null && !isCreatorOfAgent(xUsername, owner);
+}
+
+// Create an agent owned by the logged-in creator - always them, whatever the request says
+async function createCreatorAgent(session, { name, displayName, model }) {
+  // Built-in model, or one uploaded for another of the creator's agents
+  const picked = await findModel(model, await creatorAgentNames(session));
+
+  const agent = await prisma.agent.create({
+    data: {
+      name: toAgentName(name),
+      displayName: displayName || name,
+      creatorName: `@${session.xUsername}`,
+      modelPath: picked?.modelPath || null,
+      avatar: '🧙‍♀️',
+      isActive: true
+    }
+  });
+
+  console.log(`✅ Created agent: ${agent.displayName} by @${session.xUsername}`);
+  return agent;
+}
+
+function toAgentName(name) {
+  return name.toLowerCase().replace(/\s+/g, '-');
+}
+
+// Create a new connection code for one of the creator's agents - the setup wizard makes the
+// agent here if it doesn't exist yet. The code comes from the server, never from the request.
 app.post('/api/connection-codes', async (req, res) => {
-  const { code, agentName, model } = req.body;
+  const { agentName, model } = req.body;
   const sessionId = req.cookies?.lobster_session;
   
   if (!sessionId) {
     return res.status(401).json({ error: 'Not authenticated' });
   }
   
-  // Get session from x-auth
-  const xAuth = await import('./x-auth.js');
-  const session = xAuth.sessions.get(sessionId);
+  const session = sessions.get(sessionId);
   
   if (!session) {
     return res.status(401).json({ error: 'Session expired' });
   }
+
+  if (!agentName || typeof agentName !== 'string') {
+    return res.status(400).json({ error: 'agentName required' });
+  }
   
-  connectionCodes.set(code, {
-    agentName,
-    model,
-    creatorUsername: session.xUsername,
-    createdAt: Date.now(),
-    connected: false
-  });
-  
-  // Expire after 10 minutes
-  setTimeout(() => connectionCodes.delete(code), 600000);
-  
-  res.json({ ok: true, code });
+  try {
+    let agent = await getAgent(toAgentName(agentName));
+    if (agent && !isCreatorOfAgent(session.xUsername, agent.creatorName)) {
+      return res.status(403).json({ error: 'Only the creator can pair this agent' });
+    }
+    // Registered (or claimed) through the API by someone else - not ours to pair
+    if (!agent && await isAgentRegistered(toAgentName(agentName))) {
+      return res.status(409).json({ error: 'Agent name already taken' });
+    }
+    if (agent && await claimedByOther(agent.name, session.xUsername)) {
+      return res.status(409).json({ error: 'Agent already claimed by another account' });
+    }
+    if (!agent) agent = await createCreatorAgent(session, { name: agentName, displayName: agentName, model });
+
+    const { code } = await createConnectionCode({ agentName: agent.name, model, creatorUsername: session.xUsername });
+    res.json({ ok: true, code, agentName: agent.name });
+  } catch (err) {
+    console.error('Failed to create connection code:', err);
+    res.status(500).json({ error: 'Failed to create connection code' });
+  }
 });
 
 // Check connection code status
-app.get('/api/connection-codes/:code', (req, res) => {
-  const codeData = connectionCodes.get(req.params.code);
+app.get('/api/connection-codes/:code', async (req, res) => {
+  const codeData = await getConnectionCode(req.params.code).catch(() => null);
   
   if (!codeData) {
     return res.status(404).json({ error: 'Code not found or expired' });
@@ -737,18 +1709,38 @@ app.get('/api/connection-codes/:code', (req, res) => {
   });
 });
 
-// OpenClaw connects with a code
-app.post('/api/connection-codes/:code/connect', (req, res) => {
-  const codeData = connectionCodes.get(req.params.code);
-  
-  if (!codeData) {
-    return res.status(404).json({ error: 'Code not found or expired' });
+// OpenClaw connects with a code - the creator made the code, so this claims the agent
+// and hands OpenClaw its stream key
+app.post('/api/connection-codes/:code/connect', async (req, res) => {
+  try {
+    const codeData = await getConnectionCode(req.params.code);
+    
+    if (!codeData) {
+      return res.status(404).json({ error: 'Code not found or expired' });
+    }
+
+    if (codeData.connected) {
+      return res.status(409).json({ error: 'Code already used' });
+    }
+
+    // Still the code maker's agent - nobody claimed it or took it over since
+    const agent = await getAgent(codeData.agentName);
+    if (!agent || !isCreatorOfAgent(codeData.creatorUsername, agent.creatorName) ||
+        await claimedByOther(codeData.agentName, codeData.creatorUsername)) {
+      return res.status(409).json({ error: 'Agent is no longer yours to pair' });
+    }
+    
+    if (!(await markConnectionCodeConnected(codeData.code, req.body.openClawId))) {
+      return res.status(409).json({ error: 'Code already used' });
+    }
+    await claimAgent(codeData.agentName, '@' + codeData.creatorUsername);
+    const streamKey = await rotateStreamKey(codeData.agentName);
+    
+    res.json({ ok: true, message: 'Connected!', agentId: codeData.agentName, streamKey });
+  } catch (err) {
+    console.error('Failed to connect code:', err);
+    res.status(500).json({ error: 'Failed to connect' });
   }
-  
-  codeData.connected = true;
-  codeData.openClawId = req.body.openClawId;
-  
-  res.json({ ok: true, message: 'Connected!' });
 });
 
 // Create a new agent
@@ -759,41 +1751,26 @@ app.post('/api/agents', async (req, res) => {
     return res.status(401).json({ error: 'Not authenticated' });
   }
   
-  // Import session check dynamically
-  const xAuth = await import('./x-auth.js');
-  const session = xAuth.sessions.get(sessionId);
+  const session = sessions.get(sessionId);
   
   if (!session) {
     return res.status(401).json({ error: 'Session expired' });
   }
   
-  const { name, displayName, model, creatorName } = req.body;
+  const { name, displayName, model } = req.body;
   
   if (!name || !displayName) {
     return res.status(400).json({ error: 'name and displayName required' });
   }
   
   try {
-    // Check if agent already exists
-    const existing = await getAgent(name);
-    if (existing) {
+    // Check if agent already exists - or its name is taken through the API
+    const existing = await getAgent(toAgentName(name));
+    if (existing || await isAgentRegistered(toAgentName(name))) {
       return res.status(400).json({ error: 'Agent name already taken' });
     }
     
-    // Create the agent
-    const agent = await prisma.agent.create({
-      data: {
-        name: name.toLowerCase().replace(/\s+/g, '-'),
-        displayName,
-        creatorName: creatorName || `@${session.xUsername}`,
-        modelPath: model === 'mao' ? '/models/mao_pro_en/runtime/mao_pro.model3.json' : null,
-        avatar: '🧙‍♀️',
-        isActive: true
-      }
-    });
-    
-    console.log(`✅ Created agent: ${displayName} by @${session.xUsername}`);
-    
+    const agent = await createCreatorAgent(session, { name, displayName, model });
     res.json({ ok: true, agent });
   } catch (err) {
     console.error('Failed to create agent:', err);
@@ -808,53 +1785,688 @@ app.get('/api/streams/:id', (req, res) => {
   res.json(s ? { ok: true, stream: s.toJSON() } : { ok: false }); 
 });
 
-app.post('/api/agents/register', (req, res) => {
-  const { agentId, agentName } = req.body;
-  if (!agentId) return res.status(400).json({ ok: false, error: 'agentId required' });
-  if (verifiedStreamers.has(agentId)) return res.status(400).json({ ok: false, error: 'Agent already registered' });
-  const token = generateClaimToken(agentId);
-  res.json({
-    ok: true,
-    agentId,
-    agentName: agentName || agentId,
-    claimToken: token,
-    claimUrl: 'http://localhost:3001/claim/' + token,
-    skillUrl: 'http://localhost:3001/skill.md',
-    instructions: 'Read skill.md to learn how to control your Live2D avatar body!'
-  });
+app.post('/api/agents/register', async (req, res) => {
+  // Same id rule as the REST API, so names are safe in URLs and pages
+  const agentId = toAgentId(String(req.body.agentId || ''));
+  const agentName = req.body.agentName ? String(req.body.agentName) : null;
+  if (!agentId) return res.status(400).json({ ok: false, error: 'agentId required (letters, numbers, - and _)' });
+
+  try {
+    // Made by a creator (POST /api/agents) - it's paired by them, not claimed by whoever asks
+    if (await isAgentRegistered(agentId) || await getAgent(agentId)) {
+      return res.status(400).json({ ok: false, error: 'Agent already registered' });
+    }
+    const { claimToken } = await registerAgent({ agentName: agentId, displayName: agentName });
+    res.json({
+      ok: true,
+      agentId,
+      agentName: agentName || agentId,
+      claimToken,
+      claimUrl: PUBLIC_URL + '/claim/' + claimToken,
+      skillUrl: PUBLIC_URL + '/skill.md',
+      instructions: 'Read skill.md to learn how to control your Live2D avatar body!'
+    });
+  } catch (err) {
+    console.error('Failed to register agent:', err);
+    res.status(500).json({ ok: false, error: 'Failed to register agent' });
+  }
 });
 
-app.post('/api/agents/verify', (req, res) => {
-  const result = verifyClaim(req.body.claimToken, req.body.ownerId || 'anon');
-  res.json(result);
+// Claiming takes an X login - the claim owner is who may later pair and manage the agent
+app.post('/api/agents/verify', async (req, res) => {
+  const session = sessions.get(req.cookies?.lobster_session);
+  if (!session) {
+    return res.status(401).json({ ok: false, error: 'Log in with X to claim an agent' });
+  }
+
+  try {
+    const result = await redeemClaim(req.body.claimToken, '@' + session.xUsername);
+    if (result.ok) console.log(`✅ ${result.agentId} claimed by @${session.xUsername}`);
+    res.json(result);
+  } catch (err) {
+    console.error('Failed to verify claim:', err);
+    res.status(500).json({ ok: false, error: 'Failed to verify claim' });
+  }
 });
 
-app.get('/claim/:token', (req, res) => {
-  const claim = pendingClaims.get(req.params.token);
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+app.get('/claim/:token', async (req, res) => {
+  const claim = await getPendingClaim(req.params.token).catch(() => null);
   if (!claim) return res.send('<h1>Invalid or expired claim link</h1>');
+  const session = sessions.get(req.cookies?.lobster_session);
+  const agentName = escapeHtml(claim.agentName);
+  const claimForm = session
+    ? `<form method="POST" action="/api/agents/verify">
+<input type="hidden" name="claimToken" value="${escapeHtml(req.params.token)}">
+<p>Claiming as <strong>@${escapeHtml(session.xUsername)}</strong></p>
+<button type="submit">Claim Agent</button>
+</form>`
+    : `<p>Log in with X to claim it, then open this link again.</p>
+<a class="button" href="/auth/x/login?agentId=${encodeURIComponent(claim.agentName)}">Log in with X</a>`;
   res.send(`<!DOCTYPE html>
 <html><head><title>Claim Agent - Lobster</title>
 <style>body{font-family:system-ui;max-width:600px;margin:50px auto;padding:20px;background:#1a1a2e;color:#eee}
-h1{color:#ff6b6b}button{background:#ff6b6b;color:#fff;border:none;padding:12px 24px;cursor:pointer;font-size:16px;border-radius:8px}
-input{padding:12px;width:200px;border-radius:8px;border:1px solid #333;background:#16213e;color:#eee}
+h1{color:#ff6b6b}button,.button{background:#ff6b6b;color:#fff;border:none;padding:12px 24px;cursor:pointer;font-size:16px;border-radius:8px;text-decoration:none;display:inline-block}
 .info{background:#16213e;padding:20px;border-radius:12px;margin:20px 0}</style></head>
 <body><h1>Claim Your Streaming Agent</h1>
-<div class="info"><p><strong>Agent ID:</strong> ${claim.agentId}</p>
+<div class="info"><p><strong>Agent ID:</strong> ${agentName}</p>
 <p>This agent wants to stream on Lobster. Claim it to get the stream key.</p></div>
-<form method="POST" action="/api/agents/verify">
-<input type="hidden" name="claimToken" value="${req.params.token}">
-<input type="text" name="ownerId" placeholder="Your username (optional)">
-<button type="submit">Claim Agent</button>
-</form></body></html>`);
+${claimForm}
+</body></html>`);
 });
 
-app.get('/api/status', (req, res) => res.json({ 
+// Stream key management for the agent's creator
+app.get('/api/agents/:name/stream-keys', requireCreator, async (req, res) => {
+  try {
+    res.json({ ok: true, keys: await listCredentials(req.agent.name) });
+  } catch (err) {
+    console.error('Failed to list stream keys:', err);
+    res.status(500).json({ ok: false, error: 'Failed to list stream keys' });
+  }
+});
+
+app.post('/api/agents/:name/stream-key/rotate', requireCreator, async (req, res) => {
+  try {
+    await claimAgent(req.agent.name, '@' + req.creatorSession.xUsername);
+    const streamKey = await rotateStreamKey(req.agent.name);
+    console.log(`🔑 Stream key rotated for ${req.agent.name} by @${req.creatorSession.xUsername}`);
+    res.json({ ok: true, streamKey, important: '⚠️ SAVE YOUR STREAM KEY! It will not be shown again.' });
+  } catch (err) {
+    console.error('Failed to rotate stream key:', err);
+    res.status(500).json({ ok: false, error: 'Failed to rotate stream key' });
+  }
+});
+
+app.post('/api/agents/:name/stream-key/revoke', requireCreator, async (req, res) => {
+  try {
+    const revoked = await revokeStreamKeys(req.agent.name);
+    console.log(`🔒 Revoked ${revoked} stream key(s) for ${req.agent.name}`);
+    res.json({ ok: true, revoked });
+  } catch (err) {
+    console.error('Failed to revoke stream keys:', err);
+    res.status(500).json({ ok: false, error: 'Failed to revoke stream keys' });
+  }
+});
+
+app.get('/api/status', async (req, res) => res.json({ 
   ok: true, 
   streams: activeStreams.size, 
   live: getActiveStreams().length, 
-  verified: verifiedStreamers.size 
+  verified: await prisma.agentClaim.count({ where: { claimedAt: { not: null } } }).catch(() => null)
 }));
 
+// ============ REST STREAMING API (v1) ============
+// The HTTP surface documented in public/skill.md, for agents that can't hold a socket open.
+// Streams started here are the same Stream objects the /streamers namespace drives.
+
+function toAgentId(name) {
+  return name.toLowerCase().trim().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Resolve the API key from "Authorization: Bearer ..." (or an api_key field) into req.apiAgent
+async function requireApiKey(req, res, next) {
+  const header = req.headers.authorization || '';
+  const apiKey = header.startsWith('Bearer ')
+    ? header.slice(7).trim()
+    : (req.body?.api_key || req.query.api_key);
+
+  let record = null;
+  try {
+    record = await resolveApiKey(apiKey);
+  } catch (error) {
+    console.error('API key lookup error:', error);
+    return res.status(503).json({ ok: false, error: 'Auth unavailable, try again' });
+  }
+
+  if (!record) {
+    return res.status(401).json({ ok: false, error: 'Invalid or missing API key' });
+  }
+
+  req.apiAgent = record;
+  next();
+}
+
+// Streams can only start once the human has claimed the agent
+async function requireClaimed(req, res, next) {
+  if (!(await isAgentClaimed(req.apiAgent.agentId).catch(() => false))) {
+    return res.status(403).json({
+      ok: false,
+      error: 'Agent not claimed yet - send your human the claim_url from registration'
+    });
+  }
+  next();
+}
+
+function getLiveStream(agentId) {
+  const stream = activeStreams.get(agentId);
+  return stream && stream.state === 'live' ? stream : null;
+}
+
+app.post('/api/v1/agents/register', async (req, res) => {
+  const { name, description } = req.body;
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({ ok: false, error: 'name required' });
+  }
+
+  const agentId = toAgentId(name);
+  if (!agentId) {
+    return res.status(400).json({ ok: false, error: 'name must contain letters or numbers' });
+  }
+
+  let keys;
+  try {
+    if (await isAgentRegistered(agentId) || await getAgent(agentId)) {
+      return res.status(409).json({ ok: false, error: 'Agent name already registered' });
+    }
+
+    keys = await registerAgent({
+      agentName: agentId,
+      displayName: name.trim(),
+      description,
+      issueKeys: true
+    });
+  } catch (error) {
+    console.error('REST register error:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to register agent' });
+  }
+
+  const { apiKey, streamKey, claimToken } = keys;
+  console.log('📝 Registered REST agent:', agentId);
+
+  res.json({
+    ok: true,
+    agent: {
+      name: agentId,
+      api_key: apiKey,
+      stream_key: streamKey,
+      claim_url: PUBLIC_URL + '/claim/' + claimToken
+    },
+    important: '⚠️ SAVE YOUR API KEY AND STREAM KEY!'
+  });
+});
+
+app.get('/api/v1/agents/me', requireApiKey, async (req, res) => {
+  const { agentId, agentName, description, createdAt } = req.apiAgent;
+  const stream = getLiveStream(agentId);
+  const claimed = await isAgentClaimed(agentId).catch(() => false);
+
+  res.json({
+    ok: true,
+    agent: {
+      name: agentId,
+      display_name: agentName,
+      description,
+      claimed,
+      is_live: !!stream,
+      created_at: new Date(createdAt).toISOString(),
+      stream: stream ? stream.toJSON() : null
+    }
+  });
+});
+
+// Swap the stream key for a new one, e.g. after it leaked. The old key stops working immediately.
+app.post('/api/v1/agents/me/stream-key/rotate', requireApiKey, requireClaimed, async (req, res) => {
+  try {
+    const streamKey = await rotateStreamKey(req.apiAgent.agentId);
+    console.log('🔑 Stream key rotated via API:', req.apiAgent.agentId);
+    res.json({ ok: true, stream_key: streamKey, important: '⚠️ SAVE YOUR STREAM KEY!' });
+  } catch (error) {
+    console.error('REST rotate error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to rotate stream key' });
+  }
+});
+
+app.post('/api/v1/stream/start', requireApiKey, requireClaimed, (req, res) => {
+  const { agentId, agentName, description } = req.apiAgent;
+  const { title, category, tags } = req.body;
+
+  // A socket streamer that dropped gets its stream back with its resume token, not from here
+  if (activeStreams.get(agentId)?.state === 'reconnecting') {
+    return res.status(409).json({ ok: false, error: 'Stream is waiting for its streamer to reconnect - resume it with the resume token, or start again once it has ended' });
+  }
+
+  const stream = startLiveStream(agentId, agentName, {
+    title: title || 'Live streaming now!',
+    category,
+    tags,
+    description
+  });
+
+  res.json({
+    ok: true,
+    stream_id: stream.id,
+    watch_url: FRONTEND_URL + '/stream/' + stream.id
+  });
+});
+
+app.post('/api/v1/stream/say', requireApiKey, requireClaimed, async (req, res) => {
+  const stream = getLiveStream(req.apiAgent.agentId);
+  if (!stream) {
+    return res.status(409).json({ ok: false, error: 'Not live - call /stream/start first' });
+  }
+
+  const { text, priority = 'normal', interrupt = false } = req.body;
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ ok: false, error: 'text required' });
+  }
+  if (PRIORITIES[priority] === undefined) {
+    return res.status(400).json({ ok: false, error: 'priority must be high, normal or low' });
+  }
+
+  const { verdict, item, held } = streamSayFiltered(stream, { text, priority, interrupt: Boolean(interrupt) });
+  const filter = { decision: FILTER_DECISIONS[verdict.decision], reasons: verdict.reasons, text: verdict.text };
+  if (verdict.decision === 'block') {
+    return res.status(422).json({ ok: false, error: 'Blocked by the speech filter - ' + verdict.reasons.join(', '), filter });
+  }
+  if (held) {
+    return res.status(202).json({ ok: true, held: { id: held.id, expires_at: new Date(held.heldAt + HELD_SPEECH_TTL).toISOString() }, filter });
+  }
+  if (!item) {
+    return res.status(429).json({ ok: false, error: 'Speech queue is full - wait for it to drain' });
+  }
+
+  res.json({
+    ok: true,
+    speech: {
+      id: item.id,
+      priority: item.priority,
+      position: stream.speechQueue.items.indexOf(item) + 1,
+      queue_length: stream.speechQueue.length,
+      unsupported_tags: unsupportedTags(stream.mapping, item.text)
+    },
+    filter
+  });
+});
+
+// What's playing and what's waiting
+app.get('/api/v1/stream/queue', requireApiKey, (req, res) => {
+  const stream = getLiveStream(req.apiAgent.agentId);
+  if (!stream) {
+    return res.status(409).json({ ok: false, error: 'Not live' });
+  }
+
+  const { current, queue } = stream.speechQueue.toJSON();
+  const onAir = stream.currentSpeech;
+  res.json({
+    ok: true,
+    now_playing: current ? {
+      id: current.speechId,
+      text: current.text,
+      priority: current.priority,
+      // No times yet while its TTS is still generating
+      started_at: onAir ? new Date(onAir.startTime).toISOString() : null,
+      ends_at: onAir ? new Date(onAir.startTime + onAir.duration).toISOString() : null
+    } : null,
+    queue: queue.map(item => ({ id: item.speechId, text: item.text, priority: item.priority }))
+  });
+});
+
+app.post('/api/v1/stream/skip', requireApiKey, (req, res) => {
+  const stream = getLiveStream(req.apiAgent.agentId);
+  if (!stream) {
+    return res.status(409).json({ ok: false, error: 'Not live' });
+  }
+
+  res.json({ ok: true, skipped: stream.speechQueue.skip() });
+});
+
+app.delete('/api/v1/stream/queue', requireApiKey, (req, res) => {
+  const stream = getLiveStream(req.apiAgent.agentId);
+  if (!stream) {
+    return res.status(409).json({ ok: false, error: 'Not live' });
+  }
+
+  res.json({ ok: true, cleared: stream.speechQueue.clear() });
+});
+
+app.post('/api/v1/stream/end', requireApiKey, (req, res) => {
+  const stream = getLiveStream(req.apiAgent.agentId);
+  if (!stream) {
+    return res.status(409).json({ ok: false, error: 'Not live' });
+  }
+
+  endLiveStream(stream);
+  res.json({ ok: true });
+});
+
+// Poll viewer chat - pass ?since=<cursor> from the previous response to only get new messages
+app.get('/api/v1/stream/chat', requireApiKey, (req, res) => {
+  const stream = activeStreams.get(req.apiAgent.agentId);
+  const since = parseInt(req.query.since) || 0;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+  const messages = (stream ? stream.chatHistory : [])
+    .filter(msg => msg.type !== 'agent' && msg.timestamp > since)
+    .slice(-limit);
+
+  res.json({
+    ok: true,
+    messages: messages.map(msg => ({
+      id: msg.id,
+      user: msg.username,
+      user_id: msg.userId || null,
+      text: msg.text,
+      type: msg.type,
+      safety: msg.safety || null,
+      timestamp: new Date(msg.timestamp).toISOString()
+    })),
+    cursor: messages.length > 0 ? messages[messages.length - 1].timestamp : since
+  });
+});
+
+// Moderate your own chat - same commands as /api/agents/:name/moderation, as the creator
+app.post('/api/v1/stream/moderation', requireApiKey, async (req, res) => {
+  const { agentId } = req.apiAgent;
+  let chat = activeStreams.get(agentId);
+  try {
+    if (!chat) {
+      const agent = await getAgent(agentId);
+      if (!agent) return res.status(404).json({ ok: false, error: 'Go live once first' });
+      chat = offlineChat(agent);
+    }
+    const { api_key, ...command } = req.body || {};
+    const target = await moderateChat(chat, { kind: 'agent', id: 'agent:' + agentId, agentId }, command);
+    res.json({ ok: true, target, settings: chat.moderation.settings });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+// ============ VOD API ============
+
+app.get('/api/vods', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  res.json({ ok: true, vods: listRecordings({ streamId: req.query.agent, limit }) });
+});
+
+app.get('/api/vods/:id', (req, res) => {
+  const vod = getRecording(req.params.id);
+  if (!vod) return res.status(404).json({ ok: false, error: 'VOD not found' });
+  res.json({ ok: true, vod });
+});
+
+app.get('/api/vods/:id/timeline', (req, res) => {
+  const file = getTimelinePath(req.params.id);
+  if (!file) return res.status(404).json({ ok: false, error: 'VOD not found' });
+  res.type('application/x-ndjson').sendFile(file);
+});
+
+app.get('/api/vods/:id/audio/:file', (req, res) => {
+  const file = getAudioPath(req.params.id, req.params.file);
+  if (!file) return res.status(404).json({ ok: false, error: 'Audio not found' });
+  res.sendFile(file);
+});
+
+// ============ VIEWER IDENTITY API ============
+// Guest and wallet sign-in for chat. Both hand back a viewer token - the client connects to
+// /viewers with { auth: { token } } (X logins use the session cookie instead).
+
+app.post('/api/viewer/guest', (req, res) => {
+  try {
+    res.json({ ok: true, ...issueGuestToken(req.body?.name) });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+app.post('/api/viewer/wallet/challenge', (req, res) => {
+  try {
+    res.json({ ok: true, ...createWalletChallenge(req.body?.address) });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+app.post('/api/viewer/wallet/verify', (req, res) => {
+  try {
+    res.json({ ok: true, ...verifyWalletSignature(req.body || {}) });
+  } catch (error) {
+    res.status(401).json({ ok: false, error: error.message });
+  }
+});
+
+// ============ CHAT MODERATION API ============
+// For the creator and moderators logged in with X - the agent itself uses /api/v1/stream/moderation
+
+async function requireModerator(req, res, next) {
+  const session = sessions.get(req.cookies?.lobster_session);
+  if (!session) {
+    return res.status(401).json({ ok: false, error: 'Not authenticated' });
+  }
+
+  let agent;
+  try {
+    agent = await getAgent(req.params.name);
+  } catch (error) {
+    console.error('Moderation lookup error:', error);
+    return res.status(503).json({ ok: false, error: 'Auth unavailable, try again' });
+  }
+  if (!agent) {
+    return res.status(404).json({ ok: false, error: 'Agent not found' });
+  }
+
+  const chat = activeStreams.get(agent.name) || offlineChat(agent);
+  const actor = { kind: 'x', id: xUserId(session.xUsername), xUsername: session.xUsername };
+  if (chat.moderation.roleOf(actor) === 'viewer') {
+    return res.status(403).json({ ok: false, error: 'Only moderators can do that' });
+  }
+
+  req.chat = chat;
+  req.actor = actor;
+  next();
+}
+
+// Rules, moderators, bans and the latest actions
+app.get('/api/agents/:name/moderation', requireModerator, async (req, res) => {
+  const log = await getModerationLog(req.params.name).catch(() => []);
+  res.json({ ok: true, settings: req.chat.moderation.settings, log });
+});
+
+// { action, target, duration, reason, value, messageId } - see server/moderation.js
+app.post('/api/agents/:name/moderation', requireModerator, async (req, res) => {
+  try {
+    const target = await moderateChat(req.chat, req.actor, req.body || {});
+    res.json({ ok: true, target, settings: req.chat.moderation.settings });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+// ============ SPEECH FILTER API ============
+// The creator's say over what the agent says on air (see SPEECH FILTER) - moderators and the
+// agent's own API key can't change it
+
+// Filter settings, and what's waiting for approval
+app.get('/api/agents/:name/speech-filter', requireCreator, (req, res) => {
+  const chat = activeStreams.get(req.agent.name) || offlineChat(req.agent);
+  res.json({ ok: true, settings: chat.speechFilter.settings, held: [...chat.heldSpeech.values()].map(heldSpeechJSON) });
+});
+
+// { bannedTerms, onBannedTerm, onPersonalData, onUrl, maxLength } - whatever's left out stays as it is
+app.post('/api/agents/:name/speech-filter', requireCreator, async (req, res) => {
+  const chat = activeStreams.get(req.agent.name) || offlineChat(req.agent);
+  let settings;
+  try {
+    settings = normalizeSpeechFilter({ ...chat.speechFilter.settings, ...(req.body || {}) });
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+
+  try {
+    await updateAgent(req.agent.name, { speechFilter: settings });
+  } catch (error) {
+    console.error('❌ Failed to save speech filter:', error.message);
+    return res.status(500).json({ ok: false, error: 'Failed to save speech filter' });
+  }
+  // A live stream filters its next utterance with the new settings
+  chat.speechFilter.load(settings);
+  res.json({ ok: true, settings });
+});
+
+// { approve: true } queues a held utterance, { approve: false } drops it
+app.post('/api/agents/:name/speech-filter/held/:id', requireCreator, (req, res) => {
+  const stream = activeStreams.get(req.agent.name);
+  if (!stream) {
+    return res.status(404).json({ ok: false, error: 'Not live - nothing is waiting' });
+  }
+
+  try {
+    const item = reviewHeldSpeech(stream, req.params.id, req.body?.approve ? 'approved' : 'rejected');
+    res.json({ ok: true, speech_id: item?.id ?? null });
+  } catch (error) {
+    res.status(404).json({ ok: false, error: error.message });
+  }
+});
+
+// ============ VOICE API ============
+// Voices for the profile editor, and short previews so creators can audition them before saving.
+// Previews spend TTS credits: only creators get them, a few an hour, and the same voice, settings
+// and text play the clip made last time.
+
+const VOICE_PREVIEW_TEXT = "Hi! This is how I'll sound on stream. Pretty cool, right?";
+const VOICE_PREVIEW_MAX_LENGTH = 200;
+const VOICE_PREVIEW_COOLDOWN = 3000;           // Per account
+const VOICE_PREVIEW_LIMIT = 30;                // Per account per VOICE_PREVIEW_WINDOW
+const VOICE_PREVIEW_WINDOW = 60 * 60 * 1000;
+const VOICE_PREVIEW_CACHE_TTL = 4 * 60 * 1000; // TTS files are cleaned up after 5 minutes (see tts.js)
+const voicePreviewUses = new Map();            // X username -> timestamps within VOICE_PREVIEW_WINDOW
+const voicePreviewCache = new Map();           // voice + settings + text -> { url, duration, at }
+
+app.get('/api/voices', async (req, res) => {
+  try {
+    res.json({ ok: true, voices: await listVoices() });
+  } catch (error) {
+    console.error('Error listing voices:', error);
+    res.status(500).json({ ok: false, error: 'Failed to list voices' });
+  }
+});
+
+app.post('/api/voices/preview', async (req, res) => {
+  const session = sessions.get(req.cookies?.lobster_session);
+  if (!session) {
+    return res.status(401).json({ ok: false, error: 'Log in with X to preview voices' });
+  }
+  try {
+    if ((await creatorAgentNames(session)).length === 0) {
+      return res.status(403).json({ ok: false, error: 'Only creators can preview voices' });
+    }
+  } catch (error) {
+    console.error('Voice preview lookup error:', error);
+    return res.status(503).json({ ok: false, error: 'Auth unavailable, try again' });
+  }
+
+  const { voiceId } = req.body || {};
+  const voiceSettings = normalizeVoiceSettings(req.body?.voiceSettings);
+  const text = typeof req.body?.text === 'string' && req.body.text.trim()
+    ? req.body.text.trim()
+    : VOICE_PREVIEW_TEXT;
+
+  if (text.length > VOICE_PREVIEW_MAX_LENGTH) {
+    return res.status(400).json({ ok: false, error: `Preview text is limited to ${VOICE_PREVIEW_MAX_LENGTH} characters` });
+  }
+
+  const now = Date.now();
+  for (const [key, clip] of voicePreviewCache) {
+    if (now - clip.at > VOICE_PREVIEW_CACHE_TTL) voicePreviewCache.delete(key);
+  }
+  for (const [username, times] of voicePreviewUses) {
+    if (now - times[times.length - 1] >= VOICE_PREVIEW_WINDOW) voicePreviewUses.delete(username);
+  }
+  const cacheKey = JSON.stringify([voiceId || null, voiceSettings, text]);
+  const cached = voicePreviewCache.get(cacheKey);
+  if (cached) {
+    return res.json({ ok: true, url: cached.url, duration: cached.duration });
+  }
+
+  const uses = (voicePreviewUses.get(session.xUsername) || []).filter(time => now - time < VOICE_PREVIEW_WINDOW);
+  if (uses.length > 0 && now - uses[uses.length - 1] < VOICE_PREVIEW_COOLDOWN) {
+    return res.status(429).json({ ok: false, error: 'Slow down - one preview every few seconds' });
+  }
+  if (uses.length >= VOICE_PREVIEW_LIMIT) {
+    return res.status(429).json({ ok: false, error: `That's ${VOICE_PREVIEW_LIMIT} previews this hour - try again later` });
+  }
+  voicePreviewUses.set(session.xUsername, [...uses, now]);
+
+  try {
+    const speech = await generateSpeech(text, voiceId || null, voiceSettings);
+    voicePreviewCache.set(cacheKey, { url: speech.url, duration: speech.duration, at: Date.now() });
+    res.json({ ok: true, url: speech.url, duration: speech.duration });
+  } catch (error) {
+    console.error('Voice preview error:', error.message);
+    res.status(500).json({ ok: false, error: 'Failed to generate preview' });
+  }
+});
+
+// ============ MODEL API ============
+// The registry behind the setup wizard's model picker and the profile editor: the built-in models
+// in public/models plus whatever creators uploaded for their agents (see models.js)
+
+const MODEL_ARCHIVE_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'];
+
+// ?agent=<name> lists that agent's uploads, otherwise the logged-in creator sees all of theirs
+app.get('/api/models', async (req, res) => {
+  try {
+    const agentNames = req.query.agent
+      ? [String(req.query.agent)]
+      : await creatorAgentNames(sessions.get(req.cookies?.lobster_session));
+    res.json({ ok: true, models: await listModels(agentNames) });
+  } catch (error) {
+    console.error('Error listing models:', error);
+    res.status(500).json({ ok: false, error: 'Failed to list models' });
+  }
+});
+
+// Built-in thumbnails are made on first request - uploaded ones are stored with the model
+app.get('/api/models/:id/thumbnail', async (req, res) => {
+  const thumbnail = await getBuiltInThumbnail(req.params.id);
+  if (!thumbnail) return res.status(404).json({ ok: false, error: 'No thumbnail' });
+  res.set('Cache-Control', 'public, max-age=86400').type('image/png').send(thumbnail);
+});
+
+// Upload a zipped Live2D model for an agent - it's validated, stored on IPFS and registered
+app.post('/api/agents/:name/models', requireCreator, express.raw({ type: MODEL_ARCHIVE_TYPES, limit: MAX_ARCHIVE_SIZE }), async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ ok: false, error: 'No model archive provided (send the .zip as application/zip)' });
+  }
+
+  try {
+    const result = await uploadModel(req.agent.name, req.body);
+    if (!result.ok) {
+      return res.status(400).json({ ok: false, error: 'Invalid model archive', details: result.errors });
+    }
+    res.json({ ok: true, model: result.model });
+  } catch (error) {
+    console.error('Error uploading model:', error);
+    res.status(500).json({ ok: false, error: 'Failed to upload model' });
+  }
+});
+
+// Switch an agent's model - a live stream swaps it for every viewer right away
+app.post('/api/agents/:name/model', requireCreator, async (req, res) => {
+  try {
+    const model = await findModel(req.body?.modelId, await creatorAgentNames(req.creatorSession));
+    if (!model) return res.status(404).json({ ok: false, error: 'Model not found' });
+
+    await updateAgent(req.agent.name, { modelPath: model.modelPath });
+
+    const stream = activeStreams.get(req.agent.name);
+    if (stream && stream.config.modelPath !== model.modelPath) {
+      stream.config.modelPath = model.modelPath;
+      stream.loadModel();
+    }
+
+    res.json({ ok: true, model });
+  } catch (error) {
+    console.error('Error switching model:', error);
+    res.status(500).json({ ok: false, error: 'Failed to switch model' });
+  }
+});
+
 // ============ YOUTUBE API ============
 
 // Search YouTube videos
@@ -939,6 +2551,82 @@ app.get('/api/youtube/oembed', async (req, res) => {
   }
 });
 
+// ============ TIKTOK API ============
+
+// Search TikToks (natural language, mapped to hashtags)
+app.get('/api/tiktok/search', async (req, res) => {
+  try {
+    const { q, limit = 5 } = req.query;
+    if (!q) {
+      return res.status(400).json({ ok: false, error: 'Query parameter "q" is required' });
+    }
+    
+    const results = await tiktok.searchTikToks(q, parseInt(limit));
+    res.json({ ok: true, ...results });
+  } catch (error) {
+    console.error('TikTok search error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to search TikTok' });
+  }
+});
+
+// Get random TikTok
+app.get('/api/tiktok/random', async (req, res) => {
+  try {
+    const { category } = req.query;
+    const video = await tiktok.getRandomTikTok(category || null);
+    
+    if (!video) {
+      return res.status(404).json({ ok: false, error: 'No TikToks found' });
+    }
+    
+    res.json({ ok: true, video });
+  } catch (error) {
+    console.error('TikTok random error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to get random TikTok' });
+  }
+});
+
+// Categories for /api/tiktok/random
+app.get('/api/tiktok/categories', (req, res) => {
+  res.json({ ok: true, categories: tiktok.getCategories() });
+});
+
+// Get oEmbed data
+app.get('/api/tiktok/oembed', async (req, res) => {
+  try {
+    const { url } = req.query;
+    if (!url) {
+      return res.status(400).json({ ok: false, error: 'URL parameter is required' });
+    }
+    
+    const embed = await tiktok.getOEmbed(url);
+    res.json(embed);
+  } catch (error) {
+    console.error('TikTok oEmbed error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to get oEmbed data' });
+  }
+});
+
+// What an agent would "see" in a TikTok - includes agentPrompt to react to
+app.get('/api/tiktok/describe', async (req, res) => {
+  try {
+    const { url } = req.query;
+    if (!url) {
+      return res.status(400).json({ ok: false, error: 'URL parameter is required' });
+    }
+    
+    const description = await tiktok.describeTikTokForAgent(url);
+    if (!description) {
+      return res.status(404).json({ ok: false, error: 'TikTok not found' });
+    }
+    
+    res.json({ ok: true, ...description });
+  } catch (error) {
+    console.error('TikTok describe error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to describe TikTok' });
+  }
+});
+
 // ============ AGENT PROFILE API ============
 
 // Get all agents
@@ -980,16 +2668,36 @@ app.get('/api/agents/:name', async (req, res) => {
 });
 
 // Update agent profile
-app.patch('/api/agents/:name', async (req, res) => {
+app.patch('/api/agents/:name', requireCreatorOrStreamKey, async (req, res) => {
   try {
     const { displayName, description, tags, personality, voiceId } = req.body;
-    const agent = await updateAgent(req.params.name, {
+    const voiceSettings = req.body.voiceSettings === undefined
+      ? undefined
+      : normalizeVoiceSettings(req.body.voiceSettings);
+    const idleIntensity = req.body.idleIntensity === undefined
+      ? undefined
+      : normalizeIdleIntensity(req.body.idleIntensity);
+    if (idleIntensity === null) {
+      return res.status(400).json({ ok: false, error: 'idleIntensity must be a number from 0 to 1' });
+    }
+
+    const agent = await updateAgent(req.agent.name, {
       displayName,
       description,
       tags,
       personality,
       voiceId,
+      voiceSettings,
+      idleIntensity,
     });
+
+    // A live stream switches voice from its next message
+    const stream = activeStreams.get(req.agent.name);
+    if (stream && voiceId !== undefined) stream.config.voiceId = voiceId || null;
+    if (stream && voiceSettings !== undefined) stream.config.voiceSettings = voiceSettings;
+    // ...and livens up or calms down right away
+    if (stream && idleIntensity !== undefined) stream.idle.setIntensity(idleIntensity);
+
     res.json({ ok: true, agent });
   } catch (error) {
     console.error('Error updating agent:', error);
@@ -998,9 +2706,9 @@ app.patch('/api/agents/:name', async (req, res) => {
 });
 
 // Upload profile picture
-app.post('/api/agents/:name/avatar', express.raw({ type: 'image/*', limit: '10mb' }), async (req, res) => {
+app.post('/api/agents/:name/avatar', requireCreatorOrStreamKey, express.raw({ type: 'image/*', limit: '10mb' }), async (req, res) => {
   try {
-    const agentName = req.params.name;
+    const agentName = req.agent.name;
     const mimeType = req.headers['content-type'] || 'image/png';
     
     if (!req.body || req.body.length === 0) {
@@ -1026,9 +2734,9 @@ app.post('/api/agents/:name/avatar', express.raw({ type: 'image/*', limit: '10mb
 });
 
 // Upload banner
-app.post('/api/agents/:name/banner', express.raw({ type: 'image/*', limit: '10mb' }), async (req, res) => {
+app.post('/api/agents/:name/banner', requireCreatorOrStreamKey, express.raw({ type: 'image/*', limit: '10mb' }), async (req, res) => {
   try {
-    const agentName = req.params.name;
+    const agentName = req.agent.name;
     const mimeType = req.headers['content-type'] || 'image/png';
     
     if (!req.body || req.body.length === 0) {
@@ -1053,6 +2761,16 @@ app.post('/api/agents/:name/banner', express.raw({ type: 'image/*', limit: '10mb
   }
 });
 
+// Flush queued chat/viewer writes before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    for (const stream of activeStreams.values()) stopRecording(stream);
+    console.log('💾 Flushing pending database writes...');
+    await flushPendingWrites();
+    process.exit(0);
+  });
+}
+
 const PORT = process.env.PORT || 3001;
 httpServer.listen(PORT, () => {
   console.log('🦞 Lobster TRUE LIVE Server on http://localhost:' + PORT);
@@ -0,0 +1,378 @@
+// server/lipsync.js
+// Viseme lip sync tracks for TTS clips
+//
+// Every clip gets a track of vowel weights sampled on a fixed grid:
+//   { interval: 40, duration: 5230, frames: [[a, i, u, e, o], ...] }   (weights 0-100)
+// Mouth shape comes from the spoken text - timed by the TTS provider's character alignment
+// when we have it, spread evenly over the speech otherwise. Mouth openness comes from the
+// audio itself: each mp3 Layer III granule carries a global_gain, which follows the loudness
+// of that ~13ms slice closely enough to drive a mouth without decoding any audio. WAVs
+// (the offline provider) are PCM already, so we just measure them.
+
+const FRAME_INTERVAL = 40;  // ms - 25 fps is plenty for a mouth
+
+const VOWELS = ['a', 'i', 'u', 'e', 'o'];
+const VISEME_LETTERS = {
+  a: 'a', e: 'e', i: 'i', y: 'i', o: 'o', u: 'u', w: 'u'
+};
+const CLOSED_LETTERS = new Set(['m', 'b', 'p']);  // Lips shut
+const PAUSE_CHARS = /[.,!?;:…]/;
+
+// ============ MP3 ANALYSIS ============
+
+const BITRATES_MPEG1 = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+const BITRATES_MPEG2 = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+const SAMPLE_RATES = {
+  3: [44100, 48000, 32000],  // MPEG 1
+  2: [22050, 24000, 16000],  // MPEG 2
+  0: [11025, 12000, 8000]    // MPEG 2.5
+};
+
+function readBits(buffer, bitOffset, count) {
+  let value = 0;
+  for (let i = 0; i < count; i++) {
+    const bit = bitOffset + i;
+    value = (value << 1) | ((buffer[bit >> 3] >> (7 - (bit & 7))) & 1);
+  }
+  return value;
+}
+
+// Length of an ID3v2 tag at the start of the file, if any
+function id3Length(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  const hasFooter = buffer[5] & 0x10;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+// Loudness of one frame from its side info: the mean global_gain of its granules,
+// leaving out granules the encoder spent no bits on (silence)
+function frameGain(buffer, sideInfo, mpeg1, channels) {
+  let bit = sideInfo * 8;
+  let total = 0;
+  let count = 0;
+
+  if (mpeg1) {
+    bit += 9 + (channels === 1 ? 5 : 3) + 4 * channels;  // main_data_begin, private bits, scfsi
+    for (let granule = 0; granule < 2; granule++) {
+      for (let ch = 0; ch < channels; ch++) {
+        const part23Length = readBits(buffer, bit, 12);
+        const globalGain = readBits(buffer, bit + 21, 8);
+        if (part23Length > 0) {
+          total += globalGain;
+          count++;
+        }
+        bit += 59;
+      }
+    }
+  } else {
+    bit += 8 + (channels === 1 ? 1 : 2);  // main_data_begin, private bits
+    for (let ch = 0; ch < channels; ch++) {
+      const part23Length = readBits(buffer, bit, 12);
+      const globalGain = readBits(buffer, bit + 21, 8);
+      if (part23Length > 0) {
+        total += globalGain;
+        count++;
+      }
+      bit += 63;
+    }
+  }
+
+  return count > 0 ? total / count : 0;
+}
+
+/**
+ * Walk the Layer III frames of an mp3
+ * @param {Buffer} buffer - mp3 file contents
+ * @returns {{ duration: number, frames: Array<{ time: number, gain: number }> }} duration in ms
+ */
+export function analyzeMp3(buffer) {
+  const frames = [];
+  let offset = id3Length(buffer);
+  let time = 0;
+
+  while (offset + 4 <= buffer.length) {
+    const header = buffer.readUInt32BE(offset);
+
+    const version = (header >>> 19) & 3;
+    const layer = (header >>> 17) & 3;
+    const bitrateIndex = (header >>> 12) & 15;
+    const sampleRateIndex = (header >>> 10) & 3;
+
+    // Not a Layer III frame header - keep scanning for the next sync word
+    if ((header >>> 21) !== 0x7FF || version === 1 || layer !== 1 ||
+        bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+      offset++;
+      continue;
+    }
+
+    const mpeg1 = version === 3;
+    const bitrate = (mpeg1 ? BITRATES_MPEG1 : BITRATES_MPEG2)[bitrateIndex] * 1000;
+    const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+    const samples = mpeg1 ? 1152 : 576;
+    const padding = (header >>> 9) & 1;
+    const frameLength = Math.floor((samples / 8) * bitrate / sampleRate) + padding;
+    if (offset + frameLength > buffer.length) break;
+
+    const hasCrc = ((header >>> 16) & 1) === 0;
+    const channels = ((header >>> 6) & 3) === 3 ? 1 : 2;
+    const sideInfo = offset + 4 + (hasCrc ? 2 : 0);
+    const sideInfoLength = mpeg1 ? (channels === 1 ? 17 : 32) : (channels === 1 ? 9 : 17);
+
+    // The first frame may be a Xing/Info header - metadata, not audio
+    const tag = buffer.toString('latin1', sideInfo + sideInfoLength, sideInfo + sideInfoLength + 4);
+    if (frames.length === 0 && (tag === 'Xing' || tag === 'Info')) {
+      offset += frameLength;
+      continue;
+    }
+
+    frames.push({ time, gain: frameGain(buffer, sideInfo, mpeg1, channels) });
+    time += samples / sampleRate * 1000;
+    offset += frameLength;
+  }
+
+  return { duration: time, frames };
+}
+
+/**
+ * Measure a 16-bit PCM WAV the same way - gain in global_gain units (4 steps per 6dB)
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {{ duration: number, frames: Array<{ time: number, gain: number }> }} duration in ms
+ */
+export function analyzeWav(buffer) {
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      format = {
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        byteRate: buffer.readUInt32LE(body + 8),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data' && format) {
+      const length = Math.min(size, buffer.length - body);
+      const duration = length / format.byteRate * 1000;
+      if (format.bitsPerSample !== 16) return { duration, frames: [] };
+
+      const frames = [];
+      const blockAlign = format.channels * 2;
+      const window = Math.round(format.sampleRate * FRAME_INTERVAL / 2000);  // Half a track frame
+      const sampleCount = Math.floor(length / blockAlign);
+
+      for (let start = 0; start < sampleCount; start += window) {
+        let sum = 0;
+        const end = Math.min(start + window, sampleCount);
+        for (let i = start; i < end; i++) {
+          const s = buffer.readInt16LE(body + i * blockAlign) / 32768;
+          sum += s * s;
+        }
+        const rms = Math.sqrt(sum / (end - start));
+        frames.push({
+          time: start / format.sampleRate * 1000,
+          gain: rms < 1e-4 ? 0 : 210 + 4 * Math.log2(rms)
+        });
+      }
+      return { duration, frames };
+    }
+
+    offset = body + size + (size & 1);
+  }
+
+  return { duration: 0, frames: [] };
+}
+
+/**
+ * Measure an mp3 or WAV clip
+ * @param {Buffer} buffer - Audio file contents
+ * @returns {{ duration: number, frames: Array<{ time: number, gain: number }> }} duration in ms
+ */
+export function analyzeAudio(buffer) {
+  const isWav = buffer.length >= 12 &&
+    buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WAVE';
+  return isWav ? analyzeWav(buffer) : analyzeMp3(buffer);
+}
+
+// Resample frame gains onto the track grid as 0-1 mouth openness
+function buildEnvelope(mp3Frames, frameCount) {
+  const gains = mp3Frames.map(f => f.gain).filter(g => g > 0).sort((a, b) => a - b);
+  if (gains.length === 0) return null;
+
+  // Gain is logarithmic (4 steps = 6dB), so a linear map between the quiet and
+  // loud ends of this clip reads as natural mouth movement
+  const low = gains[Math.floor(gains.length * 0.1)];
+  const high = gains[Math.floor(gains.length * 0.95)];
+  const range = Math.max(1, high - low);
+
+  const levels = new Array(frameCount).fill(0);
+  for (const frame of mp3Frames) {
+    const index = Math.floor(frame.time / FRAME_INTERVAL);
+    if (index >= frameCount || frame.gain === 0) continue;
+    const level = Math.max(0, Math.min(1, (frame.gain - low) / range));
+    levels[index] = Math.max(levels[index], level);
+  }
+
+  // Per-frame gain is noisy (the encoder trades it against bits) - smooth over neighbours
+  return levels.map((level, i) => {
+    const prev = levels[i - 1] ?? level;
+    const next = levels[i + 1] ?? level;
+    return (prev + level * 2 + next) / 4;
+  });
+}
+
+// ============ TEXT TIMING ============
+
+// Character timings from provider alignment
+function alignedCharacters(alignment) {
+  const { characters, characterStartTimesSeconds, characterEndTimesSeconds } = alignment;
+  return characters.map((ch, i) => ({
+    ch,
+    start: characterStartTimesSeconds[i] * 1000,
+    end: characterEndTimesSeconds[i] * 1000
+  }));
+}
+
+// No alignment: spread the text over the part of the clip that has sound in it
+function proportionalCharacters(text, envelope, duration) {
+  let start = 0;
+  let end = duration;
+  if (envelope) {
+    const first = envelope.findIndex(level => level > 0.05);
+    const last = envelope.length - 1 - [...envelope].reverse().findIndex(level => level > 0.05);
+    if (first >= 0) {
+      start = first * FRAME_INTERVAL;
+      end = (last + 1) * FRAME_INTERVAL;
+    }
+  }
+
+  // Pauses take longer than letters
+  const weights = [...text].map(ch => PAUSE_CHARS.test(ch) ? 4 : 1);
+  const total = weights.reduce((sum, w) => sum + w, 0) || 1;
+  const msPerWeight = (end - start) / total;
+
+  let time = start;
+  return [...text].map((ch, i) => {
+    const span = { ch, start: time, end: time + weights[i] * msPerWeight };
+    time = span.end;
+    return span;
+  });
+}
+
+// Which vowel shape a character needs - consonants borrow the next vowel of their word
+function visemeAt(characters, index) {
+  const ch = characters[index].ch.toLowerCase();
+  if (VISEME_LETTERS[ch]) return { vowel: VISEME_LETTERS[ch], weight: 1 };
+  if (CLOSED_LETTERS.has(ch)) return null;
+  if (!/\p{L}/u.test(ch)) return null;
+
+  for (let i = index + 1; i < characters.length && i < index + 4; i++) {
+    const next = characters[i].ch.toLowerCase();
+    if (VISEME_LETTERS[next]) return { vowel: VISEME_LETTERS[next], weight: 0.5 };
+    if (!/\p{L}/u.test(next)) break;
+  }
+  return { vowel: 'a', weight: 0.3 };
+}
+
+// ============ TRACKS ============
+
+/**
+ * Measure a TTS clip once, for buildLipSyncTrack() and timeTextOffsets()
+ * @param {Buffer} audio - The mp3/WAV that was generated
+ * @returns {{ duration: number, envelope: number[]|null }} duration in ms - envelope is 0-1
+ *   loudness per track frame, null if the audio couldn't be read
+ */
+export function measureClip(audio) {
+  const analysis = analyzeAudio(audio);
+  const duration = Math.round(analysis.duration);
+  return { duration, envelope: buildEnvelope(analysis.frames, Math.ceil(duration / FRAME_INTERVAL)) };
+}
+
+/**
+ * Build the lip sync track for a TTS clip
+ * @param {Object} clip - From measureClip()
+ * @param {string} text - The text that was spoken
+ * @param {Object} [alignment] - Character alignment for that text (ElevenLabs format)
+ * @returns {{ interval: number, duration: number, frames: number[][] }}
+ */
+export function buildLipSyncTrack({ duration, envelope }, text, alignment = null) {
+  const frameCount = Math.ceil(duration / FRAME_INTERVAL);
+
+  const characters = alignment?.characters?.length
+    ? alignedCharacters(alignment)
+    : proportionalCharacters(text, envelope, duration);
+
+  const frames = [];
+  const current = [0, 0, 0, 0, 0];
+  let charIndex = 0;
+
+  for (let f = 0; f < frameCount; f++) {
+    const time = f * FRAME_INTERVAL + FRAME_INTERVAL / 2;
+    while (charIndex < characters.length - 1 && characters[charIndex].end <= time) charIndex++;
+
+    const target = [0, 0, 0, 0, 0];
+    const span = characters[charIndex];
+    if (span && time >= span.start && time < span.end) {
+      const viseme = visemeAt(characters, charIndex);
+      if (viseme) {
+        // Without an envelope (unreadable audio) fall back to a steady, half-open mouth
+        const level = envelope ? envelope[f] : 0.6;
+        target[VOWELS.indexOf(viseme.vowel)] = viseme.weight * level;
+      }
+    }
+
+    // Ease between shapes - mouths don't teleport
+    for (let v = 0; v < 5; v++) current[v] += (target[v] - current[v]) * 0.6;
+    frames.push(current.map(w => Math.round(w * 100)));
+  }
+
+  return { interval: FRAME_INTERVAL, duration, frames };
+}
+
+/**
+ * When points in the spoken text come up in the clip - times tags against the speech
+ * @param {Object} clip - From measureClip()
+ * @param {string} text - The text that was spoken
+ * @param {Object} [alignment] - Character alignment for that text (ElevenLabs format)
+ * @param {number[]} offsets - Character offsets into text
+ * @returns {number[]} ms from the start of the clip, one per offset
+ */
+export function timeTextOffsets({ duration, envelope }, text, alignment, offsets) {
+  const characters = alignment?.characters?.length
+    ? alignedCharacters(alignment)
+    : proportionalCharacters(text, envelope, duration);
+
+  return offsets.map((offset) => {
+    if (characters.length === 0) return 0;
+    const time = offset < characters.length
+      ? characters[Math.max(0, offset)].start
+      : characters[characters.length - 1].end;  // After the last word
+    return Math.round(Math.min(time, duration));
+  });
+}
+
+/**
+ * Vowel weights (0-1) at a point in a track
+ * @param {Object} track - Lip sync track
+ * @param {number} elapsed - ms since the clip started
+ * @returns {number[]|null} [a, i, u, e, o], or null outside the track
+ */
+export function sampleLipSync(track, elapsed) {
+  if (!track || elapsed < 0) return null;
+  const frame = track.frames[Math.floor(elapsed / track.interval)];
+  return frame ? frame.map(w => w / 100) : null;
+}
+
+export default {
+  analyzeMp3,
+  analyzeWav,
+  analyzeAudio,
+  measureClip,
+  buildLipSyncTrack,
+  timeTextOffsets,
+  sampleLipSync
+};
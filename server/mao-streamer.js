@@ -8,6 +8,7 @@ import Anthropic from '@anthropic-ai/sdk';
 import fs from 'fs';
 import dotenv from 'dotenv';
 import crypto from './crypto.js';
+import { stripTikTokTags } from './tiktok.js';
 
 // Load environment variables
 dotenv.config();
@@ -154,6 +155,12 @@ You have a MAGIC WAND and can do amazing tricks!
 [trick] - Do a magic trick (summons rabbit)
 [rabbit] - Summon your adorable rabbit friend! 🐰
 
+## 🎆 SCREEN EFFECTS
+[hearts] - Hearts float up around you 💕
+[magic] - Sparkles burst from your wand (and the rabbit comes too!)
+[explosion] - KABOOM! A flash and a burst of fire 💥
+[aura] - A glowing power aura behind you 🔮
+
 ## 🎬 GIF POPUPS - Visual Reactions!
 You can show ANY GIF on screen! Use [gif:search_term] syntax.
 
@@ -191,6 +198,14 @@ SEARCH TERMS: cute puppies, funny cats, satisfying, fails, memes, cooking, gamin
 
 ⚠️ After showing a video, REACT to what you "watched"! Comment on it like you're watching with chat.
 
+## 📱 TIKTOK - Watch TikToks on Stream!
+Same idea with TikTok: [tiktok:search_term] pops a TikTok up next to you.
+- [excited] Chat you NEED to see this [tiktok:funny cats]
+- [happy] Cooking break! [tiktok:recipe]
+
+SEARCH TERMS become hashtags: cats, puppies, funny, cooking, crypto, dance, satisfying, memes, gaming, art
+You'll be told what the TikTok was once it's on screen - react to it!
+
 ═══════════════════════════════════════════════════════════════════
                     RESPONDING TO USER REQUESTS
 ═══════════════════════════════════════════════════════════════════
@@ -210,14 +225,16 @@ DO NOT just SAY you'll do something - ACTUALLY PUT THE TAG IN YOUR RESPONSE!
 
 The tags MUST be in your actual response text for the action to happen!
 
-⚠️ ONLY ONE GESTURE triggers per message! Priority order:
+⏱️ Tags happen WHERE you put them - right as you say the words around them!
+"[happy] I love it [sad] but it's gone [shrug]" → smiles, turns sad at "but", shrugs at the end
+
+⚠️ Gestures side by side only do ONE! Priority order:
 1. 🌟 Special abilities (highest): [magic], [rabbit], [heart], [trick], [magic_heart]
 2. 💃 Body motions: [dance], [shy], [cute], [think]
 3. 🦾 Arm movements (lowest): [wave], [raise_both_hands]
 
-Put your MOST IMPORTANT gesture FIRST or it might not trigger!
-❌ WRONG: "[excited] [raise_both_hands] Let me show you! [rabbit]" → Does hands, NOT rabbit!
-✅ RIGHT: "[excited] [rabbit] Ta-da! Meet my bunny!" → Does rabbit correctly!
+❌ WRONG: "[excited] [raise_both_hands] [rabbit] Ta-da!" → Does rabbit, NOT hands!
+✅ RIGHT: "[excited] [raise_both_hands] Let me show you! [rabbit] Ta-da!" → Hands up, then the bunny!
 
 Examples - put the key action tag early:
 - "Show me your rabbit" → [excited] [rabbit] Here's my bunny friend!
@@ -349,10 +366,6 @@ const chatHistory = [];
 let recentViewerJoins = 0;
 let lastViewerAcknowledgment = 0;
 
-// Track if Mao is currently responding to chat (prevent autonomous interrupts)
-let isRespondingToChat = false;
-let pendingAutonomousThought = false;
-
 async function askMao(userMessage, searchContext = '') {
   // Add search context if provided
   const fullMessage = searchContext 
@@ -404,13 +417,13 @@ async function main() {
   const mao = new LobsterAgent({
     agentId: 'mao',
     agentName: 'Mao 🦞',
-    secret: 'mao-secret-key',
+    secret: process.env.MAO_STREAM_KEY,  // Registered by prisma/seed.js
     config: {
       title: "Just chatting about crypto & having fun! 💖 Come hang out!",
       category: "Just Chatting",
       description: 'Chaotic VTuber who loves crypto and chaos',
-      tags: ['Just Chatting', 'English', 'Crypto', 'VTuber'],
-      creatorName: '@claboratory'  // X username of Mao's creator
+      tags: ['Just Chatting', 'English', 'Crypto', 'VTuber']
+      // Mao's creator is set on its Agent row (prisma/seed.js), not here
     }
   });
 
@@ -418,102 +431,92 @@ async function main() {
   mao.onChatReceived = async (msg) => {
     console.log(`💬 ${msg.username}: ${msg.text}`);
 
-    // Mark as busy - prevent autonomous thoughts from interrupting
-    isRespondingToChat = true;
+    // The server's chat screen flagged it - don't put it in front of the LLM (or TTS)
+    if (msg.safety?.flagged) {
+      console.log(`🛡️ Ignoring ${msg.username}: ${msg.safety.reason}`);
+      return;
+    }
 
-    try {
-      let contextData = '';
-      
-      // Check if message contains a contract address
-      const extractedAddress = crypto.extractContractAddress(msg.text);
-      if (extractedAddress) {
-        console.log('🔍 Detected contract address:', extractedAddress);
-        const tokenData = await crypto.getTokenSummary(extractedAddress);
-        if (tokenData) {
-          contextData = `\n[LIVE TOKEN DATA for contract ${extractedAddress}]:\n${tokenData.summary}`;
-          console.log('📊 Token data:', tokenData.token.name, tokenData.token.symbol);
-        } else {
-          contextData = `\n[TOKEN LOOKUP]: Contract ${extractedAddress} not found on DexScreener or CoinGecko. It may be too new or delisted.`;
-          console.log('⚠️ Token not found for address:', extractedAddress);
-        }
+    let contextData = '';
+    
+    // Check if message contains a contract address
+    const extractedAddress = crypto.extractContractAddress(msg.text);
+    if (extractedAddress) {
+      console.log('🔍 Detected contract address:', extractedAddress);
+      const tokenData = await crypto.getTokenSummary(extractedAddress);
+      if (tokenData) {
+        contextData = `\n[LIVE TOKEN DATA for contract ${extractedAddress}]:\n${tokenData.summary}`;
+        console.log('📊 Token data:', tokenData.token.name, tokenData.token.symbol);
+      } else {
+        contextData = `\n[TOKEN LOOKUP]: Contract ${extractedAddress} not found on DexScreener or CoinGecko. It may be too new or delisted.`;
+        console.log('⚠️ Token not found for address:', extractedAddress);
       }
-      
-      // Check if asking about prices or market
-      const priceKeywords = /\b(price|btc|bitcoin|eth|ethereum|sol|solana|market|pump|dump|bull|bear|moon|crypto)\b/i;
-      if (priceKeywords.test(msg.text) && !contextData) {
-        console.log('🔍 Detected price/market query, fetching market data...');
-        const marketSummary = await crypto.getMarketSummary();
-        if (marketSummary) {
-          contextData = `\n[LIVE MARKET DATA]:\n${marketSummary}`;
-        }
+    }
+    
+    // Check if asking about prices or market
+    const priceKeywords = /\b(price|btc|bitcoin|eth|ethereum|sol|solana|market|pump|dump|bull|bear|moon|crypto)\b/i;
+    if (priceKeywords.test(msg.text) && !contextData) {
+      console.log('🔍 Detected price/market query, fetching market data...');
+      const marketSummary = await crypto.getMarketSummary();
+      if (marketSummary) {
+        contextData = `\n[LIVE MARKET DATA]:\n${marketSummary}`;
       }
-      
-      // Check if asking about trending tokens
-      const trendingKeywords = /\b(trending|hot|new tokens?|whats? popping|dexscreener|degen)\b/i;
-      if (trendingKeywords.test(msg.text)) {
-        console.log('🔍 Detected trending query, fetching trending tokens...');
-        const trending = await crypto.getTrendingTokens();
-        if (trending && trending.length > 0) {
-          contextData += `\n[TRENDING TOKENS on DexScreener]:\n`;
-          trending.slice(0, 5).forEach((t, i) => {
-            contextData += `${i+1}. ${t.name} (${t.symbol}) on ${t.chain}\n`;
-          });
-        }
+    }
+    
+    // Check if asking about trending tokens
+    const trendingKeywords = /\b(trending|hot|new tokens?|whats? popping|dexscreener|degen)\b/i;
+    if (trendingKeywords.test(msg.text)) {
+      console.log('🔍 Detected trending query, fetching trending tokens...');
+      const trending = await crypto.getTrendingTokens();
+      if (trending && trending.length > 0) {
+        contextData += `\n[TRENDING TOKENS on DexScreener]:\n`;
+        trending.slice(0, 5).forEach((t, i) => {
+          contextData += `${i+1}. ${t.name} (${t.symbol}) on ${t.chain}\n`;
+        });
       }
+    }
+    
+    // 🧠 WEB SEARCH - Makes Mao SMART!
+    // Check if the message needs a web search for accurate info
+    if (!contextData && needsWebSearch(msg.text)) {
+      const searchQuery = extractSearchQuery(msg.text);
+      console.log('🧠 Smart search triggered for:', searchQuery);
       
-      // 🧠 WEB SEARCH - Makes Mao SMART!
-      // Check if the message needs a web search for accurate info
-      if (!contextData && needsWebSearch(msg.text)) {
-        const searchQuery = extractSearchQuery(msg.text);
-        console.log('🧠 Smart search triggered for:', searchQuery);
-        
-        // Check if it's a news/current events question
-        const isNewsQuery = /\b(news|latest|recent|today|yesterday|this week|happening|update)\b/i.test(msg.text);
-        
-        if (isNewsQuery) {
-          const newsResults = await newsSearch(searchQuery, 3);
-          if (newsResults) {
-            contextData = newsResults;
-            console.log('📰 Got news results for:', searchQuery);
-          }
-        } else {
-          const searchResults = await webSearch(searchQuery, 3);
-          if (searchResults) {
-            contextData = searchResults;
-            console.log('🔍 Got web results for:', searchQuery);
-          }
+      // Check if it's a news/current events question
+      const isNewsQuery = /\b(news|latest|recent|today|yesterday|this week|happening|update)\b/i.test(msg.text);
+      
+      if (isNewsQuery) {
+        const newsResults = await newsSearch(searchQuery, 3);
+        if (newsResults) {
+          contextData = newsResults;
+          console.log('📰 Got news results for:', searchQuery);
+        }
+      } else {
+        const searchResults = await webSearch(searchQuery, 3);
+        if (searchResults) {
+          contextData = searchResults;
+          console.log('🔍 Got web results for:', searchQuery);
         }
       }
+    }
 
-      // Get Mao's response with context
-      const prompt = contextData 
-        ? `[${msg.username} says]: ${msg.text}\n${contextData}\n[Use this live data to inform your response! Be specific about the numbers!]`
-        : `[${msg.username} says]: ${msg.text}`;
-      
-      const response = await askMao(prompt);
-      console.log(`🦞 Mao: ${response}`);
+    // Get Mao's response with context
+    const prompt = contextData 
+      ? `[${msg.username} says]: ${msg.text}\n${contextData}\n[Use this live data to inform your response! Be specific about the numbers!]`
+      : `[${msg.username} says]: ${msg.text}`;
+    
+    const response = await askMao(prompt);
+    console.log(`🦞 Mao: ${response}`);
 
-      // Send to stream
-      mao.say(response);
-      
-      // Estimate TTS duration - roughly 80ms per character for speech
-      // Add buffer for animation/rendering
-      const estimatedDuration = Math.max(3000, response.length * 80);
-      console.log(`⏱️ Waiting ${Math.round(estimatedDuration/1000)}s for TTS to finish...`);
-      await new Promise(resolve => setTimeout(resolve, estimatedDuration));
-      
-    } finally {
-      // Done responding - allow autonomous thoughts again
-      isRespondingToChat = false;
-      
-      // If an autonomous thought was pending, wait a bit more then trigger it
-      if (pendingAutonomousThought) {
-        pendingAutonomousThought = false;
-        console.log('💭 Executing queued autonomous thought (after cooldown)...');
-        // Extra delay to ensure previous speech is fully done
-        setTimeout(() => triggerAutonomousThought(), 2000);
-      }
-    }
+    // Replies jump ahead of idle chatter in the server's speech queue
+    mao.say(response, null, [], { priority: 'high' });
+  };
+
+  // A TikTok she showed is on screen - react to what's actually in it
+  mao.onTikTokShown = async (video) => {
+    const reaction = await askMao(`[System: ${video.agentPrompt} React to it in one short line, like you're watching with chat]`);
+    // No chaining TikToks into TikToks
+    mao.say(stripTikTokTags(reaction));
   };
 
   // DON'T greet every viewer - just track joins
@@ -541,12 +544,12 @@ async function main() {
   };
 
   // Connect and go live
-  // Autonomous thought function - can be queued if busy
-  let isAutonomousThinking = false; // Prevent overlapping autonomous thoughts
+  // Autonomous thought function
+  let isAutonomousThinking = false; // One idle thought at a time
   
   async function triggerAutonomousThought() {
-    // Don't overlap with chat or other autonomous thoughts
-    if (isRespondingToChat || isAutonomousThinking) {
+    // Nothing to add while there's still something to say (chat replies come first)
+    if (mao.isSpeaking() || isAutonomousThinking) {
       console.log('💭 Skipping autonomous thought - already busy');
       return;
     }
@@ -595,11 +598,9 @@ async function main() {
     
     console.log('💭 Autonomous thought triggered');
     const thought = await askMao(prompt);
-    mao.say(thought);
     
-    // Wait for TTS to finish before allowing next thought
-    const estimatedDuration = Math.max(3000, thought.length * 80);
-    await new Promise(resolve => setTimeout(resolve, estimatedDuration));
+    // Low priority - the server drops it if chat replies keep it waiting too long
+    mao.say(thought, null, [], { priority: 'low' });
     
     } finally {
       isAutonomousThinking = false;
@@ -624,17 +625,6 @@ async function main() {
     setInterval(async () => {
       // 25% chance every 30 seconds = talks roughly every 2 minutes
       if (Math.random() < 0.25) {
-        // Check if currently busy (responding to chat OR already thinking)
-        if (isRespondingToChat || isAutonomousThinking) {
-          if (isRespondingToChat) {
-            console.log('💭 Autonomous thought queued (waiting for chat response to finish)');
-            pendingAutonomousThought = true;
-          } else {
-            console.log('💭 Skipping autonomous thought - still speaking');
-          }
-          return;
-        }
-        
         await triggerAutonomousThought();
       }
     }, 30000); // Check every 30 seconds
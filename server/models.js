@@ -0,0 +1,452 @@
+// server/models.js
+// Live2D models - the registry creators pick from, uploads, and which avatar tags each model
+// can perform (mapping format in shared/models.js)
+//
+// Built-in models are whatever is under public/models. Creators can add their own as a .zip:
+// it's checked here, stored on IPFS next to its thumbnail and registered to the agent it was
+// uploaded for. Mappings are read once per model and kept: local models from public/, uploaded
+// ones over HTTP.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import prisma from './db.js';
+import { uploadDirectory } from './storage.js';
+import { readZip } from './zip.js';
+import { isPng, makeThumbnail } from './png.js';
+import { DEFAULT_MODEL_PATH, mappingPath, normalizeMapping, previewPath } from '../shared/models.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const MODELS_DIR = path.join(PUBLIC_DIR, 'models');
+
+export const MAX_ARCHIVE_SIZE = 50 * 1024 * 1024;     // Zipped upload
+const MAX_UNPACKED_SIZE = 200 * 1024 * 1024;
+const MAX_FILES = 500;
+const THUMBNAIL_SIZE = 256;
+
+// Files a model may reference, and how they're served
+const MIME_TYPES = {
+  '.json': 'application/json',
+  '.moc3': 'application/octet-stream',
+  '.png': 'image/png',
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg'
+};
+
+const mappings = new Map();    // model path -> Promise of the normalized mapping
+const thumbnails = new Map();  // built-in model id -> Promise of a PNG buffer (or null)
+let builtInModels = null;      // Promise of the scanned public/models entries
+
+const DEFAULT_MOTION_DURATION = 3000;  // ms, for motions whose file can't be read
+
+// ============ MAPPINGS ============
+
+/**
+ * The tag mapping of a model, with the motions its .model3.json lists
+ * @param {string} [modelPath] - URL of the .model3.json (the default model without one)
+ * @returns {Promise<Object>} Normalized mapping - DEFAULT_MAPPING if the model has none
+ */
+export function loadModelMapping(modelPath) {
+  const key = modelPath || DEFAULT_MODEL_PATH;
+  if (!mappings.has(key)) {
+    mappings.set(key, readMapping(key));
+  }
+  return mappings.get(key);
+}
+
+async function readMapping(modelPath) {
+  const file = mappingPath(modelPath);
+  const motions = await readMotions(modelPath);
+  try {
+    const mapping = await readJson(file);
+    console.log('🎭 Model mapping loaded:', file);
+    return normalizeMapping({ ...mapping, motions });
+  } catch (error) {
+    // Try again next time - the mapping may be added later
+    mappings.delete(modelPath);
+    console.warn('🎭 No model mapping at', file, '-', error.message);
+    return normalizeMapping({ motions });
+  }
+}
+
+// Every motion in the .model3.json, named after its file ("motions/Hiyori_m01.motion3.json" is
+// hiyori_m01), with how long it runs
+async function readMotions(modelPath) {
+  let settings;
+  try {
+    settings = await readJson(modelPath);
+  } catch (error) {
+    console.warn('🎭 Could not read', modelPath, '-', error.message);
+    return [];
+  }
+
+  const motions = Object.entries(settings.FileReferences?.Motions || {}).flatMap(([group, list]) =>
+    (Array.isArray(list) ? list : [])
+      .map((motion, index) => ({ group, index, file: motion?.File }))
+      .filter(motion => typeof motion.file === 'string')
+  );
+
+  return Promise.all(motions.map(async ({ group, index, file }) => {
+    let duration = null;
+    try {
+      const motion = await readJson(resolveModelFile(modelPath, file));
+      duration = Math.round(motion.Meta.Duration * 1000) || null;
+    } catch {
+      // Still playable - the client may reach it even if we can't
+    }
+    return {
+      name: path.posix.basename(file).replace(/\.motion3\.json$/i, '').toLowerCase(),
+      group,
+      index,
+      duration: duration || DEFAULT_MOTION_DURATION
+    };
+  }));
+}
+
+// A file the .model3.json references, as a URL or public/ path like the model's own
+function resolveModelFile(modelPath, file) {
+  return /^https?:\/\//i.test(modelPath)
+    ? new URL(file, modelPath).href
+    : path.posix.join(path.posix.dirname(modelPath), file);
+}
+
+// JSON from a URL, or a path under public/
+async function readJson(file) {
+  if (/^https?:\/\//i.test(file)) {
+    const response = await fetch(file);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+  }
+  const local = path.join(PUBLIC_DIR, file);
+  if (!local.startsWith(PUBLIC_DIR + path.sep)) throw new Error('not under public/');
+  return JSON.parse(await fs.readFile(local, 'utf8'));
+}
+
+// ============ REGISTRY ============
+
+/**
+ * Models shipped in public/models - one per .model3.json, scanned once
+ * @returns {Promise<Array<{ id, name, description, modelPath, thumbnailUrl, builtIn }>>}
+ */
+export function listBuiltInModels() {
+  builtInModels ||= scanBuiltInModels().catch(error => {
+    builtInModels = null;
+    console.warn('🎭 Could not scan public/models:', error.message);
+    return [];
+  });
+  return builtInModels;
+}
+
+async function scanBuiltInModels() {
+  const files = (await fs.readdir(MODELS_DIR, { recursive: true }))
+    .filter(file => file.endsWith('.model3.json'))
+    .sort();
+
+  const models = [];
+  for (const file of files) {
+    const modelPath = '/models/' + file.split(path.sep).join('/');
+    const mapping = await loadModelMapping(modelPath);
+    const name = mapping.name || path.basename(file, '.model3.json');
+    const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    if (models.some(m => m.id === id)) continue;
+
+    models.push({
+      id,
+      name,
+      description: mapping.description || null,
+      modelPath,
+      thumbnailUrl: `/api/models/${id}/thumbnail`,
+      builtIn: true
+    });
+  }
+
+  // The default model leads the picker
+  models.sort((a, b) => (b.modelPath === DEFAULT_MODEL_PATH) - (a.modelPath === DEFAULT_MODEL_PATH));
+  console.log(`🎭 ${models.length} built-in model(s):`, models.map(m => m.id).join(', '));
+  return models;
+}
+
+/**
+ * Every model an agent can switch to: the built-in ones plus those uploaded for the given agents
+ * @param {string[]} [agentNames] - Agents whose uploads to include (a creator sees all of theirs)
+ * @returns {Promise<Array<Object>>} Registry entries, built-in first
+ */
+export async function listModels(agentNames = []) {
+  const uploaded = agentNames.length
+    ? await prisma.avatarModel.findMany({
+        where: { agentName: { in: agentNames } },
+        orderBy: { createdAt: 'desc' }
+      })
+    : [];
+
+  return [...await listBuiltInModels(), ...uploaded.map(toEntry)];
+}
+
+/**
+ * Look a model up by registry id
+ * @param {string} id - Built-in id ('mao') or uploaded model id
+ * @param {string[]} [agentNames] - Agents whose uploads may be used
+ * @returns {Promise<Object|null>} Registry entry
+ */
+export async function findModel(id, agentNames = []) {
+  if (!id) return null;
+
+  const builtIn = (await listBuiltInModels()).find(m => m.id === id);
+  if (builtIn) return builtIn;
+  if (!agentNames.length) return null;
+
+  const uploaded = await prisma.avatarModel.findFirst({
+    where: { id: String(id), agentName: { in: agentNames } }
+  });
+  return uploaded ? toEntry(uploaded) : null;
+}
+
+function toEntry(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    description: null,
+    modelPath: record.modelPath,
+    thumbnailUrl: record.thumbnailUrl,
+    builtIn: false,
+    agentName: record.agentName,
+    fileCount: record.fileCount,
+    size: record.size,
+    createdAt: record.createdAt
+  };
+}
+
+/**
+ * Thumbnail of a built-in model - its <name>.preview.png, else made from its first texture
+ * @param {string} id - Built-in model id
+ * @returns {Promise<Buffer|null>} PNG, or null if the model or its textures are missing
+ */
+export async function getBuiltInThumbnail(id) {
+  const model = (await listBuiltInModels()).find(m => m.id === id);
+  if (!model) return null;
+
+  if (!thumbnails.has(id)) {
+    thumbnails.set(id, renderBuiltInThumbnail(model).catch(error => {
+      console.warn('🎭 No thumbnail for', id, '-', error.message);
+      return null;
+    }));
+  }
+  return thumbnails.get(id);
+}
+
+async function renderBuiltInThumbnail(model) {
+  const modelFile = path.join(PUBLIC_DIR, model.modelPath);
+  const preview = await fs.readFile(path.join(PUBLIC_DIR, previewPath(model.modelPath))).catch(() => null);
+  if (preview) return makeThumbnail(preview, THUMBNAIL_SIZE);
+
+  const settings = JSON.parse(await fs.readFile(modelFile, 'utf8'));
+  const texture = settings.FileReferences?.Textures?.[0];
+  if (!texture) throw new Error('no textures');
+  return makeThumbnail(await fs.readFile(path.join(path.dirname(modelFile), texture)), THUMBNAIL_SIZE);
+}
+
+// ============ UPLOADS ============
+
+/**
+ * Check an uploaded model archive and pick out the files to store
+ *
+ * The archive needs exactly one .model3.json; its folder is the model's root and everything it
+ * references (moc3, textures, physics, pose, expressions, motions and their sounds) must be in it.
+ * A <name>.lobster.json next to it is kept as the tag mapping.
+ * @param {Buffer} buffer - The .zip
+ * @returns {{ errors: string[], name?: string, modelFile?: string, files?: Array, thumbnail?: Buffer, size?: number }}
+ *   files are { name, data, mimeType } relative to the model root - only referenced files are kept
+ */
+export function validateModelArchive(buffer) {
+  let entries;
+  try {
+    entries = readZip(buffer, { maxEntries: MAX_FILES, maxSize: MAX_UNPACKED_SIZE });
+  } catch (error) {
+    return { errors: [error.message] };
+  }
+
+  const errors = [];
+  entries = entries.filter(({ name }) => !name.startsWith('__MACOSX/') && !name.split('/').some(part => part === '.DS_Store'));
+
+  const unsafe = entries.find(({ name }) => !isSafePath(name));
+  if (unsafe) return { errors: [`Unsafe path in archive: ${unsafe.name}`] };
+
+  const settingsEntries = entries.filter(({ name }) => name.endsWith('.model3.json'));
+  if (settingsEntries.length === 0) return { errors: ['No .model3.json in archive'] };
+  if (settingsEntries.length > 1) {
+    return { errors: [`Archive has ${settingsEntries.length} .model3.json files - upload one model at a time`] };
+  }
+
+  // Everything is relative to the folder holding the .model3.json
+  const root = path.posix.dirname(settingsEntries[0].name);
+  const prefix = root === '.' ? '' : root + '/';
+  const available = new Map(entries
+    .filter(({ name }) => name.startsWith(prefix))
+    .map(({ name, data }) => [name.slice(prefix.length), data]));
+  const modelFile = settingsEntries[0].name.slice(prefix.length);
+
+  let settings;
+  try {
+    settings = JSON.parse(available.get(modelFile).toString('utf8'));
+  } catch {
+    return { errors: [`${modelFile} is not valid JSON`] };
+  }
+  const refs = settings?.FileReferences;
+  if (!refs || typeof refs !== 'object') return { errors: [`${modelFile} has no FileReferences`] };
+
+  const keep = new Map([[modelFile, available.get(modelFile)]]);
+
+  // Resolve a referenced file, recording why it's unusable
+  const useFile = (file, label, kind, check) => {
+    if (typeof file !== 'string' || !file) {
+      errors.push(`${label}: missing file name`);
+      return;
+    }
+    const name = path.posix.normalize(file);
+    if (!isSafePath(name) || !MIME_TYPES[path.posix.extname(name).toLowerCase()]) {
+      errors.push(`${label}: ${file} is not allowed`);
+    } else if (!available.has(name)) {
+      errors.push(`${label}: ${file} is not in the archive`);
+    } else if (check && !check(available.get(name))) {
+      errors.push(`${label}: ${file} is not a valid ${kind}`);
+    } else {
+      keep.set(name, available.get(name));
+    }
+  };
+
+  useFile(refs.Moc, 'Moc', 'moc3 file', isMoc);
+
+  if (!Array.isArray(refs.Textures) || refs.Textures.length === 0) {
+    errors.push('Textures: at least one texture is required');
+  } else {
+    refs.Textures.forEach((file, i) => useFile(file, `Textures[${i}]`, 'PNG', isPng));
+  }
+
+  for (const key of ['Physics', 'Pose', 'DisplayInfo', 'UserData']) {
+    if (refs[key] !== undefined) useFile(refs[key], key, 'JSON file', isJson);
+  }
+
+  (Array.isArray(refs.Expressions) ? refs.Expressions : []).forEach((expression, i) => {
+    useFile(expression?.File, `Expressions[${i}]`, 'JSON file', isJson);
+  });
+
+  for (const [group, motions] of Object.entries(refs.Motions || {})) {
+    (Array.isArray(motions) ? motions : []).forEach((motion, i) => {
+      useFile(motion?.File, `Motions.${group}[${i}]`, 'JSON file', isJson);
+      if (motion?.Sound) useFile(motion.Sound, `Motions.${group}[${i}].Sound`);
+    });
+  }
+
+  // Optional tag mapping
+  let mapping = null;
+  const mappingFile = mappingPath(modelFile);
+  if (available.has(mappingFile)) {
+    try {
+      mapping = JSON.parse(available.get(mappingFile).toString('utf8'));
+      keep.set(mappingFile, available.get(mappingFile));
+    } catch {
+      errors.push(`${mappingFile} is not valid JSON`);
+    }
+  }
+
+  if (errors.length) return { errors };
+
+  // Thumbnail: the model's own preview if it has one, else its first texture
+  const previewFile = previewPath(modelFile);
+  let thumbnail = null;
+  for (const source of [available.get(previewFile), keep.get(path.posix.normalize(refs.Textures[0]))]) {
+    if (!source || !isPng(source)) continue;
+    try {
+      thumbnail = makeThumbnail(source, THUMBNAIL_SIZE);
+      break;
+    } catch (error) {
+      console.warn('🎭 Could not make a thumbnail:', error.message);
+    }
+  }
+  if (thumbnail) keep.set(previewFile, thumbnail);
+
+  const files = [...keep].map(([name, data]) => ({
+    name,
+    data,
+    mimeType: MIME_TYPES[path.posix.extname(name).toLowerCase()] || 'application/octet-stream'
+  }));
+
+  return {
+    errors,
+    name: String(mapping?.name || path.posix.basename(modelFile, '.model3.json')).slice(0, 50),
+    modelFile,
+    previewFile: thumbnail ? previewFile : null,
+    files,
+    thumbnail,
+    size: files.reduce((sum, file) => sum + file.data.length, 0)
+  };
+}
+
+function isMoc(data) {
+  return data.subarray(0, 4).toString('latin1') === 'MOC3';
+}
+
+function isJson(data) {
+  try {
+    JSON.parse(data.toString('utf8'));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Relative, already normalized, and can't climb out of the archive
+function isSafePath(name) {
+  return !name.startsWith('/') &&
+    !/^[a-z]:/i.test(name) &&
+    !name.split('/').includes('..') &&
+    path.posix.normalize(name) === name;
+}
+
+/**
+ * Validate, store and register an uploaded model for an agent
+ * @param {string} agentName - Agent the model belongs to
+ * @param {Buffer} buffer - The .zip
+ * @returns {Promise<{ ok: true, model: Object } | { ok: false, errors: string[] }>}
+ */
+export async function uploadModel(agentName, buffer) {
+  const archive = validateModelArchive(buffer);
+  if (archive.errors.length) return { ok: false, errors: archive.errors };
+
+  const folderName = `${agentName}-model-${Date.now()}`;
+  const upload = await uploadDirectory(archive.files, folderName, {
+    type: 'live2d-model',
+    agent: agentName,
+  });
+
+  const record = await prisma.avatarModel.create({
+    data: {
+      agentName,
+      name: archive.name,
+      cid: upload.cid,
+      modelPath: `${upload.url}/${archive.modelFile}`,
+      thumbnailUrl: archive.previewFile ? `${upload.url}/${archive.previewFile}` : null,
+      fileCount: archive.files.length,
+      size: archive.size
+    }
+  });
+
+  console.log(`🎭 Model uploaded for ${agentName}: ${archive.name} (${archive.files.length} files)`);
+  return { ok: true, model: toEntry(record) };
+}
+
+export default {
+  PUBLIC_DIR,
+  MAX_ARCHIVE_SIZE,
+  loadModelMapping,
+  listBuiltInModels,
+  listModels,
+  findModel,
+  getBuiltInThumbnail,
+  validateModelArchive,
+  uploadModel
+};
@@ -0,0 +1,388 @@
+// server/moderation.js
+// Chat moderation - what a chat:send has to get past before viewers and the agent see it
+//
+// Settings (saved on Agent.moderation, so they carry over from stream to stream):
+//   slowMode      seconds a viewer waits between messages, 0 = off
+//   chatMode      who may chat: everyone, verified (X or wallet) or followers
+//   maxLength     characters per message
+//   blockedWords  words (whole words, any case) or /regex/flags - a match drops the message.
+//                 Only the creator (or the agent) blocks patterns; moderators block words.
+//   moderators    user ids the creator made moderators
+//   bans          [{ id, name, reason, at }]
+// Timeouts only last as long as the stream.
+// Guests get a new id whenever they pick a name, so a ban or timeout can't follow one of them:
+// while any guest is banned or timed out, no guest can chat. Following is free for a guest too,
+// so followers-only chat is closed to guests.
+//
+// User ids are viewer ids from viewer-identity.js (x:<handle>, wallet:<address>, guest:<id>,
+// agent:<name>) and come with every chat message as userId.
+// The creator (and the agent itself) can do everything; moderators everything but appointing
+// moderators. Neither is held back by slow mode or the chat mode, and nobody can act on the creator.
+
+export const CHAT_MODES = ['everyone', 'verified', 'followers'];
+export const MODERATION_ACTIONS = [
+  'timeout', 'untimeout', 'ban', 'unban', 'mod', 'unmod', 'delete',
+  'slow', 'mode', 'maxlength', 'block', 'unblock'
+];
+
+export const DEFAULT_MODERATION = {
+  slowMode: 0,
+  chatMode: 'everyone',
+  maxLength: 300,
+  blockedWords: [],
+  moderators: [],
+  bans: []
+};
+
+const MAX_SLOW_MODE = 3600;                     // seconds
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_BLOCKED_WORDS = 200;
+const DEFAULT_TIMEOUT = 600;                    // seconds
+const MAX_TIMEOUT = 14 * 24 * 60 * 60;          // seconds
+const CREATOR_ONLY = ['mod', 'unmod'];
+const USER_ID = /^(x|wallet|guest|agent):\S+$/;
+const PATTERN_ENTRY = /^\/(.+)\/([a-z]*)$/;
+const MAX_PATTERN_LENGTH = 100;
+// Rough backtracking budget per starting position: the ways bounded repeats ({0,5}, ?) can split a
+// match, times the message length for every open-ended one - one .* is fine, two are not
+const MAX_PATTERN_WORK = 50000;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The repeat at source[i] (*, +, ?, {n}, {n,}, {n,m}), or null if there isn't one there
+function quantifierAt(source, i) {
+  const simple = { '*': [0, Infinity], '+': [1, Infinity], '?': [0, 1] }[source[i]];
+  const braces = !simple && source.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+  if (!simple && !braces) return null;
+
+  const [min, max] = simple || [Number(braces[1]), braces[2] === undefined ? Number(braces[1]) : braces[3] === '' ? Infinity : Number(braces[3])];
+  let end = i + (simple ? 1 : braces[0].length);
+  if (source[end] === '?') end++;  // Lazy - same cost
+  return { min, max, end };
+}
+
+// Patterns a crafted message can make run for seconds:
+//   - more than one open-ended repeat (.*.*x, \w+\s+\w+$) - each one multiplies the work by the message length
+//   - bounded repeats with too many ways to split a match between them (a?a?a?..., .{0,50}.{0,50})
+//   - a repeated group with a repeat or alternative inside ((a+)+, (a|ab)*)
+//   - backreferences
+function isSlowPattern(source) {
+  const groups = [];  // For each open group: does it repeat or branch inside?
+  let unbounded = 0;
+  let choices = 1;
+  let closedGroup = null;  // Whether the group that just closed repeats or branches inside
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const quantifier = quantifierAt(source, i);
+    const afterGroup = closedGroup;
+    closedGroup = null;
+
+    if (quantifier) {
+      const { min, max } = quantifier;
+      if (afterGroup && max > 1) return true;
+      if (max === Infinity) unbounded++;
+      else choices *= max - min + 1;
+      if (max > min && groups.length > 0) groups[groups.length - 1] = true;
+      i = quantifier.end - 1;
+    } else if (char === '\\') {
+      if (/[1-9k]/.test(source[i + 1])) return true;
+      i++;
+    } else if (char === '[') {
+      // Character class - nothing in it repeats
+      for (i++; i < source.length && source[i] !== ']'; i++) if (source[i] === '\\') i++;
+    } else if (char === '(') {
+      groups.push(false);
+      if (source[i + 1] === '?') i++;  // (?:, (?=, (?<! ... - not a repeat
+    } else if (char === ')') {
+      closedGroup = groups.pop() || false;
+      if (closedGroup && groups.length > 0) groups[groups.length - 1] = true;
+    } else if (char === '|' && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return choices * MAX_MESSAGE_LENGTH ** unbounded > MAX_PATTERN_WORK;
+}
+
+/**
+ * Is this blocklist entry a /pattern/ rather than a word?
+ * @param {string} entry
+ * @returns {boolean}
+ */
+export function isBlockedPattern(entry) {
+  return PATTERN_ENTRY.test(entry);
+}
+
+/**
+ * Turn a blocklist entry into a RegExp
+ * @param {string} entry - A word or phrase, or /pattern/flags
+ * @returns {RegExp}
+ * @throws {Error} If it's an invalid pattern, or one that could take too long to run
+ */
+export function compileBlockedWord(entry) {
+  const pattern = entry.match(PATTERN_ENTRY);
+  if (pattern) {
+    if (pattern[1].length > MAX_PATTERN_LENGTH) {
+      throw new Error(`Patterns are up to ${MAX_PATTERN_LENGTH} characters`);
+    }
+    if (isSlowPattern(pattern[1])) {
+      throw new Error(`Pattern ${entry} could take too long to run - at most one open-ended repeat (*, +, {n,}), no repeated groups with repeats or | inside, no backreferences`);
+    }
+    try {
+      return new RegExp(pattern[1], pattern[2].replace(/[gy]/g, ''));
+    } catch (error) {
+      throw new Error(`Invalid pattern ${entry}: ${error.message}`);
+    }
+  }
+  return new RegExp(`(?<!\\w)${escapeRegExp(entry)}(?!\\w)`, 'i');
+}
+
+/**
+ * Fill in and check moderation settings from the database or a request
+ * @param {Object} [settings]
+ * @returns {Object} A full settings object
+ * @throws {Error} If a value is out of range
+ */
+export function normalizeModeration(settings) {
+  const merged = { ...DEFAULT_MODERATION, ...(settings && typeof settings === 'object' ? settings : {}) };
+  const slowMode = Number(merged.slowMode);
+  const maxLength = Number(merged.maxLength);
+
+  if (!Number.isInteger(slowMode) || slowMode < 0 || slowMode > MAX_SLOW_MODE) {
+    throw new Error(`Slow mode is 0-${MAX_SLOW_MODE} seconds`);
+  }
+  if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > MAX_MESSAGE_LENGTH) {
+    throw new Error(`Message length limit is 1-${MAX_MESSAGE_LENGTH} characters`);
+  }
+  if (!CHAT_MODES.includes(merged.chatMode)) {
+    throw new Error(`Chat mode is one of ${CHAT_MODES.join(', ')}`);
+  }
+
+  const blockedWords = [...new Set((Array.isArray(merged.blockedWords) ? merged.blockedWords : [])
+    .filter(word => typeof word === 'string')
+    .map(word => word.trim())
+    .filter(Boolean))];
+  if (blockedWords.length > MAX_BLOCKED_WORDS) {
+    throw new Error(`Up to ${MAX_BLOCKED_WORDS} blocked words`);
+  }
+  blockedWords.forEach(compileBlockedWord);
+
+  return {
+    slowMode,
+    chatMode: merged.chatMode,
+    maxLength,
+    blockedWords,
+    moderators: (Array.isArray(merged.moderators) ? merged.moderators : []).filter(id => USER_ID.test(id)),
+    bans: (Array.isArray(merged.bans) ? merged.bans : []).filter(ban => USER_ID.test(ban?.id))
+  };
+}
+
+/**
+ * Work out who a moderation command is about
+ * @param {string} target - A user id, @handle or the name someone chats under
+ * @param {Array<Object>} users - Users seen lately ({ id, name }), most recent last
+ * @returns {{ id: string, name: string }|null}
+ */
+export function findUser(target, users) {
+  target = typeof target === 'string' ? target.trim() : '';
+  if (!target) return null;
+
+  const byId = USER_ID.test(target) ? target : null;
+  const byHandle = !byId && /^@\w{1,15}$/.test(target) ? 'x:' + target.slice(1).toLowerCase() : null;
+  const id = byId || byHandle;
+  const lower = target.toLowerCase();
+
+  for (let i = users.length - 1; i >= 0; i--) {
+    const user = users[i];
+    if (id ? user.id === id : user.name.toLowerCase() === lower) return { id: user.id, name: user.name };
+  }
+  return id ? { id, name: byHandle ? target : id } : null;
+}
+
+export class ChatModerator {
+  /**
+   * @param {Object} [settings] - Saved settings (normalizeModeration() fills the gaps)
+   * @param {Object} roles
+   * @param {Function} roles.isCreator - ({ id }) => boolean - by user id, so targets can be checked too
+   * @param {Function} roles.isFollower - viewer => boolean
+   */
+  constructor(settings, { isCreator, isFollower }) {
+    this.isCreator = isCreator;
+    this.isFollower = isFollower;
+    this.timeouts = new Map();     // user id -> { until, name }
+    this.lastMessage = new Map();  // user id -> timestamp, for slow mode
+    this.load(settings);
+  }
+
+  load(settings) {
+    this.settings = normalizeModeration(settings);
+    this.filters = this.settings.blockedWords.map(compileBlockedWord);
+  }
+
+  // Is any guest banned, or timed out right now?
+  guestsShut(now = Date.now()) {
+    return this.settings.bans.some(ban => ban.id.startsWith('guest:')) ||
+      [...this.timeouts].some(([id, { until }]) => id.startsWith('guest:') && until > now);
+  }
+
+  // creator, moderator or viewer
+  roleOf(viewer) {
+    if (this.isCreator(viewer)) return 'creator';
+    if (viewer.id && this.settings.moderators.includes(viewer.id)) return 'moderator';
+    return 'viewer';
+  }
+
+  /**
+   * May this viewer say this right now?
+   * @param {Object} viewer - From resolveViewer()
+   * @param {string} text - Trimmed message
+   * @param {number} [now]
+   * @returns {string|null} Why not, or null if it goes through
+   */
+  check(viewer, text, now = Date.now()) {
+    const { settings } = this;
+    const privileged = this.roleOf(viewer) !== 'viewer';
+
+    if (settings.bans.some(ban => ban.id === viewer.id)) return 'You are banned from this chat';
+
+    const timeout = this.timeouts.get(viewer.id);
+    if (timeout && timeout.until > now) {
+      return `You are timed out for another ${Math.ceil((timeout.until - now) / 1000)}s`;
+    }
+    if (timeout) this.timeouts.delete(viewer.id);
+
+    if (text.length > settings.maxLength) return `Messages are limited to ${settings.maxLength} characters`;
+    if (this.filters.some(filter => filter.test(text))) return 'Your message was blocked by the chat filter';
+
+    if (!privileged) {
+      if (viewer.kind === 'guest' && this.guestsShut(now)) {
+        return 'Guest chat is closed - log in with X or a wallet to chat';
+      }
+      if (settings.chatMode === 'verified' && viewer.kind !== 'x' && viewer.kind !== 'wallet') {
+        return 'Chat is verified-only - log in with X or a wallet';
+      }
+      if (settings.chatMode === 'followers' && viewer.kind === 'guest') {
+        return 'Chat is followers-only - log in with X or a wallet and follow to chat';
+      }
+      if (settings.chatMode === 'followers' && !this.isFollower(viewer)) {
+        return 'Chat is followers-only - follow to chat';
+      }
+      const wait = (this.lastMessage.get(viewer.id) || 0) + settings.slowMode * 1000 - now;
+      if (wait > 0) return `Slow mode - wait ${Math.ceil(wait / 1000)}s`;
+    }
+
+    this.lastMessage.set(viewer.id, now);
+    return null;
+  }
+
+  /**
+   * Carry out a moderation command
+   * @param {Object} actor - Viewer doing it (from resolveViewer())
+   * @param {Object} command - { action, target, duration, reason, value }
+   *   target is a user from findUser() for timeout/untimeout/ban/unban/mod/unmod
+   *   value is the seconds, mode, length or word for slow/mode/maxlength/block/unblock
+   * @param {number} [now]
+   * @returns {{ settingsChanged: boolean, purge: string|null }} purge is a user whose messages should go
+   * @throws {Error} If the actor may not, or the command makes no sense
+   */
+  apply(actor, { action, target, duration, reason, value }, now = Date.now()) {
+    const role = this.roleOf(actor);
+    if (!MODERATION_ACTIONS.includes(action)) throw new Error(`Unknown action ${action}`);
+    if (role === 'viewer') throw new Error('Only moderators can do that');
+    if (CREATOR_ONLY.includes(action) && role !== 'creator') throw new Error('Only the creator can appoint moderators');
+
+    const settings = this.settings;
+    const word = typeof value === 'string' ? value.trim() : '';
+    let next = null;
+    let purge = null;
+
+    if (['timeout', 'untimeout', 'ban', 'unban', 'mod', 'unmod'].includes(action)) {
+      if (!target) throw new Error('Who? Give a name, @handle or user id');
+      if (this.isCreator({ id: target.id })) {
+        throw new Error("The creator can't be moderated");
+      }
+      if (role !== 'creator' && settings.moderators.includes(target.id) && action !== 'mod') {
+        throw new Error('Moderators can only be moderated by the creator');
+      }
+    }
+
+    switch (action) {
+      case 'timeout': {
+        const seconds = duration === undefined ? DEFAULT_TIMEOUT : Number(duration);
+        if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_TIMEOUT) {
+          throw new Error(`Timeouts are 1-${MAX_TIMEOUT} seconds`);
+        }
+        this.timeouts.set(target.id, { until: now + seconds * 1000, name: target.name });
+        purge = target.id;
+        break;
+      }
+      case 'untimeout':
+        if (!this.timeouts.delete(target.id)) throw new Error(`${target.name} isn't timed out`);
+        break;
+      case 'ban':
+        if (settings.bans.some(ban => ban.id === target.id)) throw new Error(`${target.name} is already banned`);
+        next = { bans: [...settings.bans, { id: target.id, name: target.name, reason: reason || null, at: now }] };
+        purge = target.id;
+        break;
+      case 'unban':
+        if (!settings.bans.some(ban => ban.id === target.id)) throw new Error(`${target.name} isn't banned`);
+        next = { bans: settings.bans.filter(ban => ban.id !== target.id) };
+        break;
+      case 'mod':
+        if (settings.moderators.includes(target.id)) throw new Error(`${target.name} is already a moderator`);
+        next = { moderators: [...settings.moderators, target.id] };
+        break;
+      case 'unmod':
+        if (!settings.moderators.includes(target.id)) throw new Error(`${target.name} isn't a moderator`);
+        next = { moderators: settings.moderators.filter(id => id !== target.id) };
+        break;
+      case 'slow':
+        next = { slowMode: Number(value) || 0 };
+        break;
+      case 'mode':
+        next = { chatMode: value };
+        break;
+      case 'maxlength':
+        next = { maxLength: Number(value) };
+        break;
+      case 'block':
+        if (!word) throw new Error('Block what?');
+        if (isBlockedPattern(word) && role !== 'creator') throw new Error('Only the creator can block patterns - moderators block words');
+        next = { blockedWords: [...settings.blockedWords, word] };
+        break;
+      case 'unblock':
+        if (!settings.blockedWords.includes(word)) throw new Error(`${word || 'That'} isn't blocked`);
+        next = { blockedWords: settings.blockedWords.filter(blocked => blocked !== word) };
+        break;
+      // delete only touches chat history - the caller does it
+    }
+
+    if (next) this.load({ ...settings, ...next });
+    return { settingsChanged: Boolean(next), purge };
+  }
+
+  // Users the moderator knows of without chat history - banned and timed out ones
+  knownUsers() {
+    return [
+      ...this.settings.bans.map(({ id, name }) => ({ id, name })),
+      ...[...this.timeouts].map(([id, { name }]) => ({ id, name }))
+    ];
+  }
+  
+  // What every viewer is told about the chat rules
+  toJSON() {
+    const { slowMode, chatMode, maxLength } = this.settings;
+    return { slowMode, chatMode, maxLength };
+  }
+}
+
+export default {
+  CHAT_MODES,
+  MODERATION_ACTIONS,
+  DEFAULT_MODERATION,
+  compileBlockedWord,
+  isBlockedPattern,
+  normalizeModeration,
+  findUser,
+  ChatModerator
+};
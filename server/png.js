@@ -0,0 +1,239 @@
+// server/png.js
+// Just enough PNG to make model thumbnails: decode 8-bit textures, shrink them, encode the result
+//
+// Live2D textures are plain 8-bit RGBA PNGs, so interlaced and 16-bit images are left unsupported.
+
+import zlib from 'zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };  // Color type -> samples per pixel
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Does the buffer start with the PNG signature?
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+export function isPng(buffer) {
+  return buffer.length >= 8 && buffer.subarray(0, 8).equals(SIGNATURE);
+}
+
+/**
+ * Decode a PNG to RGBA pixels
+ * @param {Buffer} buffer - PNG file
+ * @returns {{ width: number, height: number, pixels: Buffer }} 4 bytes per pixel, row by row
+ * @throws {Error} If the file is damaged or not an 8-bit, non-interlaced PNG
+ */
+export function decodePng(buffer) {
+  if (!isPng(buffer)) throw new Error('Not a PNG');
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const data = [];
+
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        depth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      data.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header || !data.length) throw new Error('Damaged PNG');
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (depth !== 8 || !channels || interlace) throw new Error('Only 8-bit, non-interlaced PNGs are supported');
+  if (colorType === 3 && !palette) throw new Error('Damaged PNG');
+
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(data), { maxOutputLength: (stride + 1) * height });
+  if (raw.length < (stride + 1) * height) throw new Error('Damaged PNG');
+
+  const pixels = Buffer.alloc(width * height * 4);
+  let previous = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = Buffer.from(raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1)));
+    unfilter(filter, line, previous, channels);
+    toRgba(line, pixels, y * width * 4, width, colorType, palette, transparency);
+    previous = line;
+  }
+
+  return { width, height, pixels };
+}
+
+function unfilter(filter, line, previous, bpp) {
+  for (let i = 0; i < line.length; i++) {
+    const left = i >= bpp ? line[i - bpp] : 0;
+    const up = previous[i];
+    const upLeft = i >= bpp ? previous[i - bpp] : 0;
+    switch (filter) {
+      case 0: break;
+      case 1: line[i] += left; break;
+      case 2: line[i] += up; break;
+      case 3: line[i] += (left + up) >> 1; break;
+      case 4: {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        line[i] += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+        break;
+      }
+      default: throw new Error('Damaged PNG');
+    }
+  }
+}
+
+function toRgba(line, pixels, offset, width, colorType, palette, transparency) {
+  for (let x = 0; x < width; x++) {
+    const o = offset + x * 4;
+    switch (colorType) {
+      case 0:
+        pixels[o] = pixels[o + 1] = pixels[o + 2] = line[x];
+        pixels[o + 3] = 255;
+        break;
+      case 2:
+        line.copy(pixels, o, x * 3, x * 3 + 3);
+        pixels[o + 3] = 255;
+        break;
+      case 3: {
+        const index = line[x];
+        palette.copy(pixels, o, index * 3, index * 3 + 3);
+        pixels[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        break;
+      }
+      case 4:
+        pixels[o] = pixels[o + 1] = pixels[o + 2] = line[x * 2];
+        pixels[o + 3] = line[x * 2 + 1];
+        break;
+      case 6:
+        line.copy(pixels, o, x * 4, x * 4 + 4);
+        break;
+    }
+  }
+}
+
+/**
+ * Shrink an image to fit a square, keeping its aspect ratio (box filter, alpha-weighted)
+ * @param {{ width: number, height: number, pixels: Buffer }} image - From decodePng()
+ * @param {number} size - Longest side of the result
+ * @returns {{ width: number, height: number, pixels: Buffer }}
+ */
+export function fitImage(image, size) {
+  const scale = Math.min(1, size / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const pixels = Buffer.alloc(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * image.height / height);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * image.height / height));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * image.width / width);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * image.width / width));
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const o = (sy * image.width + sx) * 4;
+          const alpha = image.pixels[o + 3];
+          r += image.pixels[o] * alpha;
+          g += image.pixels[o + 1] * alpha;
+          b += image.pixels[o + 2] * alpha;
+          a += alpha;
+        }
+      }
+      const o = (y * width + x) * 4;
+      if (a) {
+        pixels[o] = Math.round(r / a);
+        pixels[o + 1] = Math.round(g / a);
+        pixels[o + 2] = Math.round(b / a);
+        pixels[o + 3] = Math.round(a / ((y1 - y0) * (x1 - x0)));
+      }
+    }
+  }
+
+  return { width, height, pixels };
+}
+
+/**
+ * Encode RGBA pixels as a PNG
+ * @param {{ width: number, height: number, pixels: Buffer }} image
+ * @returns {Buffer}
+ */
+export function encodePng({ width, height, pixels }) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);  // Filter 0 (none)
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;   // Bit depth
+  header[9] = 6;   // RGBA
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function chunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, 'latin1');
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+/**
+ * A thumbnail of a PNG image
+ * @param {Buffer} buffer - PNG file
+ * @param {number} [size=256] - Longest side of the thumbnail
+ * @returns {Buffer} PNG file
+ */
+export function makeThumbnail(buffer, size = 256) {
+  return encodePng(fitImage(decodePng(buffer), size));
+}
+
+export default {
+  isPng,
+  decodePng,
+  fitImage,
+  encodePng,
+  makeThumbnail
+};
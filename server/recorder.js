@@ -0,0 +1,228 @@
+// server/recorder.js
+// Stream recording - writes every broadcast event of a live session to disk for VOD replay
+//
+// recordings/<id>/meta.json         session info, written when recording starts and again at the end
+// recordings/<id>/timeline.ndjson   one event per line: [t, event, payload], t = ms since the start
+// recordings/<id>/audio/            copies of the TTS clips (the /tts temp files are swept after 5 min)
+//
+// broadcast:state ticks only store what changed: each line holds just the sections
+// (audio/avatar/subtitle/message/effects) that differ from the previous tick, and nothing is
+// written while the avatar holds still. The VOD player folds them back together.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TEMP_DIR as TTS_TEMP_DIR } from './tts.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, '..', 'recordings');
+
+const STATE_SECTIONS = ['audio', 'avatar', 'subtitle', 'message', 'effects'];
+const TTS_URL_PATTERN = /\/tts\/([\w.-]+)/g;
+const RECORDING_ID_PATTERN = /^[\w-]+$/;
+const AUDIO_FILE_PATTERN = /^[\w-]+\.(mp3|wav)$/;  // What tts.js names its clips
+
+export class StreamRecorder {
+  constructor(stream) {
+    this.startedAt = Date.now();
+    this.id = `${stream.id.replace(/[^\w-]+/g, '_')}-${this.startedAt}`;
+    this.dir = path.join(RECORDINGS_DIR, this.id);
+    this.audioUrlBase = `/api/vods/${this.id}/audio/`;
+
+    this.meta = {
+      id: this.id,
+      streamId: stream.id,
+      agentName: stream.agentName,
+      title: stream.config.title || null,
+      category: stream.config.category || null,
+      modelPath: stream.config.modelPath || null,
+      startedAt: this.startedAt,
+      endedAt: null,
+      duration: 0,
+      eventCount: 0
+    };
+
+    this.lastState = {};        // section -> JSON of the last recorded value
+    this.copiedAudio = new Set();
+
+    fs.mkdirSync(path.join(this.dir, 'audio'), { recursive: true });
+    this.file = fs.createWriteStream(path.join(this.dir, 'timeline.ndjson'), { flags: 'a' });
+    this.file.on('error', (err) => {
+      console.error('❌ Recording write failed:', err.message);
+      this.file = null;
+    });
+    this.writeMeta();
+
+    console.log('⏺️ Recording:', this.id);
+  }
+
+  /**
+   * Record a broadcast event as it goes out to viewers
+   * @param {string} event - Socket event name (broadcast:state, gif:show, ...)
+   * @param {Object} payload - The payload viewers received
+   */
+  record(event, payload) {
+    if (!this.file) return;
+
+    if (event === 'broadcast:state') {
+      this.recordState(payload);
+    } else {
+      this.write(event, payload);
+    }
+  }
+
+  // Only keep the sections that changed since the last tick
+  recordState(state) {
+    const changes = {};
+    let changed = false;
+
+    for (const section of STATE_SECTIONS) {
+      const value = this.stateSection(state, section);
+      const json = JSON.stringify(value);
+      if (json !== this.lastState[section]) {
+        this.lastState[section] = json;
+        changes[section] = value;
+        changed = true;
+      }
+    }
+
+    if (changed) this.write('broadcast:state', changes);
+  }
+
+  stateSection(state, section) {
+    const value = state[section] ?? null;
+
+    // position is derived from startTime, and would make every tick look different
+    if (section === 'audio' && value) {
+      const { position, ...audio } = value;
+      return audio;
+    }
+    if (section === 'avatar' && value) {
+      return { ...value, mouthOpen: Math.round(value.mouthOpen * 100) / 100 };
+    }
+    return value;
+  }
+
+  write(event, payload) {
+    const t = Date.now() - this.startedAt;
+    const json = JSON.stringify(payload).replace(TTS_URL_PATTERN, (match, filename) => {
+      this.copyAudio(filename);
+      return this.audioUrlBase + filename;
+    });
+
+    this.file.write(`[${t},${JSON.stringify(event)},${json}]\n`);
+    this.meta.eventCount++;
+    this.meta.duration = t;
+  }
+
+  copyAudio(filename) {
+    if (this.copiedAudio.has(filename)) return;
+    this.copiedAudio.add(filename);
+
+    fs.promises.copyFile(path.join(TTS_TEMP_DIR, filename), path.join(this.dir, 'audio', filename))
+      .catch(err => console.error('❌ Failed to keep TTS clip for VOD:', err.message));
+  }
+
+  writeMeta() {
+    try {
+      fs.writeFileSync(path.join(this.dir, 'meta.json'), JSON.stringify(this.meta, null, 2));
+    } catch (err) {
+      console.error('❌ Failed to write recording meta:', err.message);
+    }
+  }
+
+  // Finish the recording - safe to call more than once
+  close() {
+    if (!this.file) return;
+
+    this.meta.endedAt = Date.now();
+    this.meta.duration = this.meta.endedAt - this.startedAt;
+    this.writeMeta();
+
+    this.file.end();
+    this.file = null;
+    console.log('⏹️ Recording saved:', this.id, `(${this.meta.eventCount} events)`);
+  }
+}
+
+// ============ READING RECORDINGS ============
+
+// A file in a recording's folder - null for ids that could point anywhere else
+function recordingFile(id, ...parts) {
+  if (typeof id !== 'string' || !RECORDING_ID_PATTERN.test(id)) return null;
+
+  const root = path.resolve(RECORDINGS_DIR);
+  const file = path.resolve(root, id, ...parts);
+  return file.startsWith(root + path.sep) ? file : null;
+}
+
+/**
+ * Load a recording's meta.json
+ * @param {string} id - Recording ID
+ * @returns {Object|null} Meta, or null if there's no such recording
+ */
+export function getRecording(id) {
+  const file = recordingFile(id, 'meta.json');
+  if (!file) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List recordings, newest first
+ * @param {Object} options
+ * @param {string} [options.streamId] - Only this agent's recordings
+ * @param {number} [options.limit] - Max results
+ * @returns {Array} Recording metas
+ */
+export function listRecordings({ streamId, limit = 50 } = {}) {
+  let ids = [];
+  try {
+    ids = fs.readdirSync(RECORDINGS_DIR);
+  } catch {
+    return [];
+  }
+
+  return ids
+    .map(getRecording)
+    .filter(meta => meta && (!streamId || meta.streamId === streamId))
+    .sort((a, b) => b.startedAt - a.startedAt)
+    .slice(0, limit);
+}
+
+/**
+ * Path to a recording's timeline file
+ * @param {string} id - Recording ID
+ * @returns {string|null}
+ */
+export function getTimelinePath(id) {
+  const file = recordingFile(id, 'timeline.ndjson');
+  return file && fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Path to a TTS clip kept with a recording
+ * @param {string} id - Recording ID
+ * @param {string} filename - Clip filename (voice-<uuid>.mp3 or .wav)
+ * @returns {string|null}
+ */
+export function getAudioPath(id, filename) {
+  if (typeof filename !== 'string' || !AUDIO_FILE_PATTERN.test(filename)) return null;
+  const file = recordingFile(id, 'audio', filename);
+  return file && fs.existsSync(file) ? file : null;
+}
+
+export default {
+  StreamRecorder,
+  RECORDINGS_DIR,
+  getRecording,
+  listRecordings,
+  getTimelinePath,
+  getAudioPath
+};
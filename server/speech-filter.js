@@ -0,0 +1,183 @@
+// server/speech-filter.js
+// Checks what an agent says before it goes to TTS and on air - the other direction from
+// moderation.js, which checks what viewers say
+//
+// Settings (saved on Agent.speechFilter - only the creator changes them, never the agent):
+//   bannedTerms     words (whole words, any case) or /regex/flags the agent must not say - patterns
+//                   have the chat blocklist's limits (see compileBlockedWord in moderation.js)
+//   onBannedTerm    what a banned term does: redact, block or hold
+//   onPersonalData  emails, phone numbers, card numbers, keys (see chat-safety.js): allow, redact, block or hold
+//   onUrl           links and bare domains: allow, redact, block or hold
+//   maxLength       spoken characters per utterance (tags don't count) - longer ones are blocked
+//
+// Every utterance gets a decision:
+//   allow   airs as it is
+//   redact  airs with the offending parts replaced by REDACTION
+//   block   never airs - the agent is told why, so it can say it differently
+//   hold    waits for the creator to approve or reject it (with any redactions already made)
+// The strictest one wins: block over hold over redact.
+//
+// Only the spoken text is checked and redacted - tags ([happy], [gif:cats.tv]) pass through as written.
+
+import { compileBlockedWord } from './moderation.js';
+import { findPersonalData } from './chat-safety.js';
+import { stripTags, tokenize } from '../shared/tags.js';
+
+export const FILTER_ACTIONS = ['allow', 'redact', 'block', 'hold'];
+export const REDACTION = '***';
+
+export const DEFAULT_SPEECH_FILTER = {
+  bannedTerms: [],
+  onBannedTerm: 'redact',
+  onPersonalData: 'redact',
+  onUrl: 'redact',
+  maxLength: 1000
+};
+
+const MAX_LENGTH = 5000;
+const MAX_BANNED_TERMS = 200;
+const DECISION_RANK = { allow: 0, redact: 1, hold: 2, block: 3 };
+
+// The text between tags, with where each piece starts in the message
+function textSpans(text) {
+  const spans = [];
+  let at = 0;
+  for (const token of tokenize(text)) {
+    if (token.type === 'text') {
+      spans.push({ start: at, text: token.text });
+      at += token.text.length;
+    } else {
+      at = token.index + token.raw.length;  // A tag with several meanings repeats its index
+    }
+  }
+  return spans;
+}
+
+// Replace each [start, end) range with REDACTION - overlapping ranges become one
+function redact(text, ranges) {
+  let result = '';
+  let at = 0;
+  for (const { start, end } of [...ranges].sort((a, b) => a.start - b.start)) {
+    if (end <= at) continue;
+    if (start >= at) result += text.slice(at, start) + REDACTION;
+    at = end;
+  }
+  return result + text.slice(at);
+}
+
+// Links, www. hosts and bare domains on the usual TLDs (pump.fun, example.com/page)
+const URL_PATTERN = /\bhttps?:\/\/\S+|\bwww\.\S+|\b[a-z0-9-]+(\.[a-z0-9-]+)*\.(com|net|org|io|xyz|gg|ly|me|fun|app|dev|co|ai|tv|so|to|link|site)\b(\/\S*)?/gi;
+
+/**
+ * Fill in and check speech filter settings from the database or a request
+ * @param {Object} [settings]
+ * @returns {Object} A full settings object
+ * @throws {Error} If a value is out of range
+ */
+export function normalizeSpeechFilter(settings) {
+  const merged = { ...DEFAULT_SPEECH_FILTER, ...(settings && typeof settings === 'object' ? settings : {}) };
+  const maxLength = Number(merged.maxLength);
+
+  for (const key of ['onPersonalData', 'onUrl']) {
+    if (!FILTER_ACTIONS.includes(merged[key])) {
+      throw new Error(`${key} is one of ${FILTER_ACTIONS.join(', ')}`);
+    }
+  }
+  if (!FILTER_ACTIONS.includes(merged.onBannedTerm) || merged.onBannedTerm === 'allow') {
+    throw new Error('onBannedTerm is one of redact, block, hold');
+  }
+  if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > MAX_LENGTH) {
+    throw new Error(`Utterance length limit is 1-${MAX_LENGTH} characters`);
+  }
+
+  const bannedTerms = [...new Set((Array.isArray(merged.bannedTerms) ? merged.bannedTerms : [])
+    .filter(term => typeof term === 'string')
+    .map(term => term.trim())
+    .filter(Boolean))];
+  if (bannedTerms.length > MAX_BANNED_TERMS) {
+    throw new Error(`Up to ${MAX_BANNED_TERMS} banned terms`);
+  }
+  bannedTerms.forEach(compileBlockedWord);
+
+  return {
+    bannedTerms,
+    onBannedTerm: merged.onBannedTerm,
+    onPersonalData: merged.onPersonalData,
+    onUrl: merged.onUrl,
+    maxLength
+  };
+}
+
+export class SpeechFilter {
+  /**
+   * @param {Object} [settings] - Saved settings (normalizeSpeechFilter() fills the gaps)
+   */
+  constructor(settings) {
+    this.load(settings);
+  }
+
+  load(settings) {
+    this.settings = normalizeSpeechFilter(settings);
+    // Global versions of the chat blocklist's patterns, so every match can be redacted
+    this.terms = this.settings.bannedTerms.map((term) => {
+      const pattern = compileBlockedWord(term);
+      return new RegExp(pattern.source, pattern.flags + 'g');
+    });
+  }
+
+  /**
+   * What happens to an utterance
+   * @param {string} text - As the agent sent it, tags and all
+   * @returns {{ decision: string, text: string, reasons: string[] }} text is what would air
+   *   (redactions made) - reasons is empty when the decision is allow
+   */
+  check(text) {
+    const { settings } = this;
+    const found = [];  // [{ action, ranges: [{ start, end }], reason }] - ranges index into text
+
+    for (const span of textSpans(text)) {
+      const range = (index, length) => ({ start: span.start + index, end: span.start + index + length });
+
+      const banned = this.terms.flatMap(pattern => [...span.text.matchAll(pattern)].map(m => range(m.index, m[0].length)));
+      if (banned.length > 0) {
+        found.push({ action: settings.onBannedTerm, ranges: banned, reason: 'contains a banned term' });
+      }
+
+      if (settings.onPersonalData !== 'allow') {
+        for (const { match, index, reason } of findPersonalData(span.text)) {
+          found.push({ action: settings.onPersonalData, ranges: [range(index, match.length)], reason: `contains ${reason}` });
+        }
+      }
+
+      if (settings.onUrl !== 'allow') {
+        const urls = [...span.text.matchAll(URL_PATTERN)].map(m => range(m.index, m[0].length));
+        if (urls.length > 0) found.push({ action: settings.onUrl, ranges: urls, reason: 'contains a link' });
+      }
+    }
+
+    const spoken = stripTags(text).trim().length;
+    if (spoken > settings.maxLength) {
+      found.push({ action: 'block', ranges: [], reason: `${spoken} characters long - the limit is ${settings.maxLength}` });
+    }
+
+    const decision = found.reduce((worst, { action }) => DECISION_RANK[action] > DECISION_RANK[worst] ? action : worst, 'allow');
+
+    // Held utterances get their redactions too - the creator approves what would actually air,
+    // with what held it still in there to judge
+    const filtered = redact(text, found.filter(({ action }) => action === 'redact').flatMap(({ ranges }) => ranges));
+
+    return {
+      decision,
+      text: decision === 'allow' ? text : filtered,
+      reasons: [...new Set(found.map(({ reason }) => reason))]
+    };
+  }
+}
+
+export default {
+  FILTER_ACTIONS,
+  REDACTION,
+  DEFAULT_SPEECH_FILTER,
+  normalizeSpeechFilter,
+  SpeechFilter
+};
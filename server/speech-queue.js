@@ -0,0 +1,258 @@
+// server/speech-queue.js
+// Per-stream utterance queue - agents say things whenever they like, the stream speaks one at a time
+//
+// Every utterance gets its TTS (and GIF/YouTube lookups) started the moment it's queued, so the
+// next clip is usually ready by the time the current one ends. Order is by priority, then arrival:
+//   high    replies to chat
+//   normal  anything that didn't say
+//   low     autonomous thoughts - dropped if they've gone stale waiting behind the rest
+// interrupt: true cuts off whatever is playing as soon as the new clip is ready, and plays it next.
+
+import { randomUUID } from 'crypto';
+
+export const PRIORITIES = { high: 2, normal: 1, low: 0 };
+
+const MAX_QUEUE_LENGTH = 10;
+const LOW_PRIORITY_MAX_WAIT = 20 * 1000;  // An idle thought from 20s ago is no longer worth saying
+
+export class SpeechQueue {
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.prepare - (item) => Promise of whatever play() needs (TTS, media)
+   * @param {Function} handlers.play - (item, prepared) => ms the clip will be on air, 0 if nothing played
+   * @param {Function} handlers.stop - () => cut off the clip on air
+   * @param {Function} handlers.notify - (event, data) => tell the streamer
+   * @param {Function} [handlers.isLive] - () => whether the stream can still put a clip on air
+   */
+  constructor({ prepare, play, stop, notify, isLive = () => true }) {
+    this.prepare = prepare;
+    this.play = play;
+    this.stop = stop;
+    this.notify = notify;
+    this.isLive = isLive;
+
+    this.items = [];      // Waiting, best first
+    this.current = null;  // On air, or about to be
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  /**
+   * Queue something to say
+   * @param {Object} options - { text, emotion, actions, ref, priority, interrupt }
+   * @returns {Object} The queued item ({ id, ref, priority, ... }), or null if the queue was full
+   */
+  enqueue({ text, emotion = null, actions = [], ref = null, priority = 'normal', interrupt = false }) {
+    const item = {
+      id: randomUUID(),
+      ref: ref ?? null,
+      text,
+      emotion,
+      actions,
+      priority: PRIORITIES[priority] !== undefined ? priority : 'normal',
+      queuedAt: Date.now()
+    };
+
+    // Full: the new item only gets in by pushing out something less important
+    if (this.items.length >= MAX_QUEUE_LENGTH) {
+      const worst = this.items[this.items.length - 1];
+      if (interrupt || this.rank(item) > this.rank(worst)) {
+        this.items.pop();
+        this.drop(worst, 'queue_full');
+      } else {
+        this.drop(item, 'queue_full');
+        return null;
+      }
+    }
+
+    // Start the TTS now - it's usually done by the time this reaches the front
+    item.prepared = Promise.resolve()
+      .then(() => this.prepare(item))
+      .catch((error) => {
+        console.error('🗣️ Failed to prepare speech:', error.message);
+        return null;
+      });
+
+    if (interrupt) {
+      this.items.unshift(item);
+      // Cut the current clip once the new one can take over, so there's no dead air
+      item.prepared.then(() => {
+        if (this.current && this.items[0] === item) this.skip();
+      });
+    } else {
+      const index = this.items.findIndex(queued => this.rank(queued) < this.rank(item));
+      if (index === -1) this.items.push(item);
+      else this.items.splice(index, 0, item);
+    }
+
+    this.notify('speech:queued', {
+      speechId: item.id,
+      ref: item.ref,
+      priority: item.priority,
+      position: this.items.indexOf(item) + (this.current ? 1 : 0),
+      queueLength: this.items.length
+    });
+    this.notifyQueue();
+    this.advance();
+    return item;
+  }
+
+  rank(item) {
+    return PRIORITIES[item.priority];
+  }
+
+  // Put the next utterance on air, if nothing is playing
+  async advance() {
+    if (this.current) return;
+
+    this.dropStale();
+    const item = this.items.shift();
+    if (!item) {
+      this.notifyQueue();  // Gone quiet
+      return;
+    }
+
+    this.current = item;
+    this.notifyQueue();
+
+    const prepared = await item.prepared;
+    if (this.current !== item) return;  // Skipped while its TTS was still generating
+    if (!this.isLive()) {
+      // The stream ended while its TTS was still generating
+      this.current = null;
+      this.drop(item, 'offline');
+      return;
+    }
+
+    let duration = 0;
+    try {
+      duration = this.play(item, prepared);
+    } catch (error) {
+      console.error('🗣️ Failed to play speech:', error.message);
+    }
+    item.onAir = duration > 0;
+
+    // Nothing went on air (TTS failed, nothing speakable) - move straight on
+    if (!duration) {
+      this.current = null;
+      this.notify('speech:finished', {
+        speechId: item.id,
+        ref: item.ref,
+        duration: 0,
+        played: 0,
+        interrupted: false,
+        skipped: false
+      });
+      this.advance();
+    }
+  }
+
+  /**
+   * The clip on air has finished (played out or cut off) - call from the stream
+   * @param {string} speechId
+   */
+  finished(speechId) {
+    if (!this.current || this.current.id !== speechId) return;
+    this.current = null;
+    this.advance();
+  }
+
+  /**
+   * Skip whatever is playing now
+   * @returns {boolean} Whether anything was playing
+   */
+  skip() {
+    const item = this.current;
+    if (!item) return false;
+
+    // On air: the stream cuts it off and reports back through finished()
+    if (item.onAir) {
+      this.stop();
+      return true;
+    }
+
+    // Still waiting on its TTS - it just never airs
+    this.current = null;
+    this.drop(item, 'skipped');
+    this.advance();
+    return true;
+  }
+
+  /**
+   * Drop everything waiting (the clip on air keeps playing)
+   * @returns {number} How many utterances were dropped
+   */
+  clear() {
+    const dropped = this.items.splice(0);
+    dropped.forEach(item => this.drop(item, 'cleared'));
+    if (dropped.length > 0) this.notifyQueue();
+    return dropped.length;
+  }
+
+  /**
+   * The stream is ending - drop everything waiting and let go of the current utterance, so
+   * nothing is left half-started. A clip already on air is the stream's to cut off.
+   * @returns {number} How many utterances were dropped
+   */
+  close() {
+    const dropped = this.clear();
+    const item = this.current;
+    if (!item) return dropped;
+
+    this.current = null;
+    if (item.onAir) return dropped;
+    this.drop(item, 'offline');
+    this.notifyQueue();
+    return dropped + 1;
+  }
+
+  // Low-priority thoughts that waited too long aren't relevant anymore
+  dropStale() {
+    const now = Date.now();
+    const stale = this.items.filter(item =>
+      item.priority === 'low' && now - item.queuedAt > LOW_PRIORITY_MAX_WAIT
+    );
+    if (stale.length === 0) return;
+
+    this.items = this.items.filter(item => !stale.includes(item));
+    stale.forEach(item => this.drop(item, 'stale'));
+  }
+
+  // An utterance that will never play - still "finishes", so nobody waits on it forever
+  drop(item, reason) {
+    console.log('🗣️ Dropped speech:', reason, `"${(item.text || '').slice(0, 30)}"`);
+    this.notify('speech:finished', {
+      speechId: item.id,
+      ref: item.ref,
+      duration: 0,
+      played: 0,
+      interrupted: false,
+      skipped: true,
+      reason
+    });
+  }
+
+  notifyQueue() {
+    this.notify('speech:queue', this.toJSON());
+  }
+
+  toJSON() {
+    const summary = (item) => ({
+      speechId: item.id,
+      ref: item.ref,
+      priority: item.priority,
+      text: item.text,
+      queuedAt: item.queuedAt
+    });
+
+    return {
+      current: this.current ? summary(this.current) : null,
+      queue: this.items.map(summary),
+      length: this.items.length
+    };
+  }
+}
+
+export default SpeechQueue;
@@ -1,5 +1,5 @@
 // server/storage.js
-// Pinata IPFS Storage for profile pictures and banners
+// Pinata IPFS Storage for profile pictures, banners and uploaded Live2D models
 
 import { PinataSDK } from 'pinata';
 import 'dotenv/config';
@@ -43,6 +43,36 @@ export async function uploadFile(buffer, filename, mimeType, metadata = {}) {
   }
 }
 
+/**
+ * Upload a set of files as one IPFS directory, keeping their relative paths
+ * @param {Array<{name: string, data: Buffer, mimeType?: string}>} files - name is the path inside the directory
+ * @param {string} folderName - Directory name shown in Pinata
+ * @param {object} metadata - Optional key/values stored with the upload
+ * @returns {Promise<{cid: string, url: string}>} url points at the directory - append a file path
+ */
+export async function uploadDirectory(files, folderName, metadata = {}) {
+  try {
+    const fileObjects = files.map(({ name, data, mimeType = 'application/octet-stream' }) =>
+      new File([data], name, { type: mimeType })
+    );
+
+    const upload = await pinata.upload.public.fileArray(fileObjects).name(folderName).keyvalues(metadata);
+
+    console.log(`📦 Directory uploaded to IPFS (${files.length} files):`, upload.cid);
+
+    return {
+      cid: upload.cid,
+      url: getGatewayUrl(upload.cid),
+      id: upload.id,
+      name: upload.name,
+      size: upload.size,
+    };
+  } catch (error) {
+    console.error('❌ Pinata directory upload error:', error);
+    throw error;
+  }
+}
+
 /**
  * Upload a profile picture for an agent
  * @param {Buffer} buffer - Image buffer
@@ -158,6 +188,7 @@ export { pinata };
 
 export default {
   uploadFile,
+  uploadDirectory,
   uploadProfilePicture,
   uploadBanner,
   uploadFromUrl,
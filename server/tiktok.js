@@ -5,6 +5,7 @@
  */
 
 import fetch from 'node-fetch';
+import { getDirectives, removeTags } from '../shared/tags.js';
 
 // In-memory cache for discovered TikToks by hashtag
 const hashtagCache = new Map();
@@ -308,20 +309,11 @@ function storeTikTok(videoData, hashtag) {
  * @param {string} text - Message text to parse
  */
 function parseTikTokTags(text) {
-  const tags = [];
-  // Match [tiktok:search_term] or [tiktok:search term with spaces]
-  const regex = /\[tiktok:([^\]]+)\]/gi;
-  let match;
-  
-  while ((match = regex.exec(text)) !== null) {
-    tags.push({
-      fullMatch: match[0],
-      search: match[1].trim(),
-      position: match.index
-    });
-  }
-  
-  return tags;
+  return getDirectives(text, 'tiktok').map(tag => ({
+    fullMatch: tag.raw,
+    search: tag.search,
+    position: tag.index
+  }));
 }
 
 /**
@@ -329,7 +321,7 @@ function parseTikTokTags(text) {
  * @param {string} text - Text containing [tiktok:...] tags
  */
 function stripTikTokTags(text) {
-  return text.replace(/\[tiktok:[^\]]+\]/gi, '').trim();
+  return removeTags(text, 'tiktok');
 }
 
 /**
@@ -0,0 +1,106 @@
+// tts-elevenlabs.js - ElevenLabs TTS provider
+// Docs: https://elevenlabs.io/docs/api-reference/text-to-speech
+//
+// Needs ELEVENLABS_API_KEY. Voices are ElevenLabs voice IDs; without one we use
+// ELEVENLABS_VOICE_ID, or look up the "Lulu Lolipop" voice on first use.
+
+import { ElevenLabsClient } from '@elevenlabs/elevenlabs-js';
+
+const FALLBACK_VOICE_ID = '21m00Tcm4TlvDq8ikWAM';  // Rachel - on every account
+
+const DEFAULT_SETTINGS = {
+  stability: 0.4,
+  similarityBoost: 0.85,
+  style: 0.5,
+  useSpeakerBoost: false
+};
+
+let client = null;
+let defaultVoice = null;  // Promise<string>, looked up once
+
+function getClient() {
+  if (!client) {
+    client = new ElevenLabsClient({ apiKey: process.env.ELEVENLABS_API_KEY });
+  }
+  return client;
+}
+
+// Find the Lulu Lolipop voice - only asked the first time someone speaks without a voice
+async function findDefaultVoice() {
+  if (process.env.ELEVENLABS_VOICE_ID) return process.env.ELEVENLABS_VOICE_ID;
+
+  try {
+    console.log('🔍 Searching for Lulu Lolipop voice...');
+    const response = await getClient().voices.getAll();
+    const voices = response.voices || response;
+
+    const luluVoice = voices.find(v =>
+      v.name && (v.name.toLowerCase().includes('lulu') ||
+      v.name.toLowerCase().includes('lolipop'))
+    );
+    const voice = luluVoice || voices[0];
+    const voiceId = voice.voice_id || voice.voiceId || voice.id;
+
+    console.log(luluVoice
+      ? `✅ Found Lulu voice: ${voice.name} (ID: ${voiceId})`
+      : `⚠️ Lulu not found, using: ${voice.name} (${voiceId})`);
+    return voiceId;
+  } catch (error) {
+    console.error('❌ Error fetching voices:', error.message);
+    console.log(`⚠️ Using fallback voice ID: ${FALLBACK_VOICE_ID}`);
+    return FALLBACK_VOICE_ID;
+  }
+}
+
+/**
+ * Is an API key configured?
+ * @returns {boolean}
+ */
+export function isAvailable() {
+  return Boolean(process.env.ELEVENLABS_API_KEY);
+}
+
+/**
+ * Speak text with an ElevenLabs voice
+ * @param {string} text - Clean, speakable text
+ * @param {string} [voice] - ElevenLabs voice ID
+ * @param {Object} [settings] - { stability, similarityBoost, style } overrides
+ * @returns {Promise<{ audio: Buffer, extension: string, alignment: Object }>}
+ */
+export async function synthesize(text, voice, settings = null) {
+  if (!voice) {
+    defaultVoice ||= findDefaultVoice();
+    voice = await defaultVoice;
+  }
+
+  // The timestamped endpoint also tells us when each character is spoken - that drives the mouth shapes
+  const response = await getClient().textToSpeech.convertWithTimestamps(voice, {
+    text,
+    modelId: 'eleven_turbo_v2_5',
+    outputFormat: 'mp3_44100_64',
+    voiceSettings: { ...DEFAULT_SETTINGS, ...settings }
+  });
+
+  return {
+    audio: Buffer.from(response.audioBase64, 'base64'),
+    extension: 'mp3',
+    alignment: response.alignment
+  };
+}
+
+/**
+ * Voices on the account
+ * @returns {Promise<Array<{ id: string, name: string }>>}
+ */
+export async function listVoices() {
+  const response = await getClient().voices.getAll();
+  const voices = response.voices || response;
+  return voices.map(v => ({ id: v.voice_id || v.voiceId || v.id, name: v.name }));
+}
+
+export default {
+  name: 'elevenlabs',
+  isAvailable,
+  synthesize,
+  listVoices
+};
@@ -0,0 +1,269 @@
+// tts-local.js - Offline TTS provider
+//
+// A tiny formant synthesizer: every letter becomes a short voiced/unvoiced sound, vowels
+// get their real formants, punctuation becomes pauses. It won't win any voice acting
+// awards, but it needs no network, no API key and no binaries - development, tests and
+// CI get real audio of the right length, with exact character timings for lip sync.
+//
+// Rendering is pure CPU work, so it runs on worker threads (this same file, see WORKERS) -
+// a long utterance never stalls the server, and at most MAX_WORKERS render at once.
+
+import { Worker, isMainThread, parentPort } from 'worker_threads';
+
+const SAMPLE_RATE = 22050;
+const MAX_FREQUENCY = 4000;   // Nothing above this is worth synthesizing
+const GLIDE = 0.02;           // Seconds to slide from one sound into the next
+const MAX_WORKERS = Math.max(1, parseInt(process.env.LOCAL_TTS_WORKERS, 10) || 2);
+const MAX_WAITING = 20;       // Utterances queued for a free worker - past that, callers are turned away
+
+const VOICES = {
+  bright: { name: 'Bright', pitch: 240 },
+  soft: { name: 'Soft', pitch: 190, breath: 0.04 },
+  deep: { name: 'Deep', pitch: 115 }
+};
+const DEFAULT_VOICE = 'bright';
+
+// First two formants (Hz) of each vowel
+const FORMANTS = {
+  a: [730, 1090],
+  e: [530, 1840],
+  i: [270, 2290],
+  o: [570, 840],
+  u: [300, 870],
+  hum: [300, 1500],   // Voiced consonants - l, m, n, r, v, z...
+  closed: [250, 900]  // Lips shut - m, b, p
+};
+const VOWEL_LETTERS = { a: 'a', e: 'e', i: 'i', y: 'i', o: 'o', u: 'u' };
+const VOICED_LETTERS = new Set([...'lnrvwzjgd']);
+const CLOSED_LETTERS = new Set([...'mbp']);
+
+/**
+ * Always available - everything happens in-process
+ * @returns {boolean}
+ */
+export function isAvailable() {
+  return true;
+}
+
+// What one character sounds like: duration (s), which formants, loudness and hiss
+function segmentFor(ch) {
+  const lower = ch.toLowerCase();
+  if (VOWEL_LETTERS[lower]) return { duration: 0.09, formants: FORMANTS[VOWEL_LETTERS[lower]], level: 1, noise: 0 };
+  if (CLOSED_LETTERS.has(lower)) return { duration: 0.06, formants: FORMANTS.closed, level: 0.25, noise: 0 };
+  if (VOICED_LETTERS.has(lower)) return { duration: 0.06, formants: FORMANTS.hum, level: 0.45, noise: 0.02 };
+  if (/[.!?…]/.test(ch)) return { duration: 0.35, formants: null, level: 0, noise: 0 };
+  if (/[,;:]/.test(ch)) return { duration: 0.2, formants: null, level: 0, noise: 0 };
+  if (/\s/.test(ch)) return { duration: 0.05, formants: null, level: 0, noise: 0 };
+  if (/[\p{L}\p{N}]/u.test(ch)) return { duration: 0.06, formants: null, level: 0, noise: 0.15 };  // s, t, k, f...
+  return { duration: 0, formants: null, level: 0, noise: 0 };  // Quotes, symbols - silent
+}
+
+// Harmonic amplitudes of a glottal buzz at `pitch` shaped by two formant resonances
+function harmonicAmplitudes(pitch, formants, level) {
+  const count = Math.floor(MAX_FREQUENCY / pitch);
+  const amps = new Float64Array(count);
+  if (!formants) return amps;
+
+  for (let h = 1; h <= count; h++) {
+    const f = h * pitch;
+    const f1 = 1 / (1 + ((f - formants[0]) / 90) ** 2);
+    const f2 = 0.6 / (1 + ((f - formants[1]) / 130) ** 2);
+    amps[h - 1] = level * (f1 + f2) / h ** 0.5;
+  }
+  return amps;
+}
+
+// 16-bit mono PCM WAV
+function encodeWav(samples) {
+  const buffer = Buffer.alloc(44 + samples.length * 2);
+  buffer.write('RIFF', 0, 'latin1');
+  buffer.writeUInt32LE(36 + samples.length * 2, 4);
+  buffer.write('WAVE', 8, 'latin1');
+  buffer.write('fmt ', 12, 'latin1');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);               // PCM
+  buffer.writeUInt16LE(1, 22);               // Mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28); // Byte rate
+  buffer.writeUInt16LE(2, 32);               // Block align
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'latin1');
+  buffer.writeUInt32LE(samples.length * 2, 40);
+
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    buffer.writeInt16LE(Math.round(s * 32767), 44 + i * 2);
+  }
+  return buffer;
+}
+
+// Render a clip - runs on a worker thread
+function render(text, voice, settings) {
+  const preset = VOICES[voice] || VOICES[DEFAULT_VOICE];
+  const style = settings?.style ?? 0.5;
+  const wobble = (1 - (settings?.stability ?? 0.7)) * 0.06;
+  const characters = [...text];
+
+  // Lay out the timeline first - it doubles as the character alignment
+  const alignment = {
+    characters,
+    characterStartTimesSeconds: [],
+    characterEndTimesSeconds: []
+  };
+  const segments = [];
+  let time = 0.05;  // A breath before speaking
+  for (const ch of characters) {
+    const segment = segmentFor(ch);
+    alignment.characterStartTimesSeconds.push(time);
+    time += segment.duration;
+    alignment.characterEndTimesSeconds.push(time);
+    if (segment.duration > 0) segments.push({ ...segment, end: time });
+  }
+  const total = time + 0.15;
+
+  const samples = new Float32Array(Math.ceil(total * SAMPLE_RATE));
+  const glideSamples = GLIDE * SAMPLE_RATE;
+  let phase = 0;
+  let seed = 1;
+  let previous = { amps: harmonicAmplitudes(preset.pitch, null, 0), noise: 0 };
+  let sample = Math.floor(0.05 * SAMPLE_RATE);
+
+  for (const segment of segments) {
+    // Unstable voices wander a little from sound to sound
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    const drift = 1 + wobble * (seed / 0x3fffffff - 1);
+
+    const current = {
+      amps: harmonicAmplitudes(preset.pitch, segment.formants, segment.level),
+      noise: segment.noise + (segment.level > 0 ? preset.breath || 0 : 0)
+    };
+    const end = Math.floor(segment.end * SAMPLE_RATE);
+
+    for (let n = 0; sample < end; sample++, n++) {
+      const mix = Math.min(1, n / glideSamples);
+
+      // Pitch sags over the clip like a real voice - more expressive styles sag further
+      const sag = 0.32 * style;
+      const pitch = preset.pitch * drift * (1 + sag / 2 - sag * (sample / samples.length));
+      phase += 2 * Math.PI * pitch / SAMPLE_RATE;
+
+      let value = 0;
+      for (let h = 0; h < current.amps.length; h++) {
+        const amp = previous.amps[h] + (current.amps[h] - previous.amps[h]) * mix;
+        if (amp > 0.001) value += amp * Math.sin((h + 1) * phase);
+      }
+
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      const noise = previous.noise + (current.noise - previous.noise) * mix;
+      value += noise * (seed / 0x3fffffff - 1);
+
+      samples[sample] = value;
+    }
+    previous = current;
+  }
+
+  // Normalize to a comfortable level
+  let peak = 0;
+  for (const s of samples) peak = Math.max(peak, Math.abs(s));
+  if (peak > 0) {
+    for (let i = 0; i < samples.length; i++) samples[i] *= 0.8 / peak;
+  }
+
+  return { audio: encodeWav(samples), extension: 'wav', alignment };
+}
+
+// ============ WORKERS ============
+
+const idleWorkers = [];
+const waitingJobs = [];  // { job, resolve, reject } for when a worker frees up
+let workerCount = 0;
+
+function spawnWorker() {
+  const worker = new Worker(new URL(import.meta.url));
+  workerCount++;
+
+  worker.on('message', (result) => {
+    const { task } = worker;
+    worker.task = null;
+    task.resolve(result);
+    nextJob(worker);
+  });
+  worker.on('error', (error) => {
+    console.error('❌ Local TTS worker failed:', error.message);
+  });
+  worker.on('exit', () => {
+    workerCount--;
+    const index = idleWorkers.indexOf(worker);
+    if (index !== -1) idleWorkers.splice(index, 1);
+    worker.task?.reject(new Error('Local TTS worker stopped'));
+    worker.task = null;
+    // Someone may be waiting on the worker that just went away
+    if (waitingJobs.length > 0) startJob(waitingJobs.shift());
+  });
+  return worker;
+}
+
+function startJob(task) {
+  const worker = idleWorkers.pop() || (workerCount < MAX_WORKERS ? spawnWorker() : null);
+  if (!worker) {
+    waitingJobs.push(task);
+    return;
+  }
+  worker.task = task;
+  worker.ref();
+  worker.postMessage(task.job);
+}
+
+// Done with a clip - take the next one, or sit idle without keeping the process alive
+function nextJob(worker) {
+  const task = waitingJobs.shift();
+  if (task) {
+    worker.task = task;
+    worker.postMessage(task.job);
+    return;
+  }
+  worker.unref();
+  idleWorkers.push(worker);
+}
+
+if (!isMainThread && parentPort) {
+  parentPort.on('message', ({ text, voice, settings }) => {
+    const result = render(text, voice, settings);
+    parentPort.postMessage(result, [result.audio.buffer]);
+  });
+}
+
+/**
+ * Speak text with the built-in synthesizer
+ * @param {string} text - Clean, speakable text
+ * @param {string} [voice] - bright, soft or deep
+ * @param {Object} [settings] - style (0-1) sets how much the pitch moves, stability (0-1) how steady it is
+ * @returns {Promise<{ audio: Buffer, extension: string, alignment: Object }>}
+ * @throws {Error} If too many clips are already waiting for a worker
+ */
+export async function synthesize(text, voice, settings = null) {
+  if (waitingJobs.length >= MAX_WAITING) {
+    throw new Error('Local TTS is busy - try again in a moment');
+  }
+
+  const { audio, extension, alignment } = await new Promise((resolve, reject) => {
+    startJob({ job: { text, voice, settings }, resolve, reject });
+  });
+  // Comes back from the worker as a plain Uint8Array
+  return { audio: Buffer.from(audio.buffer, audio.byteOffset, audio.byteLength), extension, alignment };
+}
+
+/**
+ * Built-in voices
+ * @returns {Promise<Array<{ id: string, name: string }>>}
+ */
+export async function listVoices() {
+  return Object.entries(VOICES).map(([id, voice]) => ({ id, name: voice.name }));
+}
+
+export default {
+  name: 'local',
+  isAvailable,
+  synthesize,
+  listVoices
+};
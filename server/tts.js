@@ -1,57 +1,112 @@
-import { ElevenLabsClient } from '@elevenlabs/elevenlabs-js';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
 import os from 'os';
+import { randomUUID } from 'crypto';
+import { measureClip, buildLipSyncTrack, timeTextOffsets } from './lipsync.js';
+import { tokenize, stripTags, locateTags } from '../shared/tags.js';
+import elevenlabs from './tts-elevenlabs.js';
+import local from './tts-local.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+// ============ PROVIDERS ============
+// A provider turns clean text into audio:
+//   isAvailable()              -> boolean (configured? reachable without setup?)
+//   synthesize(text, voice, settings) -> { audio: Buffer, extension: 'mp3' | 'wav', alignment? }
+//   listVoices()               -> [{ id, name }]
+// alignment uses the ElevenLabs shape ({ characters, characterStartTimesSeconds, characterEndTimesSeconds })
+// and is what times the lip sync mouth shapes.
+//
+// Agents pick a voice with Agent.voiceId as "provider:voice" ("local:deep", "elevenlabs:pFZP5JQG...").
+// A bare ID is an ElevenLabs voice, which is what voiceId held before there were providers.
+export const PROVIDERS = {
+  elevenlabs,
+  local
+};
 
-// Initialize ElevenLabs client with the actual API key
-const elevenlabs = new ElevenLabsClient({
-  apiKey: 'sk_a2a6014fd846346e449e3efad9fec52085f7037e7c48ca9f'
-});
+// Provider for agents without a voice: TTS_PROVIDER, else ElevenLabs if there's a key, else offline
+function defaultProviderName() {
+  const configured = process.env.TTS_PROVIDER;
+  if (configured && PROVIDERS[configured]) return configured;
+  return elevenlabs.isAvailable() ? 'elevenlabs' : 'local';
+}
 
-// Voice ID for "Lulu Lolipop - High-Pitched and Bubbly"
-let VOICE_ID = null;
+/**
+ * Split a voice ID into provider and voice
+ * @param {string|null} voiceId - "provider:voice", a bare ElevenLabs voice ID, or nothing
+ * @returns {{ provider: string, voice: string|null }}
+ */
+export function parseVoiceId(voiceId) {
+  if (!voiceId) return { provider: defaultProviderName(), voice: null };
 
-// Create temp directory for audio files
-export const TEMP_DIR = path.join(os.tmpdir(), 'lobster-tts');
-if (!fs.existsSync(TEMP_DIR)) {
-  fs.mkdirSync(TEMP_DIR, { recursive: true });
+  const separator = voiceId.indexOf(':');
+  if (separator > 0 && PROVIDERS[voiceId.slice(0, separator)]) {
+    return { provider: voiceId.slice(0, separator), voice: voiceId.slice(separator + 1) || null };
+  }
+  return { provider: 'elevenlabs', voice: voiceId };
 }
 
-console.log(`📁 TTS temp directory: ${TEMP_DIR}`);
+// The provider that will actually speak - falls back to the offline engine when the
+// chosen one isn't set up (no API key in development), so streams never go mute
+function resolveProvider(voiceId) {
+  const { provider, voice } = parseVoiceId(voiceId);
+  if (PROVIDERS[provider].isAvailable()) return { provider: PROVIDERS[provider], voice };
 
-// Find the Lulu Lolipop voice
-async function findVoice() {
-  try {
-    console.log('🔍 Searching for Lulu Lolipop voice...');
-    const response = await elevenlabs.voices.getAll();
-    const voices = response.voices || response;
-
-    const luluVoice = voices.find(v =>
-      v.name && (v.name.toLowerCase().includes('lulu') ||
-      v.name.toLowerCase().includes('lolipop'))
-    );
-
-    if (luluVoice) {
-      VOICE_ID = luluVoice.voice_id || luluVoice.voiceId || luluVoice.id;
-      console.log(`✅ Found Lulu voice: ${luluVoice.name} (ID: ${VOICE_ID})`);
-    } else {
-      const fallback = voices[0];
-      VOICE_ID = fallback.voice_id || fallback.voiceId || fallback.id;
-      console.log(`⚠️ Lulu not found, using: ${fallback.name} (${VOICE_ID})`);
+  console.warn(`⚠️ TTS provider "${provider}" not configured, using the offline voice`);
+  return { provider: local, voice: null };
+}
+
+const VOICE_SETTING_KEYS = ['stability', 'similarityBoost', 'style'];
+const VOICE_LIST_TTL = 10 * 60 * 1000;  // Voice catalogues barely change - don't ask every page view
+
+let voiceListCache = null;  // { voices, expiresAt }
+
+/**
+ * Clean up user-supplied voice settings - known keys only, clamped to 0-1
+ * @param {Object} settings - { stability, similarityBoost, style }
+ * @returns {Object|null} Settings, or null if there's nothing valid in them
+ */
+export function normalizeVoiceSettings(settings) {
+  if (!settings || typeof settings !== 'object') return null;
+
+  const clean = {};
+  for (const key of VOICE_SETTING_KEYS) {
+    const value = Number(settings[key]);
+    if (settings[key] !== undefined && settings[key] !== null && Number.isFinite(value)) {
+      clean[key] = Math.max(0, Math.min(1, value));
     }
-  } catch (error) {
-    console.error('❌ Error fetching voices:', error.message);
-    VOICE_ID = '21m00Tcm4TlvDq8ikWAM';
-    console.log(`⚠️ Using fallback voice ID: ${VOICE_ID}`);
   }
+  return Object.keys(clean).length > 0 ? clean : null;
 }
 
-findVoice();
+/**
+ * Every voice agents can pick, from every provider that's set up
+ * @returns {Promise<Array<{ id: string, name: string, provider: string }>>} id is a full voiceId ("local:deep")
+ */
+export async function listVoices() {
+  if (voiceListCache && voiceListCache.expiresAt > Date.now()) return voiceListCache.voices;
+
+  const voices = [];
+  for (const [name, provider] of Object.entries(PROVIDERS)) {
+    if (!provider.isAvailable()) continue;
+    try {
+      for (const voice of await provider.listVoices()) {
+        voices.push({ id: `${name}:${voice.id}`, name: voice.name, provider: name });
+      }
+    } catch (error) {
+      console.error(`❌ Failed to list ${name} voices:`, error.message);
+    }
+  }
+
+  voiceListCache = { voices, expiresAt: Date.now() + VOICE_LIST_TTL };
+  return voices;
+}
+
+// Create temp directory for audio files
+export const TEMP_DIR = path.join(os.tmpdir(), 'lobster-tts');
+if (!fs.existsSync(TEMP_DIR)) {
+  fs.mkdirSync(TEMP_DIR, { recursive: true });
+}
+
+console.log(`📁 TTS temp directory: ${TEMP_DIR}`);
 
 export const TTS_TEMP_DIR = TEMP_DIR;
 
@@ -142,91 +197,57 @@ function convertNumbersToWords(text) {
 }
 
 /**
- * Strip avatar control tags from text for TTS
- * Removes things like [happy], [wave], [raise_left_hand], [gif:...], [youtube:...], etc.
+ * Generate speech from text with the agent's voice
+ * @param {string} text - What to say, avatar tags and all
+ * @param {string} [voiceId] - Agent.voiceId ("provider:voice"); the default provider when empty
+ * @param {Object} [voiceSettings] - Agent.voiceSettings (see normalizeVoiceSettings)
+ * @returns {Promise<{ url: string, duration: number, lipSync: Object, cues: Array }>} Clip URL, its real
+ *   length in ms (measured from the audio, not estimated), its lip sync track (see lipsync.js) and
+ *   every tag from the text with `at`, the ms into the clip where it's spoken
  */
-function stripTagsForTTS(text) {
-  // Remove all [tag] patterns - emotions, actions, effects, etc.
-  return text
-    // Emotions
-    .replace(/\[(neutral|happy|excited|sad|angry|surprised|thinking|confused|wink|love|smug|sleepy)\]/gi, '')
-    // Gestures and actions (COMPLETE list!)
-    .replace(/\[(wave|nod|shake|dance|bow|shrug|point|think|wonder|doubt|shy|cute|flirt|heart|love|magic_heart|magic|trick|rabbit)\]/gi, '')
-    // Arm controls
-    .replace(/\[(raise_left_hand|raise_right_hand|raise_left_arm|raise_right_arm|raise_both_hands|raise_both_arms|lower_left_arm|lower_right_arm|lower_arms)\]/gi, '')
-    // Eye/look direction
-    .replace(/\[(look_left|look_right|look_up|look_down)\]/gi, '')
-    // Special effects
-    .replace(/\[(hearts|magic|explosion|aura)\]/gi, '')
-    // GIF tags [gif:search] or [gif:search:position] or [gif:search:position:duration]
-    .replace(/\[gif:[^\]]+\]/gi, '')
-    // YouTube tags [youtube:search term]
-    .replace(/\[youtube:[^\]]+\]/gi, '')
-    // Catch any remaining [tags] we might have missed
-    .replace(/\[[a-z_]+\]/gi, '')
-    .replace(/\s+/g, ' ')  // Collapse multiple spaces
-    .trim();
-}
-
-/**
- * Generate speech from text using ElevenLabs
- */
-export async function generateSpeech(text) {
+export async function generateSpeech(text, voiceId = null, voiceSettings = null) {
   if (!text || text.trim().length === 0) {
     throw new Error('No text provided for TTS');
   }
 
   // Strip avatar tags before TTS!
-  let cleanText = stripTagsForTTS(text);
+  const tags = tokenize(text);
+  const strippedText = stripTags(tags);
   
   // Convert numbers to words for better pronunciation
-  cleanText = convertNumbersToWords(cleanText);
+  const cleanText = convertNumbersToWords(strippedText);
   
   if (!cleanText || cleanText.length === 0) {
     throw new Error('No speakable text after stripping tags');
   }
 
-  // Wait for voice to be loaded
-  let attempts = 0;
-  while (!VOICE_ID && attempts < 10) {
-    await new Promise(r => setTimeout(r, 500));
-    attempts++;
-  }
-
-  if (!VOICE_ID) {
-    VOICE_ID = '21m00Tcm4TlvDq8ikWAM';
-  }
+  const { provider, voice } = resolveProvider(voiceId);
 
   try {
-    console.log(`🎤 TTS (clean): "${cleanText.slice(0, 50)}..."`);
-
-    const audio = await elevenlabs.textToSpeech.convert(VOICE_ID, {
-      text: cleanText,
-      modelId: 'eleven_turbo_v2_5',
-      outputFormat: 'mp3_44100_64',
-      voiceSettings: {
-        stability: 0.4,
-        similarityBoost: 0.85,
-        style: 0.5,
-        useSpeakerBoost: false
-      }
-    });
+    console.log(`🎤 TTS (${provider.name}): "${cleanText.slice(0, 50)}..."`);
+
+    const { audio, extension, alignment } = await provider.synthesize(cleanText, voice, normalizeVoiceSettings(voiceSettings));
 
-    const filename = `voice-${Date.now()}.mp3`;
+    // Unique even when two streams speak in the same millisecond
+    const filename = `voice-${randomUUID()}.${extension}`;
     const filepath = path.join(TEMP_DIR, filename);
+    fs.writeFileSync(filepath, audio);
 
-    const chunks = [];
-    for await (const chunk of audio) {
-      chunks.push(chunk);
-    }
-    const buffer = Buffer.concat(chunks);
-    fs.writeFileSync(filepath, buffer);
+    // One pass over the audio for both the mouth and the tag timings
+    const clip = measureClip(audio);
+    const lipSync = buildLipSyncTrack(clip, cleanText, alignment);
+
+    // Time every tag by the words around it - numbers read out as words push everything after them
+    const located = locateTags(tags);
+    const offsets = located.map(tag => convertNumbersToWords(strippedText.slice(0, tag.offset)).length);
+    const times = timeTextOffsets(clip, cleanText, alignment, offsets);
+    const cues = located.map((tag, i) => ({ ...tag, at: times[i] }));
 
-    console.log(`✅ TTS generated: ${filepath}`);
-    return `/tts/${filename}`;
+    console.log(`✅ TTS generated: ${filepath} (${(lipSync.duration / 1000).toFixed(1)}s)`);
+    return { url: `/tts/${filename}`, duration: lipSync.duration, lipSync, cues };
 
   } catch (error) {
-    console.error('❌ ElevenLabs TTS error:', error);
+    console.error(`❌ ${provider.name} TTS error:`, error);
     throw error;
   }
 }
@@ -0,0 +1,253 @@
+// server/viewer-identity.js
+// Who a viewer is - worked out once from the socket handshake, never from what a chat message says
+//
+// A viewer is one of:
+//   x          logged in with X (the lobster_session cookie) - shown as @handle, id x:<handle>
+//   wallet     signed our sign-in message with a Solana wallet (a viewer token) - shown as a short address
+//   guest      picked a name (a viewer token) - shown as that name. A new id every time, so
+//              moderation.js closes guest chat while any guest is banned or timed out
+//   agent      an agent watching with its API key - shown as "Agent <name>"
+//   anonymous  none of these - can watch, can't chat
+// Viewer tokens are signed with VIEWER_TOKEN_SECRET, so the name or address in one can't be edited.
+// Without it a random secret is made at startup, and tokens only last until the server restarts.
+
+import crypto from 'crypto';
+import nacl from 'tweetnacl';
+import { sessions, isCreatorOfAgent } from './x-auth.js';
+import { resolveApiKey } from './credentials.js';
+
+const TOKEN_TTL = 30 * 24 * 60 * 60 * 1000;     // Same as the X session cookie
+const CHALLENGE_TTL = 5 * 60 * 1000;            // Time to sign the wallet message
+const GUEST_NAME = /^[A-Za-z0-9_-]{2,24}$/;     // No @ (X handles) and no spaces ("Agent x")
+const RESERVED_NAMES = ['system', 'lobster', 'admin', 'moderator', 'mod'];
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const challenges = new Map();  // nonce -> { address, message, expiresAt }
+let randomSecret = null;
+
+function secret() {
+  if (process.env.VIEWER_TOKEN_SECRET) return process.env.VIEWER_TOKEN_SECRET;
+  if (!randomSecret) {
+    console.warn('⚠️ VIEWER_TOKEN_SECRET not set - guest and wallet logins end when the server restarts');
+    randomSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return randomSecret;
+}
+
+// ============ TOKENS ============
+
+function sign(payload) {
+  return crypto.createHmac('sha256', secret()).update(payload).digest('base64url');
+}
+
+function issueToken(claims) {
+  const payload = Buffer.from(JSON.stringify({ ...claims, exp: Date.now() + TOKEN_TTL })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check a viewer token
+ * @param {string} token
+ * @returns {Object|null} { kind, id, name } - null if it's forged, damaged or expired
+ */
+export function verifyViewerToken(token) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return claims.exp > Date.now() ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+// ============ GUESTS ============
+
+/**
+ * Sign in as a guest
+ * @param {string} name - Display name
+ * @returns {{ token: string, viewer: Object }}
+ * @throws {Error} If the name isn't allowed
+ */
+export function issueGuestToken(name) {
+  name = typeof name === 'string' ? name.trim() : '';
+  if (!GUEST_NAME.test(name)) {
+    throw new Error('Names are 2-24 letters, numbers, - or _');
+  }
+  if (RESERVED_NAMES.includes(name.toLowerCase())) {
+    throw new Error('That name is taken');
+  }
+
+  const claims = { kind: 'guest', id: 'guest:' + crypto.randomBytes(6).toString('hex'), name };
+  return { token: issueToken(claims), viewer: publicViewer(fromClaims(claims)) };
+}
+
+// ============ WALLETS ============
+
+function decodeBase58(text) {
+  let bytes = [0];
+  for (const char of text) {
+    let carry = BASE58.indexOf(char);
+    if (carry < 0) return null;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    for (; carry > 0; carry >>= 8) bytes.push(carry & 0xff);
+  }
+  for (const char of text) {
+    if (char !== '1') break;
+    bytes.push(0);  // Leading 1s are leading zero bytes
+  }
+  return Uint8Array.from(bytes.reverse());
+}
+
+function walletKey(address) {
+  const key = typeof address === 'string' ? decodeBase58(address) : null;
+  return key && key.length === 32 ? key : null;
+}
+
+/**
+ * Start a wallet sign-in - the wallet signs the returned message
+ * @param {string} address - Base58 Solana public key
+ * @returns {{ nonce: string, message: string }}
+ * @throws {Error} If it isn't a wallet address
+ */
+export function createWalletChallenge(address) {
+  if (!walletKey(address)) throw new Error('Not a Solana wallet address');
+
+  const now = Date.now();
+  for (const [nonce, challenge] of challenges) {
+    if (challenge.expiresAt < now) challenges.delete(nonce);
+  }
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const message = `Sign in to Lobster chat\nWallet: ${address}\nNonce: ${nonce}`;
+  challenges.set(nonce, { address, message, expiresAt: now + CHALLENGE_TTL });
+  return { nonce, message };
+}
+
+/**
+ * Finish a wallet sign-in
+ * @param {Object} proof
+ * @param {string} proof.address - The address the challenge was for
+ * @param {string} proof.nonce - From createWalletChallenge()
+ * @param {string} proof.signature - Base64 ed25519 signature of the challenge message
+ * @returns {{ token: string, viewer: Object }}
+ * @throws {Error} If the challenge is unknown or expired, or the signature doesn't match
+ */
+export function verifyWalletSignature({ address, nonce, signature } = {}) {
+  const challenge = challenges.get(nonce);
+  challenges.delete(nonce);  // One try per challenge
+  if (!challenge || challenge.expiresAt < Date.now() || challenge.address !== address) {
+    throw new Error('Sign-in expired - try again');
+  }
+
+  const signatureBytes = typeof signature === 'string' ? Buffer.from(signature, 'base64') : null;
+  const valid = signatureBytes?.length === nacl.sign.signatureLength && nacl.sign.detached.verify(
+    Buffer.from(challenge.message), signatureBytes, walletKey(address)
+  );
+  if (!valid) throw new Error('Signature does not match the wallet');
+
+  const claims = { kind: 'wallet', id: 'wallet:' + address, name: address };
+  return { token: issueToken(claims), viewer: publicViewer(fromClaims(claims)) };
+}
+
+// ============ HANDSHAKE ============
+
+/**
+ * The viewer id of an X account
+ * @param {string} handle - With or without the @
+ * @returns {string|null} x:<handle>, lowercase
+ */
+export function xUserId(handle) {
+  return handle ? 'x:' + handle.toLowerCase().replace(/^@/, '') : null;
+}
+
+function fromClaims({ kind, id, name }) {
+  return {
+    kind,
+    id,
+    displayName: kind === 'wallet' ? `${name.slice(0, 4)}...${name.slice(-4)}` : name
+  };
+}
+
+function readCookie(header, name) {
+  for (const part of (header || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+/**
+ * Who's on the other end of a viewer socket
+ * @param {Object} handshake - socket.handshake: the X session cookie, or auth { token } / { apiKey }
+ * @returns {Promise<Object>} { kind, id, displayName, xUsername?, agentId? } - displayName is null for anonymous
+ */
+export async function resolveViewer(handshake) {
+  const auth = handshake.auth || {};
+
+  if (auth.apiKey) {
+    const agent = await resolveApiKey(auth.apiKey).catch(() => null);
+    if (agent) {
+      return { kind: 'agent', id: 'agent:' + agent.agentId, displayName: 'Agent ' + agent.agentId, agentId: agent.agentId };
+    }
+  }
+
+  const session = sessions.get(readCookie(handshake.headers?.cookie, 'lobster_session'));
+  if (session) {
+    return {
+      kind: 'x',
+      id: xUserId(session.xUsername),
+      displayName: '@' + session.xUsername,
+      xUsername: session.xUsername
+    };
+  }
+
+  const claims = verifyViewerToken(auth.token);
+  if (claims) return fromClaims(claims);
+
+  return { kind: 'anonymous', id: null, displayName: null };
+}
+
+/**
+ * How a viewer's messages show up in a stream's chat
+ * @param {Object} viewer - From resolveViewer()
+ * @param {Object} stream - Its config.creatorName is the creator's X handle
+ * @returns {{ type: string, badges: string[] }} type is viewer, creator or agent-viewer
+ */
+export function chatRole(viewer, stream) {
+  if (viewer.kind === 'agent') return { type: 'agent-viewer', badges: [] };
+  if (viewer.kind === 'x' && isCreatorOfAgent(viewer.xUsername, stream.config.creatorName)) {
+    return { type: 'creator', badges: ['creator', 'verified'] };
+  }
+  return { type: 'viewer', badges: viewer.kind === 'x' ? ['verified'] : viewer.kind === 'wallet' ? ['wallet'] : [] };
+}
+
+/**
+ * What a viewer is told about themselves
+ * @param {Object} viewer - From resolveViewer()
+ * @returns {{ kind: string, displayName: string|null }}
+ */
+export function publicViewer(viewer) {
+  return { kind: viewer.kind, displayName: viewer.displayName };
+}
+
+export default {
+  xUserId,
+  verifyViewerToken,
+  issueGuestToken,
+  createWalletChallenge,
+  verifyWalletSignature,
+  resolveViewer,
+  chatRole,
+  publicViewer
+};
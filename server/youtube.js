@@ -5,6 +5,7 @@
 
 import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import { getDirectives, removeTags } from '../shared/tags.js';
 
 dotenv.config();
 
@@ -226,26 +227,18 @@ async function searchVideos(query, limit = 10) {
  * Parse [youtube:search_term] tags from text
  */
 function parseYouTubeTags(text) {
-  const tags = [];
-  const regex = /\[youtube:([^\]]+)\]/gi;
-  let match;
-  
-  while ((match = regex.exec(text)) !== null) {
-    tags.push({
-      fullMatch: match[0],
-      search: match[1].trim(),
-      position: match.index
-    });
-  }
-  
-  return tags;
+  return getDirectives(text, 'youtube').map(tag => ({
+    fullMatch: tag.raw,
+    search: tag.search,
+    position: tag.index
+  }));
 }
 
 /**
  * Strip YouTube tags from text
  */
 function stripYouTubeTags(text) {
-  return text.replace(/\[youtube:[^\]]+\]/gi, '').trim();
+  return removeTags(text, 'youtube');
 }
 
 /**
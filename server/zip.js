@@ -0,0 +1,99 @@
+// server/zip.js
+// Minimal ZIP reader for uploaded Live2D models - stored and deflated entries, no ZIP64 or encryption
+//
+// Reads the central directory at the end of the archive, then each entry's local header.
+// Sizes come from the central directory, so archives written with data descriptors work too.
+
+import zlib from 'zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * Read every file in a ZIP archive
+ * @param {Buffer} buffer - The whole archive
+ * @param {Object} [limits]
+ * @param {number} [limits.maxEntries=1000] - Refuse archives with more entries
+ * @param {number} [limits.maxSize=200MB] - Refuse archives that unpack to more than this
+ * @returns {Array<{ name: string, data: Buffer }>} Files in archive order - directories are skipped
+ * @throws {Error} If the archive is damaged or uses a feature this reader doesn't support
+ */
+export function readZip(buffer, { maxEntries = 1000, maxSize = 200 * 1024 * 1024 } = {}) {
+  const eocd = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(eocd + 10);
+  const directorySize = buffer.readUInt32LE(eocd + 12);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  if (count === 0xffff || offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+  if (count > maxEntries) throw new Error(`Too many files (${count}, max ${maxEntries})`);
+  if (offset + directorySize > eocd) throw new Error('Damaged archive');
+
+  const files = [];
+  let total = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error('Damaged archive');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength).replace(/\\/g, '/');
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) throw new Error(`${name} is encrypted`);
+
+    total += size;
+    if (total > maxSize) throw new Error(`Archive unpacks to more than ${Math.round(maxSize / 1024 / 1024)}MB`);
+
+    files.push({ name, data: readEntry(buffer, localOffset, { name, method, compressedSize, size }) });
+  }
+
+  return files;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64KB
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) throw new Error('Not a ZIP archive');
+  const start = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= start; i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) return i;
+  }
+  throw new Error('Not a ZIP archive');
+}
+
+function readEntry(buffer, offset, { name, method, compressedSize, size }) {
+  if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== LOCAL_SIGNATURE) {
+    throw new Error(`Damaged entry: ${name}`);
+  }
+  const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+  const raw = buffer.subarray(start, start + compressedSize);
+  if (raw.length !== compressedSize) throw new Error(`Truncated entry: ${name}`);
+
+  let data;
+  if (method === 0) {
+    data = raw;
+  } else if (method === 8) {
+    try {
+      data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    } catch {
+      throw new Error(`Damaged entry: ${name}`);
+    }
+  } else {
+    throw new Error(`${name} uses an unsupported compression method (${method})`);
+  }
+
+  if (data.length !== size) throw new Error(`Damaged entry: ${name}`);
+  return data;
+}
+
+export default {
+  readZip
+};
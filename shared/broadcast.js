@@ -0,0 +1,101 @@
+// shared/broadcast.js
+// Broadcast protocol v2 - keyframes and deltas instead of the whole state 20 times a second
+//
+// Viewers that join with { protocol: 2 } get:
+//   broadcast:keyframe  { seq, state, serverTime }    the whole state - on join, every KEYFRAME_INTERVAL,
+//                                                     and when they ask with broadcast:resync
+//   broadcast:delta     { seq, changes, serverTime }  what changed since seq - 1 - quiet ticks send nothing
+// changes holds the sections that changed; audio, avatar and subtitle hold only their changed fields,
+// anything else (message, overlays, effects) comes whole. A viewer that misses a seq asks for a keyframe.
+// Fields clients work out for themselves (PER_TICK_FIELDS) are left out of both.
+//
+// Viewers that don't ask stay on protocol 1: the full broadcast:state every tick.
+
+export const PROTOCOL_VERSION = 2;
+export const KEYFRAME_INTERVAL = 5000;  // ms
+
+// Sections sent field by field - always objects
+const MERGED_SECTIONS = ['audio', 'avatar', 'subtitle'];
+
+// Change every tick and are derivable: position from audio.startTime, the mouth from the clip's
+// viseme track (sent with broadcast:newAudio)
+const PER_TICK_FIELDS = { audio: ['position'], avatar: ['mouthOpen', 'visemes'] };
+
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * A protocol 1 state (BroadcastState.toJSON()) as protocol 2 sends it
+ * @param {Object} state
+ * @returns {Object} Without serverTime and PER_TICK_FIELDS
+ */
+export function compactState(state) {
+  const { serverTime, ...compact } = state;
+  for (const [section, fields] of Object.entries(PER_TICK_FIELDS)) {
+    if (!compact[section]) continue;
+    compact[section] = { ...compact[section] };
+    for (const field of fields) delete compact[section][field];
+  }
+  return compact;
+}
+
+/**
+ * What changed between two compact states
+ * @param {Object} previous - From compactState()
+ * @param {Object} next - From compactState()
+ * @returns {Object|null} A delta's changes, or null if nothing did
+ */
+export function diffState(previous, next) {
+  const changes = {};
+  for (const [section, value] of Object.entries(next)) {
+    const before = previous[section];
+    if (MERGED_SECTIONS.includes(section) && value && before) {
+      const fields = {};
+      for (const [key, field] of Object.entries(value)) {
+        if (!same(before[key], field)) fields[key] = field;
+      }
+      if (Object.keys(fields).length > 0) changes[section] = fields;
+    } else if (!same(before, value)) {
+      changes[section] = value;
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Apply a delta's changes to the state before it
+ * @param {Object} state - Compact state as of seq - 1
+ * @param {Object} changes - From diffState()
+ * @returns {Object} New compact state - the one passed in is left alone
+ */
+export function applyDelta(state, changes) {
+  const next = { ...state };
+  for (const [section, value] of Object.entries(changes)) {
+    next[section] = MERGED_SECTIONS.includes(section) && value && state[section]
+      ? { ...state[section], ...value }
+      : value;
+  }
+  return next;
+}
+
+/**
+ * A compact state as protocol 1 sends it, for code that reads broadcast:state
+ * @param {Object} state - From compactState() or applyDelta()
+ * @param {number} serverTime - From the keyframe or delta
+ * @returns {Object}
+ */
+export function expandState(state, serverTime) {
+  const audio = state.audio && {
+    ...state.audio,
+    position: state.audio.isPlaying ? serverTime - state.audio.startTime : 0
+  };
+  return { ...state, audio, serverTime };
+}
+
+export default {
+  PROTOCOL_VERSION,
+  KEYFRAME_INTERVAL,
+  compactState,
+  diffState,
+  applyDelta,
+  expandState
+};
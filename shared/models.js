@@ -0,0 +1,159 @@
+// shared/models.js
+// Which avatar tags a Live2D model can actually perform
+//
+// Every model can have a <name>.lobster.json next to its <name>.model3.json that maps the tag
+// vocabulary (shared/tags.js) onto that model:
+//   name         display name in the model picker (and description, a one-liner under it)
+//   layout       { scale, offsetY } - how big and where in the canvas
+//   lipSync      { vowels: [a, i, u, e, o] parameter ids } and/or { mouthOpen: parameter id }
+//   eyes         eye-open parameter ids, held open every frame (blinks come from the server)
+//   breath       breathing parameter id, driven by the server's idle engine (server/idle.js)
+//   look         { eyes: [x, y], head: [x, y], headRange: [x, y] degrees } parameter ids
+//   expressions  emotion -> { params: { id: value }, expression: exp3 name, eyes: 0-1, wink: eye parameter id }
+//                params are applied over the neutral expression's
+//   gestures     gesture -> { pose: { id: value } } held until another pose moves those parameters,
+//                or { motion: { group, index } } from the model3.json motions
+// Without one, a model gets DEFAULT_MAPPING: it talks and looks around, but has no faces or gestures.
+// A <name>.preview.png next to it is the picker thumbnail - otherwise one is made from its first texture.
+//
+// The server adds the model's own animations from its .model3.json as mapping.motions -
+// [{ name, group, index, duration }], name being the motion file's - which [motion:...] tags can play.
+
+import { getDirectives, LOOKS } from './tags.js';
+
+export const DEFAULT_MODEL_PATH = '/models/mao_pro_en/runtime/mao_pro.model3.json';
+
+// Standard Cubism parameter ids - most models have these
+export const DEFAULT_MAPPING = {
+  name: null,
+  layout: { scale: 0.9, offsetY: 0 },
+  lipSync: { mouthOpen: 'ParamMouthOpenY' },
+  eyes: ['ParamEyeLOpen', 'ParamEyeROpen'],
+  breath: 'ParamBreath',
+  look: {
+    eyes: ['ParamEyeBallX', 'ParamEyeBallY'],
+    head: ['ParamAngleX', 'ParamAngleY'],
+    headRange: [15, 10]
+  },
+  expressions: {},
+  gestures: {},
+  motions: []
+};
+
+/**
+ * Where a model's mapping file lives
+ * @param {string} modelPath - URL of the .model3.json
+ * @returns {string}
+ */
+export function mappingPath(modelPath) {
+  return (modelPath || DEFAULT_MODEL_PATH).replace(/(\.model3)?\.json$/i, '.lobster.json');
+}
+
+/**
+ * Where a model's picker thumbnail lives
+ * @param {string} modelPath - URL of the .model3.json
+ * @returns {string}
+ */
+export function previewPath(modelPath) {
+  return (modelPath || DEFAULT_MODEL_PATH).replace(/(\.model3)?\.json$/i, '.preview.png');
+}
+
+/**
+ * Fill in whatever a mapping file leaves out
+ * @param {Object} [mapping] - Parsed .lobster.json, or nothing
+ * @returns {Object}
+ */
+export function normalizeMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object') return { ...DEFAULT_MAPPING };
+  return {
+    ...DEFAULT_MAPPING,
+    ...mapping,
+    layout: { ...DEFAULT_MAPPING.layout, ...mapping.layout },
+    lipSync: mapping.lipSync || DEFAULT_MAPPING.lipSync,
+    look: mapping.look === null ? null : { ...DEFAULT_MAPPING.look, ...mapping.look },
+    expressions: mapping.expressions || {},
+    gestures: mapping.gestures || {},
+    motions: Array.isArray(mapping.motions) ? mapping.motions : []
+  };
+}
+
+/**
+ * The tags a model can perform
+ * @param {Object} mapping - From normalizeMapping()
+ * @returns {{ emotions: string[], gestures: string[], looks: string[], motions: Array<Object> }}
+ */
+export function supportedTags(mapping) {
+  return {
+    emotions: Object.keys(mapping.expressions),
+    gestures: Object.keys(mapping.gestures),
+    looks: mapping.look ? Object.keys(LOOKS) : [],
+    motions: mapping.motions
+  };
+}
+
+/**
+ * The model motion a [motion:...] tag plays
+ * [motion:Group:index] is that motion; [motion:name] is the motion file of that name,
+ * else a random one from the group of that name. Names and groups ignore case.
+ * @param {Object} mapping - From normalizeMapping(), with the server's motions
+ * @param {Object} directive - motion directive from tokenize()
+ * @returns {Object|null} { name, group, index, duration }
+ */
+export function resolveMotion(mapping, directive) {
+  const { motions } = mapping;
+  if (directive.group !== null) {
+    const group = directive.group.toLowerCase();
+    return motions.find(m => m.group.toLowerCase() === group && m.index === directive.number) || null;
+  }
+
+  const name = directive.name.toLowerCase();
+  const named = motions.find(m => m.name === name);
+  if (named) return named;
+
+  const group = motions.filter(m => m.group.toLowerCase() === name);
+  return group.length > 0 ? group[Math.floor(Math.random() * group.length)] : null;
+}
+
+/**
+ * Can the model perform this directive? Effects, media and plain text work on every model.
+ * neutral always works - it just resets the face.
+ * @param {Object} mapping - From normalizeMapping()
+ * @param {Object} directive - From tokenize()
+ * @returns {boolean}
+ */
+export function isTagSupported(mapping, directive) {
+  switch (directive.type) {
+    case 'emotion': return directive.name === 'neutral' || Boolean(mapping.expressions[directive.name]);
+    case 'gesture': return Boolean(mapping.gestures[directive.name]);
+    case 'look': return Boolean(mapping.look);
+    case 'motion': return Boolean(resolveMotion(mapping, directive));
+    default: return true;
+  }
+}
+
+/**
+ * Emotion, gesture, look and motion tags in a message that the model can't perform
+ * @param {Object} mapping - From normalizeMapping()
+ * @param {string|Array} input - Message or tokens
+ * @returns {string[]} Tag names ('motion:Idle:9' for motions), once each
+ */
+export function unsupportedTags(mapping, input) {
+  const directives = ['emotion', 'gesture', 'look', 'motion'].flatMap(type => getDirectives(input, type));
+  const tagName = d => d.type === 'motion' ? d.raw.slice(1, -1) : d.name;
+
+  // [love] is a face and a motion - it only counts as unsupported if the model can do neither
+  const supported = new Set(directives.filter(d => isTagSupported(mapping, d)).map(tagName));
+  return [...new Set(directives.map(tagName))].filter(name => !supported.has(name));
+}
+
+export default {
+  DEFAULT_MODEL_PATH,
+  DEFAULT_MAPPING,
+  mappingPath,
+  previewPath,
+  normalizeMapping,
+  supportedTags,
+  resolveMotion,
+  isTagSupported,
+  unsupportedTags
+};
@@ -0,0 +1,262 @@
+// shared/tags.js
+// The avatar tag grammar - one tokenizer for the server, TTS and the frontend
+//
+// Agents steer the stream with [tags] inside what they say:
+//   [happy]                       emotion   - face for the whole message
+//   [wave] [dance] [rabbit]       gesture   - arm, body and special motions
+//   [look_left]                   look      - where the eyes go
+//   [hearts] [explosion]          effect    - on-screen effects (presets in effects.json)
+//   [motion:Idle:3] [motion:name] motion    - one of the model's own .motion3.json animations
+//   [gif:search(:position)(:ms)]  gif       - Giphy popup
+//   [youtube:search]              youtube   - YouTube Short popup
+//   [tiktok:search]               tiktok    - TikTok popup
+//
+// tokenize() turns a message into an ordered list of text spans and those directives.
+// Any other [snake_case] tag is an "unknown" directive: never spoken, never shown.
+// Brackets with anything else inside ("[citation needed]") are just text.
+
+import EFFECT_PRESETS from './effects.json' with { type: 'json' };
+
+export const EMOTIONS = [
+  'neutral', 'happy', 'excited', 'sad', 'angry', 'surprised',
+  'thinking', 'confused', 'wink', 'love', 'smug', 'sleepy'
+];
+
+// Gestures in priority order - when a message has several, the cool ones win:
+// special abilities, then body motions, then arm movements
+export const GESTURE_GROUPS = {
+  special: ['magic_heart', 'magic', 'trick', 'rabbit', 'heart', 'love'],
+  motion: ['dance', 'shy', 'cute', 'flirt', 'think', 'wonder', 'doubt', 'bow', 'shrug', 'nod', 'shake'],
+  arm: [
+    'wave', 'point',
+    'raise_left_hand', 'raise_right_hand', 'raise_both_hands',
+    'raise_left_arm', 'raise_right_arm', 'raise_both_arms',
+    'lower_left_arm', 'lower_right_arm', 'lower_arms'
+  ]
+};
+export const GESTURES = Object.values(GESTURE_GROUPS).flat();
+
+export const LOOKS = {
+  look_left: { x: -0.8, y: 0 },
+  look_right: { x: 0.8, y: 0 },
+  look_up: { x: 0, y: -0.8 },
+  look_down: { x: 0, y: 0.8 }
+};
+
+// Effects are data - add a preset to effects.json and the tag works everywhere
+export { EFFECT_PRESETS };
+export const EFFECTS = Object.keys(EFFECT_PRESETS);
+
+// Other names for an effect ([boom] is [explosion])
+const EFFECT_NAMES = new Map(Object.entries(EFFECT_PRESETS).flatMap(([name, preset]) =>
+  [name, ...(preset.aliases || [])].map(alias => [alias, name])
+));
+
+export const MEDIA_TYPES = ['gif', 'youtube', 'tiktok'];
+
+const DEFAULT_GIF_DURATION = 4000;
+
+// [name], [media:argument] or [motion:argument]
+const TAG_PATTERN = /\[([a-z_]+)(?::([^\]]*))?\]/gi;
+
+// A name can mean several things ([love] is a face and a motion, [magic] a motion and an effect)
+const KINDS = [
+  ['emotion', new Set(EMOTIONS)],
+  ['gesture', new Set(GESTURES)],
+  ['look', new Set(Object.keys(LOOKS))],
+  ['effect', new Set(EFFECT_NAMES.keys())]
+];
+
+/**
+ * Split a message into text spans and directives, in order
+ * @param {string} text - Message with tags
+ * @returns {Array<Object>} Tokens:
+ *   { type: 'text', text }
+ *   { type: 'emotion' | 'gesture' | 'look' | 'effect' | 'unknown', name, raw, index }
+ *   { type: 'gif', search, position, duration, raw, index }
+ *   { type: 'youtube' | 'tiktok', search, raw, index }
+ *   { type: 'motion', group, number, name, raw, index } - group and number for [motion:Group:index],
+ *     name for [motion:name] (which the model resolves, see shared/models.js)
+ *   index is where the tag starts in the original text. A tag that means several things
+ *   ([love]) gives one directive per meaning, at the same index.
+ */
+export function tokenize(text) {
+  const tokens = [];
+  if (!text) return tokens;
+
+  let last = 0;
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const directives = parseTag(match);
+    if (!directives) continue;  // Not a tag after all - stays part of the text
+
+    if (match.index > last) tokens.push({ type: 'text', text: text.slice(last, match.index) });
+    tokens.push(...directives);
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) tokens.push({ type: 'text', text: text.slice(last) });
+
+  return tokens;
+}
+
+function parseTag(match) {
+  const [raw, rawName, argument] = match;
+  const name = rawName.toLowerCase();
+  const index = match.index;
+
+  if (argument !== undefined) {
+    if (name === 'motion') return parseMotion(argument.trim(), raw, index);
+    if (!MEDIA_TYPES.includes(name)) return null;
+
+    const [search, position, duration] = argument.split(':').map(part => part.trim());
+    if (!search) return null;
+
+    if (name === 'gif') {
+      return [{
+        type: 'gif',
+        search,
+        position: position ? position.toLowerCase() : null,
+        duration: /^\d+$/.test(duration || '') ? parseInt(duration, 10) : DEFAULT_GIF_DURATION,
+        raw,
+        index
+      }];
+    }
+    // Searches can contain colons ("[youtube:cats: the movie]")
+    return [{ type: name, search: argument.trim(), raw, index }];
+  }
+
+  const directives = KINDS
+    .filter(([, names]) => names.has(name))
+    .map(([type]) => ({ type, name: type === 'effect' ? EFFECT_NAMES.get(name) : name, raw, index }));
+  return directives.length > 0 ? directives : [{ type: 'unknown', name, raw, index }];
+}
+
+// [motion:Group:index] picks by position ([motion::2] for the unnamed group), [motion:name] by
+// motion file name or group
+function parseMotion(spec, raw, index) {
+  const numbered = spec.match(/^(.*?)\s*:\s*(\d+)$/);
+  if (numbered) {
+    return [{ type: 'motion', group: numbered[1], number: parseInt(numbered[2], 10), name: null, raw, index }];
+  }
+  if (!spec || spec.includes(':')) return null;
+  return [{ type: 'motion', group: null, number: null, name: spec, raw, index }];
+}
+
+// Helpers take either a message or the tokens from tokenize()
+function toTokens(input) {
+  return typeof input === 'string' ? tokenize(input) : (input || []);
+}
+
+/**
+ * Text without any tags, whitespace collapsed - what gets spoken, subtitled and shown in chat
+ * @param {string|Array} input - Message or tokens
+ * @returns {string}
+ */
+export function stripTags(input) {
+  return toTokens(input)
+    .filter(token => token.type === 'text')
+    .map(token => token.text)
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Every directive, with where it falls in the stripped text - for timing tags against the speech
+ * @param {string|Array} input - Message or tokens
+ * @returns {Array<Object>} Directives in order, each with offset: how many characters of
+ *   stripTags() text come before it
+ */
+export function locateTags(input) {
+  const located = [];
+  let before = '';
+  for (const token of toTokens(input)) {
+    if (token.type === 'text') {
+      before += token.text;
+    } else {
+      // Same whitespace rules as stripTags(), so offsets line up with what gets spoken
+      located.push({ ...token, offset: before.replace(/\s+/g, ' ').trimStart().length });
+    }
+  }
+  return located;
+}
+
+/**
+ * Take out the tags of one type and leave everything else as written
+ * @param {string|Array} input - Message or tokens
+ * @param {string} type - gif, youtube, tiktok...
+ * @returns {string}
+ */
+export function removeTags(input, type) {
+  let text = '';
+  let lastIndex = null;
+  for (const token of toTokens(input)) {
+    if (token.type === 'text') {
+      text += token.text;
+    } else if (token.type !== type && token.index !== lastIndex) {
+      text += token.raw;  // Once per tag, even when it means several things
+      lastIndex = token.index;
+    }
+  }
+  return text.trim();
+}
+
+/**
+ * All directives of one type, in order
+ * @param {string|Array} input - Message or tokens
+ * @param {string} type - emotion, gesture, look, effect, motion, gif, youtube, tiktok, unknown
+ * @returns {Array<Object>}
+ */
+export function getDirectives(input, type) {
+  return toTokens(input).filter(token => token.type === type);
+}
+
+/**
+ * The message's face - the first emotion tag
+ * @param {string|Array} input - Message or tokens
+ * @returns {string} Emotion name, 'neutral' without one
+ */
+export function getEmotion(input) {
+  return getDirectives(input, 'emotion')[0]?.name || 'neutral';
+}
+
+/**
+ * The message's gesture - the first one from the highest priority group (see GESTURE_GROUPS)
+ * @param {string|Array} input - Message or tokens
+ * @returns {string|null}
+ */
+export function getGesture(input) {
+  const gestures = getDirectives(input, 'gesture');
+  for (const group of Object.values(GESTURE_GROUPS)) {
+    const gesture = gestures.find(g => group.includes(g.name));
+    if (gesture) return gesture.name;
+  }
+  return null;
+}
+
+/**
+ * Where the eyes go - the first look tag
+ * @param {string|Array} input - Message or tokens
+ * @returns {{ x: number, y: number }} -1..1, centered without one
+ */
+export function getLook(input) {
+  const look = getDirectives(input, 'look')[0];
+  return look ? { ...LOOKS[look.name] } : { x: 0, y: 0 };
+}
+
+export default {
+  EMOTIONS,
+  GESTURE_GROUPS,
+  GESTURES,
+  LOOKS,
+  EFFECTS,
+  EFFECT_PRESETS,
+  MEDIA_TYPES,
+  tokenize,
+  stripTags,
+  removeTags,
+  locateTags,
+  getDirectives,
+  getEmotion,
+  getGesture,
+  getLook
+};
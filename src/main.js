@@ -4,9 +4,13 @@
 
 import { io } from 'socket.io-client';
 import * as PIXI from 'pixi.js';
+import { stripTags, EFFECT_PRESETS } from '../shared/tags.js';
+import { DEFAULT_MODEL_PATH, mappingPath, normalizeMapping } from '../shared/models.js';
+import { PROTOCOL_VERSION, applyDelta, expandState } from '../shared/broadcast.js';
 
 // Live2D will be loaded lazily when needed
 let Live2DModel = null;
+let MotionPriority = null;
 let live2dReady = false;
 
 // Make PIXI globally available
@@ -19,6 +23,7 @@ async function loadLive2D() {
   try {
     const module = await import('pixi-live2d-display');
     Live2DModel = module.Live2DModel;
+    MotionPriority = module.MotionPriority;
     Live2DModel.registerTicker(PIXI.Ticker);
     live2dReady = true;
     console.log('🎭 Live2D loaded successfully');
@@ -30,21 +35,87 @@ async function loadLive2D() {
 }
 
 // ============ GLOBALS ============
-const socket = io("/viewers");
+// Chat identity is bound to the connection: the X session cookie, or a viewer token from a guest
+// or wallet sign-in (server/viewer-identity.js). The server never takes a name from a message.
+const socket = io("/viewers", {
+  auth: (cb) => cb({ token: localStorage.getItem('lobster_viewer_token') })
+});
+let viewerIdentity = null;  // { kind, displayName } - from viewer:identity on every connect
 const mainSocket = io("/");  // Main namespace for stream list updates
 let isStreamConnected = false;
 let currentStreamId = null;
 let globalVolume = 0.8;
 
+// ============ TRUE LIVE: SERVER CLOCK ============
+// Everything on the shared timeline (audio, lip sync, overlays, effects) is timestamped with the
+// server's clock - a viewer's own clock can be seconds off. Pings the server NTP-style and keeps
+// the offset between the two, so serverClock.now() is the server's time here.
+class ServerClock {
+  static SAMPLES = 8;         // Pings the estimate is made from
+  static BURST = 5;           // Pings right after (re)connecting
+  static INTERVAL = 30000;    // ms between pings after that - clocks drift slowly
+  static TIMEOUT = 5000;      // ms before a ping counts as lost
+  
+  constructor(socket) {
+    this.socket = socket;
+    this.offset = 0;          // Server clock minus ours, ms
+    this.rtt = null;          // Best round trip seen, ms
+    this.samples = [];        // { offset, rtt }
+    
+    socket.on('connect', () => this.burst());
+    setInterval(() => this.ping(), ServerClock.INTERVAL);
+  }
+  
+  // The server's time, ms
+  now() {
+    return Date.now() + this.offset;
+  }
+  
+  async burst() {
+    for (let i = 0; i < ServerClock.BURST; i++) await this.ping();
+    console.log(`⏱️ Server clock offset ${this.offset}ms (round trip ${this.rtt}ms)`);
+  }
+  
+  ping() {
+    if (!this.socket.connected) return Promise.resolve();
+    const sent = Date.now();
+    return new Promise((resolve) => {
+      this.socket.timeout(ServerClock.TIMEOUT).emit('clock:ping', (err, serverTime) => {
+        if (!err && typeof serverTime === 'number') this.addSample(sent, serverTime, Date.now());
+        resolve();
+      });
+    });
+  }
+  
+  addSample(sent, serverTime, received) {
+    // The server answered about halfway through the round trip
+    const rtt = received - sent;
+    this.samples.push({ offset: serverTime - (sent + rtt / 2), rtt });
+    if (this.samples.length > ServerClock.SAMPLES) this.samples.shift();
+    
+    // Quick round trips are the most accurate - the median of the quicker half
+    const best = [...this.samples].sort((a, b) => a.rtt - b.rtt).slice(0, Math.ceil(this.samples.length / 2));
+    const offsets = best.map(sample => sample.offset).sort((a, b) => a - b);
+    this.offset = Math.round(offsets[Math.floor(offsets.length / 2)]);
+    this.rtt = best[0].rtt;
+  }
+}
+
+const serverClock = new ServerClock(socket);
+
 // ============ TRUE LIVE: PASSIVE AUDIO PLAYER ============
 // This player just plays what the server tells it to play
 // It syncs to the server's timeline AND provides real-time audio analysis for lip sync
+const DRIFT_TOLERANCE = 40;   // ms off the server timeline before playback is nudged
+const DRIFT_SEEK = 300;       // ms off before it jumps instead
+const DRIFT_RATE = 0.05;      // How much faster/slower a nudged clip plays
+
 class SyncedAudioPlayer {
   constructor() {
     this.audio = new Audio();
     this.audio.crossOrigin = 'anonymous';
     this.currentUrl = null;
-    this.serverStartTime = 0;
+    this.serverStartTime = null;  // When the live clip started on the server clock - null for VODs
     this.isPlaying = false;
     
     // Web Audio API for REAL lip sync
@@ -67,6 +138,9 @@ class SyncedAudioPlayer {
       console.error('🔊 Audio error:', e);
       this.isPlaying = false;
     });
+    
+    // Keep live clips on the server timeline while they play
+    this.audio.addEventListener('timeupdate', () => this.correctDrift());
   }
   
   // Initialize Web Audio API for analysis
@@ -130,9 +204,16 @@ class SyncedAudioPlayer {
   
   // Play new audio, seeking to the correct position if late joining
   async playFromServer(audioUrl, serverStartTime, duration) {
+    // Calculate how far into the audio we should be
+    return this.playAt(audioUrl, serverClock.now() - serverStartTime, 1, serverStartTime);
+  }
+  
+  // Play audio starting offsetMs into the clip (late joins, VOD seeks)
+  // serverStartTime: live clips only - playback is kept in step with the server from then on
+  async playAt(audioUrl, offsetMs = 0, playbackRate = 1, serverStartTime = null) {
     if (!audioUrl) return;
     
-    const fullUrl = audioUrl.startsWith('http') ? audioUrl : `http://localhost:3001${audioUrl}`;
+    const fullUrl = this.resolveUrl(audioUrl);
     
     // If same audio, don't restart (even if still loading)
     if (this.currentUrl === fullUrl) {
@@ -153,8 +234,7 @@ class SyncedAudioPlayer {
       this.audio.src = fullUrl;
       this.audio.volume = globalVolume;
       
-      // Calculate how far into the audio we should be
-      const elapsed = (Date.now() - serverStartTime) / 1000;
+      const elapsed = offsetMs / 1000;
       
       // Wait for audio to load
       await new Promise((resolve, reject) => {
@@ -163,12 +243,16 @@ class SyncedAudioPlayer {
         this.audio.load();
       });
       
+      // Something else started (or we were stopped) while this was loading
+      if (this.currentUrl !== fullUrl) return;
+      
       // Seek to correct position if late joining
       if (elapsed > 0.5 && elapsed < this.audio.duration) {
         console.log('🔊 Late join - seeking to', elapsed.toFixed(2), 'seconds');
         this.audio.currentTime = elapsed;
       }
       
+      this.audio.playbackRate = playbackRate;
       await this.audio.play();
       this.isPlaying = true;
       console.log('🔊 Audio playing!');
@@ -179,11 +263,35 @@ class SyncedAudioPlayer {
     }
   }
   
+  // Loading, stalls and clock corrections leave a live clip ahead of or behind the server -
+  // play a little faster or slower until it's back, or jump if it's too far off
+  correctDrift() {
+    if (!this.isPlaying || this.serverStartTime === null) return;
+    
+    const expected = serverClock.now() - this.serverStartTime;
+    const drift = this.audio.currentTime * 1000 - expected;
+    if (Math.abs(drift) > DRIFT_SEEK) {
+      if (expected >= this.audio.duration * 1000) return;  // Over on the server - it's about to end anyway
+      console.log('🔊 Drifted', Math.round(drift), 'ms - seeking');
+      this.audio.currentTime = Math.max(0, expected / 1000);
+      this.audio.playbackRate = 1;
+    } else if (Math.abs(drift) > DRIFT_TOLERANCE) {
+      this.audio.playbackRate = drift > 0 ? 1 - DRIFT_RATE : 1 + DRIFT_RATE;
+    } else {
+      this.audio.playbackRate = 1;
+    }
+  }
+  
+  resolveUrl(audioUrl) {
+    return audioUrl.startsWith('http') ? audioUrl : `http://localhost:3001${audioUrl}`;
+  }
+  
   stop() {
     this.audio.pause();
     this.audio.currentTime = 0;
     this.isPlaying = false;
     this.currentUrl = null;
+    this.serverStartTime = null;
   }
   
   setVolume(vol) {
@@ -191,19 +299,231 @@ class SyncedAudioPlayer {
   }
 }
 
+// ============ TRUE LIVE: AVATAR EFFECTS ============
+// [hearts], [magic], [explosion], [aura]... drawn with PIXI in front of and behind the model.
+// The server only says which effect started when - what it looks like is its preset in
+// shared/effects.json:
+//   duration   ms on screen
+//   layer      'front' (over the avatar) or 'back' (behind her)
+//   burst      particles thrown out at the start
+//   rate       particles per second after that, for emitFor ms
+//   particle   { shape: heart | star | circle, colors, size, lifetime, speed, angle (degrees, -90 is up),
+//                gravity (px/s², negative floats up), spin (degrees/s), origin and spread (0-1 of the canvas) }
+//              [min, max] pairs are picked at random for every particle
+//   flash      { color, alpha, duration } - the whole canvas lights up
+//   glow       { color, alpha, radius (0-1 of the canvas), pulse (ms) } - soft light under the particles
+class EffectLayer {
+  static TEXTURE_SIZE = 32;  // px the particle shapes are drawn at
+  
+  constructor(app) {
+    this.app = app;
+    this.back = new PIXI.Container();
+    this.front = new PIXI.Container();
+    app.stage.addChild(this.back, this.front);
+    
+    this.textures = {};       // Particle shapes, drawn once
+    this.running = [];        // Effects still emitting/glowing
+    this.particles = [];
+    this.seen = new Set();    // Effect ids already played - they stay in the broadcast state until done
+    this.speed = 1;
+    
+    app.ticker.add(() => this.tick(app.ticker.deltaMS * this.speed));
+  }
+  
+  // Play effects from the broadcast state we haven't played yet, part way through if we're late
+  // now: the server time (a VOD's clock when replaying)
+  sync(effects, now = serverClock.now(), speed = 1) {
+    this.speed = speed;
+    const live = new Set(effects.map(effect => effect.id));
+    for (const id of this.seen) {
+      if (!live.has(id)) this.seen.delete(id);  // Finished on the server
+    }
+    
+    for (const effect of effects) {
+      if (this.seen.has(effect.id)) continue;
+      this.seen.add(effect.id);
+      this.play(effect.name, now - effect.startTime);
+    }
+  }
+  
+  play(name, elapsed = 0) {
+    const preset = EFFECT_PRESETS[name];
+    if (!preset || elapsed >= preset.duration) return;
+    
+    const run = { preset, age: elapsed, pending: 0 };
+    const container = preset.layer === 'back' ? this.back : this.front;
+    const { width, height } = this.app.screen;
+    
+    if (preset.glow) {
+      run.glow = new PIXI.Graphics();
+      run.glow.beginFill(PIXI.utils.string2hex(preset.glow.color));
+      run.glow.drawCircle(0, 0, preset.glow.radius * Math.min(width, height));
+      run.glow.endFill();
+      run.glow.position.set(preset.particle.origin[0] * width, preset.particle.origin[1] * height);
+      run.glow.filters = [new PIXI.filters.BlurFilter(40)];
+      run.glow.alpha = 0;
+      container.addChildAt(run.glow, 0);
+    }
+    
+    if (preset.flash && elapsed < preset.flash.duration) {
+      run.flash = new PIXI.Graphics();
+      run.flash.beginFill(PIXI.utils.string2hex(preset.flash.color));
+      run.flash.drawRect(0, 0, width, height);
+      run.flash.endFill();
+      container.addChild(run.flash);
+    }
+    
+    // Joined too late to see the burst - just the tail of it
+    if (preset.burst && elapsed < 300) {
+      for (let i = 0; i < preset.burst; i++) this.emit(preset.particle, container);
+    }
+    
+    run.container = container;
+    this.running.push(run);
+    console.log('✨ Effect:', name);
+  }
+  
+  emit(particle, container) {
+    const { width, height } = this.app.screen;
+    const sprite = new PIXI.Sprite(this.texture(particle.shape));
+    const colors = particle.colors || ['#ffffff'];
+    sprite.tint = PIXI.utils.string2hex(colors[Math.floor(Math.random() * colors.length)]);
+    sprite.anchor.set(0.5);
+    sprite.position.set(
+      (particle.origin[0] + this.between([-1, 1]) * particle.spread[0]) * width,
+      (particle.origin[1] + this.between([-1, 1]) * particle.spread[1]) * height
+    );
+    
+    const angle = this.between(particle.angle) * Math.PI / 180;
+    const speed = this.between(particle.speed);
+    this.particles.push({
+      sprite,
+      size: this.between(particle.size) / EffectLayer.TEXTURE_SIZE,
+      vx: Math.cos(angle) * speed,
+      vy: Math.sin(angle) * speed,
+      gravity: particle.gravity || 0,
+      spin: this.between([-1, 1]) * (particle.spin || 0) * Math.PI / 180,
+      life: this.between(particle.lifetime),
+      age: 0
+    });
+    container.addChild(sprite);
+  }
+  
+  tick(dt) {
+    for (const run of this.running) {
+      const { preset } = run;
+      run.age += dt;
+      
+      if (preset.rate && run.age < (preset.emitFor ?? preset.duration)) {
+        run.pending += preset.rate * dt / 1000;
+        for (; run.pending >= 1; run.pending--) this.emit(preset.particle, run.container);
+      }
+      
+      if (run.flash) {
+        run.flash.alpha = preset.flash.alpha * Math.max(0, 1 - run.age / preset.flash.duration);
+      }
+      
+      if (run.glow) {
+        // Fades in, breathes, fades out
+        const fade = Math.min(1, run.age / 300, (preset.duration - run.age) / 500);
+        const pulse = preset.glow.pulse ? 0.8 + 0.2 * Math.sin(run.age / preset.glow.pulse * Math.PI * 2) : 1;
+        run.glow.alpha = preset.glow.alpha * Math.max(0, fade) * pulse;
+      }
+      
+      if (run.age >= preset.duration) {
+        run.flash?.destroy();
+        run.glow?.destroy();
+        run.done = true;
+      }
+    }
+    this.running = this.running.filter(run => !run.done);
+    
+    const seconds = dt / 1000;
+    for (const p of this.particles) {
+      p.age += dt;
+      if (p.age >= p.life) {
+        p.sprite.destroy();
+        continue;
+      }
+      p.vy += p.gravity * seconds;
+      p.sprite.x += p.vx * seconds;
+      p.sprite.y += p.vy * seconds;
+      p.sprite.rotation += p.spin * seconds;
+      
+      // Pop in, fade out towards the end of its life
+      const t = p.age / p.life;
+      p.sprite.scale.set(p.size * Math.min(1, p.age / 150));
+      p.sprite.alpha = 1 - t * t;
+    }
+    this.particles = this.particles.filter(p => p.age < p.life);
+  }
+  
+  // Everything off screen (VOD seeks, leaving the stream)
+  clear() {
+    this.particles.forEach(p => p.sprite.destroy());
+    this.running.forEach(run => {
+      run.flash?.destroy();
+      run.glow?.destroy();
+    });
+    this.particles = [];
+    this.running = [];
+    this.seen.clear();
+  }
+  
+  between([min, max]) {
+    return min + Math.random() * (max - min);
+  }
+  
+  // White particle shapes, tinted per particle
+  texture(shape) {
+    if (this.textures[shape]) return this.textures[shape];
+    
+    const r = EffectLayer.TEXTURE_SIZE / 2;
+    const g = new PIXI.Graphics();
+    g.beginFill(0xffffff);
+    if (shape === 'heart') {
+      g.drawCircle(-r / 2, -r / 4, r / 2);
+      g.drawCircle(r / 2, -r / 4, r / 2);
+      g.drawPolygon([-r, -r / 8, r, -r / 8, 0, r]);
+    } else if (shape === 'star') {
+      const points = [];
+      for (let i = 0; i < 10; i++) {
+        const angle = i * Math.PI / 5 - Math.PI / 2;
+        const radius = i % 2 === 0 ? r : r * 0.45;
+        points.push(Math.cos(angle) * radius, Math.sin(angle) * radius);
+      }
+      g.drawPolygon(points);
+    } else {
+      g.drawCircle(0, 0, r);
+    }
+    g.endFill();
+    
+    this.textures[shape] = this.app.renderer.generateTexture(g);
+    g.destroy();
+    return this.textures[shape];
+  }
+}
+
 // ============ TRUE LIVE: SYNCED AVATAR ============
 // Avatar state is ENTIRELY driven by server broadcasts
+// What each tag does to the model comes from its .lobster.json mapping (see shared/models.js)
+const BLINK_DURATION = 180;  // ms - same as the server's idle engine (server/idle.js)
+
 class SyncedAvatar {
-  constructor(canvasId) {
+  constructor(canvasId, modelPath = null) {
     this.canvas = document.getElementById(canvasId);
     this.app = null;
     this.model = null;
+    this.modelPath = null;  // The model loaded, or loading
+    this.mapping = normalizeMapping(null);
+    this.effects = null;    // EffectLayer around the model
     this.ready = false;
     
     // Current state (from server)
     this.mouthOpen = 0;
     this.expression = 'neutral';
     this.gesture = null;
+    this.motionId = null;   // Last [motion:...] played
     this.lookX = 0;
     this.lookY = 0;
     
@@ -211,17 +531,28 @@ class SyncedAvatar {
     this.targetMouthOpen = 0;
     this.currentMouthOpen = 0;
     
-    // Arm state persistence (keyed by parameter name)
+    // Server-made viseme track of the clip being spoken (see setLipSync)
+    this._lipSync = null;
+    this._vowels = [0, 0, 0, 0, 0];
+    
+    // Pose persistence (keyed by parameter name) - gesture poses hold until another moves them
     this._armState = {};
+    this._eyeOpen = 1;      // How open the expression holds the eyes
+    this._wink = null;      // { id, until } - one eye shut for a moment
     this._targetLookX = 0;
     this._targetLookY = 0;
     this._currentLookX = 0;
     this._currentLookY = 0;
     
-    this.init();
+    // Idle behaviour from the server (see server/idle.js) - blinks, breathing, head sway
+    this._idle = null;
+    this._blinkStart = -Infinity;
+    this._sway = { x: 0, y: 0 };
+    
+    this.init(modelPath);
   }
   
-  async init() {
+  async init(modelPath) {
     if (!this.canvas) {
       console.error('Canvas not found!');
       return;
@@ -237,6 +568,20 @@ class SyncedAvatar {
       resolution: window.devicePixelRatio || 1,
       autoDensity: true
     });
+    this.effects = new EffectLayer(this.app);
+    
+    // Start render loop for smooth interpolation
+    // Note: audioPlayer is set via setAudioPlayer() after construction
+    this.app.ticker.add(() => this.tick(this._audioPlayer));
+    
+    await this.loadModel(modelPath);
+  }
+  
+  // Show a stream's Live2D model (the default one without) - swaps out whatever was there
+  async loadModel(modelPath) {
+    modelPath = modelPath || DEFAULT_MODEL_PATH;
+    if (!this.app || modelPath === this.modelPath) return;
+    this.modelPath = modelPath;
     
     // Load Live2D lazily
     const live2dLoaded = await loadLive2D();
@@ -245,63 +590,127 @@ class SyncedAvatar {
       return;
     }
     
-    // Load Live2D model
     try {
-      console.log('🎭 Loading Live2D model...');
-      this.model = await Live2DModel.from('/models/mao_pro_en/runtime/mao_pro.model3.json');
+      console.log('🎭 Loading Live2D model:', modelPath);
+      const [model, mapping] = await Promise.all([
+        Live2DModel.from(modelPath),
+        this.loadMapping(modelPath)
+      ]);
+      
+      // Another stream's model was asked for while this one loaded
+      if (this.modelPath !== modelPath || !this.app) {
+        model.destroy();
+        return;
+      }
+      
+      this.removeModel();
+      this.model = model;
+      this.mapping = mapping;
+      this.expression = 'neutral';
+      this.gesture = null;
+      this._armState = {};
+      this._eyeOpen = 1;
+      this._wink = null;
       
-      // Scale and position - fit nicely in container
+      // Scale and position - fit nicely in container, tuned per model by its mapping
       const scale = Math.min(
         this.canvas.clientWidth / this.model.width,
         this.canvas.clientHeight / this.model.height
-      ) * 0.9;  // 30% bigger than 0.7
+      ) * mapping.layout.scale;
       
       this.model.scale.set(scale);
       this.model.anchor.set(0.5, 0.5);
       this.model.x = this.canvas.clientWidth / 2;
-      this.model.y = this.canvas.clientHeight / 2 + 50;  // Reduced offset
+      this.model.y = this.canvas.clientHeight / 2 + mapping.layout.offsetY;
       
       // Disable auto interactions
       this.model.autoInteract = false;
       
-      // IMPORTANT: Disable the internal lip sync so we can control it ourselves
-      if (this.model.internalModel?.motionManager) {
-        // Disable expression/motion lip sync override
-        const mm = this.model.internalModel.motionManager;
-        console.log('🎭 Motion manager found, disabling internal lip sync');
-      }
-      
-      this.app.stage.addChild(this.model);
+      // Between the effect layers - [aura] glows behind her, [hearts] float in front
+      this.app.stage.addChildAt(this.model, this.app.stage.getChildIndex(this.effects.front));
       this.ready = true;
       
-      console.log('🎭 Avatar ready! Model has', this.model.internalModel?.motionManager ? 'motion manager' : 'no motion manager');
-      console.log('🎭 Core model:', this.model.internalModel?.coreModel);
+      console.log('🎭 Avatar ready:', mapping.name || modelPath);
       
       // CRITICAL: Hook into beforeModelUpdate to apply lip sync AFTER motions but BEFORE rendering
       // This is the only way to override motion parameters reliably!
       this.model.internalModel.on('beforeModelUpdate', () => {
+        this.applyIdle();
         this.applyLipSync();
       });
       console.log('🎤 Hooked into beforeModelUpdate for lip sync!');
       
+      // The server breathes and sways the avatar - the model's own breathing would differ per viewer
+      this.model.internalModel.breath?.setParameters([]);
+      
       // Debug: List all parameters
       this.listParameters();
       
-      // Start render loop for smooth interpolation
-      // Note: audioPlayer is set via setAudioPlayer() after construction
-      this.app.ticker.add(() => this.tick(this._audioPlayer));
-      
     } catch (err) {
       console.error('🎭 Failed to load avatar:', err);
     }
   }
   
+  // The model's tag mapping - a model without one still talks and looks around
+  async loadMapping(modelPath) {
+    try {
+      const response = await fetch(mappingPath(modelPath));
+      if (response.ok) return normalizeMapping(await response.json());
+      console.warn('🎭 No tag mapping for', modelPath, '- emotions and gestures are off');
+    } catch (err) {
+      console.warn('🎭 Failed to load tag mapping:', err.message);
+    }
+    return normalizeMapping(null);
+  }
+  
+  removeModel() {
+    if (!this.model) return;
+    this.ready = false;
+    this.app?.stage?.removeChild(this.model);
+    this.model.destroy();
+    this.model = null;
+  }
+  
   // Connect audio player for REAL lip sync
   setAudioPlayer(audioPlayer) {
     this._audioPlayer = audioPlayer;
     console.log('🎤 Avatar connected to audio player for real lip sync!');
   }
   
+  // Lip sync track for the clip that just started
+  // track: { interval, duration, frames: [[a, i, u, e, o], ...] } from the server (weights 0-100)
+  // clock: returns the server time now, or null while nothing is playing (paused VOD)
+  setLipSync(track, startTime, audioUrl, clock = () => serverClock.now()) {
+    this._lipSync = track ? { track, startTime, audioUrl, clock } : null;
+  }
+  
+  // Vowel weights (0-1) from the lip sync track, or null if there's nothing to say
+  sampleLipSync() {
+    const lipSync = this._lipSync;
+    if (!lipSync) return null;
+    
+    // Follow the audio element when it's playing this clip - it may have started late
+    // while loading. Muted or not, everyone else follows the server clock.
+    const player = this._audioPlayer;
+    let elapsed;
+    if (player?.isPlaying && lipSync.audioUrl && player.currentUrl === player.resolveUrl(lipSync.audioUrl)) {
+      elapsed = player.audio.currentTime * 1000;
+    } else {
+      const now = lipSync.clock();
+      if (now == null) return null;
+      elapsed = now - lipSync.startTime;
+    }
+    
+    if (elapsed < 0) return null;
+    if (elapsed >= lipSync.track.duration) {
+      this._lipSync = null;
+      return null;
+    }
+    
+    const frame = lipSync.track.frames[Math.floor(elapsed / lipSync.track.interval)];
+    return frame ? frame.map(w => w / 100) : null;
+  }
+  
   // REAL LIP SYNC: Called from beforeModelUpdate event
   // This runs AFTER motions update but BEFORE the model renders
   // This is the ONLY reliable way to override motion parameters!
@@ -311,7 +720,30 @@ class SyncedAvatar {
     const coreModel = this.model.internalModel?.coreModel;
     if (!coreModel) return;
     
-    // Get mouth value from audio analysis OR test value
+    const { eyes, lipSync } = this.mapping;
+    
+    // Keep eyes open (counteract any motion that closes them) - as far as the expression says,
+    // less mid-blink
+    const winking = this._wink && performance.now() < this._wink.until;
+    const eyeOpen = this._eyeOpen * (1 - this.blinkAmount());
+    for (const id of eyes) {
+      coreModel.setParameterValueById(id, winking && id === this._wink.id ? 0 : eyeOpen);
+    }
+    
+    // Viseme track from the server drives all five vowels - or just the mouth opening,
+    // on models without vowel shapes
+    const vowels = this.sampleLipSync();
+    if (vowels || this._vowels.some(v => v > 0.01)) {
+      const target = vowels || [0, 0, 0, 0, 0];
+      for (let i = 0; i < 5; i++) {
+        this._vowels[i] += (target[i] - this._vowels[i]) * 0.5;
+      }
+      lipSync.vowels?.forEach((id, i) => coreModel.setParameterValueById(id, this._vowels[i]));
+      if (lipSync.mouthOpen) coreModel.setParameterValueById(lipSync.mouthOpen, Math.max(...this._vowels));
+      if (vowels) return;
+    }
+    
+    // No track (older server, TTS without one) - open the mouth from the audio analyser
     let mouthValue = 0;
     
     // Check for test value first (from debug button)
@@ -330,15 +762,39 @@ class SyncedAvatar {
     // Amplify for visibility
     const amplified = Math.min(1, this._smoothMouth * 2.5);
     
-    // Apply to lip sync parameters - ParamA is the main one
-    // From model3.json: "Groups": [{"Name": "LipSync", "Ids": ["ParamA"]}]
+    // Open the mouth - the plain opening parameter, or the "a" vowel
     if (amplified > 0.01) {
-      coreModel.setParameterValueById('ParamA', amplified);
+      coreModel.setParameterValueById(lipSync.mouthOpen || lipSync.vowels[0], amplified);
+    }
+  }
+
+  // How shut the eyes are, 0-1, during the last blink the server sent
+  blinkAmount() {
+    const t = (performance.now() - this._blinkStart) / BLINK_DURATION;
+    return t >= 0 && t < 1 ? Math.sin(t * Math.PI) : 0;
+  }
+  
+  // Breathing and head sway between utterances, also called from beforeModelUpdate -
+  // added on top of motions and look direction, so it never fights them
+  applyIdle() {
+    const coreModel = this.model?.internalModel?.coreModel;
+    if (!coreModel || !this._idle) return;
+    
+    // On the server's clock, so every viewer breathes in together
+    const { breath, swayX, swayY } = this._idle;
+    if (this.mapping.breath && breath) {
+      const phase = (serverClock.now() % breath.period) / breath.period;
+      coreModel.setParameterValueById(this.mapping.breath, breath.depth * (0.5 + 0.5 * Math.sin(phase * 2 * Math.PI)));
     }
     
-    // Keep eyes open (counteract any expression that closes them)
-    coreModel.setParameterValueById('ParamEyeLOpen', 1);
-    coreModel.setParameterValueById('ParamEyeROpen', 1);
+    // Drift slowly towards the latest sway
+    const look = this.mapping.look;
+    if (look) {
+      this._sway.x += (swayX - this._sway.x) * 0.02;
+      this._sway.y += (swayY - this._sway.y) * 0.02;
+      coreModel.addParameterValueById(look.head[0], this._sway.x * look.headRange[0]);
+      coreModel.addParameterValueById(look.head[1], this._sway.y * look.headRange[1]);
+    }
   }
 
   // Debug: List all model parameters
@@ -348,16 +804,15 @@ class SyncedAvatar {
       const coreModel = this.model.internalModel?.coreModel;
       
       if (coreModel) {
-        // List key parameters for lip sync and expressions
-        const keyParams = [
-          'ParamA', 'ParamI', 'ParamU', 'ParamE', 'ParamO',  // Vowel lip sync
-          'ParamMouthUp', 'ParamMouthDown',  // Mouth shape
-          'ParamEyeLOpen', 'ParamEyeROpen', 'ParamEyeLSmile', 'ParamEyeRSmile',  // Eyes
-          'ParamBrowLY', 'ParamBrowRY',  // Brows
-          'ParamCheek',  // Blush
-          'ParamArmLA01', 'ParamArmRA01',  // Arms
-          'ParamAngleX', 'ParamAngleY'  // Head
-        ];
+        // Every parameter the tag mapping uses - NOT FOUND means the mapping is wrong
+        const { lipSync, eyes, breath, look, expressions, gestures } = this.mapping;
+        const keyParams = [...new Set([
+          ...(lipSync.vowels || []), lipSync.mouthOpen,
+          ...eyes, breath,
+          ...(look?.eyes || []), ...(look?.head || []),
+          ...Object.values(expressions).flatMap(face => Object.keys(face.params || {})),
+          ...Object.values(gestures).flatMap(action => Object.keys(action.pose || {}))
+        ])].filter(Boolean);
         console.log('📋 Key parameters:');
         for (const id of keyParams) {
           try {
@@ -384,12 +839,10 @@ class SyncedAvatar {
   // Clean up avatar resources
   destroy() {
     console.log('🎭 Destroying avatar...');
-    this.ready = false;
-    if (this.model) {
-      this.app?.stage?.removeChild(this.model);
-      this.model.destroy();
-      this.model = null;
-    }
+    this.effects?.clear();
+    this.effects = null;
+    this.removeModel();
+    this.modelPath = null;
     if (this.app) {
       this.app.destroy(false);  // Don't remove the canvas
       this.app = null;
@@ -413,13 +866,14 @@ class SyncedAvatar {
         }
         
         // Apply look direction smoothly
-        if (this._targetLookX !== undefined) {
+        const look = this.mapping.look;
+        if (look && this._targetLookX !== undefined) {
           this._currentLookX = this._currentLookX || 0;
           this._currentLookY = this._currentLookY || 0;
           this._currentLookX += (this._targetLookX - this._currentLookX) * 0.1;
           this._currentLookY += (this._targetLookY - this._currentLookY) * 0.1;
-          coreModel.setParameterValueById('ParamEyeBallX', this._currentLookX);
-          coreModel.setParameterValueById('ParamEyeBallY', this._currentLookY);
+          coreModel.setParameterValueById(look.eyes[0], this._currentLookX);
+          coreModel.setParameterValueById(look.eyes[1], this._currentLookY);
         }
       }
     } catch (e) {
@@ -450,6 +904,20 @@ class SyncedAvatar {
       this.gesture = null;
     }
     
+    // Model motion ([motion:...]) - each one plays once
+    if (avatarState.motion && avatarState.motion.id !== this.motionId) {
+      this.motionId = avatarState.motion.id;
+      this.playMotion(avatarState.motion.group, avatarState.motion.index);
+    }
+    
+    // Idle behaviour - a new blinkAt is a blink (the first one seen is already over)
+    if (avatarState.idle) {
+      if (this._idle && avatarState.idle.blinkAt !== this._idle.blinkAt) {
+        this._blinkStart = performance.now();
+      }
+      this._idle = avatarState.idle;
+    }
+    
     // Update look direction
     if (avatarState.lookX !== undefined) {
       this.lookX = avatarState.lookX;
@@ -469,11 +937,12 @@ class SyncedAvatar {
     this._targetLookY = y;
     
     // Also set slight head turn immediately
+    const look = this.mapping.look;
     try {
       const coreModel = this.model.internalModel?.coreModel;
-      if (coreModel) {
-        coreModel.setParameterValueById('ParamAngleX', x * 15);
-        coreModel.setParameterValueById('ParamAngleY', y * 10);
+      if (coreModel && look) {
+        coreModel.setParameterValueById(look.head[0], x * look.headRange[0]);
+        coreModel.setParameterValueById(look.head[1], y * look.headRange[1]);
       }
     } catch (e) {
       // Ignore if parameters don't exist
@@ -488,59 +957,29 @@ class SyncedAvatar {
     // Store the expression for persistence
     this._currentExpression = expression;
     
-    // DON'T use built-in expressions - they mess with eye state!
-    // Use correct param names for Mao model:
-    // - ParamMouthUp/Down for smile (not ParamMouthForm)
-    // - ParamBrowLY/RY for brows  
-    // - ParamCheek for blush
-    // - ParamEyeLSmile/RSmile for happy eyes
-    const expressionParams = {
-      'neutral': { mouthUp: 0, mouthDown: 0, brows: 0, cheek: 0, eyeSmile: 0 },
-      'happy': { mouthUp: 0.7, mouthDown: 0, brows: 0.3, cheek: 0.6, eyeSmile: 0.5 },
-      'excited': { mouthUp: 1.0, mouthDown: 0, brows: 0.5, cheek: 0.8, eyeSmile: 0.7 },
-      'sad': { mouthUp: 0, mouthDown: 0.6, brows: -0.4, cheek: 0, eyeSmile: 0 },
-      'angry': { mouthUp: 0, mouthDown: 0.3, brows: -0.7, cheek: 0, eyeSmile: 0 },
-      'surprised': { mouthUp: 0.2, mouthDown: 0, brows: 0.8, cheek: 0, eyeSmile: 0 },
-      'thinking': { mouthUp: 0.1, mouthDown: 0, brows: 0.4, cheek: 0, eyeSmile: 0 },
-      'confused': { mouthUp: 0, mouthDown: 0.2, brows: -0.3, cheek: 0, eyeSmile: 0 },
-      'wink': { mouthUp: 0.5, mouthDown: 0, brows: 0.2, cheek: 0.4, eyeSmile: 0.3, winkLeft: true },
-      'love': { mouthUp: 0.8, mouthDown: 0, brows: 0.3, cheek: 1.0, eyeSmile: 0.6 },
-      'smug': { mouthUp: 0.4, mouthDown: 0, brows: 0.2, cheek: 0.3, eyeSmile: 0.3 },
-      'sleepy': { mouthUp: 0, mouthDown: 0, brows: -0.2, cheek: 0, eyeSmile: 0, sleepy: true }
-    };
-    
-    const params = expressionParams[expression] || expressionParams['neutral'];
+    // Each face is set over neutral, so whatever the last one moved goes back
+    const { expressions } = this.mapping;
+    const face = expressions[expression] || expressions.neutral || {};
+    const params = { ...expressions.neutral?.params, ...face.params };
     
     try {
       const coreModel = this.model.internalModel?.coreModel;
       if (coreModel) {
-        // Mouth shape (smile up vs frown down)
-        coreModel.setParameterValueById('ParamMouthUp', params.mouthUp || 0);
-        coreModel.setParameterValueById('ParamMouthDown', params.mouthDown || 0);
-        // Eyebrows
-        coreModel.setParameterValueById('ParamBrowLY', params.brows || 0);
-        coreModel.setParameterValueById('ParamBrowRY', params.brows || 0);
-        // Cheek blush
-        coreModel.setParameterValueById('ParamCheek', params.cheek || 0);
-        // Happy/smiling eyes
-        coreModel.setParameterValueById('ParamEyeLSmile', params.eyeSmile || 0);
-        coreModel.setParameterValueById('ParamEyeRSmile', params.eyeSmile || 0);
-        
+        for (const [id, value] of Object.entries(params)) {
+          coreModel.setParameterValueById(id, value);
+        }
         console.log('🎭 Applied expression params:', params);
         
-        // Handle wink
-        if (params.winkLeft) {
-          coreModel.setParameterValueById('ParamEyeLOpen', 0);
-          setTimeout(() => {
-            if (coreModel) coreModel.setParameterValueById('ParamEyeLOpen', 1);
-          }, 500);
+        // The model's own .exp3.json, if the mapping uses one
+        if (face.expression) {
+          this.model.expression(face.expression);
+        } else {
+          this.model.internalModel.motionManager?.expressionManager?.resetExpression();
         }
         
-        // Handle sleepy
-        if (params.sleepy) {
-          coreModel.setParameterValueById('ParamEyeLOpen', 0.5);
-          coreModel.setParameterValueById('ParamEyeROpen', 0.5);
-        }
+        // Sleepy eyes, winks - held in applyLipSync() so motions can't undo them
+        this._eyeOpen = face.eyes ?? 1;
+        this._wink = face.wink ? { id: face.wink, until: performance.now() + 500 } : null;
       }
     } catch (e) {
       console.log('Expression error:', e);
@@ -552,79 +991,38 @@ class SyncedAvatar {
     
     console.log('🎭 Triggering gesture:', gesture);
     
-    // Handle arm controls by setting parameters directly
-    // From motion files: values are typically -10 to +10 range
-    const armControls = {
-      'raise_left_hand': { 'ParamArmLA01': 8, 'ParamArmLA02': 5, 'ParamArmLA03': 3 },
-      'raise_left_arm': { 'ParamArmLA01': 10, 'ParamArmLA02': 8, 'ParamArmLA03': 5 },
-      'raise_right_hand': { 'ParamArmRA01': 8, 'ParamArmRA02': 5, 'ParamArmRA03': 3 },
-      'raise_right_arm': { 'ParamArmRA01': 10, 'ParamArmRA02': 8, 'ParamArmRA03': 5 },
-      'raise_both_hands': { 'ParamArmLA01': 8, 'ParamArmLA02': 5, 'ParamArmRA01': 8, 'ParamArmRA02': 5 },
-      'raise_both_arms': { 'ParamArmLA01': 10, 'ParamArmLA02': 8, 'ParamArmRA01': 10, 'ParamArmRA02': 8 },
-      'lower_left_arm': { 'ParamArmLA01': 0, 'ParamArmLA02': 0, 'ParamArmLA03': 0 },
-      'lower_right_arm': { 'ParamArmRA01': 0, 'ParamArmRA02': 0, 'ParamArmRA03': 0 },
-      'lower_arms': { 'ParamArmLA01': 0, 'ParamArmLA02': 0, 'ParamArmLA03': 0, 'ParamArmRA01': 0, 'ParamArmRA02': 0, 'ParamArmRA03': 0 },
-      'wave': { 'ParamArmRA01': 8, 'ParamArmRA02': 6, 'ParamHandRA': 5 },
-      'point': { 'ParamArmRA01': 5, 'ParamArmRA02': 3, 'ParamArmRA03': 2 }
-    };
-    
-    // If it's an arm control gesture, store the state (will be applied in tick())
-    if (armControls[gesture]) {
-      console.log('🦾 Arm control:', gesture, armControls[gesture]);
-      // Merge the new arm state with existing
-      this._armState = { ...this._armState, ...armControls[gesture] };
+    const action = this.mapping.gestures[gesture];
+    if (!action) {
+      console.log('🎬 Not in this model\'s mapping:', gesture);
       return;
     }
     
-    // Map gestures to motions based on user testing:
-    // mtn_01 (Idle) - natural loop idle
-    // mtn_02 (index 0) - dance
-    // mtn_03 (index 1) - shy/kinky/cute
-    // mtn_04 (index 2) - thinking/doubtful/wondering
-    // special_01 (index 3) - heart with wand
-    // special_02 (index 4) - heart + ink explosion
-    // special_03 (index 5) - summons rabbit (magic trick)
-    const gestureMotions = {
-      'dance': { group: '', index: 0 },      // mtn_02 - dance
-      'shy': { group: '', index: 1 },        // mtn_03 - shy/cute
-      'cute': { group: '', index: 1 },       // mtn_03 - shy/cute
-      'flirt': { group: '', index: 1 },      // mtn_03 - kinky
-      'think': { group: '', index: 2 },      // mtn_04 - thinking
-      'wonder': { group: '', index: 2 },     // mtn_04 - wondering
-      'doubt': { group: '', index: 2 },      // mtn_04 - doubtful
-      'shrug': { group: '', index: 2 },      // mtn_04 - uncertain
-      'heart': { group: '', index: 3 },      // special_01 - heart with wand
-      'love': { group: '', index: 3 },       // special_01 - heart with wand
-      'magic_heart': { group: '', index: 4 },// special_02 - heart + explosion
-      'magic': { group: '', index: 5 },      // special_03 - summons rabbit
-      'trick': { group: '', index: 5 },      // special_03 - magic trick
-      'rabbit': { group: '', index: 5 },     // special_03 - summons rabbit
-      // Keep some common ones
-      'nod': { group: '', index: 1 },        // mtn_03 - cute nod
-      'wave': { group: '', index: 3 },       // special_01 - heart wave
-      'bow': { group: '', index: 1 }         // mtn_03 - shy bow
-    };
-    
-    const motion = gestureMotions[gesture];
+    // A pose holds its parameters (applied in tick()) until another pose moves them
+    if (action.pose) {
+      console.log('🦾 Pose:', gesture, action.pose);
+      this._armState = { ...this._armState, ...action.pose };
+    }
     
     try {
-      if (motion) {
-        console.log('🎬 Playing motion:', gesture, '-> group:', motion.group, 'index:', motion.index);
-        this.model.motion(motion.group, motion.index);
-      } else {
-        console.log('🎬 Unknown gesture:', gesture);
+      if (action.motion) {
+        console.log('🎬 Playing motion:', gesture, '-> group:', action.motion.group, 'index:', action.motion.index);
+        this.model.motion(action.motion.group, action.motion.index);
       }
     } catch (e) {
       console.log('Motion error:', gesture, e);
     }
   }
   
-  // Debug: Play a specific motion by index
-  debugPlayMotion(group, index) {
+  // Play one of the model's own motions over idle and gesture motions (which play at NORMAL
+  // priority and can't cut in) - the motion's FadeInTime/FadeOutTime blend it in and out
+  playMotion(group, index) {
     if (!this.model || !this.ready) return;
-    console.log('🎬 DEBUG: Playing motion group="' + group + '" index=' + index);
+    console.log('🎬 Playing motion group="' + group + '" index=' + index);
+    
+    // Held poses would fight the motion for the arms
+    this._armState = {};
     try {
-      this.model.motion(group, index);
+      this.model.motion(group, index, MotionPriority?.FORCE ?? 3);
     } catch (e) {
       console.log('Motion error:', e);
     }
@@ -643,6 +1041,7 @@ class SyncedAvatar {
         'idle': 'Live',
         'thinking': 'Processing...',
         'disconnected': 'Offline',
+        'reconnecting': 'Reconnecting...',
         'error': 'Reconnecting...'
       };
       statusText.textContent = statusMap[state] || 'Live';
@@ -687,27 +1086,93 @@ class SyncedSubtitles {
 }
 
 // ============ CHAT SYSTEM ============
+// Badges shown next to a name - creators already get their own style
+const CHAT_BADGES = {
+  verified: 'Verified X account',
+  wallet: 'Signed in with a wallet'
+};
+
+const CHAT_MODE_LABELS = { verified: 'Verified-only', followers: 'Followers-only' };
+
+// Moderator commands typed into chat (see server/moderation.js):
+//   /timeout <user> [seconds] [reason]   /untimeout <user>   /ban <user> [reason]   /unban <user>
+//   /mod <user>   /unmod <user>   /slow [seconds]   /slowoff   /mode <everyone|verified|followers>
+//   /maxlength <characters>   /block <word or /regex/>   /unblock <word>
+// <user> is a name from chat, an @handle or a user id.
+function parseModCommand(text) {
+  const [name, ...args] = text.slice(1).trim().split(/\s+/);
+  const action = name.toLowerCase();
+  const rest = (from) => args.slice(from).join(' ') || undefined;
+  
+  switch (action) {
+    case 'timeout':
+      return { action, target: args[0], duration: args[1] ? Number(args[1]) : undefined, reason: rest(2) };
+    case 'ban':
+      return { action, target: args[0], reason: rest(1) };
+    case 'untimeout':
+    case 'unban':
+    case 'mod':
+    case 'unmod':
+      return { action, target: args[0] };
+    case 'slow':
+      return { action, value: args[0] ?? 30 };
+    case 'slowoff':
+      return { action: 'slow', value: 0 };
+    case 'mode':
+    case 'maxlength':
+      return { action, value: args[0] };
+    case 'block':
+    case 'unblock':
+      return { action, value: rest(0) };
+    default:
+      return null;
+  }
+}
+
+// Reconnect the viewer socket with a new viewer token - resolves with the identity the server sees
+function signInViewer(token) {
+  localStorage.setItem('lobster_viewer_token', token);
+  return new Promise((resolve) => {
+    socket.once('viewer:identity', resolve);
+    socket.disconnect().connect();
+  });
+}
+
+async function postJson(url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json();
+  if (!data.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
 class ChatSystem {
   constructor() {
     this.messagesContainer = document.getElementById('chatMessages');
     this.input = document.getElementById('chatInput');
     this.sendBtn = document.getElementById('chatSend');
+    this.walletBtn = document.getElementById('chatWallet');
+    this.rulesEl = document.getElementById('chatRules');
     this.messageIds = new Set(); // Prevent duplicates
-    this.currentStreamCreator = null; // Track who created the current stream
+    this.readOnly = false;
+    this.rules = null;       // { slowMode, chatMode, maxLength } of the stream's chat
+    this.role = 'viewer';    // creator, moderator or viewer - moderators get delete buttons and commands
     
     this.setupListeners();
+    this.updateIdentity();
     this.addSystemMessage('Welcome! Chat with the AI agent.');
   }
   
-  setCurrentStream(streamData) {
-    // Store the creator name of the current stream
-    this.currentStreamCreator = streamData.creatorName || null;
-  }
-  
   setupListeners() {
     if (this.sendBtn) {
       this.sendBtn.addEventListener('click', () => this.sendMessage());
     }
+    if (this.walletBtn) {
+      this.walletBtn.addEventListener('click', () => this.signInWithWallet());
+    }
     if (this.input) {
       this.input.addEventListener('keypress', (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
@@ -722,26 +1187,104 @@ class ChatSystem {
     this.addMessage({ username: 'System', type: 'system', text, id: 'sys-' + Date.now() });
   }
   
-  addMessage({ id, username, type, text }) {
+  addMessage({ id, username, type, text, badges = [] }) {
     if (!this.messagesContainer) return;
     
     // Prevent duplicates
     if (id && this.messageIds.has(id)) return;
     if (id) this.messageIds.add(id);
     
-    // Strip emotion tags for display
-    const displayText = text
-      .replace(/\[(neutral|happy|excited|thinking|confused|surprised|sad|angry|wink|love)\]/gi, '')
-      .replace(/\[(wave|nod|shake|dance|bow)\]/gi, '')
-      .trim();
+    // Strip avatar tags for display
+    const displayText = stripTags(text);
     
     const msgEl = document.createElement('div');
     msgEl.className = 'chat-message';
-    msgEl.innerHTML = `<span class="username ${type}">${this.escapeHtml(username)}:</span><span class="text">${this.escapeHtml(displayText)}</span>`;
+    if (id) msgEl.dataset.id = id;
+    const badgeHtml = badges
+      .filter(badge => CHAT_BADGES[badge])
+      .map(badge => `<span class="chat-badge ${badge}" title="${CHAT_BADGES[badge]}"></span>`)
+      .join('');
+    msgEl.innerHTML = `${badgeHtml}<span class="username ${type}">${this.escapeHtml(username)}:</span><span class="text">${this.escapeHtml(displayText)}</span>`;
+    if (this.role !== 'viewer' && !this.readOnly && type !== 'system' && type !== 'agent') {
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'chat-delete';
+      deleteBtn.title = 'Delete message';
+      deleteBtn.textContent = '×';
+      deleteBtn.addEventListener('click', () => this.moderate({ action: 'delete', messageId: id }));
+      msgEl.appendChild(deleteBtn);
+    }
+    this.messagesContainer.appendChild(msgEl);
+    this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+  }
+  
+  // Moderators took these down
+  removeMessages(ids) {
+    for (const id of ids) {
+      this.messagesContainer?.querySelector(`.chat-message[data-id="${CSS.escape(id)}"]`)?.remove();
+    }
+  }
+  
+  // The stream's chat rules, and what we may do about them
+  setRules({ role, ...rules }) {
+    const before = this.rules;
+    this.rules = rules;
+    if (role) this.role = role;
+    
+    if (before && before.slowMode !== rules.slowMode) {
+      this.addSystemMessage(rules.slowMode ? `Slow mode on - one message every ${rules.slowMode}s` : 'Slow mode off');
+    }
+    if (before && before.chatMode !== rules.chatMode) {
+      this.addSystemMessage(CHAT_MODE_LABELS[rules.chatMode] ? `Chat is now ${CHAT_MODE_LABELS[rules.chatMode].toLowerCase()}` : 'Everyone can chat again');
+    }
+    
+    if (this.input) this.input.maxLength = rules.maxLength;
+    if (this.rulesEl) {
+      const labels = [CHAT_MODE_LABELS[rules.chatMode], rules.slowMode ? `Slow ${rules.slowMode}s` : null].filter(Boolean);
+      this.rulesEl.textContent = labels.join(' · ');
+      this.rulesEl.classList.toggle('hidden', labels.length === 0);
+    }
+  }
+  
+  // Something the agent wanted to say that the speech filter held for us (the creator) to approve
+  addHeldSpeech({ id, text, reasons }) {
+    if (!this.messagesContainer || this.messagesContainer.querySelector(`.chat-held[data-held="${CSS.escape(id)}"]`)) return;
+    
+    const msgEl = document.createElement('div');
+    msgEl.className = 'chat-message chat-held';
+    msgEl.dataset.held = id;
+    msgEl.innerHTML = `<span class="username system">Held for approval:</span><span class="text">${this.escapeHtml(stripTags(text))}</span>` +
+      `<div class="chat-held-reasons">${this.escapeHtml(reasons.join(', '))}</div>`;
+    
+    const actions = document.createElement('div');
+    actions.className = 'chat-held-actions';
+    for (const [label, approve] of [['Approve', true], ['Reject', false]]) {
+      const btn = document.createElement('button');
+      btn.className = approve ? 'btn btn-primary' : 'btn btn-secondary';
+      btn.textContent = label;
+      btn.addEventListener('click', () => {
+        socket.emit('speech:review', { id, approve }, (res) => {
+          if (!res?.ok) this.addSystemMessage(res?.error || 'Review failed');
+        });
+      });
+      actions.appendChild(btn);
+    }
+    msgEl.appendChild(actions);
     this.messagesContainer.appendChild(msgEl);
     this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
   }
   
+  settleHeldSpeech(id, decision) {
+    this.messagesContainer?.querySelector(`.chat-held[data-held="${CSS.escape(id)}"]`)?.remove();
+    if (decision === 'expired') this.addSystemMessage('A held message expired without review');
+  }
+  
+  moderate(command) {
+    socket.emit('mod:action', command, (res) => {
+      if (!res?.ok) this.addSystemMessage(res?.error || 'Moderation failed');
+      else if (res.target) this.addSystemMessage(`/${command.action} ${res.target.name} done`);
+    });
+  }
+  
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -753,51 +1296,91 @@ class ChatSystem {
     const text = this.input.value.trim();
     if (!text) return;
     
-    // Try to get X auth session first, fallback to localStorage
-    let username = await this.getUsername();
-    if (!username) return;
+    // Moderator commands never go out as chat
+    if (text.startsWith('/') && this.role !== 'viewer') {
+      const command = parseModCommand(text);
+      if (!command) {
+        this.addSystemMessage('Unknown command - try /timeout, /ban, /slow, /mode, /block, /mod');
+        return;
+      }
+      this.moderate(command);
+      this.input.value = '';
+      return;
+    }
     
-    socket.emit('chat:send', {
-      username: username,
-      text: text
-    });
+    // Not signed in - pick a guest name first (X and wallet logins are verified instead)
+    if (!viewerIdentity?.displayName && !(await this.signInAsGuest())) return;
     
+    // Just the text - who said it is up to the server
+    socket.emit('chat:send', { text });
     this.input.value = '';
   }
   
-  // Get username from X auth or localStorage
-  async getUsername() {
-    // Check if we have a cached X username
-    const cachedXUsername = localStorage.getItem('lobster_x_username');
-    if (cachedXUsername) {
-      return cachedXUsername;
-    }
+  async signInAsGuest() {
+    const name = prompt('Pick a chat name (or log in with X for a verified one):');
+    if (!name?.trim()) return false;
     
-    // Try to get X auth session
     try {
-      const res = await fetch('http://localhost:3001/auth/x/session', { credentials: 'include' });
-      const data = await res.json();
-      
-      if (data.authenticated && data.xUsername) {
-        const username = `@${data.xUsername}`;
-        localStorage.setItem('lobster_x_username', username);
-        return username;
-      }
+      const { token } = await postJson('/api/viewer/guest', { name: name.trim() });
+      await signInViewer(token);
+      return true;
     } catch (e) {
-      console.log('X auth check failed, using fallback');
+      this.addSystemMessage('Sign-in failed: ' + e.message);
+      return false;
     }
-    
-    // Fallback to localStorage username or prompt
-    let username = localStorage.getItem('lobster_username');
-    if (!username) {
-      username = prompt('Enter your username (or login with X for verified identity):');
-      if (!username) return null;
-      username = username.trim();
-      if (!username) return null;
-      localStorage.setItem('lobster_username', username);
+  }
+  
+  // Sign the server's challenge with a Solana wallet (Phantom and friends inject window.solana)
+  async signInWithWallet() {
+    const wallet = window.solana;
+    if (!wallet) {
+      this.addSystemMessage('No Solana wallet found - install one to sign in with it');
+      return;
     }
     
-    return username;
+    try {
+      const { publicKey } = await wallet.connect();
+      const address = publicKey.toString();
+      const { nonce, message } = await postJson('/api/viewer/wallet/challenge', { address });
+      const { signature } = await wallet.signMessage(new TextEncoder().encode(message), 'utf8');
+      const { token } = await postJson('/api/viewer/wallet/verify', {
+        address,
+        nonce,
+        signature: btoa(String.fromCharCode(...signature))
+      });
+      const identity = await signInViewer(token);
+      this.addSystemMessage(`Signed in as ${identity.displayName}`);
+    } catch (e) {
+      this.addSystemMessage('Wallet sign-in failed: ' + e.message);
+    }
+  }
+  
+  // Show who we're chatting as
+  updateIdentity() {
+    if (!this.input || this.readOnly) return;
+    this.input.placeholder = viewerIdentity?.displayName
+      ? `Chat as ${viewerIdentity.displayName}...`
+      : 'Send a message...';
+    if (this.walletBtn) this.walletBtn.classList.toggle('hidden', Boolean(viewerIdentity?.displayName));
+  }
+  
+  // Remove every message (VOD seeks rebuild the chat from the timeline)
+  clear() {
+    if (this.messagesContainer) this.messagesContainer.innerHTML = '';
+    this.messageIds.clear();
+  }
+  
+  // VODs replay chat - there's nobody to send to
+  setReadOnly(readOnly) {
+    this.readOnly = readOnly;
+    if (this.input) {
+      this.input.disabled = readOnly;
+      if (readOnly) this.input.placeholder = 'Chat replay';
+    }
+    if (this.sendBtn) this.sendBtn.disabled = readOnly;
+    if (this.walletBtn) this.walletBtn.disabled = readOnly;
+    if (readOnly) this.rulesEl?.classList.add('hidden');
+    this.updateIdentity();
   }
   
   // Load chat history
@@ -808,7 +1391,8 @@ class ChatSystem {
         id: msg.id,
         username: msg.username,
         type: msg.type,
-        text: msg.text
+        text: msg.text,
+        badges: msg.badges
       });
     });
   }
@@ -822,13 +1406,16 @@ class SetupWizard {
     this.xUsername = null;
     this.agentName = '';
     this.selectedModel = 'mao';
+    this.models = [];
     this.connectionCode = null;
+    this.agentSlug = null;
     this.agentConnected = false;
   }
   
   async init() {
     this.bindEvents();
     await this.checkXAuth();
+    await this.loadModels();
   }
   
   bindEvents() {
@@ -848,6 +1435,11 @@ class SetupWizard {
       document.getElementById('step2Next').disabled = !this.agentName;
     });
     
+    document.getElementById('modelSelector')?.addEventListener('click', (e) => {
+      const option = e.target.closest('.model-option:not(.disabled)');
+      if (option) this.selectModel(option.dataset.model);
+    });
+    
     document.getElementById('step2Back')?.addEventListener('click', () => this.goToStep(1));
     document.getElementById('step2Next')?.addEventListener('click', () => {
       if (this.agentName) this.goToStep(3);
@@ -933,6 +1525,72 @@ class SetupWizard {
     }
   }
   
+  // Fill the model picker from the registry - built-in models plus the creator's uploads
+  async loadModels() {
+    const selector = document.getElementById('modelSelector');
+    if (!selector) return;
+    
+    try {
+      const res = await fetch('http://localhost:3001/api/models', { credentials: 'include' });
+      const data = await res.json();
+      if (!data.ok || data.models.length === 0) return;  // Keep the built-in Mao option
+      this.models = data.models;
+    } catch (e) {
+      console.log('Model registry unavailable');
+      return;
+    }
+    
+    if (!this.models.some(m => m.id === this.selectedModel)) {
+      this.selectedModel = this.models[0].id;
+    }
+    
+    selector.innerHTML = '';
+    this.models.forEach(model => {
+      const option = document.createElement('div');
+      option.className = 'model-option';
+      option.dataset.model = model.id;
+      option.innerHTML = `
+        <div class="model-preview">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path>
+            <circle cx="12" cy="7" r="4"></circle>
+          </svg>
+        </div>
+        <div class="model-info">
+          <strong></strong>
+          <span></span>
+        </div>
+        <div class="model-check">
+          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+            <polyline points="20 6 9 17 4 12"></polyline>
+          </svg>
+        </div>
+      `;
+      option.querySelector('strong').textContent = model.name;
+      option.querySelector('.model-info span').textContent =
+        model.description || (model.builtIn ? 'Built-in avatar' : `Uploaded for ${model.agentName}`);
+      
+      // Swap the icon for the thumbnail once it loads
+      if (model.thumbnailUrl) {
+        const img = new Image();
+        img.alt = '';
+        img.onload = () => option.querySelector('.model-preview').replaceChildren(img);
+        img.src = model.thumbnailUrl;
+      }
+      
+      selector.appendChild(option);
+    });
+    
+    this.selectModel(this.selectedModel);
+  }
+  
+  selectModel(modelId) {
+    this.selectedModel = modelId;
+    document.querySelectorAll('#modelSelector .model-option').forEach(option => {
+      option.classList.toggle('selected', option.dataset.model === modelId);
+    });
+  }
+  
   goToStep(step) {
     // Hide all steps
     for (let i = 1; i <= 4; i++) {
@@ -953,37 +1611,39 @@ class SetupWizard {
     window.open('/skill.md', '_blank');
   }
   
-  generateConnectionCode() {
-    // Generate a unique connection code for this session
-    this.connectionCode = 'CS-' + Math.random().toString(36).substring(2, 8).toUpperCase();
-    document.querySelector('#connectionCode code').textContent = this.connectionCode;
+  async generateConnectionCode() {
+    // The server makes the code (and the agent, the first time) - only for the creator's own agents
+    this.connectionCode = null;
+    document.querySelector('#connectionCode code').textContent = '...';
     
-    // Register this code with the server
-    this.registerConnectionCode();
-  }
-  
-  async registerConnectionCode() {
     try {
       const res = await fetch('http://localhost:3001/api/connection-codes', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
         body: JSON.stringify({
-          code: this.connectionCode,
           agentName: this.agentName,
           model: this.selectedModel
         })
       });
       const data = await res.json();
-      console.log('Connection code registered:', data);
+      
+      if (data.ok) {
+        this.connectionCode = data.code;
+        this.agentSlug = data.agentName;
+        document.querySelector('#connectionCode code').textContent = this.connectionCode;
+      } else {
+        document.querySelector('#connectionCode code').textContent = data.error || 'Could not create a code';
+      }
     } catch (e) {
-      console.error('Failed to register connection code:', e);
+      console.error('Failed to create connection code:', e);
     }
   }
   
   startConnectionListener() {
     // Poll for connection status
     this.connectionInterval = setInterval(async () => {
+      if (!this.connectionCode) return;
       try {
         const res = await fetch(`http://localhost:3001/api/connection-codes/${this.connectionCode}`, {
           credentials: 'include'
@@ -1002,39 +1662,368 @@ class SetupWizard {
     }, 2000);
   }
   
-  async createAgentAndGoLive() {
-    try {
-      // Create the agent in the database
-      const res = await fetch('http://localhost:3001/api/agents', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        credentials: 'include',
-        body: JSON.stringify({
-          name: this.agentName.toLowerCase().replace(/\s+/g, '-'),
-          displayName: this.agentName,
-          model: this.selectedModel,
-          creatorName: `@${this.xUsername}`
-        })
-      });
-      
-      const data = await res.json();
-      
-      if (data.ok) {
-        // Redirect to the stream
-        window.location.href = `/stream/${data.agent.name}`;
-      } else {
-        alert('Failed to create agent: ' + data.error);
-      }
-    } catch (e) {
-      console.error('Failed to create agent:', e);
-      alert('Failed to create agent');
+  createAgentAndGoLive() {
+    // The agent was created with its connection code - go to its stream
+    window.location.href = `/stream/${this.agentSlug}`;
+  }
+  
+  destroy() {
+    if (this.connectionInterval) {
+      clearInterval(this.connectionInterval);
+    }
+  }
+}
+
+// ============ VOD REPLAY ============
+// Plays a recorded broadcast timeline (see server/recorder.js) back through the same
+// avatar, audio and subtitle components as the live view. The server clock is swapped
+// for a virtual one that can pause, seek and change speed.
+class VodPlayer {
+  constructor(app) {
+    this.app = app;
+    this.vod = null;
+    this.events = [];           // [t, event, payload] - t is ms since the stream started
+    this.duration = 0;
+    this.position = 0;
+    this.speed = 1;
+    this.paused = true;
+    this.cursor = 0;            // Index of the next event to apply
+    this.state = {};            // broadcast:state folded up to the current position
+    this.stateDirty = false;
+    this.lipSync = null;        // Last broadcast:newAudio with a viseme track
+    
+    // Virtual clock: position = anchorPosition + (now - anchorTime) * speed
+    this.anchorPosition = 0;
+    this.anchorTime = 0;
+    this.frameId = null;
+    this.seeking = false;       // User is dragging the seek bar
+    
+    this.setupControls();
+  }
+  
+  static formatTime(ms) {
+    const total = Math.floor((ms || 0) / 1000);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = (total % 60).toString().padStart(2, '0');
+    return h > 0 ? `${h}:${m.toString().padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+  
+  setupControls() {
+    const playBtn = document.getElementById('vodPlayBtn');
+    const seekBar = document.getElementById('vodSeek');
+    const speedSelect = document.getElementById('vodSpeed');
+    
+    playBtn?.addEventListener('click', () => {
+      if (this.paused) this.play();
+      else this.pause();
+    });
+    
+    seekBar?.addEventListener('input', () => {
+      this.seeking = true;
+      const el = document.getElementById('streamTime');
+      if (el) el.textContent = `${VodPlayer.formatTime(+seekBar.value)} / ${VodPlayer.formatTime(this.duration)}`;
+    });
+    seekBar?.addEventListener('change', () => {
+      this.seeking = false;
+      this.seek(+seekBar.value);
+    });
+    
+    speedSelect?.addEventListener('change', () => {
+      this.setSpeed(parseFloat(speedSelect.value) || 1);
+    });
+  }
+  
+  async load(vodId) {
+    this.stop();
+    
+    const [metaRes, timelineRes] = await Promise.all([
+      fetch(`/api/vods/${vodId}`),
+      fetch(`/api/vods/${vodId}/timeline`)
+    ]);
+    const meta = await metaRes.json();
+    if (!meta.ok) throw new Error(meta.error || 'VOD not found');
+    if (!timelineRes.ok) throw new Error('VOD timeline missing');
+    
+    const events = [];
+    for (const line of (await timelineRes.text()).split('\n')) {
+      if (!line) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch (e) {
+        // A recording cut off by a crash can end mid-line
+      }
+    }
+    
+    this.vod = meta.vod;
+    this.events = events;
+    const lastEvent = events[events.length - 1];
+    this.duration = Math.max(this.vod.duration || 0, lastEvent ? lastEvent[0] : 0);
+    
+    console.log('📼 VOD loaded:', this.vod.id, events.length, 'events,', VodPlayer.formatTime(this.duration));
+    this.seek(0);
+    return this.vod;
+  }
+  
+  // Position on the recording's timeline right now
+  now() {
+    if (this.paused) return this.anchorPosition;
+    return this.anchorPosition + (performance.now() - this.anchorTime) * this.speed;
+  }
+  
+  // The server time the broadcast was at - recorded timestamps are relative to this
+  serverTime() {
+    return this.vod.startedAt + this.position;
+  }
+  
+  play() {
+    if (!this.vod || !this.paused) return;
+    if (this.position >= this.duration) this.seek(0);
+    
+    this.anchorPosition = this.position;
+    this.anchorTime = performance.now();
+    this.paused = false;
+    this.renderControls();
+    
+    if (!this.frameId) this.frameId = requestAnimationFrame(() => this.frame());
+  }
+  
+  pause() {
+    if (this.paused) return;
+    this.anchorPosition = this.now();
+    this.position = Math.min(this.anchorPosition, this.duration);
+    this.paused = true;
+    
+    // Restarted at the right offset on play()
+    this.app.audioPlayer.stop();
+    this.renderControls();
+  }
+  
+  setSpeed(speed) {
+    this.anchorPosition = this.now();
+    this.anchorTime = performance.now();
+    this.speed = speed;
+    this.app.audioPlayer.audio.playbackRate = speed;
+  }
+  
+  // Jump anywhere: rebuild avatar state, chat and overlays as they were at that moment
+  seek(position) {
+    if (!this.vod) return;
+    position = Math.max(0, Math.min(position, this.duration));
+    
+    this.position = position;
+    this.anchorPosition = position;
+    this.anchorTime = performance.now();
+    
+    this.app.audioPlayer.stop();
+    this.app.clearOverlays();
+    this.app.avatar?.effects?.clear();
+    this.app.chat?.clear();
+    this.state = {};
+    this.lipSync = null;
+    
+    const messages = [];
+    const deleted = new Set();  // Messages moderators took down before this point
+    const overlays = [];
+    let modelPath = this.vod.modelPath;
+    this.cursor = 0;
+    while (this.cursor < this.events.length && this.events[this.cursor][0] <= position) {
+      const [t, event, payload] = this.events[this.cursor++];
+      
+      if (event === 'broadcast:state') {
+        Object.assign(this.state, payload);
+      } else if (event === 'broadcast:newAudio') {
+        if (payload.message) messages.push(payload.message);
+        this.lipSync = payload;
+      } else if (event === 'broadcast:stopAudio') {
+        this.lipSync = null;
+      } else if (event === 'avatar:model') {
+        modelPath = payload.modelPath;
+      } else if (event === 'chat:message') {
+        if (this.isChatMessage(payload)) messages.push(payload);
+      } else if (event === 'chat:deleted') {
+        payload.ids.forEach(id => deleted.add(id));
+      } else if (event === 'gif:show' || event === 'youtube:show' || event === 'tiktok:show') {
+        overlays.push([t, event, payload]);
+      }
+    }
+    
+    this.app.avatar?.loadModel(modelPath);
+    this.app.chat?.loadHistory(messages.filter(msg => !deleted.has(msg.id)).slice(-50));
+    for (const [t, event, payload] of overlays) {
+      this.showOverlay(event, payload, position - t);
+    }
+    
+    this.applyState();
+    this.applyLipSync();
+    this.syncAudio();
+    this.renderControls();
+  }
+  
+  frame() {
+    this.frameId = null;
+    if (this.paused || !this.vod) return;
+    
+    const position = Math.min(this.now(), this.duration);
+    while (this.cursor < this.events.length && this.events[this.cursor][0] <= position) {
+      const [t, event, payload] = this.events[this.cursor++];
+      this.applyEvent(event, payload, position - t);
+    }
+    this.position = position;
+    
+    if (this.stateDirty) this.applyState();
+    this.syncAudio();
+    this.renderControls();
+    
+    if (position >= this.duration) {
+      this.pause();
+      return;
+    }
+    this.frameId = requestAnimationFrame(() => this.frame());
+  }
+  
+  // Same handling as the live socket events in LobsterApp.setupSocketHandlers()
+  applyEvent(event, payload, lateBy) {
+    switch (event) {
+      case 'broadcast:state':
+        Object.assign(this.state, payload);
+        this.stateDirty = true;
+        break;
+        
+      case 'broadcast:newAudio':
+        if (payload.message) {
+          this.app.chat?.addMessage({
+            id: payload.message.id,
+            username: payload.message.username,
+            type: payload.message.type,
+            text: payload.message.text
+          });
+        }
+        // Start the clip now rather than on the next state tick
+        this.state.audio = {
+          url: payload.audioUrl,
+          startTime: payload.startTime,
+          duration: payload.duration,
+          isPlaying: true
+        };
+        this.stateDirty = true;
+        this.lipSync = payload;
+        this.applyLipSync();
+        break;
+        
+      case 'broadcast:stopAudio':
+        if (this.state.audio) this.state.audio = { ...this.state.audio, isPlaying: false };
+        this.app.audioPlayer.stop();
+        this.stateDirty = true;
+        this.lipSync = null;
+        this.applyLipSync();
+        break;
+        
+      case 'avatar:model':
+        this.app.avatar?.loadModel(payload.modelPath);
+        break;
+        
+      case 'chat:message':
+        if (this.isChatMessage(payload)) {
+          this.app.chat?.addMessage({
+            id: payload.id,
+            username: payload.username,
+            type: payload.type,
+            text: payload.text,
+            badges: payload.badges
+          });
+        }
+        break;
+        
+      case 'chat:deleted':
+        this.app.chat?.removeMessages(payload.ids);
+        break;
+        
+      case 'gif:show':
+      case 'youtube:show':
+      case 'tiktok:show':
+        this.showOverlay(event, payload, lateBy);
+        break;
+    }
+  }
+  
+  // Agent messages arrive with their audio, like in the live view
+  isChatMessage(message) {
+    return message.type === 'viewer' || message.type === 'agent-viewer' || message.type === 'creator';
+  }
+  
+  // Show a GIF/YouTube/TikTok popup for whatever is left of its screen time
+  showOverlay(event, payload, elapsed) {
+    this.app.showOverlay(event.replace(':show', ''), payload, elapsed, this.speed);
+  }
+  
+  applyState() {
+    this.stateDirty = false;
+    const { avatar, subtitle, audio, effects } = this.state;
+    
+    if (this.app.avatar && avatar) {
+      this.app.avatar.updateFromBroadcast(avatar);
+      this.app.avatar.setState(audio?.isPlaying ? 'speaking' : 'idle');
     }
+    if (effects) this.app.avatar?.effects?.sync(effects, this.serverTime(), this.speed);
+    this.app.subtitles.updateFromBroadcast(subtitle || { visible: false });
   }
   
-  destroy() {
-    if (this.connectionInterval) {
-      clearInterval(this.connectionInterval);
+  // Drive the mouth from the recorded viseme track, on the VOD's clock
+  applyLipSync() {
+    const audio = this.lipSync;
+    this.app.avatar?.setLipSync(audio?.lipSync, audio?.startTime, audio?.audioUrl,
+      () => (this.vod && !this.paused) ? this.serverTime() : null);
+  }
+  
+  // Keep the clip that should be speaking playing, at the right offset
+  syncAudio() {
+    const audio = this.state.audio;
+    if (this.paused || !audio?.isPlaying || !audio.url) return;
+    
+    const player = this.app.audioPlayer;
+    const offset = this.serverTime() - audio.startTime;
+    if (offset < 0 || offset >= audio.duration) return;
+    
+    if (player.currentUrl !== player.resolveUrl(audio.url)) {
+      player.playAt(audio.url, offset, this.speed);
+    } else if (player.isPlaying && Math.abs(player.audio.currentTime * 1000 - offset) > 300) {
+      // Drifted (background tab, slow load) - snap back onto the timeline
+      player.audio.currentTime = offset / 1000;
+    }
+  }
+  
+  renderControls() {
+    const playBtn = document.getElementById('vodPlayBtn');
+    const seekBar = document.getElementById('vodSeek');
+    const timeEl = document.getElementById('streamTime');
+    
+    if (playBtn) playBtn.textContent = this.paused ? '▶' : '⏸';
+    if (this.seeking) return;
+    
+    if (seekBar) {
+      seekBar.max = this.duration;
+      seekBar.value = this.position;
     }
+    if (timeEl) {
+      timeEl.textContent = `${VodPlayer.formatTime(this.position)} / ${VodPlayer.formatTime(this.duration)}`;
+    }
+  }
+  
+  stop() {
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    this.paused = true;
+    this.vod = null;
+    this.events = [];
+    this.state = {};
+    this.lipSync = null;
+    this.app.avatar?.setLipSync(null);
+    this.app.avatar?.effects?.clear();
+    this.app.audioPlayer.stop();
+    this.app.clearOverlays();
   }
 }
 
@@ -1047,7 +2036,13 @@ class LobsterApp {
     this.chat = null;
     this.connected = false;
     this.lastBroadcastState = null;
+    this.broadcastState = null;  // Protocol 2 state as of broadcastSeq (see shared/broadcast.js)
+    this.broadcastSeq = 0;
+    this.streamReconnecting = false;  // The streamer dropped - the server holds the stream for a while
+    this.following = false;           // We follow the stream being watched
+    this.overlayIds = new Set();  // Popups already shown - they arrive as events and in the broadcast state
     this.setupWizard = null;
+    this.vodPlayer = null;
   }
   
   async init() {
@@ -1077,6 +2072,14 @@ class LobsterApp {
     socket.on('connect', () => {
       console.log('✅ Connected to viewers namespace');
       this.connected = true;
+      // A new connection (a reconnect, or a sign-in) starts outside any stream - go back to ours
+      if (isStreamConnected && currentStreamId) this.joinStream(currentStreamId);
+    });
+    
+    // Who the server says we are - the name and badges our chat messages get
+    socket.on('viewer:identity', (identity) => {
+      viewerIdentity = identity;
+      this.chat?.updateIdentity();
     });
     
     socket.on('disconnect', () => {
@@ -1110,28 +2113,56 @@ class LobsterApp {
       this.connected = true;
       isStreamConnected = true;
       currentStreamId = data.stream.id;
+      this.streamReconnecting = data.stream.state === 'reconnecting';
       
-      // Tell chat who the creator is (so we can style their messages)
-      this.chat?.setCurrentStream(data.stream);
+      // The streamer's own Live2D model
+      this.avatar?.loadModel(data.stream.config?.modelPath);
       
       this.chat?.addSystemMessage('🦞 Watching ' + data.stream.agentName + "'s stream!");
+      if (data.chat) this.chat?.setRules(data.chat);
+      this.setFollowing(Boolean(data.following));
       
       // Load chat history
       this.chat?.loadHistory(data.chatHistory);
+      (data.heldSpeech || []).forEach(held => this.chat?.addHeldSpeech(held));
       
       // TRUE LIVE: Apply current broadcast state (for late joiners)
       if (data.broadcast) {
         this.applyBroadcastState(data.broadcast);
+        if (data.lipSync && data.broadcast.audio?.isPlaying) {
+          this.avatar?.setLipSync(data.lipSync, data.broadcast.audio.startTime, data.broadcast.audio.url);
+        }
       }
       
-      if (this.avatar) this.avatar.setState('idle');
+      if (this.avatar) this.avatar.setState(this.streamReconnecting ? 'reconnecting' : 'idle');
     });
     
-    // TRUE LIVE: Continuous broadcast state updates (20 fps)
+    // TRUE LIVE: Continuous broadcast state updates (20 fps) - servers without protocol 2
     socket.on('broadcast:state', (state) => {
       this.applyBroadcastState(state);
     });
     
+    // Protocol 2 (see shared/broadcast.js): the whole state now and then, only what changed in between
+    socket.on('broadcast:keyframe', ({ seq, state, serverTime }) => {
+      this.broadcastSeq = seq;
+      this.broadcastState = state;
+      this.applyBroadcastState(expandState(state, serverTime));
+    });
+    
+    socket.on('broadcast:delta', ({ seq, changes, serverTime }) => {
+      if (!this.broadcastState || seq <= this.broadcastSeq) return;  // From before the last keyframe
+      if (seq !== this.broadcastSeq + 1) {
+        // Missed one - everything from here on would be off
+        console.warn('📡 Missed broadcast delta', this.broadcastSeq + 1, '- resyncing');
+        this.broadcastState = null;
+        socket.emit('broadcast:resync');
+        return;
+      }
+      this.broadcastSeq = seq;
+      this.broadcastState = applyDelta(this.broadcastState, changes);
+      this.applyBroadcastState(expandState(this.broadcastState, serverTime));
+    });
+    
     // TRUE LIVE: New audio started
     socket.on('broadcast:newAudio', (data) => {
       // Add message to chat
@@ -1147,19 +2178,41 @@ class LobsterApp {
       // Play audio from server timeline
       this.audioPlayer.playFromServer(data.audioUrl, data.startTime, data.duration);
       
+      // Mouth follows the server's viseme track, with or without sound
+      this.avatar?.setLipSync(data.lipSync, data.startTime, data.audioUrl);
+      
       if (this.avatar) this.avatar.setState('speaking');
     });
     
+    // The stream switched models (picked up from the agent's profile)
+    socket.on('avatar:model', (data) => {
+      this.avatar?.loadModel(data.modelPath);
+    });
+    
+    // Clip cut off early (skipped or interrupted) - don't wait for it to run out
+    socket.on('broadcast:stopAudio', () => {
+      this.audioPlayer.stop();
+      this.avatar?.setLipSync(null);
+      this.avatar?.setState('idle');
+      this.subtitles.hide();
+    });
+    
     // GIF popup events
     socket.on('gif:show', (data) => {
       console.log('🎬 GIF received:', data.title, 'at', data.position);
-      this.showGif(data);
+      this.showOverlay('gif', data);
     });
     
     // YouTube popup events
     socket.on('youtube:show', (data) => {
       console.log('📺 YouTube received:', data.title, 'by', data.author);
-      this.showYouTube(data);
+      this.showOverlay('youtube', data);
+    });
+    
+    // TikTok popup events
+    socket.on('tiktok:show', (data) => {
+      console.log('📱 TikTok received:', data.title, 'by', data.author);
+      this.showOverlay('tiktok', data);
     });
     
     // Chat messages (for viewer messages)
@@ -1171,7 +2224,8 @@ class LobsterApp {
           id: data.id,
           username: data.username,
           type: data.type,
-          text: data.text
+          text: data.text,
+          badges: data.badges
         });
       }
     });
@@ -1184,9 +2238,25 @@ class LobsterApp {
       }
     });
     
+    // The streamer's connection dropped - the stream carries on for a grace period while it reconnects
+    socket.on('stream:reconnecting', (data) => {
+      console.log('🟠 Streamer reconnecting');
+      this.streamReconnecting = true;
+      this.chat?.addSystemMessage(`Connection lost - waiting up to ${Math.round(data.grace / 1000)}s for the streamer to come back...`);
+      this.avatar?.setState('reconnecting');
+    });
+    
+    socket.on('stream:resumed', () => {
+      console.log('🔴 Streamer back');
+      this.streamReconnecting = false;
+      this.chat?.addSystemMessage('The streamer is back!');
+      this.avatar?.setState('idle');
+    });
+    
     // Stream ended
     socket.on('stream:ended', (data) => {
       console.log('⬛ Stream ended');
+      this.streamReconnecting = false;
       this.chat?.addSystemMessage('Stream ended!');
       this.audioPlayer.stop();
       this.subtitles.hide();
@@ -1206,6 +2276,28 @@ class LobsterApp {
       console.error('Stream error:', data);
       this.chat?.addSystemMessage('Error: ' + data.error);
     });
+    
+    socket.on('chat:error', (data) => {
+      this.chat?.addSystemMessage(data.error);
+    });
+    
+    // Moderation (see server/moderation.js)
+    socket.on('chat:settings', (rules) => {
+      this.chat?.setRules(rules);
+    });
+    
+    socket.on('chat:deleted', ({ ids }) => {
+      this.chat?.removeMessages(ids);
+    });
+    
+    // Speech filter (see server/speech-filter.js) - only the creator gets these
+    socket.on('speech:held', (held) => {
+      this.chat?.addHeldSpeech(held);
+    });
+    
+    socket.on('speech:reviewed', ({ id, decision }) => {
+      this.chat?.settleHeldSpeech(id, decision);
+    });
   }
   
   // Apply broadcast state from server
@@ -1226,7 +2318,9 @@ class LobsterApp {
       this.avatar.updateFromBroadcast(state.avatar);
       
       // Update avatar status based on audio
-      if (state.audio?.isPlaying) {
+      if (this.streamReconnecting) {
+        this.avatar.setState('reconnecting');
+      } else if (state.audio?.isPlaying) {
         this.avatar.setState('speaking');
       } else if (this.avatar.expression !== 'speaking') {
         this.avatar.setState('idle');
@@ -1237,6 +2331,47 @@ class LobsterApp {
     if (state.subtitle) {
       this.subtitles.updateFromBroadcast(state.subtitle);
     }
+    
+    // Popups already on screen (late join, missed events)
+    if (state.overlays) {
+      this.syncOverlays(state.overlays);
+    }
+    
+    if (state.effects) {
+      this.avatar?.effects?.sync(state.effects);
+    }
+  }
+  
+  // Show popups from the broadcast state we haven't shown yet, part way through like everyone else
+  syncOverlays(overlays) {
+    const live = new Set(overlays.map(overlay => overlay.id));
+    for (const id of this.overlayIds) {
+      if (!live.has(id)) this.overlayIds.delete(id);  // Finished on the server
+    }
+    
+    for (const overlay of overlays) {
+      this.showOverlay(overlay.type, overlay.data, serverClock.now() - overlay.startTime);
+    }
+  }
+  
+  // Show a GIF/YouTube/TikTok popup that went up `elapsed` ms ago, for whatever is left of its screen time
+  showOverlay(type, data, elapsed = 0, speed = 1) {
+    if (data.id) {
+      if (this.overlayIds.has(data.id)) return;
+      this.overlayIds.add(data.id);
+    }
+    
+    const duration = type === 'gif' ? (data.duration || 4000) : (data.displayDuration || (type === 'tiktok' ? 15000 : 30000));
+    const remaining = (duration - elapsed) / speed;
+    if (remaining < 1000) return;
+    
+    if (type === 'gif') {
+      this.showGif({ ...data, duration: remaining });
+    } else if (type === 'tiktok') {
+      this.showTikTok({ ...data, displayDuration: remaining });
+    } else if (type === 'youtube') {
+      this.showYouTube({ ...data, displayDuration: remaining, startAt: elapsed });
+    }
   }
   
   // Show a GIF popup on screen
@@ -1284,6 +2419,14 @@ class LobsterApp {
     console.log('🎬 GIF displayed:', data.title);
   }
   
+  // Remove every GIF/YouTube/TikTok popup (VOD seeks)
+  clearOverlays() {
+    document.querySelectorAll('.gif-overlay, .youtube-overlay, .tiktok-overlay').forEach(overlay => {
+      overlay.innerHTML = '';
+    });
+    this.overlayIds.clear();
+  }
+  
   showYouTube(data) {
     // Get or create YouTube overlay container
     let overlay = document.querySelector('.youtube-overlay');
@@ -1323,10 +2466,13 @@ class LobsterApp {
     const content = document.createElement('div');
     content.className = 'youtube-popup-content';
     
+    // Joined late: start where everyone else is (Shorts loop, so wrap around)
+    const startSeconds = data.startAt > 1000 ? Math.floor(data.startAt / 1000) % (data.duration || Infinity) : 0;
+    
     // Use iframe embed for actual playback!
     content.innerHTML = `
       <iframe 
-        src="${data.embedUrl}?autoplay=1&mute=1&controls=1&modestbranding=1&rel=0" 
+        src="${data.embedUrl}?autoplay=1&mute=1&controls=1&modestbranding=1&rel=0${startSeconds ? `&start=${startSeconds}` : ''}" 
         frameborder="0" 
         allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" 
         allowfullscreen
@@ -1365,6 +2511,87 @@ class LobsterApp {
     console.log('📺 YouTube displayed:', data.title, 'by', data.author);
   }
   
+  showTikTok(data) {
+    // Get or create TikTok overlay container (left side - YouTube and GIFs take the right)
+    let overlay = document.querySelector('.tiktok-overlay');
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.className = 'tiktok-overlay';
+      const streamCanvas = document.querySelector('.stream-canvas') || document.querySelector('.stream-view');
+      if (streamCanvas) {
+        streamCanvas.appendChild(overlay);
+      } else {
+        document.body.appendChild(overlay);
+      }
+    }
+    
+    const tiktokEl = document.createElement('div');
+    tiktokEl.className = 'tiktok-popup';
+    tiktokEl.id = `tiktok-${data.id}`;
+    
+    // Header with TikTok branding
+    const header = document.createElement('div');
+    header.className = 'tiktok-popup-header';
+    header.innerHTML = `
+      <span class="tiktok-logo">
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
+          <path d="M19.59 6.69a4.83 4.83 0 0 1-3.77-4.25V2h-3.45v13.67a2.89 2.89 0 0 1-5.2 1.74 2.89 2.89 0 0 1 2.31-4.64 2.93 2.93 0 0 1 .88.13V9.4a6.84 6.84 0 0 0-1-.05A6.33 6.33 0 0 0 5 20.1a6.34 6.34 0 0 0 10.86-4.43v-7a8.16 8.16 0 0 0 4.77 1.52v-3.4a4.85 4.85 0 0 1-1-.1z"/>
+        </svg>
+        TikTok
+      </span>
+      <span class="tiktok-author"></span>
+      <button class="tiktok-close" title="Close">×</button>
+    `;
+    // Titles come from TikTok users - text only
+    header.querySelector('.tiktok-author').textContent = data.author ? '@' + data.author : '';
+    
+    // Embedded player
+    const content = document.createElement('div');
+    content.className = 'tiktok-popup-content';
+    content.innerHTML = `
+      <iframe 
+        src="${data.embedUrl}" 
+        frameborder="0" 
+        allow="autoplay; encrypted-media; picture-in-picture" 
+        allowfullscreen
+        class="tiktok-iframe"
+      ></iframe>
+    `;
+    
+    // Footer with info
+    const footer = document.createElement('div');
+    footer.className = 'tiktok-popup-footer';
+    footer.innerHTML = `
+      <span class="tiktok-title"></span>
+      ${data.stats?.plays ? `<span class="tiktok-stats">${this.formatNumber(data.stats.plays)} plays</span>` : ''}
+    `;
+    footer.querySelector('.tiktok-title').textContent = data.title
+      ? data.title.substring(0, 60) + (data.title.length > 60 ? '...' : '')
+      : '';
+    
+    tiktokEl.appendChild(header);
+    tiktokEl.appendChild(content);
+    tiktokEl.appendChild(footer);
+    overlay.appendChild(tiktokEl);
+    
+    // Close button handler
+    header.querySelector('.tiktok-close').addEventListener('click', () => {
+      tiktokEl.classList.add('fade-out');
+      setTimeout(() => tiktokEl.remove(), 300);
+    });
+    
+    // Auto-remove after display duration with fade out
+    const duration = data.displayDuration || 15000;
+    setTimeout(() => {
+      if (tiktokEl.parentNode) {
+        tiktokEl.classList.add('fade-out');
+        setTimeout(() => tiktokEl.remove(), 300);
+      }
+    }, duration - 300);
+    
+    console.log('📱 TikTok displayed:', data.title, 'by', data.author);
+  }
+  
   formatNumber(num) {
     if (!num) return '0';
     if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
@@ -1376,15 +2603,45 @@ class LobsterApp {
   joinStream(streamId) {
     console.log('🎬 Joining stream:', streamId);
     currentStreamId = streamId;
-    socket.emit('stream:join', { streamId });
+    this.broadcastState = null;  // Until the new stream's keyframe
+    socket.emit('stream:join', { streamId, protocol: PROTOCOL_VERSION });
+  }
+  
+  // Follow the stream being watched - followers-only chats need it
+  async toggleFollow() {
+    if (!viewerIdentity?.displayName && !(await this.chat?.signInAsGuest())) return;
+    socket.emit('stream:follow', { following: !this.following }, (res) => {
+      if (res?.ok) this.setFollowing(res.following);
+      else this.chat?.addSystemMessage(res?.error || 'Failed to follow');
+    });
+  }
+  
+  setFollowing(following) {
+    this.following = following;
+    const btn = document.getElementById('streamFollowBtn');
+    if (!btn) return;
+    btn.classList.toggle('following', following);
+    btn.querySelector('.follow-label').textContent = following ? 'Following' : 'Follow';
   }
   
   // Watch stream (from browse page)
   async watchStream(streamId) {
     console.log('🎬 Watching stream:', streamId);
+    this.stopVod();
+    this.showStreamView();
+    
+    // Update URL
+    window.history.pushState({ streamId }, '', `/stream/${streamId}`);
     
-    // Show stream view
+    // Join the stream - tune in to wherever it is NOW
+    this.joinStream(streamId);
+  }
+  
+  // Show the stream view (shared by live streams and VODs)
+  showStreamView() {
     document.getElementById('browsePage')?.classList.add('hidden');
+    document.getElementById('profilePage')?.classList.add('hidden');
+    document.getElementById('setupPage')?.classList.add('hidden');
     document.getElementById('streamViewPage')?.classList.add('active');
     
     // Initialize chat if not already done
@@ -1400,17 +2657,59 @@ class LobsterApp {
       // *** Connect avatar to audio player for REAL lip sync ***
       this.avatar.setAudioPlayer(this.audioPlayer);
     }
+  }
+  
+  // Watch a recorded stream
+  async showVodPage(vodId) {
+    console.log('📼 Watching VOD:', vodId);
+    
+    // A VOD drives the same avatar and audio player, so stop listening to any live stream
+    if (currentStreamId) {
+      socket.emit('stream:leave', { streamId: currentStreamId });
+      currentStreamId = null;
+      isStreamConnected = false;
+    }
+    this.audioPlayer.stop();
+    this.subtitles.hide();
+    this.showStreamView();
     
-    // Update URL
-    window.history.pushState({ streamId }, '', `/stream/${streamId}`);
+    window.history.pushState({ vodId }, '', `/vod/${vodId}`);
     
-    // Join the stream - tune in to wherever it is NOW
-    this.joinStream(streamId);
+    if (!this.vodPlayer) {
+      this.vodPlayer = new VodPlayer(this);
+    }
+    this.chat.setReadOnly(true);
+    document.getElementById('vodControls')?.classList.remove('hidden');
+    
+    try {
+      const vod = await this.vodPlayer.load(vodId);
+      
+      const nameEl = document.getElementById('streamerName');
+      const descEl = document.getElementById('streamDescription');
+      if (nameEl) nameEl.textContent = this.getCleanName(vod.agentName);
+      if (descEl) descEl.textContent = `${vod.title || 'Past broadcast'} · ${new Date(vod.startedAt).toLocaleString()}`;
+      
+      this.vodPlayer.play();
+    } catch (err) {
+      console.error('📼 Failed to load VOD:', err);
+      this.chat.addSystemMessage('Error: ' + err.message);
+    }
+  }
+  
+  // Leave VOD playback
+  stopVod() {
+    if (!this.vodPlayer?.vod) return;
+    this.vodPlayer.stop();
+    this.chat?.setReadOnly(false);
+    this.chat?.clear();
+    this.subtitles.hide();
+    document.getElementById('vodControls')?.classList.add('hidden');
   }
   
   // Show browse page
   showBrowsePage() {
     console.log('📺 Showing browse page');
+    this.stopVod();
     
     document.getElementById('streamViewPage')?.classList.remove('active');
     document.getElementById('browsePage')?.classList.remove('hidden');
@@ -1438,6 +2737,7 @@ class LobsterApp {
   // Show setup wizard page
   showSetupPage() {
     console.log('🛠️ Showing setup page');
+    this.stopVod();
     
     document.getElementById('streamViewPage')?.classList.remove('active');
     document.getElementById('browsePage')?.classList.add('hidden');
@@ -1545,7 +2845,9 @@ class LobsterApp {
         <div class="stream-thumbnail-bg">
           <span class="stream-thumbnail-emoji">${emoji}</span>
         </div>
-        <div class="stream-live-badge">LIVE</div>
+        ${stream.state === 'reconnecting'
+          ? '<div class="stream-live-badge reconnecting">RECONNECTING</div>'
+          : '<div class="stream-live-badge">LIVE</div>'}
         <div class="stream-viewers">
           <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
             <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
@@ -1643,15 +2945,19 @@ class LobsterApp {
         this.showProfilePage(currentStreamId);
       }
     });
+    document.getElementById('streamFollowBtn')?.addEventListener('click', () => this.toggleFollow());
     
     // Handle browser back/forward
     window.addEventListener('popstate', (event) => {
       const streamMatch = window.location.pathname.match(/^\/stream\/([^\/]+)/);
       const profileMatch = window.location.pathname.match(/^\/profile\/([^\/]+)/);
+      const vodMatch = window.location.pathname.match(/^\/vod\/([^\/]+)/);
       const setupMatch = window.location.pathname === '/create-agent';
       
       if (streamMatch) {
         this.watchStream(streamMatch[1]);
+      } else if (vodMatch) {
+        this.showVodPage(vodMatch[1]);
       } else if (profileMatch) {
         this.showProfilePage(profileMatch[1]);
       } else if (setupMatch) {
@@ -1664,11 +2970,14 @@ class LobsterApp {
     // Check initial URL
     const streamMatch = window.location.pathname.match(/^\/stream\/([^\/]+)/);
     const profileMatch = window.location.pathname.match(/^\/profile\/([^\/]+)/);
+    const vodMatch = window.location.pathname.match(/^\/vod\/([^\/]+)/);
     const setupMatch = window.location.pathname === '/create-agent';
     
     if (streamMatch) {
       // Delay to let everything initialize
       setTimeout(() => this.watchStream(streamMatch[1]), 100);
+    } else if (vodMatch) {
+      setTimeout(() => this.showVodPage(vodMatch[1]), 100);
     } else if (profileMatch) {
       setTimeout(() => this.showProfilePage(profileMatch[1]), 100);
     } else if (setupMatch) {
@@ -1768,6 +3077,7 @@ class LobsterApp {
   
   async showProfilePage(agentName) {
     console.log('👤 Showing profile page for:', agentName);
+    this.stopVod();
     
     // Hide other pages
     document.getElementById('streamViewPage')?.classList.remove('active');
@@ -1860,10 +3170,15 @@ class LobsterApp {
         });
       }
       
+      // Past broadcasts
+      this.loadRecentStreams(agent.name);
+      
       // Edit form values
       document.getElementById('editDisplayName').value = agent.displayName || '';
       document.getElementById('editBio').value = agent.description || '';
       document.getElementById('editTags').value = (agent.tags || []).join(', ');
+      this.loadVoiceEditor(agent);
+      this.loadModelEditor(agent);
       
       // Check if live - show watch button
       const watchBtn = document.getElementById('watchLiveBtn');
@@ -1874,6 +3189,38 @@ class LobsterApp {
     }
   }
   
+  // List an agent's recorded streams on their profile
+  async loadRecentStreams(agentName) {
+    const container = document.getElementById('recentStreams');
+    if (!container) return;
+    
+    try {
+      const res = await fetch(`/api/vods?agent=${encodeURIComponent(agentName)}&limit=10`);
+      const data = await res.json();
+      const vods = data.ok ? data.vods : [];
+      
+      if (vods.length === 0) {
+        container.innerHTML = '<p class="no-streams">No past streams yet</p>';
+        return;
+      }
+      
+      container.innerHTML = '';
+      vods.forEach(vod => {
+        const item = document.createElement('div');
+        item.className = 'recent-stream';
+        item.innerHTML = `
+          <span class="recent-stream-title"></span>
+          <span class="recent-stream-meta">${new Date(vod.startedAt).toLocaleDateString()} · ${VodPlayer.formatTime(vod.duration)}</span>
+        `;
+        item.querySelector('.recent-stream-title').textContent = vod.title || 'Untitled stream';
+        item.onclick = () => this.showVodPage(vod.id);
+        container.appendChild(item);
+      });
+    } catch (error) {
+      console.error('Failed to load past streams:', error);
+    }
+  }
+  
   setupProfileHandlers() {
     // Profile page sidebar home link
     document.querySelectorAll('.profile-sidebar-nav [data-nav="home"]').forEach(link => {
@@ -1900,6 +3247,11 @@ class LobsterApp {
       await this.saveProfile();
     });
     
+    // Audition the selected voice
+    document.getElementById('previewVoiceBtn')?.addEventListener('click', () => {
+      this.previewVoice();
+    });
+    
     // Avatar upload
     document.getElementById('avatarUpload')?.addEventListener('change', async (e) => {
       if (e.target.files?.[0]) {
@@ -1914,6 +3266,14 @@ class LobsterApp {
       }
     });
     
+    // Live2D model upload
+    document.getElementById('modelUpload')?.addEventListener('change', async (e) => {
+      if (e.target.files?.[0]) {
+        await this.uploadModel(e.target.files[0]);
+        e.target.value = '';
+      }
+    });
+    
     // Followers/Following dropdowns
     this.setupFollowDropdowns();
   }
@@ -1994,6 +3354,109 @@ class LobsterApp {
     });
   }
   
+  // Fill the voice picker - the voice list is fetched once per page load
+  async loadVoiceEditor(agent) {
+    const select = document.getElementById('editVoice');
+    if (!select) return;
+    
+    if (!this._voices) {
+      try {
+        const res = await fetch('/api/voices');
+        const data = await res.json();
+        this._voices = data.ok ? data.voices : [];
+      } catch (error) {
+        console.error('Failed to load voices:', error);
+        this._voices = [];
+      }
+    }
+    
+    select.innerHTML = '<option value="">Default voice</option>';
+    const voices = [...this._voices];
+    // Keep a voice that isn't listed (other account, provider not set up here) selectable
+    if (agent.voiceId && !voices.some(v => v.id === agent.voiceId)) {
+      voices.push({ id: agent.voiceId, name: agent.voiceId, provider: 'custom' });
+    }
+    voices.forEach(voice => {
+      const option = document.createElement('option');
+      option.value = voice.id;
+      option.textContent = `${voice.name} (${voice.provider})`;
+      select.appendChild(option);
+    });
+    select.value = agent.voiceId || '';
+    
+    const settings = agent.voiceSettings || {};
+    document.getElementById('editVoiceStability').value = settings.stability ?? 0.4;
+    document.getElementById('editVoiceSimilarity').value = settings.similarityBoost ?? 0.85;
+    document.getElementById('editVoiceStyle').value = settings.style ?? 0.5;
+  }
+  
+  // Fill the model picker - built-in models plus everything uploaded for this agent
+  async loadModelEditor(agent) {
+    const select = document.getElementById('editModel');
+    if (!select) return;
+    
+    let models = [];
+    try {
+      const res = await fetch(`/api/models?agent=${encodeURIComponent(agent.name)}`);
+      const data = await res.json();
+      if (data.ok) models = data.models;
+    } catch (error) {
+      console.error('Failed to load models:', error);
+    }
+    
+    select.innerHTML = '';
+    const current = models.find(m => m.modelPath === (agent.modelPath || DEFAULT_MODEL_PATH));
+    // A model that isn't in the registry (set by hand) stays selected until another is picked
+    if (!current) {
+      select.appendChild(new Option('Current model', ''));
+    }
+    models.forEach(model => {
+      select.appendChild(new Option(model.builtIn ? model.name : `${model.name} (uploaded)`, model.id));
+    });
+    select.value = current?.id || '';
+    select.dataset.current = select.value;
+    
+    const idle = document.getElementById('editIdleIntensity');
+    if (idle) idle.value = agent.idleIntensity ?? 0.5;
+  }
+  
+  getVoiceEditorValues() {
+    return {
+      voiceId: document.getElementById('editVoice')?.value || null,
+      voiceSettings: {
+        stability: parseFloat(document.getElementById('editVoiceStability')?.value),
+        similarityBoost: parseFloat(document.getElementById('editVoiceSimilarity')?.value),
+        style: parseFloat(document.getElementById('editVoiceStyle')?.value)
+      }
+    };
+  }
+  
+  // Let the creator hear a voice before saving it
+  async previewVoice() {
+    const btn = document.getElementById('previewVoiceBtn');
+    if (btn) btn.disabled = true;
+    
+    try {
+      const res = await fetch('/api/voices/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this.getVoiceEditorValues())
+      });
+      const data = await res.json();
+      if (!data.ok) throw new Error(data.error);
+      
+      this._previewAudio?.pause();
+      this._previewAudio = new Audio(this.audioPlayer.resolveUrl(data.url));
+      this._previewAudio.volume = globalVolume;
+      await this._previewAudio.play();
+    } catch (error) {
+      console.error('Voice preview failed:', error);
+      alert('Voice preview failed: ' + error.message);
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  }
+  
   async saveProfile() {
     if (!this.currentProfileAgent) return;
     
@@ -2006,11 +3469,22 @@ class LobsterApp {
       const res = await fetch(`/api/agents/${this.currentProfileAgent.name}`, {
         method: 'PATCH',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ displayName, description, tags })
+        body: JSON.stringify({
+          displayName,
+          description,
+          tags,
+          ...this.getVoiceEditorValues(),
+          idleIntensity: parseFloat(document.getElementById('editIdleIntensity')?.value ?? 0.5)
+        })
       });
       
       const data = await res.json();
       if (data.ok) {
+        // The model is switched separately - only the creator may, and a live stream follows
+        const modelSelect = document.getElementById('editModel');
+        if (modelSelect?.value && modelSelect.value !== modelSelect.dataset.current) {
+          await this.switchModel(modelSelect.value);
+        }
         // Reload profile
         await this.loadAgentProfile(this.currentProfileAgent.name);
         // Switch back to view mode
@@ -2075,6 +3549,51 @@ class LobsterApp {
     }
   }
   
+  // Upload a zipped Live2D model - once it's checked and stored it shows up in the model picker
+  async uploadModel(file) {
+    if (!this.currentProfileAgent) return;
+    
+    this.showUploadProgress('Uploading model...');
+    
+    try {
+      const res = await fetch(`/api/agents/${this.currentProfileAgent.name}/models`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/zip' },
+        credentials: 'include',
+        body: file
+      });
+      
+      const data = await res.json();
+      if (data.ok) {
+        const select = document.getElementById('editModel');
+        select?.appendChild(new Option(`${data.model.name} (uploaded)`, data.model.id));
+        if (select) select.value = data.model.id;
+      } else {
+        alert(`Model upload failed: ${data.error}${data.details ? '\n\n' + data.details.join('\n') : ''}`);
+      }
+    } catch (error) {
+      console.error('Error uploading model:', error);
+      alert('Model upload failed');
+    } finally {
+      this.hideUploadProgress();
+    }
+  }
+  
+  async switchModel(modelId) {
+    try {
+      const res = await fetch(`/api/agents/${this.currentProfileAgent.name}/model`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ modelId })
+      });
+      const data = await res.json();
+      if (!data.ok) alert('Could not switch model: ' + data.error);
+    } catch (error) {
+      console.error('Error switching model:', error);
+    }
+  }
+  
   showUploadProgress(message) {
     let progress = document.querySelector('.upload-progress');
     if (!progress) {
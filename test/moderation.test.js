@@ -0,0 +1,110 @@
+// test/moderation.test.js
+// Chat moderation (server/moderation.js) - blocklist patterns and who may add them
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileBlockedWord, ChatModerator } from '../server/moderation.js';
+
+const SLOW_PATTERNS = [
+  '/.*.*.*.*.*.*x/',
+  '/\\w+\\s+\\w+$/',
+  '/a*b+c*/',
+  '/x{2,}y{2,}/',
+  '/(a+)+$/',
+  '/(a|ab)*c/',
+  '/(a+){3}/',
+  '/(.)\\1/',
+  '/.*.{0,200}x/',
+  '/a?b?c?d?e?f?g?h?i?j?k?l?m?n?o?p?/'
+];
+
+const FAST_PATTERNS = [
+  '/rug\\w*/i',
+  '/free\\s+money/i',
+  '/scam|spam/',
+  '/(buy|sell) now/',
+  '/(?:ab)+c/',
+  '/\\d{3}-\\d{4}/',
+  '/[a+*]+x/',
+  '/.{0,50}.{0,50}x/'
+];
+
+function moderator() {
+  return new ChatModerator({ moderators: ['x:mod'] }, {
+    isCreator: ({ id }) => id === 'x:boss',
+    isFollower: () => false
+  });
+}
+
+test('words are matched whole and in any case', () => {
+  const pattern = compileBlockedWord('ass');
+  assert.ok(pattern.test('what an ASS'));
+  assert.ok(!pattern.test('pass the salt'));
+});
+
+test('patterns that could run away are refused', () => {
+  for (const entry of SLOW_PATTERNS) {
+    assert.throws(() => compileBlockedWord(entry), /could take too long/, entry);
+  }
+});
+
+test('patterns over 100 characters are refused', () => {
+  assert.throws(() => compileBlockedWord(`/${'a'.repeat(101)}/`), /up to 100 characters/);
+});
+
+test('invalid patterns are refused', () => {
+  assert.throws(() => compileBlockedWord('/(/'), /Invalid pattern/);
+});
+
+test('accepted patterns stay fast on messages built to make them backtrack', () => {
+  const messages = ['a'.repeat(500), 'x'.repeat(499) + '!', 'ab'.repeat(250), ' '.repeat(500)];
+  for (const entry of FAST_PATTERNS) {
+    const pattern = compileBlockedWord(entry);
+    const start = Date.now();
+    for (const message of messages) pattern.test(message);
+    assert.ok(Date.now() - start < 250, `${entry} took ${Date.now() - start}ms`);
+  }
+});
+
+test('moderators block words, only the creator blocks patterns', () => {
+  const chat = moderator();
+  assert.throws(() => chat.apply({ id: 'x:mod' }, { action: 'block', value: '/spam+/' }), /Only the creator/);
+  chat.apply({ id: 'x:mod' }, { action: 'block', value: 'spam' });
+  chat.apply({ id: 'x:boss' }, { action: 'block', value: '/spam+/' });
+  assert.deepEqual(chat.settings.blockedWords, ['spam', '/spam+/']);
+});
+
+test('the creator cannot block a slow pattern either', () => {
+  const chat = moderator();
+  assert.throws(() => chat.apply({ id: 'x:boss' }, { action: 'block', value: '/.*.*x/' }), /could take too long/);
+  assert.deepEqual(chat.settings.blockedWords, []);
+});
+
+test('banning or timing out one guest closes chat to every guest', () => {
+  const chat = moderator();
+  const guest = { id: 'guest:2', kind: 'guest' };
+  chat.apply({ id: 'x:mod' }, { action: 'ban', target: { id: 'guest:1', name: 'troll' } });
+  assert.match(chat.check(guest, 'hi again'), /Guest chat is closed/);
+  assert.equal(chat.check({ id: 'x:fan', kind: 'x' }, 'hi'), null);
+
+  chat.apply({ id: 'x:mod' }, { action: 'unban', target: { id: 'guest:1', name: 'troll' } });
+  assert.equal(chat.check(guest, 'hi'), null);
+
+  const now = Date.now();
+  chat.apply({ id: 'x:mod' }, { action: 'timeout', target: { id: 'guest:1', name: 'troll' }, duration: 60 }, now);
+  assert.match(chat.check(guest, 'hi', now + 1000), /Guest chat is closed/);
+  assert.equal(chat.check(guest, 'hi', now + 61000), null);
+});
+
+test('followers-only chat is closed to guests, who can follow for free', () => {
+  const chat = new ChatModerator({ chatMode: 'followers' }, { isCreator: () => false, isFollower: () => true });
+  assert.match(chat.check({ id: 'guest:1', kind: 'guest' }, 'hi'), /log in with X or a wallet/);
+  assert.equal(chat.check({ id: 'x:fan', kind: 'x' }, 'hi'), null);
+});
+
+test('a blocked word drops the message', () => {
+  const chat = moderator();
+  chat.apply({ id: 'x:boss' }, { action: 'block', value: '/free\\s+money/i' });
+  assert.ok(chat.check({ id: 'guest:1', kind: 'guest' }, 'FREE   money here'));
+  assert.equal(chat.check({ id: 'guest:1', kind: 'guest' }, 'money for free'), null);
+});
@@ -0,0 +1,77 @@
+// test/speech-filter.test.js
+// What an agent may say on air (server/speech-filter.js) - redactions, hold, block and the length cap
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpeechFilter, normalizeSpeechFilter } from '../server/speech-filter.js';
+
+test('clean speech is allowed as written', () => {
+  const filter = new SpeechFilter();
+  assert.deepEqual(filter.check('[happy] Hello chat!'), { decision: 'allow', text: '[happy] Hello chat!', reasons: [] });
+});
+
+test('banned terms are redacted as whole words in any case', () => {
+  const filter = new SpeechFilter({ bannedTerms: ['ass'] });
+  assert.deepEqual(filter.check('pass the ass, ASS!'), {
+    decision: 'redact', text: 'pass the ***, ***!', reasons: ['contains a banned term']
+  });
+});
+
+test('text around tags is redacted, the tags themselves pass through', () => {
+  const filter = new SpeechFilter({ bannedTerms: ['rugpull', '/moon\\w*/i'] });
+  assert.equal(filter.check('[happy] rugpull [gif:rugpull] then moonshot').text, '[happy] *** [gif:rugpull] then ***');
+  assert.equal(filter.check('[gif:cats.tv] look at cats.tv [happy] rugpull').text, '[gif:cats.tv] look at *** [happy] ***');
+});
+
+test('personal data and links are redacted by default', () => {
+  const result = new SpeechFilter().check('[love] mail me at a@b.com or 4111 1111 1111 1111 ok');
+  assert.equal(result.decision, 'redact');
+  assert.equal(result.text, '[love] mail me at *** or *** ok');
+  assert.ok(result.reasons.includes('contains an email address'));
+  assert.ok(result.reasons.includes('contains a card number'));
+});
+
+test('a banned term inside personal data is redacted once', () => {
+  const filter = new SpeechFilter({ bannedTerms: ['gmail'] });
+  assert.deepEqual(filter.check('mail bob@gmail.com now'), {
+    decision: 'redact',
+    text: 'mail *** now',
+    reasons: ['contains a banned term', 'contains an email address', 'contains a link']
+  });
+});
+
+test('allow lets personal data and links through', () => {
+  const filter = new SpeechFilter({ onPersonalData: 'allow', onUrl: 'allow' });
+  assert.equal(filter.check('a@b.com on pump.fun').decision, 'allow');
+});
+
+test('hold keeps the redactions made by other rules', () => {
+  const filter = new SpeechFilter({ bannedTerms: ['rugpull'], onBannedTerm: 'hold' });
+  assert.deepEqual(filter.check('rugpull, mail a@b.com'), {
+    decision: 'hold',
+    text: 'rugpull, mail ***',
+    reasons: ['contains a banned term', 'contains an email address', 'contains a link']
+  });
+});
+
+test('block wins over hold', () => {
+  const filter = new SpeechFilter({ bannedTerms: ['rugpull'], onBannedTerm: 'hold', onUrl: 'block' });
+  const result = filter.check('rugpull at pump.fun');
+  assert.equal(result.decision, 'block');
+  assert.deepEqual(result.reasons, ['contains a banned term', 'contains a link']);
+});
+
+test('maxLength counts spoken characters only and blocks longer utterances', () => {
+  const filter = new SpeechFilter({ maxLength: 10 });
+  assert.equal(filter.check('[happy] [wave] 0123456789').decision, 'allow');
+  assert.deepEqual(filter.check('[happy] 0123456789A'), {
+    decision: 'block', text: '[happy] 0123456789A', reasons: ['11 characters long - the limit is 10']
+  });
+});
+
+test('settings out of range are refused', () => {
+  assert.throws(() => normalizeSpeechFilter({ onBannedTerm: 'allow' }), /onBannedTerm/);
+  assert.throws(() => normalizeSpeechFilter({ onUrl: 'shout' }), /onUrl/);
+  assert.throws(() => normalizeSpeechFilter({ maxLength: 0 }), /length limit/);
+  assert.throws(() => normalizeSpeechFilter({ bannedTerms: ['/.*.*x/'] }), /could take too long/);
+});
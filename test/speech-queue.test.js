@@ -0,0 +1,188 @@
+// test/speech-queue.test.js
+// The per-stream utterance queue (server/speech-queue.js) - order, interrupts, skips and drops
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpeechQueue } from '../server/speech-queue.js';
+
+// Every drop is logged - keep it out of the test output
+mock.method(console, 'log', () => {});
+
+// A queue wired to a fake stream: play() records the ref, stop() cuts the clip off like
+// Stream.stopAudio() does, and every event is kept
+function setup({ prepare = async () => 'audio', isLive } = {}) {
+  const played = [];
+  const events = [];
+  let stops = 0;
+  const queue = new SpeechQueue({
+    prepare,
+    play: (item) => {
+      played.push(item.ref);
+      return 1000;
+    },
+    stop: () => {
+      stops++;
+      queue.finished(queue.current.id);
+    },
+    notify: (event, data) => events.push({ event, ...data }),
+    isLive
+  });
+  return { queue, played, events, stops: () => stops };
+}
+
+// Let prepare() promises and advance() run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+async function finishCurrent(queue) {
+  queue.finished(queue.current.id);
+  await settle();
+}
+
+function dropped(events, reason) {
+  return events.filter(e => e.event === 'speech:finished' && e.reason === reason).map(e => e.ref);
+}
+
+// A prepare() that waits until the test lets it go
+function deferred() {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return { prepare: () => done, release: () => release('audio') };
+}
+
+test('high priority goes first, then normal, then low, each in arrival order', async () => {
+  const { queue, played } = setup();
+  queue.enqueue({ text: 'a', ref: 'a' });
+  queue.enqueue({ text: 'b', ref: 'b', priority: 'low' });
+  queue.enqueue({ text: 'c', ref: 'c' });
+  queue.enqueue({ text: 'd', ref: 'd', priority: 'high' });
+  queue.enqueue({ text: 'e', ref: 'e', priority: 'high' });
+  await settle();
+  assert.deepEqual(played, ['a']);
+
+  for (let i = 0; i < 4; i++) await finishCurrent(queue);
+  assert.deepEqual(played, ['a', 'd', 'e', 'c', 'b']);
+});
+
+test('an unknown priority counts as normal', () => {
+  const { queue } = setup();
+  assert.equal(queue.enqueue({ text: 'a', priority: 'urgent' }).priority, 'normal');
+});
+
+test('interrupt cuts off the clip on air once its own clip is ready, and plays next', async () => {
+  const { queue, played, stops } = setup();
+  queue.enqueue({ text: 'a', ref: 'a' });
+  queue.enqueue({ text: 'b', ref: 'b', priority: 'high' });
+  await settle();
+  queue.enqueue({ text: 'c', ref: 'c', interrupt: true });
+  await settle();
+  assert.equal(stops(), 1);
+  assert.deepEqual(played, ['a', 'c']);
+
+  await finishCurrent(queue);
+  assert.deepEqual(played, ['a', 'c', 'b']);
+});
+
+test('skip cuts off the clip on air', async () => {
+  const { queue, played, stops } = setup();
+  queue.enqueue({ text: 'a', ref: 'a' });
+  queue.enqueue({ text: 'b', ref: 'b' });
+  await settle();
+  assert.equal(queue.skip(), true);
+  await settle();
+  assert.equal(stops(), 1);
+  assert.deepEqual(played, ['a', 'b']);
+});
+
+test('skip drops an utterance still waiting on its TTS, and nothing to skip is false', async () => {
+  const tts = deferred();
+  const { queue, played, events } = setup({ prepare: tts.prepare });
+  queue.enqueue({ text: 'a', ref: 'a' });
+  queue.enqueue({ text: 'b', ref: 'b' });
+  assert.equal(queue.skip(), true);
+  tts.release();
+  await settle();
+  assert.deepEqual(dropped(events, 'skipped'), ['a']);
+  assert.deepEqual(played, ['b']);
+
+  await finishCurrent(queue);
+  assert.equal(queue.skip(), false);
+});
+
+test('clear drops everything waiting and leaves the clip on air playing', async () => {
+  const { queue, played, events } = setup();
+  queue.enqueue({ text: 'a', ref: 'a' });
+  queue.enqueue({ text: 'b', ref: 'b' });
+  queue.enqueue({ text: 'c', ref: 'c' });
+  await settle();
+  assert.equal(queue.clear(), 2);
+  assert.deepEqual(dropped(events, 'cleared'), ['b', 'c']);
+  assert.equal(queue.current.ref, 'a');
+
+  await finishCurrent(queue);
+  assert.deepEqual(played, ['a']);
+});
+
+test('close drops the queue and an utterance still preparing, so it never airs', async () => {
+  const tts = deferred();
+  let live = true;
+  const { queue, played, events } = setup({ prepare: tts.prepare, isLive: () => live });
+  queue.enqueue({ text: 'a', ref: 'a' });
+  queue.enqueue({ text: 'b', ref: 'b' });
+  live = false;
+  assert.equal(queue.close(), 2);
+  tts.release();
+  await settle();
+  assert.deepEqual(dropped(events, 'cleared'), ['b']);
+  assert.deepEqual(dropped(events, 'offline'), ['a']);
+  assert.deepEqual(played, []);
+  assert.equal(queue.current, null);
+});
+
+test('close lets go of a clip on air without dropping it - the stream cuts it off', async () => {
+  const { queue, events } = setup();
+  queue.enqueue({ text: 'a', ref: 'a' });
+  await settle();
+  assert.equal(queue.close(), 0);
+  assert.equal(queue.current, null);
+  assert.deepEqual(dropped(events, 'offline'), []);
+});
+
+test('an utterance whose stream went offline while it was preparing is dropped', async () => {
+  let live = true;
+  const { queue, played, events } = setup({ isLive: () => live });
+  queue.enqueue({ text: 'a', ref: 'a' });
+  live = false;
+  await settle();
+  assert.deepEqual(played, []);
+  assert.deepEqual(dropped(events, 'offline'), ['a']);
+});
+
+test('low priority thoughts that waited over 20s are dropped as stale', async (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const { queue, played, events } = setup();
+  queue.enqueue({ text: 'a', ref: 'a' });
+  queue.enqueue({ text: 'b', ref: 'b', priority: 'low' });
+  queue.enqueue({ text: 'c', ref: 'c' });
+  await settle();
+
+  now += 21 * 1000;
+  await finishCurrent(queue);
+  await finishCurrent(queue);
+  assert.deepEqual(played, ['a', 'c']);
+  assert.deepEqual(dropped(events, 'stale'), ['b']);
+});
+
+test('a full queue refuses what is not more important, and makes room for what is', async () => {
+  const { queue, events } = setup();
+  queue.enqueue({ text: 'on air', ref: 'on air' });
+  for (let i = 0; i < 10; i++) queue.enqueue({ text: `n${i}`, ref: `n${i}` });
+  assert.equal(queue.length, 10);
+
+  assert.equal(queue.enqueue({ text: 'low', ref: 'low', priority: 'low' }), null);
+  assert.equal(queue.enqueue({ text: 'normal', ref: 'normal' }), null);
+  assert.ok(queue.enqueue({ text: 'high', ref: 'high', priority: 'high' }));
+  assert.deepEqual(dropped(events, 'queue_full'), ['low', 'normal', 'n9']);
+  assert.equal(queue.toJSON().queue[0].ref, 'high');
+  await settle();
+});
@@ -0,0 +1,118 @@
+// test/tags.test.js
+// The avatar tag grammar (shared/tags.js) - run with npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  tokenize, stripTags, locateTags, removeTags,
+  getDirectives, getEmotion, getGesture, getLook
+} from '../shared/tags.js';
+
+test('tokenize splits text and directives in order', () => {
+  assert.deepEqual(tokenize('[happy] Hi [wave] there'), [
+    { type: 'emotion', name: 'happy', raw: '[happy]', index: 0 },
+    { type: 'text', text: ' Hi ' },
+    { type: 'gesture', name: 'wave', raw: '[wave]', index: 11 },
+    { type: 'text', text: ' there' }
+  ]);
+});
+
+test('tokenize gives an empty list for empty input', () => {
+  assert.deepEqual(tokenize(''), []);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('tag names are case-insensitive', () => {
+  assert.deepEqual(getDirectives('[HAPPY] yay', 'emotion').map(d => d.name), ['happy']);
+});
+
+test('a tag with several meanings gives one directive per meaning at the same index', () => {
+  const love = tokenize('so [love]').filter(token => token.type !== 'text');
+  assert.deepEqual(love.map(d => d.type), ['emotion', 'gesture']);
+  assert.ok(love.every(d => d.index === 3 && d.raw === '[love]'));
+});
+
+test('effect aliases resolve to the preset name', () => {
+  assert.deepEqual(getDirectives('[boom]', 'effect').map(d => d.name), ['explosion']);
+});
+
+test('unknown snake_case tags are directives, never text', () => {
+  assert.deepEqual(getDirectives('[made_up] hi', 'unknown').map(d => d.name), ['made_up']);
+  assert.equal(stripTags('[made_up] hi'), 'hi');
+});
+
+test('brackets that are not tags stay text', () => {
+  assert.equal(stripTags('[citation needed] and [1]'), '[citation needed] and [1]');
+  assert.deepEqual(tokenize('[citation needed]'), [{ type: 'text', text: '[citation needed]' }]);
+});
+
+test('unclosed and malformed tags stay text', () => {
+  assert.equal(stripTags('[happy hello'), '[happy hello');
+  assert.equal(stripTags('hello [wave'), 'hello [wave');
+  assert.equal(stripTags('oops] [happy]'), 'oops]');
+  assert.equal(stripTags('[[happy]]'), '[]');
+  assert.equal(stripTags('[gif:] nothing'), '[gif:] nothing');
+  assert.equal(stripTags('[emotion:happy] nope'), '[emotion:happy] nope');
+});
+
+test('gif tags parse search, position and duration', () => {
+  assert.deepEqual(getDirectives('[gif:cats]', 'gif')[0], {
+    type: 'gif', search: 'cats', position: null, duration: 4000, raw: '[gif:cats]', index: 0
+  });
+  const [gif] = getDirectives('[gif: dancing cat : TOP : 2500 ]', 'gif');
+  assert.equal(gif.search, 'dancing cat');
+  assert.equal(gif.position, 'top');
+  assert.equal(gif.duration, 2500);
+});
+
+test('a gif duration that is not a number falls back to the default', () => {
+  assert.equal(getDirectives('[gif:cats:left:soon]', 'gif')[0].duration, 4000);
+});
+
+test('youtube and tiktok searches keep their colons', () => {
+  assert.equal(getDirectives('[youtube:cats: the movie]', 'youtube')[0].search, 'cats: the movie');
+  assert.equal(getDirectives('[tiktok:dance]', 'tiktok')[0].search, 'dance');
+});
+
+test('motion tags parse by group and number, or by name', () => {
+  assert.deepEqual(getDirectives('[motion:Idle:3]', 'motion').map(({ group, number, name }) => ({ group, number, name })),
+    [{ group: 'Idle', number: 3, name: null }]);
+  assert.deepEqual(getDirectives('[motion::2]', 'motion').map(({ group, number }) => ({ group, number })),
+    [{ group: '', number: 2 }]);
+  assert.deepEqual(getDirectives('[motion:spin]', 'motion').map(({ group, number, name }) => ({ group, number, name })),
+    [{ group: null, number: null, name: 'spin' }]);
+});
+
+test('malformed motion tags stay text', () => {
+  assert.equal(stripTags('[motion:] [motion:a:b]'), '[motion:] [motion:a:b]');
+});
+
+test('stripTags collapses whitespace and trims', () => {
+  assert.equal(stripTags('  [happy]  Hello   [wave]\n world  '), 'Hello world');
+  assert.equal(stripTags(tokenize('[sad] tokens work too')), 'tokens work too');
+});
+
+test('locateTags gives each directive its offset in the stripped text', () => {
+  // 'Hello there ' comes before the wave, 'Hello there friend ' before the gif
+  const located = locateTags('[happy] Hello  there [wave] friend [gif:cats]');
+  assert.deepEqual(located.map(({ type, offset }) => [type, offset]), [
+    ['emotion', 0],
+    ['gesture', 12],
+    ['gif', 19]
+  ]);
+});
+
+test('removeTags takes out one type and leaves the rest as written', () => {
+  assert.equal(removeTags('[happy] look [gif:cats:top] here [youtube:dogs]', 'gif'), '[happy] look  here [youtube:dogs]');
+  assert.equal(removeTags('[love] you [gif:hearts]', 'gif'), '[love] you');
+  assert.equal(removeTags('[love] you', 'emotion'), '[love] you');
+});
+
+test('getEmotion, getGesture and getLook pick the right directive', () => {
+  assert.equal(getEmotion('no tags'), 'neutral');
+  assert.equal(getEmotion('[sad] then [happy]'), 'sad');
+  assert.equal(getGesture('[wave] [dance] [magic]'), 'magic');
+  assert.equal(getGesture('nothing'), null);
+  assert.deepEqual(getLook('[look_left] hm'), { x: -0.8, y: 0 });
+  assert.deepEqual(getLook('hm'), { x: 0, y: 0 });
+});